@@ -0,0 +1,187 @@
+// __tests__/apiKeys.test.js
+const request = require('supertest');
+const express = require('express');
+const { createDb } = require('../db');
+const { createAuth } = require('../auth');
+const { createApiKeysRouter } = require('../routes/apiKeys');
+const { createImagesRouter } = require('../routes/images');
+const { createRateLimiter } = require('../rateLimit');
+const { parseApiKeyInput, requiredScope, hashApiKey } = require('../services/apiKeys');
+const { problemHandler } = require('../problems');
+
+const secret = 'a'.repeat(32);
+
+describe('parseApiKeyInput', () => {
+  test('accepts a name and known scopes, in a fixed order', () => {
+    expect(parseApiKeyInput({ name: ' CI ', scopes: ['upload', 'read', 'upload'] })).toEqual({ name: 'CI', scopes: ['read', 'upload'] });
+  });
+
+  test.each([
+    [{ scopes: ['read'] }, /Missing key name/],
+    [{ name: 'x'.repeat(101), scopes: ['read'] }, /too long/],
+    [{ name: 'CI' }, /Missing scopes/],
+    [{ name: 'CI', scopes: [] }, /Missing scopes/],
+    [{ name: 'CI', scopes: ['read', 'admin'] }, /Unknown scope\(s\): admin/]
+  ])('rejects %j', (body, message) => {
+    expect(() => parseApiKeyInput(body)).toThrow(message);
+  });
+});
+
+describe('requiredScope', () => {
+  test.each([
+    ['GET', '/images', 'read'],
+    ['HEAD', '/tus/abc', 'upload'],
+    ['POST', '/upload/batch', 'upload'],
+    ['PATCH', '/images/1', 'write'],
+    ['PUT', '/albums/1/images/2', 'write'],
+    ['DELETE', '/images/1', 'delete']
+  ])('%s %s needs %s', (method, path, scope) => {
+    expect(requiredScope({ method, path })).toBe(scope);
+  });
+});
+
+describe('API keys', () => {
+  let app;
+  let db;
+  let auth;
+  let session;
+
+  beforeEach(async () => {
+    db = createDb({ driver: 'memory' });
+    await db.connect();
+    auth = createAuth({ db, secret });
+    const user = await db.createUser({ username: 'alice', passwordHash: 'x' });
+    session = `Bearer ${auth.issueToken(user)}`;
+
+    app = express();
+    app.use(express.json());
+    app.use('/api', auth.requireUser, auth.requireScope);
+    app.use('/api', createApiKeysRouter({ db }));
+    app.use('/api', createImagesRouter({ db, storage: {}, renderCache: { invalidate: async () => {} } }));
+    app.use(problemHandler());
+  });
+
+  const createKey = (scopes) => request(app).post('/api/keys').set('Authorization', session).send({ name: 'CI', scopes });
+
+  test('creates a key that is shown once and stored as a hash', async () => {
+    const res = await createKey(['read', 'upload']);
+
+    expect(res.status).toBe(201);
+    expect(res.body.key).toMatch(/^iuk_[\w-]{32}$/);
+    expect(res.body).toMatchObject({ name: 'CI', scopes: ['read', 'upload'], prefix: res.body.key.slice(0, 10), revoked_at: null });
+    expect(await db.findApiKeyByHash(hashApiKey(res.body.key))).toMatchObject({ id: res.body.id });
+
+    const list = await request(app).get('/api/keys').set('Authorization', session);
+    expect(list.body).toHaveLength(1);
+    expect(list.body[0].key).toBeUndefined();
+    expect(list.body[0].key_hash).toBeUndefined();
+  });
+
+  test('authenticates with Authorization or X-API-Key and enforces scopes', async () => {
+    const { key } = (await createKey(['read'])).body;
+    await db.insertImage({ imagePath: '/uploads/images/a.gif', ownerId: 1 });
+
+    expect((await request(app).get('/api/images').set('X-API-Key', key)).body.total).toBe(1);
+    expect((await request(app).get('/api/images').set('Authorization', `Bearer ${key}`)).status).toBe(200);
+
+    const denied = await request(app).delete('/api/images/1').set('X-API-Key', key);
+    expect(denied.status).toBe(403);
+    expect(denied.body.error).toBe('This API key lacks the "delete" scope');
+    expect((await request(app).get('/api/images').set('X-API-Key', 'iuk_unknown')).status).toBe(401);
+  });
+
+  test('records when a key was last used', async () => {
+    const { id, key } = (await createKey(['read'])).body;
+
+    await request(app).get('/api/images').set('X-API-Key', key);
+
+    expect((await db.getApiKey(id)).last_used_at).not.toBeNull();
+  });
+
+  test('revoked keys stop working at once', async () => {
+    const { id, key } = (await createKey(['read'])).body;
+
+    const res = await request(app).delete(`/api/keys/${id}`).set('Authorization', session);
+
+    expect(res.status).toBe(200);
+    expect(res.body.revoked_at).not.toBeNull();
+    expect((await request(app).get('/api/images').set('X-API-Key', key)).status).toBe(401);
+  });
+
+  test('keys cannot manage keys, and users only revoke their own', async () => {
+    const { id, key } = (await createKey(['read', 'write', 'delete'])).body;
+    const bob = await db.createUser({ username: 'bob', passwordHash: 'x' });
+
+    expect((await request(app).post('/api/keys').set('X-API-Key', key).send({ name: 'more', scopes: ['read'] })).status).toBe(403);
+    expect((await request(app).delete(`/api/keys/${id}`).set('X-API-Key', key)).status).toBe(403);
+    expect((await request(app).delete(`/api/keys/${id}`).set('Authorization', `Bearer ${auth.issueToken(bob)}`)).status).toBe(404);
+  });
+});
+
+describe('createRateLimiter', () => {
+  let time;
+  let app;
+
+  const buildApp = (options, user = { id: 1 }) => {
+    const limiter = createRateLimiter({ action: 'upload', windowMs: 60000, now: () => time, ...options });
+    const instance = express();
+    instance.use((req, res, next) => {
+      req.user = req.get('X-Key-Id') ? { ...user, apiKey: { id: Number(req.get('X-Key-Id')) } } : user;
+      next();
+    });
+    instance.post('/upload', limiter.middleware, (req, res) => res.json({ ok: true }));
+    instance.use(problemHandler());
+    return instance;
+  };
+
+  beforeEach(() => {
+    time = 1000000;
+  });
+
+  test('answers 429 with Retry-After once a key uses up its limit', async () => {
+    app = buildApp({ perKey: 2 });
+
+    const first = await request(app).post('/upload').set('X-Key-Id', '1');
+    expect(first.headers['ratelimit-limit']).toBe('2');
+    expect(first.headers['ratelimit-remaining']).toBe('1');
+    await request(app).post('/upload').set('X-Key-Id', '1');
+
+    time += 15000;
+    const limited = await request(app).post('/upload').set('X-Key-Id', '1');
+    expect(limited.status).toBe(429);
+    expect(limited.headers['retry-after']).toBe('45');
+    expect(limited.body.error).toBe('Too many upload requests, try again in 45 seconds');
+
+    // Other keys have their own budget, and the window starts over
+    expect((await request(app).post('/upload').set('X-Key-Id', '2')).status).toBe(200);
+    time += 45000;
+    expect((await request(app).post('/upload').set('X-Key-Id', '1')).status).toBe(200);
+  });
+
+  test('limits an IP address across keys and users', async () => {
+    app = buildApp({ perKey: 10, perIp: 2 });
+
+    await request(app).post('/upload').set('X-Key-Id', '1');
+    await request(app).post('/upload').set('X-Key-Id', '2');
+
+    expect((await request(app).post('/upload').set('X-Key-Id', '3')).status).toBe(429);
+  });
+
+  test('consume counts several units at once, only when they all fit', () => {
+    const limiter = createRateLimiter({ action: 'upload', windowMs: 60000, perKey: 5, now: () => time });
+    const req = { user: { id: 1 }, ip: '127.0.0.1' };
+
+    expect(limiter.consume(req, 4)).toMatchObject({ limit: 5, remaining: 1 });
+    expect(() => limiter.consume(req, 2)).toThrow('Too many upload requests');
+    expect(limiter.consume(req)).toMatchObject({ remaining: 0 });
+  });
+
+  test('does nothing when both limits are 0', async () => {
+    app = buildApp({ perKey: 0, perIp: 0 });
+
+    const res = await request(app).post('/upload');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['ratelimit-limit']).toBeUndefined();
+  });
+});
@@ -0,0 +1,169 @@
+// __tests__/audit.test.js
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApp, initializeDirectories } = require('../server');
+const { resolveConfig } = require('../config');
+const { createDb } = require('../db');
+const { createStorage } = require('../storage');
+const { createLogger } = require('../logger');
+const { parseAuditQuery } = require('../services/audit');
+const { createAccount } = require('../services/users');
+const { ValidationError } = require('../errors');
+
+// A 1x1 transparent GIF
+const gifBytes = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+describe('request ids, logs and the audit log', () => {
+  let baseDir;
+  let db;
+  let app;
+  let lines;
+  let admin;
+
+  const upload = async (agent, name = 'pixel.gif') => (await agent.post('/api/upload')
+    .attach('image', gifBytes, { filename: name, contentType: 'image/gif' })).body.image;
+
+  beforeEach(async () => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+    const { config } = resolveConfig({ env: { DB_DRIVER: 'memory', AUTH_SECRET: 'x'.repeat(32) }, baseDir });
+    lines = [];
+    const logger = createLogger({ write: line => lines.push(JSON.parse(line)) });
+    initializeDirectories(config, logger);
+    db = createDb({ driver: 'memory' });
+    await db.connect();
+    app = createApp({ db, storage: createStorage(config.storage), config, logger });
+
+    await createAccount({ db }, { username: 'alice', password: 'correct horse' }, { role: 'admin' });
+    admin = request.agent(app);
+    await admin.post('/api/auth/login').send({ username: 'alice', password: 'correct horse' });
+  });
+
+  afterEach(async () => {
+    app.locals.tus.stop();
+    // The tus file store checks its directory in the background, let it finish first
+    await new Promise(resolve => setTimeout(resolve, 20));
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  });
+
+  test('every response carries a request id, kept when a proxy sent a usable one', async () => {
+    const generated = await request(app).get('/api/auth/me');
+    expect(generated.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    expect(generated.body.requestId).toBe(generated.headers['x-request-id']);
+
+    const forwarded = await request(app).get('/healthz').set('X-Request-Id', 'lb-1234');
+    expect(forwarded.headers['x-request-id']).toBe('lb-1234');
+
+    const unusable = await request(app).get('/healthz').set('X-Request-Id', 'not an idé');
+    expect(unusable.headers['x-request-id']).not.toBe('not an idé');
+  });
+
+  test('logs one JSON line per request, without the query string', async () => {
+    const response = await admin.get('/api/images?page=1&signature=secret');
+
+    const line = lines.find(entry => entry.msg === 'Request finished' && entry.path === '/api/images');
+    expect(line).toMatchObject({
+      level: 'info',
+      requestId: response.headers['x-request-id'],
+      method: 'GET',
+      status: 200,
+      userId: 1,
+      durationMs: expect.any(Number)
+    });
+    expect(line.time).toEqual(expect.any(String));
+    expect(JSON.stringify(lines)).not.toContain('secret');
+  });
+
+  test('logs server errors with the request id and stack', async () => {
+    jest.spyOn(db, 'listAlbums').mockRejectedValue(new Error('Deadlock on Albums'));
+
+    const response = await admin.get('/api/albums');
+
+    expect(response.status).toBe(500);
+    const line = lines.find(entry => entry.msg === 'Request failed');
+    expect(line).toMatchObject({ level: 'error', requestId: response.body.requestId, path: '/api/albums' });
+    expect(line.err).toMatchObject({ message: 'Deadlock on Albums', stack: expect.stringContaining('Error') });
+  });
+
+  test('records uploads, edits and deletes with the actor, address and request', async () => {
+    const image = await upload(admin);
+    await admin.patch(`/api/images/${image.id}`).send({ title: 'Pixel' });
+    await admin.put(`/api/images/${image.id}/tags`).send({ tags: ['tiny'] });
+    const deleted = await admin.delete(`/api/images/${image.id}`);
+    await admin.post(`/api/trash/${image.id}/restore`);
+
+    const response = await admin.get('/api/admin/audit');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ total: 5, page: 1, totalPages: 1 });
+    expect(response.body.items.map(entry => entry.action)).toEqual(['restore', 'delete', 'edit', 'edit', 'upload']);
+    expect(response.body.items[1]).toEqual({
+      id: 4,
+      action: 'delete',
+      image_id: image.id,
+      actor_id: 1,
+      actor_name: 'alice',
+      api_key_id: null,
+      ip: expect.stringMatching(/127\.0\.0\.1/),
+      request_id: deleted.headers['x-request-id'],
+      details: null,
+      created_at: expect.any(String)
+    });
+    expect(response.body.items[3].details).toEqual({ fields: ['title'] });
+    expect(response.body.items[4].details).toEqual({ originalName: 'pixel.gif', duplicate: false });
+  });
+
+  test('admins can filter the audit log, other users may not read it', async () => {
+    const bob = request.agent(app);
+    await bob.post('/api/auth/register').send({ username: 'bob', password: 'correct horse' });
+    const first = await upload(admin, 'first.gif');
+    await upload(bob, 'second.png');
+    await admin.delete(`/api/images/${first.id}`);
+
+    const deletes = await admin.get('/api/admin/audit').query({ action: 'delete' });
+    expect(deletes.body.items).toEqual([expect.objectContaining({ action: 'delete', image_id: first.id })]);
+
+    const ofBob = await admin.get('/api/admin/audit').query({ userId: 2 });
+    expect(ofBob.body.items.map(entry => entry.actor_name)).toEqual(['bob']);
+
+    const ofImage = await admin.get('/api/admin/audit').query({ imageId: first.id, pageSize: 1 });
+    expect(ofImage.body).toMatchObject({ total: 2, totalPages: 2, items: [{ action: 'delete' }] });
+
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    expect((await admin.get('/api/admin/audit').query({ from: tomorrow })).body.total).toBe(0);
+
+    expect((await bob.get('/api/admin/audit')).body.code).toBe('admin_required');
+    expect((await admin.get('/api/admin/audit').query({ action: 'view' })).status).toBe(400);
+  });
+
+  test('a failed audit write is logged without failing the change', async () => {
+    jest.spyOn(db, 'insertAuditEntry').mockRejectedValue(new Error('AuditLog is full'));
+
+    const response = await admin.post('/api/upload').attach('image', gifBytes, { filename: 'pixel.gif', contentType: 'image/gif' });
+
+    expect(response.status).toBe(200);
+    expect(lines.find(entry => entry.msg === 'Failed to write audit entry')).toMatchObject({
+      level: 'error',
+      action: 'upload',
+      imageId: response.body.image.id,
+      requestId: response.headers['x-request-id']
+    });
+  });
+});
+
+describe('parseAuditQuery', () => {
+  test('turns query parameters into list options', () => {
+    expect(parseAuditQuery({ action: 'Delete', userId: '3', page: '2', pageSize: '10' })).toMatchObject({
+      action: 'delete',
+      actorId: 3,
+      imageId: null,
+      limit: 10,
+      offset: 10
+    });
+  });
+
+  test('rejects a range that ends before it starts', () => {
+    expect(() => parseAuditQuery({ from: '2024-05-02', to: '2024-05-01' })).toThrow(ValidationError);
+  });
+});
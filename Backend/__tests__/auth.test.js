@@ -0,0 +1,127 @@
+// __tests__/auth.test.js
+const request = require('supertest');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const jwt = require('jsonwebtoken');
+const { createDb } = require('../db');
+const { createAuth } = require('../auth');
+const { hashPassword, verifyPassword } = require('../auth/passwords');
+const { createAuthRouter } = require('../routes/auth');
+const { createAccount } = require('../services/users');
+const { createImagesRouter } = require('../routes/images');
+const { problemHandler } = require('../problems');
+
+const secret = 'a'.repeat(32);
+
+describe('passwords', () => {
+  test('hashes with a random salt and verifies', async () => {
+    const first = await hashPassword('correct horse');
+    const second = await hashPassword('correct horse');
+
+    expect(first).toMatch(/^scrypt\$[^$]+\$[^$]+$/);
+    expect(first).not.toBe(second);
+    await expect(verifyPassword('correct horse', first)).resolves.toBe(true);
+    await expect(verifyPassword('wrong horse', first)).resolves.toBe(false);
+    await expect(verifyPassword('correct horse', 'plain')).resolves.toBe(false);
+  });
+});
+
+describe('authentication routes', () => {
+  let app;
+  let db;
+
+  const register = (username, password = 'password123') => request(app)
+    .post('/api/auth/register')
+    .send({ username, password });
+
+  const buildApp = (options = {}) => {
+    const auth = createAuth({ db, secret });
+    const instance = express();
+    instance.use(express.json());
+    instance.use(cookieParser());
+    instance.use('/api', createAuthRouter({ db, auth, ...options }));
+    instance.use('/api', auth.requireUser);
+    instance.use('/api', createImagesRouter({ db, storage: {}, renderCache: { invalidate: async () => {} } }));
+    instance.use(problemHandler());
+    return instance;
+  };
+
+  beforeEach(async () => {
+    db = createDb({ driver: 'memory' });
+    await db.connect();
+    app = buildApp();
+  });
+
+  test('only ever registers regular users, even the first account', async () => {
+    const first = await register('Admin');
+    const second = await register('bob');
+
+    expect(first.status).toBe(201);
+    expect(first.body.user).toMatchObject({ username: 'admin', role: 'user' });
+    expect(first.body.user.password_hash).toBeUndefined();
+    expect(second.body.user.role).toBe('user');
+    expect((await register('BOB')).status).toBe(409);
+  });
+
+  test('validates usernames and passwords', async () => {
+    expect((await register('x')).body.error).toMatch(/Invalid username/);
+    expect((await register('alice', 'short')).body.error).toMatch(/Invalid password/);
+  });
+
+  test('refuses every new account once registration is closed', async () => {
+    app = buildApp({ openRegistration: false });
+
+    expect((await register('admin')).body.code).toBe('registration_closed');
+    expect(await db.countUsers()).toBe(0);
+  });
+
+  test('logs in with a cookie or a bearer token and logs out', async () => {
+    await register('alice');
+
+    const wrong = await request(app).post('/api/auth/login').send({ username: 'alice', password: 'nope-nope' });
+    const unknown = await request(app).post('/api/auth/login').send({ username: 'nobody', password: 'password123' });
+    expect(wrong.status).toBe(401);
+    expect(unknown.body).toEqual(wrong.body);
+
+    const login = await request(app).post('/api/auth/login').send({ username: 'ALICE', password: 'password123' });
+    expect(login.status).toBe(200);
+    const cookie = login.headers['set-cookie'][0];
+    expect(cookie).toMatch(/^token=.+HttpOnly; SameSite=Lax/);
+
+    expect((await request(app).get('/api/auth/me').set('Cookie', cookie)).body.user).toMatchObject({ username: 'alice' });
+    expect((await request(app).get('/api/auth/me').set('Authorization', `Bearer ${login.body.token}`)).status).toBe(200);
+
+    const logout = await request(app).post('/api/auth/logout');
+    expect(logout.headers['set-cookie'][0]).toMatch(/^token=;/);
+  });
+
+  test('rejects missing, forged and expired tokens', async () => {
+    await register('alice');
+    const forged = jwt.sign({ sub: '1', role: 'admin' }, 'b'.repeat(32));
+    const expired = jwt.sign({ sub: '1', exp: Math.floor(Date.now() / 1000) - 10 }, secret);
+
+    expect((await request(app).get('/api/images')).status).toBe(401);
+    expect((await request(app).get('/api/images').set('Authorization', `Bearer ${forged}`)).status).toBe(401);
+    expect((await request(app).get('/api/images').set('Authorization', `Bearer ${expired}`)).status).toBe(401);
+  });
+
+  test('users only see and delete their own images, admins see all', async () => {
+    await createAccount({ db }, { username: 'admin', password: 'password123' }, { role: 'admin' });
+    const admin = (await request(app).post('/api/auth/login').send({ username: 'admin', password: 'password123' })).body.token;
+    const alice = (await register('alice')).body;
+    const bob = (await register('bob')).body;
+    const aliceImage = await db.insertImage({ imagePath: '/uploads/images/a.gif', ownerId: alice.user.id });
+    await db.insertImage({ imagePath: '/uploads/images/b.gif', ownerId: bob.user.id });
+    await db.insertImage({ imagePath: '/uploads/images/legacy.gif' });
+
+    const as = (token) => (req) => req.set('Authorization', `Bearer ${token}`);
+    const list = async (token) => (await as(token)(request(app).get('/api/images'))).body.items.map(img => img.image_path);
+
+    expect(await list(alice.token)).toEqual(['/uploads/images/a.gif']);
+    expect(await list(admin)).toHaveLength(3);
+    expect((await as(bob.token)(request(app).get(`/api/images/${aliceImage.id}`))).status).toBe(404);
+    expect((await as(bob.token)(request(app).delete(`/api/images/${aliceImage.id}`))).status).toBe(404);
+    expect((await as(bob.token)(request(app).patch(`/api/images/${aliceImage.id}`).send({ title: 'mine' }))).status).toBe(404);
+    expect(await db.getImage(aliceImage.id)).toMatchObject({ title: null });
+  });
+});
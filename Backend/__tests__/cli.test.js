@@ -0,0 +1,222 @@
+// __tests__/cli.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { runCli, hasCommand, parseOptions } = require('../cli');
+const { createDb } = require('../db');
+const { ValidationError } = require('../errors');
+
+// A 1x1 transparent GIF and a 1x1 PNG
+const gifBytes = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+const pngBytes = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+
+describe('admin commands', () => {
+  let baseDir;
+  let env;
+  let output;
+
+  // Run a command against the memory driver, which keeps its data in DB_FILE between runs
+  const run = async (...argv) => {
+    output = [];
+    const write = line => output.push(line);
+    return runCli(argv, { env, baseDir, interactive: false, input: Readable.from([]), print: write, warn: write });
+  };
+
+  // The data file as the next command sees it
+  const openDb = async () => {
+    const db = createDb({ driver: 'memory', file: env.DB_FILE });
+    await db.connect();
+    return db;
+  };
+
+  beforeEach(() => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+    env = { DB_DRIVER: 'memory', DB_FILE: path.join(baseDir, 'db.json') };
+    const photos = path.join(baseDir, 'photos');
+    fs.mkdirSync(path.join(photos, 'holiday'), { recursive: true });
+    fs.writeFileSync(path.join(photos, 'a.gif'), gifBytes);
+    fs.writeFileSync(path.join(photos, 'notes.txt'), 'not an image');
+    fs.writeFileSync(path.join(photos, '.DS_Store'), 'hidden');
+    fs.writeFileSync(path.join(photos, 'holiday', 'b.png'), pngBytes);
+  });
+
+  afterEach(() => {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  });
+
+  test('import uploads every image in a folder and reports the files it rejected', async () => {
+    expect(await run('import', 'photos', '--recursive')).toBe(2);
+
+    expect(output).toEqual(expect.arrayContaining([
+      expect.stringMatching(/^uploaded\s+a\.gif {2}image 1$/),
+      expect.stringMatching(/^uploaded\s+holiday[\\/]b\.png {2}image 2$/),
+      expect.stringMatching(/^rejected\s+notes\.txt {2}unsupported_file_type: /),
+      '2 uploaded, 0 duplicate(s), 1 rejected, 0 failed'
+    ]));
+    expect(output.join('\n')).not.toContain('.DS_Store');
+
+    const db = await openDb();
+    const { items } = await db.listImages({});
+    expect(items.map(image => image.original_name).sort()).toEqual(['a.gif', 'b.png']);
+    expect(fs.existsSync(path.join(baseDir, 'uploads', items[0].image_path.replace('/uploads/', '')))).toBe(true);
+    const { items: entries } = await db.listAuditEntries({ action: 'upload' });
+    expect(entries[0]).toMatchObject({ actor_id: null, details: { originalName: 'b.png', duplicate: false, via: 'cli' } });
+  });
+
+  test('import skips subfolders unless --recursive is given, and finds duplicates', async () => {
+    await run('import', 'photos');
+    expect(output).not.toEqual(expect.arrayContaining([expect.stringContaining('b.png')]));
+
+    expect(await run('import', 'photos', '--recursive')).toBe(2);
+    expect(output).toContain('1 uploaded, 1 duplicate(s), 1 rejected, 0 failed');
+  });
+
+  test('import gives the images to --owner, who must exist', async () => {
+    const db = await openDb();
+    const alice = await db.createUser({ username: 'alice', passwordHash: 'x', role: 'user' });
+    await db.close();
+
+    await expect(run('import', 'photos', '--owner', 'bob')).rejects.toMatchObject({ code: 'user_not_found' });
+    await run('import', 'photos', '--owner=alice');
+
+    const { items } = await (await openDb()).listImages({});
+    expect(items[0]).toMatchObject({ owner_id: alice.id, uploaded_by: 'alice' });
+  });
+
+  test('user add creates accounts with a password from stdin, user role changes their role', async () => {
+    output = [];
+    let warnings = [];
+    const withPassword = (password) => ({
+      env,
+      baseDir,
+      interactive: false,
+      input: Readable.from([Buffer.from(`${password}\n`)]),
+      print: line => output.push(line),
+      warn: line => warnings.push(line)
+    });
+
+    expect(await runCli(['user', 'add', 'Root', '--admin'], withPassword('correct horse'))).toBe(0);
+    expect(output).toEqual(['✅ Created admin root (id 1)']);
+    // The first command brings the schema up to date, the password is not echoed
+    expect(warnings.map(line => JSON.parse(line).msg)).toContain('Applying migration 13_add_album_owner...');
+    expect(warnings.join('\n')).not.toContain('correct horse');
+    warnings = [];
+    await expect(runCli(['user', 'add', 'bob'], withPassword('short'))).rejects.toMatchObject({ code: 'invalid_password' });
+    await runCli(['user', 'add', 'bob'], withPassword('battery staple'));
+    expect(warnings).toEqual([]);
+
+    const db = await openDb();
+    expect(await db.findUserByUsername('root')).toMatchObject({ role: 'admin', password_hash: expect.stringMatching(/^scrypt\$/) });
+    expect(await db.findUserByUsername('bob')).toMatchObject({ role: 'user' });
+
+    expect(await run('user', 'role', 'bob', 'admin')).toBe(0);
+    expect(output).toEqual(['✅ bob is now an admin']);
+    expect(await (await openDb()).countUsers({ role: 'admin' })).toBe(2);
+    await expect(run('user', 'role', 'bob', 'owner')).rejects.toMatchObject({ code: 'invalid_role' });
+    await expect(run('user', 'role', 'carol', 'user')).rejects.toMatchObject({ code: 'user_not_found' });
+  });
+
+  test('list prints a page of images as a table or as JSON', async () => {
+    await run('import', 'photos', '--recursive');
+
+    expect(await run('list', '--sort', 'name', '--order', 'asc')).toBe(0);
+    expect(output[0]).toMatch(/^ID\s+SIZE\s+DIMENSIONS\s+UPLOADED\s+NAME$/);
+    expect(output[1]).toMatch(/^1\s+\d+\s+1x1\s+\S+Z\s+a\.gif$/);
+    expect(output[output.length - 1]).toBe('Page 1 of 1, 2 image(s)');
+
+    await run('list', '--type', 'png', '--json');
+    expect(JSON.parse(output.join('\n'))).toMatchObject({ total: 1, page: 1, totalPages: 1, items: [{ original_name: 'b.png' }] });
+
+    await expect(run('list', '--sort', 'colour')).rejects.toThrow(ValidationError);
+    await expect(run('list', '--verbose')).rejects.toMatchObject({ code: 'unknown_option' });
+  });
+
+  test('delete moves an image to the trash, --permanent deletes it with its files', async () => {
+    await run('import', 'photos');
+
+    expect(await run('delete', '1')).toBe(0);
+    expect(output).toEqual(['✅ Image 1 moved to the trash']);
+    await run('list', '--trashed');
+    expect(output[output.length - 1]).toBe('Page 1 of 1, 1 image(s)');
+
+    const { image_path: imagePath } = await (await openDb()).getImage(1);
+    expect(await run('delete', '1', '--permanent')).toBe(0);
+    expect(await (await openDb()).getImage(1)).toBeNull();
+    expect(fs.existsSync(path.join(baseDir, 'uploads', imagePath.replace('/uploads/', '')))).toBe(false);
+
+    const { items } = await (await openDb()).listAuditEntries({ imageId: 1 });
+    expect(items.map(entry => entry.action)).toEqual(['purge', 'delete', 'upload']);
+    await expect(run('delete', '1')).rejects.toMatchObject({ code: 'image_not_found' });
+    await expect(run('delete', 'one')).rejects.toMatchObject({ code: 'invalid_id' });
+  });
+
+  test('export copies the originals to a folder with a manifest, or prints the records', async () => {
+    await run('import', 'photos', '--recursive');
+    await run('delete', '2');
+
+    expect(await run('export', 'backup')).toBe(0);
+    const manifest = JSON.parse(fs.readFileSync(path.join(baseDir, 'backup', 'images.json'), 'utf8'));
+    expect(manifest).toEqual([expect.objectContaining({ id: 1, file: '1-a.gif' })]);
+    expect(fs.readFileSync(path.join(baseDir, 'backup', '1-a.gif'))).toEqual(gifBytes);
+
+    await run('export', '--include-trashed');
+    expect(output.map(line => JSON.parse(line).id)).toEqual([1, 2]);
+  });
+
+  test('verify checks the database, the schema and the stored files', async () => {
+    await run('import', 'photos');
+    expect(await run('verify')).toBe(0);
+    expect(output).toEqual(['✅ Database reachable (memory)', '✅ Schema up to date', 'Checked 1 record(s) and 2 file(s)', '✅ Storage and records are consistent']);
+
+    const { image_path: imagePath } = await (await openDb()).getImage(1);
+    fs.rmSync(path.join(baseDir, 'uploads', imagePath.replace('/uploads/', '')));
+    expect(await run('verify', '--skip-hashes')).toBe(2);
+    expect(output).toContain('\nMissing files (1):');
+  });
+
+  test('config show lists every setting and its source, without secrets', async () => {
+    env.DB_PASSWORD = 'hunter2';
+    fs.writeFileSync(path.join(baseDir, 'config.json'), JSON.stringify({ port: 8080 }));
+
+    expect(await run('config', 'show')).toBe(0);
+    expect(output[0]).toBe(`Config file: ${path.join(baseDir, 'config.json')}`);
+    expect(output).toEqual(expect.arrayContaining([
+      expect.stringMatching(/^port\s+8080\s+config\.json "port"$/),
+      expect.stringMatching(/^db\.driver\s+memory\s+DB_DRIVER$/),
+      expect.stringMatching(/^db\.password\s+\*{6}\s+DB_PASSWORD$/),
+      expect.stringMatching(/^db\.server\s+-\s+default$/)
+    ]));
+    expect(output.join('\n')).not.toContain('hunter2');
+  });
+
+  test('config set validates a setting and writes it to the config file', async () => {
+    expect(await run('config', 'set', 'maxUploadMb', '20')).toBe(0);
+    expect(await run('config', 'set', 'upload.dedupe', 'link')).toBe(0);
+    expect(JSON.parse(fs.readFileSync(path.join(baseDir, 'config.json'), 'utf8'))).toEqual({ maxUploadMb: 20, dedupe: 'link' });
+
+    env.LOG_LEVEL = 'debug';
+    await run('config', 'set', 'logLevel', 'error');
+    expect(output).toContain('⚠️ LOG_LEVEL overrides this value');
+
+    await expect(run('config', 'set', 'port', 'eighty')).rejects.toThrow('port must be a whole number');
+    await expect(run('config', 'set', 'db.password', 'hunter2')).rejects.toMatchObject({ code: 'plain_secret' });
+    await expect(run('config', 'set', 'colour', 'blue')).rejects.toMatchObject({ code: 'unknown_setting' });
+  });
+});
+
+describe('command line parsing', () => {
+  test('hasCommand tells a command from configuration flags', () => {
+    expect(hasCommand(['list', '--page', '2'])).toBe(true);
+    expect(hasCommand(['--port', '8080', 'list'])).toBe(true);
+    expect(hasCommand(['--port', '8080'])).toBe(false);
+    expect(hasCommand([])).toBe(false);
+  });
+
+  test('parseOptions takes values, switches and a limited number of arguments', () => {
+    expect(parseOptions(['out', '--page=2', '--json'], { values: ['page'], switches: ['json'], positional: 1 }))
+      .toEqual({ positional: ['out'], options: { page: '2', json: true } });
+    expect(() => parseOptions(['a', 'b'], { positional: 1 })).toThrow('Unexpected argument "b"');
+    expect(() => parseOptions(['--page'], { values: ['page'] })).toThrow('--page needs a value');
+  });
+});
@@ -0,0 +1,159 @@
+// __tests__/collections.test.js
+const request = require('supertest');
+const express = require('express');
+const { createDb } = require('../db');
+const { createAlbumsRouter, createTagsRouter } = require('../routes/collections');
+const { createImagesRouter } = require('../routes/images');
+const { problemHandler } = require('../problems');
+const { createAuth } = require('../auth');
+
+const alice = { id: 1, username: 'alice', role: 'user' };
+const bob = { id: 2, username: 'bob', role: 'user' };
+const admin = { id: 3, username: 'root', role: 'admin' };
+
+describe('albums and tags', () => {
+  let app;
+  let db;
+  let image;
+  let user;
+
+  beforeEach(async () => {
+    db = createDb({ driver: 'memory' });
+    await db.connect();
+    image = await db.insertImage({ imagePath: '/uploads/images/a.gif', mimeType: 'image/gif', ownerId: 1 });
+    await db.insertImage({ imagePath: '/uploads/images/b.gif', mimeType: 'image/gif', ownerId: 1 });
+
+    user = alice;
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = user;
+      next();
+    });
+    app.use('/api', createImagesRouter({ db, storage: {}, renderCache: {} }));
+    app.use('/api', createAlbumsRouter({ db }));
+    app.use('/api', createTagsRouter({ db, auth: createAuth({ db }) }));
+    app.use(problemHandler());
+  });
+
+  test('creates, renames and deletes albums', async () => {
+    const created = await request(app).post('/api/albums').send({ name: ' Holidays ', cover_image_id: image.id });
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ name: 'Holidays', cover_image_path: image.image_path, image_count: 0 });
+
+    const renamed = await request(app).patch(`/api/albums/${created.body.id}`).send({ name: 'Trips' });
+    expect(renamed.body.name).toBe('Trips');
+    expect((await request(app).get('/api/albums')).body.map(album => album.name)).toEqual(['Trips']);
+
+    expect((await request(app).delete(`/api/albums/${created.body.id}`)).status).toBe(200);
+    expect((await request(app).get(`/api/albums/${created.body.id}`)).status).toBe(404);
+    expect((await request(app).get('/api/images')).body.total).toBe(2);
+  });
+
+  test('validates album input', async () => {
+    await request(app).post('/api/albums').send({ name: 'Trips' });
+
+    expect((await request(app).post('/api/albums').send({})).status).toBe(400);
+    expect((await request(app).post('/api/albums').send({ name: 'New', cover_image_id: 99 })).body.error)
+      .toBe('Cover image not found');
+    expect((await request(app).post('/api/albums').send({ name: 'TRIPS' })).status).toBe(409);
+    expect((await request(app).patch('/api/albums/99').send({ name: 'x' })).status).toBe(404);
+  });
+
+  test('adds and removes images and filters the list by album', async () => {
+    const album = (await request(app).post('/api/albums').send({ name: 'Trips' })).body;
+
+    const added = await request(app).put(`/api/albums/${album.id}/images/${image.id}`);
+    expect(added.body.image_count).toBe(1);
+    expect((await request(app).put(`/api/albums/${album.id}/images/99`)).status).toBe(404);
+
+    const listed = await request(app).get(`/api/images?album=${album.id}`);
+    expect(listed.body).toMatchObject({ total: 1, items: [{ id: image.id, album_ids: [album.id] }] });
+
+    expect((await request(app).delete(`/api/albums/${album.id}/images/${image.id}`)).status).toBe(200);
+    expect((await request(app).delete(`/api/albums/${album.id}/images/${image.id}`)).status).toBe(404);
+    expect((await request(app).get(`/api/images?album=${album.id}`)).body.total).toBe(0);
+  });
+
+  test('assigns tags and filters the list by tag', async () => {
+    const tagged = await request(app).put(`/api/images/${image.id}/tags`).send({ tags: ['Beach', ' summer  2024 ', 'beach'] });
+    expect(tagged.status).toBe(200);
+    expect(tagged.body.tags).toEqual(['beach', 'summer 2024']);
+
+    const listed = await request(app).get('/api/images?tag=BEACH');
+    expect(listed.body.items.map(img => img.id)).toEqual([image.id]);
+    expect((await request(app).get('/api/tags')).body).toEqual([
+      { id: 1, name: 'beach', image_count: 1 },
+      { id: 2, name: 'summer 2024', image_count: 1 }
+    ]);
+
+    expect((await request(app).put(`/api/images/${image.id}/tags`).send({ tags: 'beach' })).status).toBe(400);
+    expect((await request(app).put(`/api/images/${image.id}/tags`).send({ tags: ['a,b'] })).status).toBe(400);
+    expect((await request(app).put('/api/images/99/tags').send({ tags: [] })).status).toBe(404);
+  });
+
+  test('only lets users file and tag their own images', async () => {
+    const foreign = await db.insertImage({ imagePath: '/uploads/images/c.gif', ownerId: 2 });
+    const album = (await request(app).post('/api/albums').send({ name: 'Trips' })).body;
+
+    expect((await request(app).put(`/api/albums/${album.id}/images/${foreign.id}`)).status).toBe(404);
+    expect((await request(app).put(`/api/images/${foreign.id}/tags`).send({ tags: ['x'] })).status).toBe(404);
+    expect((await request(app).patch(`/api/albums/${album.id}`).send({ cover_image_id: foreign.id })).status).toBe(400);
+  });
+
+  test('keeps albums private to their owner, admins see them all', async () => {
+    const album = (await request(app).post('/api/albums').send({ name: 'Trips', cover_image_id: image.id })).body;
+    await request(app).put(`/api/albums/${album.id}/images/${image.id}`);
+    expect(album.owner_id).toBe(1);
+
+    user = bob;
+    await db.insertImage({ imagePath: '/uploads/images/d.gif', ownerId: 2 });
+    expect((await request(app).get('/api/albums')).body).toEqual([]);
+    expect((await request(app).get(`/api/albums/${album.id}`)).status).toBe(404);
+    expect((await request(app).patch(`/api/albums/${album.id}`).send({ name: 'Mine' })).status).toBe(404);
+    expect((await request(app).delete(`/api/albums/${album.id}`)).status).toBe(404);
+    expect((await request(app).put(`/api/albums/${album.id}/images/4`)).status).toBe(404);
+    expect((await request(app).delete(`/api/albums/${album.id}/images/${image.id}`)).status).toBe(404);
+    // Names only have to be unique per owner
+    expect((await request(app).post('/api/albums').send({ name: 'Trips' })).status).toBe(201);
+
+    user = admin;
+    expect((await request(app).get('/api/albums')).body.map(row => row.owner_id)).toEqual([1, 2]);
+    expect((await request(app).patch(`/api/albums/${album.id}`).send({ name: 'Travel' })).body).toMatchObject({
+      name: 'Travel',
+      cover_image_path: image.image_path,
+      image_count: 1
+    });
+  });
+
+  test('only admins manage tags, counts only include images the user can see', async () => {
+    await request(app).put(`/api/images/${image.id}/tags`).send({ tags: ['sea'] });
+    const foreign = await db.insertImage({ imagePath: '/uploads/images/c.gif', ownerId: 2 });
+    await db.setImageTags(foreign.id, ['sea']);
+
+    expect((await request(app).get('/api/tags')).body).toEqual([{ id: 1, name: 'sea', image_count: 1 }]);
+    expect((await request(app).post('/api/tags').send({ name: 'lake' })).body.code).toBe('admin_required');
+    expect((await request(app).patch('/api/tags/1').send({ name: 'ocean' })).status).toBe(403);
+    expect((await request(app).delete('/api/tags/1')).status).toBe(403);
+
+    user = admin;
+    expect((await request(app).get('/api/tags')).body).toEqual([{ id: 1, name: 'sea', image_count: 2 }]);
+  });
+
+  test('creates, renames and deletes tags', async () => {
+    user = admin;
+    const created = await request(app).post('/api/tags').send({ name: 'Sea' });
+    expect(created.status).toBe(201);
+    expect(created.body).toEqual({ id: 1, name: 'sea', image_count: 0 });
+    expect((await request(app).post('/api/tags').send({ name: 'sea' })).status).toBe(409);
+
+    await request(app).put(`/api/images/${image.id}/tags`).send({ tags: ['sea'] });
+    const renamed = await request(app).patch('/api/tags/1').send({ name: 'ocean' });
+    expect(renamed.body).toEqual({ id: 1, name: 'ocean', image_count: 1 });
+    expect((await request(app).get(`/api/images/${image.id}`)).body.tags).toEqual(['ocean']);
+
+    expect((await request(app).delete('/api/tags/1')).status).toBe(200);
+    expect((await request(app).get(`/api/images/${image.id}`)).body.tags).toEqual([]);
+    expect((await request(app).delete('/api/tags/1')).status).toBe(404);
+  });
+});
@@ -0,0 +1,176 @@
+// __tests__/config.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, resolveConfig, parseArgs } = require('../config');
+const { encryptSecret, decryptSecret, resolveSecret } = require('../config/secrets');
+const { ConfigurationError } = require('../errors');
+
+const memoryDb = { DB_DRIVER: 'memory' };
+
+describe('configuration', () => {
+  let baseDir;
+
+  const writeConfig = (content, name = 'config.json') => {
+    fs.writeFileSync(path.join(baseDir, name), JSON.stringify(content));
+  };
+  const load = (options) => loadConfig({ baseDir, interactive: false, ...options });
+
+  beforeEach(() => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  });
+
+  test('uses the defaults when nothing is configured', () => {
+    const { config, sources, problems } = resolveConfig({ env: memoryDb, baseDir });
+
+    expect(problems).toEqual([]);
+    expect(config).toMatchObject({
+      port: 3001,
+      corsOrigins: ['http://localhost:3000'],
+      storage: { driver: 'local', root: path.join(baseDir, 'uploads') },
+      directories: { public: path.join(baseDir, 'public'), cache: path.join(baseDir, 'cache'), tmp: path.join(baseDir, 'tmp') },
+      upload: { maxUploadMb: 5, maxBatchFiles: 50, allowedTypes: ['jpeg', 'png', 'gif'], dedupe: 'return' },
+      auth: { secret: null, registration: 'open' },
+      rateLimit: { windowSeconds: 60, uploadsPerKey: 30 },
+      trash: { retentionDays: 30 }
+    });
+    expect(sources.port).toBe('default');
+  });
+
+  test('command line flags win over the environment, which wins over the config file', async () => {
+    writeConfig({ port: 3002, maxUploadMb: 8, dedupe: 'link', storage: { driver: 'local', root: 'files' } });
+
+    const { config, sources, rest } = await load({
+      argv: ['status', '--port', '3004', '--storage-root=/srv/images', '--verbose'],
+      env: { ...memoryDb, PORT: '3003', MAX_UPLOAD_MB: '10' }
+    });
+
+    expect(config.port).toBe(3004);
+    expect(config.upload).toMatchObject({ maxUploadMb: 10, dedupe: 'link' });
+    expect(config.storage.root).toBe(path.resolve('/srv/images'));
+    expect(sources).toMatchObject({ port: '--port', 'upload.maxUploadMb': 'MAX_UPLOAD_MB', 'upload.dedupe': 'config.json "dedupe"' });
+    expect(rest).toEqual(['status', '--verbose']);
+  });
+
+  test('reads lists from comma separated values or arrays', () => {
+    const { config } = resolveConfig({
+      env: { ...memoryDb, ALLOWED_TYPES: 'image/jpeg, jpg,PNG', FRONTEND_URL: 'http://old.example.com' },
+      file: { corsOrigins: ['https://photos.example.com/', 'http://localhost:3000'] },
+      baseDir
+    });
+
+    expect(config.upload.allowedTypes).toEqual(['jpeg', 'png']);
+    expect(config.corsOrigins).toEqual(['http://old.example.com']);
+  });
+
+  test('reports every invalid setting with where it came from', async () => {
+    writeConfig({ maxBatchFiles: 0, dedupe: 'skip' });
+
+    const error = await load({
+      argv: ['--port', 'abc'],
+      env: { ...memoryDb, ALLOWED_TYPES: 'png,bmp', CORS_ORIGINS: 'localhost' }
+    }).catch(err => err);
+
+    expect(error).toBeInstanceOf(ConfigurationError);
+    expect(error.problems).toEqual([
+      'port from --port must be a whole number from 1 to 65535 (got "abc")',
+      'corsOrigins from CORS_ORIGINS "localhost" is not an origin like http://localhost:3000 (got "localhost")',
+      'upload.maxBatchFiles from config.json "maxBatchFiles" must be a whole number from 1 to 1000 (got 0)',
+      'upload.allowedTypes from ALLOWED_TYPES "bmp" is not a supported image type (jpeg, png, gif) (got "png,bmp")',
+      'upload.dedupe from config.json "dedupe" must be one of: return, link (got "skip")'
+    ]);
+    expect(error.message).toMatch(/^Invalid configuration:\n {2}- port from --port/);
+  });
+
+  test('checks settings that depend on each other', () => {
+    const { problems } = resolveConfig({
+      env: { DB_SERVER: 'localhost', STORAGE_DRIVER: 's3', AUTH_SECRET: 'short' },
+      baseDir
+    });
+
+    expect(problems).toEqual([
+      'SQL Server needs db.database (DB_NAME), db.user (DB_USER), db.password (DB_PASSWORD)',
+      'S3 storage needs storage.bucket (S3_BUCKET)',
+      'auth.secret (AUTH_SECRET) must be at least 32 characters long'
+    ]);
+  });
+
+  test('fails instead of prompting when not interactive', async () => {
+    const error = await loadConfig({ baseDir, argv: ['--non-interactive'], env: { DB_USER: 'app' } }).catch(err => err);
+
+    expect(error).toBeInstanceOf(ConfigurationError);
+    expect(error.message).toContain('SQL Server needs db.server (DB_SERVER), db.database (DB_NAME), db.password (DB_PASSWORD)');
+  });
+
+  test('refuses a config file that is not valid JSON or a missing one that was asked for', async () => {
+    fs.writeFileSync(path.join(baseDir, 'config.json'), '{ "port": 3002, }');
+
+    await expect(load({ env: memoryDb })).rejects.toThrow(/config\.json is not valid JSON/);
+    await expect(load({ argv: ['--config', 'other.json'], env: memoryDb })).rejects.toThrow(/Config file not found/);
+  });
+
+  test('warns about config file keys no setting reads', async () => {
+    writeConfig({ driver: 'memory', prot: 3002, storage: { driver: 'local', buckt: 'x' } });
+
+    const { warnings } = await load({ env: {} });
+
+    expect(warnings).toEqual([
+      'Unknown setting "prot" in config.json is ignored',
+      'Unknown setting "storage.buckt" in config.json is ignored'
+    ]);
+  });
+
+  describe('secrets', () => {
+    const configKey = 'a configuration key';
+    const sqlServer = { DB_SERVER: 'db', DB_NAME: 'images', DB_USER: 'app' };
+
+    test('encrypted values round-trip only with the same key', () => {
+      const encrypted = encryptSecret('p@ssw0rd', configKey);
+
+      expect(encrypted).toMatch(/^enc:/);
+      expect(encrypted).not.toContain('p@ssw0rd');
+      expect(decryptSecret(encrypted, configKey)).toBe('p@ssw0rd');
+      expect(() => decryptSecret(encrypted, 'another key')).toThrow(/different CONFIG_KEY/);
+    });
+
+    test('decrypts secrets from the config file with CONFIG_KEY', async () => {
+      writeConfig({ password: encryptSecret('p@ssw0rd', configKey) });
+
+      const { config } = await load({ env: { ...sqlServer, CONFIG_KEY: configKey } });
+
+      expect(config.db.password).toBe('p@ssw0rd');
+    });
+
+    test('reads secrets from files and other environment variables', async () => {
+      fs.writeFileSync(path.join(baseDir, 'db_password'), 'from-file\n');
+      const secret = 'x'.repeat(32);
+
+      const { config } = await load({
+        env: { ...sqlServer, DB_PASSWORD_FILE: path.join(baseDir, 'db_password'), AUTH_SECRET: 'env:SIGNING_KEY', SIGNING_KEY: secret }
+      });
+
+      expect(config.db.password).toBe('from-file');
+      expect(config.auth.secret).toBe(secret);
+      expect(resolveSecret('plain')).toBe('plain');
+    });
+
+    test('names the secret that cannot be resolved without showing it', async () => {
+      writeConfig({ password: encryptSecret('p@ssw0rd', configKey), authSecret: 'file:/does/not/exist' });
+
+      const error = await load({ env: sqlServer }).catch(err => err);
+
+      expect(error.problems).toEqual([
+        'db.password from config.json "password" is encrypted but CONFIG_KEY is not set',
+        'auth.secret from config.json "authSecret" could not be read from /does/not/exist: ENOENT'
+      ]);
+    });
+
+    test('are not command line flags', () => {
+      expect(parseArgs(['--db-password', 'secret']).rest).toEqual(['--db-password', 'secret']);
+    });
+  });
+});
@@ -0,0 +1,433 @@
+// __tests__/db.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sql = require('mssql');
+const { createDb } = require('../db');
+const { ConfigurationError, DatabaseError, ConflictError } = require('../errors');
+
+jest.mock('mssql');
+
+describe('createDb', () => {
+  test('defaults to the SQL Server driver', () => {
+    expect(createDb({}).name).toBe('mssql');
+  });
+
+  test('selects the memory driver case-insensitively', () => {
+    expect(createDb({ driver: 'Memory' }).name).toBe('memory');
+  });
+
+  test('rejects unknown drivers', () => {
+    expect(() => createDb({ driver: 'oracle' })).toThrow(ConfigurationError);
+  });
+});
+
+describe('memory driver', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = createDb({ driver: 'memory' });
+    await db.connect();
+  });
+
+  test('inserts, lists, gets and deletes images', async () => {
+    const first = await db.insertImage({ imagePath: '/uploads/images/a.jpg' });
+    const second = await db.insertImage({ imagePath: '/uploads/images/b.jpg' });
+
+    expect(first).toMatchObject({ id: 1, image_path: '/uploads/images/a.jpg', original_name: null, width: null });
+    expect(second.id).toBe(2);
+    expect(first.upload_date).toEqual(expect.any(String));
+
+    expect(await db.listImages()).toMatchObject({ total: 2 });
+    expect(await db.getImage(2)).toEqual(second);
+    expect(await db.getImage(99)).toBeNull();
+
+    expect(await db.deleteImage(1)).toBe(true);
+    expect(await db.deleteImage(1)).toBe(false);
+    expect(await db.listImages()).toEqual({ items: [second], total: 1 });
+  });
+
+  test('finds and counts images by content hash', async () => {
+    const hash = 'a'.repeat(64);
+    const first = await db.insertImage({ imagePath: '/uploads/images/a.jpg', contentHash: hash });
+    await db.insertImage({ imagePath: '/uploads/images/a.jpg', contentHash: hash });
+    await db.insertImage({ imagePath: '/uploads/images/b.jpg', contentHash: 'b'.repeat(64) });
+
+    expect((await db.findImageByHash(hash)).id).toBe(first.id);
+    expect(await db.findImageByHash('c'.repeat(64))).toBeNull();
+    expect(await db.countImagesByHash(hash)).toBe(2);
+  });
+
+  test('lists a filtered, sorted page with the total count', async () => {
+    await db.insertImage({ imagePath: 'a', originalName: 'b.png', mimeType: 'image/png', sizeBytes: 300 });
+    await db.insertImage({ imagePath: 'b', originalName: 'a.gif', mimeType: 'image/gif', sizeBytes: 100 });
+    await db.insertImage({ imagePath: 'c', originalName: 'c.png', mimeType: 'image/png', sizeBytes: 200 });
+
+    const bySize = await db.listImages({ sort: 'size_bytes', order: 'asc', limit: 2, offset: 0 });
+    expect(bySize.total).toBe(3);
+    expect(bySize.items.map(img => img.size_bytes)).toEqual([100, 200]);
+
+    const pngs = await db.listImages({ sort: 'original_name', order: 'desc', mimeTypes: ['image/png'] });
+    expect(pngs).toMatchObject({ total: 2, items: [{ original_name: 'c.png' }, { original_name: 'b.png' }] });
+
+    const secondPage = await db.listImages({ limit: 2, offset: 2 });
+    expect(secondPage.items).toHaveLength(1);
+
+    const future = await db.listImages({ from: new Date(Date.now() + 60000) });
+    expect(future).toEqual({ items: [], total: 0 });
+  });
+
+  test('keeps albums and tags and cleans them up with the image', async () => {
+    const image = await db.insertImage({ imagePath: 'a' });
+    const other = await db.insertImage({ imagePath: 'b' });
+    const album = await db.createAlbum({ name: 'Trips', cover_image_id: image.id });
+    await db.addImageToAlbum(album.id, image.id);
+    await db.addImageToAlbum(album.id, image.id);
+    await db.setImageTags(image.id, ['beach', 'sea']);
+    await db.setImageTags(other.id, ['sea']);
+
+    expect(await db.getAlbum(album.id)).toMatchObject({ name: 'Trips', cover_image_path: 'a', image_count: 1 });
+    expect(await db.getImage(image.id)).toMatchObject({ tags: ['beach', 'sea'], album_ids: [album.id] });
+    expect((await db.listImages({ albumId: album.id })).items.map(img => img.id)).toEqual([image.id]);
+    expect((await db.listImages({ tags: ['sea'] })).total).toBe(2);
+    expect((await db.listImages({ tags: ['sea', 'beach'] })).items.map(img => img.id)).toEqual([image.id]);
+    await expect(db.createAlbum({ name: 'trips' })).rejects.toThrow(ConflictError);
+
+    await db.deleteImage(image.id);
+
+    expect(await db.getAlbum(album.id)).toMatchObject({ cover_image_id: null, image_count: 0 });
+    expect(await db.listTags()).toEqual([
+      { id: 1, name: 'beach', image_count: 0 },
+      { id: 2, name: 'sea', image_count: 1 }
+    ]);
+  });
+
+  test('returns copies so callers cannot change stored rows', async () => {
+    const row = await db.insertImage({ imagePath: '/uploads/images/a.jpg' });
+    row.image_path = 'changed';
+
+    expect((await db.getImage(row.id)).image_path).toBe('/uploads/images/a.jpg');
+  });
+
+  test('persists to a data file when one is configured', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-db-'));
+    const file = path.join(dir, 'data.json');
+
+    const writer = createDb({ driver: 'memory', file });
+    await writer.connect();
+    await writer.insertImage({ imagePath: '/uploads/images/kept.jpg' });
+    await writer.close();
+
+    const reader = createDb({ driver: 'memory', file });
+    await reader.connect();
+    expect((await reader.listImages()).items).toEqual([
+      expect.objectContaining({ id: 1, image_path: '/uploads/images/kept.jpg' })
+    ]);
+    expect((await reader.insertImage({ imagePath: '/uploads/images/next.jpg' })).id).toBe(2);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
+
+describe('mssql driver', () => {
+  const mockRequest = {
+    input: jest.fn().mockReturnThis(),
+    query: jest.fn()
+  };
+  const mockPool = {
+    connected: true,
+    request: jest.fn(() => mockRequest),
+    close: jest.fn()
+  };
+  const mockTransaction = {
+    begin: jest.fn(),
+    commit: jest.fn(),
+    rollback: jest.fn()
+  };
+  const txRequest = {
+    batch: jest.fn(),
+    input: jest.fn().mockReturnThis(),
+    query: jest.fn()
+  };
+  let db;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    sql.ConnectionPool.mockImplementation(() => ({ connect: jest.fn().mockResolvedValue(mockPool) }));
+    sql.Transaction.mockImplementation(() => mockTransaction);
+    sql.Request.mockImplementation(() => txRequest);
+    db = createDb({ driver: 'mssql', user: 'u', password: 'p', server: 's', database: 'd' });
+    await db.connect();
+  });
+
+  test('wraps connection failures in DatabaseError', async () => {
+    sql.ConnectionPool.mockImplementation(() => ({ connect: jest.fn().mockRejectedValue(new Error('timeout')) }));
+    const failing = createDb({ driver: 'mssql' });
+
+    await expect(failing.connect()).rejects.toThrow(DatabaseError);
+  });
+
+  test('ping queries the server and reports failures as DatabaseError', async () => {
+    mockRequest.query.mockResolvedValueOnce({ recordset: [{ '': 1 }] });
+    await expect(db.ping()).resolves.toBeUndefined();
+    expect(mockRequest.query).toHaveBeenCalledWith('SELECT 1');
+
+    mockRequest.query.mockRejectedValueOnce(new Error('socket hang up'));
+    await expect(db.ping()).rejects.toThrow(DatabaseError);
+  });
+
+  test('getAppliedMigrations creates schema_version and reads it', async () => {
+    const rows = [{ version: 1, name: 'create_images', applied_on: new Date() }];
+    mockRequest.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ recordset: rows });
+
+    await expect(db.getAppliedMigrations()).resolves.toEqual(rows);
+    expect(mockRequest.query).toHaveBeenNthCalledWith(1, expect.stringContaining('CREATE TABLE schema_version'));
+  });
+
+  describe('migrations', () => {
+    const migration = {
+      version: 2,
+      name: 'add_column',
+      mssql: { up: ['ALTER TABLE a', 'ALTER TABLE b'], down: 'ALTER TABLE c' }
+    };
+
+    test('applyMigration runs every statement and records the version in one transaction', async () => {
+      await db.applyMigration(migration);
+
+      expect(txRequest.batch).toHaveBeenCalledWith('ALTER TABLE a');
+      expect(txRequest.batch).toHaveBeenCalledWith('ALTER TABLE b');
+      expect(txRequest.input).toHaveBeenCalledWith('version', sql.Int, 2);
+      expect(txRequest.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO schema_version'));
+      expect(mockTransaction.commit).toHaveBeenCalled();
+    });
+
+    test('a failing statement rolls the transaction back', async () => {
+      txRequest.batch.mockRejectedValueOnce(new Error('syntax error'));
+
+      await expect(db.applyMigration(migration)).rejects.toThrow(DatabaseError);
+      expect(mockTransaction.rollback).toHaveBeenCalled();
+      expect(mockTransaction.commit).not.toHaveBeenCalled();
+    });
+
+    test('revertMigration runs the down step and removes the version', async () => {
+      await db.revertMigration(migration);
+
+      expect(txRequest.batch).toHaveBeenCalledWith('ALTER TABLE c');
+      expect(txRequest.query).toHaveBeenCalledWith(expect.stringContaining('DELETE FROM schema_version'));
+    });
+
+    test('refuses migrations without a SQL Server step', async () => {
+      await expect(db.revertMigration({ version: 3, name: 'x', mssql: { up: 'SELECT 1' } }))
+        .rejects.toThrow('has no down step');
+    });
+  });
+
+  test('insertImage stores the image and its variants in one transaction', async () => {
+    const row = { id: 7, image_path: '/uploads/images/x.jpg' };
+    const variant = { id: 1, image_id: 7, name: 'thumb', image_path: '/uploads/images/variants/x-thumb.webp', mime_type: 'image/webp', size_bytes: 10, width: 240, height: 180 };
+    txRequest.query
+      .mockResolvedValueOnce({ recordset: [row] })
+      .mockResolvedValueOnce({ recordset: [variant] });
+
+    const inserted = await db.insertImage({
+      imagePath: row.image_path,
+      width: 640,
+      variants: [{ name: 'thumb', imagePath: variant.image_path, mimeType: 'image/webp', sizeBytes: 10, width: 240, height: 180 }]
+    });
+
+    expect(inserted).toEqual({
+      ...row,
+      variants: [{ name: 'thumb', image_path: variant.image_path, mime_type: 'image/webp', size_bytes: 10, width: 240, height: 180 }],
+      tags: [],
+      album_ids: []
+    });
+    expect(txRequest.input).toHaveBeenCalledWith('path', sql.NVarChar, row.image_path);
+    expect(txRequest.input).toHaveBeenCalledWith('width', sql.Int, 640);
+    expect(txRequest.input).toHaveBeenCalledWith('uploadedBy', sql.NVarChar, null);
+    expect(txRequest.input).toHaveBeenCalledWith('imageId', sql.Int, 7);
+    expect(mockTransaction.commit).toHaveBeenCalled();
+  });
+
+  test('insertImage rolls back when a variant insert fails', async () => {
+    txRequest.query
+      .mockResolvedValueOnce({ recordset: [{ id: 7 }] })
+      .mockRejectedValueOnce(new Error('constraint violation'));
+
+    await expect(db.insertImage({ imagePath: 'x', variants: [{ name: 'thumb' }] })).rejects.toThrow('constraint violation');
+    expect(mockTransaction.rollback).toHaveBeenCalled();
+  });
+
+  test('getImage attaches the variants, tags and albums of the image', async () => {
+    mockRequest.query
+      .mockResolvedValueOnce({ recordset: [{ id: 3, image_path: 'a' }] })
+      .mockResolvedValueOnce({
+        recordsets: [
+          [{ image_id: 3, name: 'small', image_path: 'b', width: 480 }],
+          [{ image_id: 3, name: 'beach' }, { image_id: 4, name: 'city' }],
+          [{ image_id: 3, album_id: 2 }]
+        ]
+      });
+
+    const image = await db.getImage(3);
+
+    expect(image.variants).toEqual([expect.objectContaining({ name: 'small', image_path: 'b' })]);
+    expect(image.tags).toEqual(['beach']);
+    expect(image.album_ids).toEqual([2]);
+    expect(mockRequest.input).toHaveBeenCalledWith('ids', sql.NVarChar, '3');
+  });
+
+  test('listImages pages with OFFSET/FETCH and binds every filter', async () => {
+    mockRequest.query
+      .mockResolvedValueOnce({ recordsets: [[{ total: 5 }], [{ id: 4, image_path: 'a' }]] })
+      .mockResolvedValueOnce({ recordsets: [[], [], []] });
+    const from = new Date('2024-01-01');
+
+    const result = await db.listImages({
+      sort: 'size_bytes; DROP TABLE Images',
+      order: 'asc',
+      limit: 2,
+      offset: 2,
+      from,
+      mimeTypes: ['image/png', 'image/gif'],
+      albumId: 3,
+      tags: ['beach', 'sunset']
+    });
+
+    expect(result).toEqual({ items: [{ id: 4, image_path: 'a', variants: [], tags: [], album_ids: [] }], total: 5 });
+    const query = mockRequest.query.mock.calls[0][0];
+    expect(query).toContain('WHERE deleted_at IS NULL AND upload_date >= @from AND mime_type IN (@type0, @type1)');
+    expect(query).toContain('ORDER BY upload_date ASC, id ASC');
+    expect(query).toContain('OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY');
+    expect(mockRequest.input).toHaveBeenCalledWith('from', sql.DateTime, from);
+    expect(mockRequest.input).toHaveBeenCalledWith('type1', sql.NVarChar, 'image/gif');
+    expect(query).toContain('id IN (SELECT image_id FROM AlbumImages WHERE album_id = @albumId)');
+    expect(query).toMatch(/t\.name IN \(@tag0, @tag1\)\s+GROUP BY it\.image_id HAVING COUNT\(\*\) = @tagCount/);
+    expect(mockRequest.input).toHaveBeenCalledWith('offset', sql.Int, 2);
+    expect(mockRequest.input).toHaveBeenCalledWith('tagCount', sql.Int, 2);
+  });
+
+  test('updateImage sets only the editable columns it is given', async () => {
+    mockRequest.query
+      .mockResolvedValueOnce({ recordset: [{ id: 2, title: 'Sunset' }] })
+      .mockResolvedValueOnce({ recordsets: [[], [], []] });
+
+    const image = await db.updateImage(2, { title: 'Sunset', image_path: 'ignored' });
+
+    expect(image).toEqual({ id: 2, title: 'Sunset', variants: [], tags: [], album_ids: [] });
+    expect(mockRequest.query.mock.calls[0][0]).toMatch(/UPDATE Images SET title = @title\s+OUTPUT INSERTED\.\*\s+WHERE id = @id/);
+    expect(mockRequest.input).toHaveBeenCalledWith('title', sql.NVarChar, 'Sunset');
+    expect(mockRequest.input).not.toHaveBeenCalledWith('image_path', expect.anything(), expect.anything());
+  });
+
+  test('reports duplicate album and tag names as conflicts', async () => {
+    const duplicate = Object.assign(new Error('Violation of UNIQUE KEY constraint'), { number: 2627 });
+    mockRequest.query.mockRejectedValueOnce(duplicate).mockRejectedValueOnce(duplicate);
+
+    await expect(db.createAlbum({ name: 'Trips' })).rejects.toMatchObject({ statusCode: 409, message: 'Album "Trips" already exists' });
+    await expect(db.renameTag(1, 'beach')).rejects.toThrow(ConflictError);
+  });
+
+  test('setImageTags replaces the tags in one transaction', async () => {
+    txRequest.query
+      .mockResolvedValueOnce({ recordset: [{ id: 5 }] })
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({});
+    mockRequest.query
+      .mockResolvedValueOnce({ recordset: [{ id: 5 }] })
+      .mockResolvedValueOnce({ recordsets: [[], [{ image_id: 5, name: 'beach' }, { image_id: 5, name: 'sea' }], []] });
+
+    const image = await db.setImageTags(5, ['beach', 'sea']);
+
+    expect(image.tags).toEqual(['beach', 'sea']);
+    expect(txRequest.query.mock.calls[0][0]).toContain('DELETE FROM ImageTags WHERE image_id = @imageId');
+    expect(txRequest.input).toHaveBeenCalledWith('name', sql.NVarChar, 'sea');
+    expect(mockTransaction.commit).toHaveBeenCalled();
+  });
+
+  test('setImageTags returns null for a missing image', async () => {
+    txRequest.query.mockResolvedValueOnce({ recordset: [] });
+
+    await expect(db.setImageTags(9, ['beach'])).resolves.toBeNull();
+    expect(mockTransaction.rollback).toHaveBeenCalled();
+    expect(mockTransaction.commit).not.toHaveBeenCalled();
+  });
+
+  test('searchImages requires every term and matches LIKE wildcards literally', async () => {
+    mockRequest.query
+      .mockResolvedValueOnce({ recordset: [{ id: 1, title: '100% beach' }] })
+      .mockResolvedValueOnce({ recordsets: [[], [], []] });
+
+    const images = await db.searchImages(['100%', 'beach'], { limit: 50 });
+
+    expect(images).toEqual([{ id: 1, title: '100% beach', variants: [], tags: [], album_ids: [] }]);
+    expect(mockRequest.input).toHaveBeenCalledWith('term0', sql.NVarChar, '%100\\%%');
+    expect(mockRequest.input).toHaveBeenCalledWith('limit', sql.Int, 50);
+    const query = mockRequest.query.mock.calls[0][0];
+    expect(query).toContain("title LIKE @term1 ESCAPE '\\'");
+    expect(query).toMatch(/\)\s+AND \(/);
+  });
+
+  test('stores API key scopes as a comma separated list', async () => {
+    const row = { id: 3, user_id: 1, name: 'CI', key_hash: 'f'.repeat(64), scopes: 'read,upload', revoked_at: null };
+    mockRequest.query
+      .mockResolvedValueOnce({ recordset: [row] })
+      .mockResolvedValueOnce({ recordset: [] });
+
+    const key = await db.createApiKey({ userId: 1, name: 'CI', prefix: 'iuk_abcdef', keyHash: row.key_hash, scopes: ['read', 'upload'] });
+
+    expect(key.scopes).toEqual(['read', 'upload']);
+    expect(mockRequest.input).toHaveBeenCalledWith('scopes', sql.NVarChar, 'read,upload');
+    await expect(db.revokeApiKey(4)).resolves.toBeNull();
+    expect(mockRequest.query.mock.calls[1][0]).toContain('COALESCE(revoked_at, GETUTCDATE())');
+  });
+
+  test('claimShareDownload counts a download only while the link has some left', async () => {
+    mockRequest.query
+      .mockResolvedValueOnce({ recordset: [{ id: 7, download_count: 1 }] })
+      .mockResolvedValueOnce({ recordset: [] });
+
+    await expect(db.claimShareDownload(7)).resolves.toMatchObject({ download_count: 1 });
+    await expect(db.claimShareDownload(7)).resolves.toBeNull();
+    const query = mockRequest.query.mock.calls[0][0];
+    expect(query).toContain('SET download_count = download_count + 1');
+    expect(query).toContain('revoked_at IS NULL');
+    expect(query).toContain('download_count < max_downloads');
+  });
+
+  test('trashImage and restoreImage only change images in the expected state', async () => {
+    mockRequest.query
+      .mockResolvedValueOnce({ recordset: [{ id: 3, deleted_at: new Date() }] })
+      .mockResolvedValueOnce({ recordsets: [[], [], []] })
+      .mockResolvedValueOnce({ recordset: [] });
+
+    await expect(db.trashImage(3)).resolves.toMatchObject({ id: 3 });
+    await expect(db.restoreImage(3)).resolves.toBeNull();
+    expect(mockRequest.query.mock.calls[0][0]).toContain('SET deleted_at = GETUTCDATE()');
+    expect(mockRequest.query.mock.calls[0][0]).toContain('WHERE id = @id AND deleted_at IS NULL');
+    expect(mockRequest.query.mock.calls[2][0]).toContain('WHERE id = @id AND deleted_at IS NOT NULL');
+  });
+
+  test('listImagesAfter pages by id through every image, trashed ones included', async () => {
+    mockRequest.query
+      .mockResolvedValueOnce({ recordset: [{ id: 8 }, { id: 9, deleted_at: new Date() }] })
+      .mockResolvedValueOnce({ recordsets: [[], [], []] });
+
+    const images = await db.listImagesAfter(7, { limit: 2 });
+
+    expect(images.map(image => image.id)).toEqual([8, 9]);
+    expect(mockRequest.query.mock.calls[0][0]).toBe('SELECT TOP (@limit) * FROM Images WHERE id > @afterId ORDER BY id');
+    expect(mockRequest.input).toHaveBeenCalledWith('afterId', sql.Int, 7);
+  });
+
+  test('deleteImage reports whether a row was removed', async () => {
+    mockRequest.query
+      .mockResolvedValueOnce({ rowsAffected: [1] })
+      .mockResolvedValueOnce({ rowsAffected: [0] });
+
+    await expect(db.deleteImage(1)).resolves.toBe(true);
+    await expect(db.deleteImage(2)).resolves.toBe(false);
+    expect(mockRequest.input).toHaveBeenCalledWith('id', sql.Int, 1);
+  });
+});
@@ -0,0 +1,113 @@
+// __tests__/health.test.js
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApp, initializeDirectories } = require('../server');
+const { resolveConfig } = require('../config');
+const { createDb } = require('../db');
+const { createStorage } = require('../storage');
+const { createMetrics } = require('../metrics');
+
+// A 1x1 transparent GIF
+const gifBytes = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+describe('health, readiness and metrics', () => {
+  let baseDir;
+  let db;
+  let app;
+
+  const buildApp = (env = {}) => {
+    const { config } = resolveConfig({ env: { DB_DRIVER: 'memory', AUTH_SECRET: 'x'.repeat(32), ...env }, baseDir });
+    initializeDirectories(config);
+    return createApp({ db, storage: createStorage(config.storage), config });
+  };
+
+  beforeEach(async () => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'health-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    db = createDb({ driver: 'memory' });
+    await db.connect();
+    app = buildApp();
+  });
+
+  afterEach(async () => {
+    app.locals.tus.stop();
+    jest.restoreAllMocks();
+    // The tus file store checks its directory in the background, let it finish first
+    await new Promise(resolve => setTimeout(resolve, 20));
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  });
+
+  test('/healthz answers without a login', async () => {
+    const response = await request(app).get('/healthz');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ status: 'ok', uptimeSeconds: expect.any(Number) });
+  });
+
+  test('/readyz checks the database and that uploads can be written', async () => {
+    const ready = await request(app).get('/readyz');
+    expect(ready.status).toBe(200);
+    expect(ready.body).toMatchObject({ status: 'ready', checks: { database: { status: 'ok' }, storage: { status: 'ok' } } });
+    expect(fs.readdirSync(path.join(baseDir, 'uploads/images'))).toEqual([]);
+
+    jest.spyOn(db, 'ping').mockRejectedValue(new Error('Login failed for user sa'));
+    const notReady = await request(app).get('/readyz');
+    expect(notReady.status).toBe(503);
+    expect(notReady.body).toMatchObject({ status: 'not ready', checks: { database: { status: 'failed' }, storage: { status: 'ok' } } });
+    expect(JSON.stringify(notReady.body)).not.toContain('Login failed');
+  });
+
+  test('/readyz fails while shutting down', async () => {
+    app.locals.draining = true;
+
+    const response = await request(app).get('/readyz');
+
+    expect(response.status).toBe(503);
+    expect(response.body.status).toBe('shutting down');
+  });
+
+  test('/metrics reports requests per route, uploads, database latency and disk usage', async () => {
+    const agent = request.agent(app);
+    await agent.post('/api/auth/register').send({ username: 'alice', password: 'correct horse' });
+    await agent.post('/api/upload').attach('image', gifBytes, { filename: 'pixel.gif', contentType: 'image/gif' });
+    await agent.post('/api/upload').attach('image', Buffer.from('not an image'), { filename: 'notes.gif', contentType: 'image/gif' });
+    await agent.get('/api/images/1');
+    await agent.get('/api/images/2');
+
+    const response = await request(app).get('/metrics');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+    expect(response.text).toContain('http_requests_total{method="GET",route="/api/images/:id",status="200"} 1');
+    expect(response.text).toContain('http_requests_total{method="GET",route="/api/images/:id",status="404"} 1');
+    expect(response.text).toContain('http_request_duration_seconds_count{method="POST",route="/api/upload"} 2');
+    expect(response.text).toContain(`upload_bytes_total ${gifBytes.length}`);
+    expect(response.text).toContain('upload_rejections_total{reason="unsupported_file_type"} 1');
+    expect(response.text).toMatch(/db_query_duration_seconds_count\{operation="insertImage"\} 1/);
+    expect(response.text).toMatch(/storage_images_files [1-9]/);
+  });
+
+  test('/metrics asks for the token when one is configured', async () => {
+    app.locals.tus.stop();
+    app = buildApp({ METRICS_TOKEN: 'scrape-me' });
+
+    expect((await request(app).get('/metrics')).body.code).toBe('metrics_token_required');
+    expect((await request(app).get('/metrics').set('Authorization', 'Bearer wrong')).status).toBe(401);
+    expect((await request(app).get('/metrics').set('Authorization', 'Bearer scrape-me')).status).toBe(200);
+  });
+
+  test('histograms count observations into cumulative buckets', async () => {
+    const metrics = createMetrics();
+    const timed = metrics.instrumentDb({ ping: async () => {} });
+    await timed.ping();
+
+    const text = await metrics.render();
+
+    expect(text).toContain('db_query_duration_seconds_bucket{operation="ping",le="+Inf"} 1');
+    expect(text).toContain('db_query_duration_seconds_bucket{operation="ping",le="10"} 1');
+    expect(text).toContain('# TYPE db_query_duration_seconds histogram');
+  });
+});
@@ -0,0 +1,482 @@
+// __tests__/imagesRoutes.test.js
+const request = require('supertest');
+const sharp = require('sharp');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDb } = require('../db');
+const { createStorage } = require('../storage');
+const { createRenderCache } = require('../imaging/renderCache');
+const { createImagesRouter, createUploadsRouter } = require('../routes/images');
+const { createTrashRouter } = require('../routes/trash');
+const { problemHandler } = require('../problems');
+const { createLogger } = require('../logger');
+
+// A 1x1 transparent GIF
+const gifBytes = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+// Every file below a directory, relative to it
+const listFiles = (dir) => fs.readdirSync(dir, { recursive: true, withFileTypes: true })
+  .filter(entry => entry.isFile())
+  .map(entry => path.relative(dir, path.join(entry.parentPath || entry.path, entry.name)));
+
+describe('image routes against the memory store', () => {
+  let app;
+  let db;
+  let baseDir;
+  let uploadDirectory;
+  let storage;
+  let renderCache;
+
+  // App with the image routes, sharing this test's store and files, logged in as the given user
+  const buildApp = (options = {}, user = { id: 1, username: 'alice', role: 'user' }) => {
+    const instance = express();
+    instance.use(express.json());
+    instance.use((req, res, next) => {
+      req.user = user;
+      next();
+    });
+    instance.use('/uploads', createUploadsRouter({ db, storage }));
+    instance.use('/api', createImagesRouter({ db, storage, renderCache, ...options }));
+    instance.use('/api', createTrashRouter({ db, storage, renderCache, retentionMs: 24 * 60 * 60 * 1000 }));
+    instance.use(problemHandler({ logger: createLogger({ level: 'silent' }) }));
+    return instance;
+  };
+
+  // Delete an image and then remove it from the trash
+  const deleteForGood = async (instance, id) => {
+    await request(instance).delete(`/api/images/${id}`);
+    return request(instance).delete(`/api/trash/${id}`);
+  };
+
+  beforeEach(async () => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-routes-'));
+    uploadDirectory = path.join(baseDir, 'uploads/images');
+    fs.mkdirSync(uploadDirectory, { recursive: true });
+
+    db = createDb({ driver: 'memory' });
+    await db.connect();
+    storage = createStorage({ driver: 'local', root: path.join(baseDir, 'uploads') });
+    renderCache = createRenderCache({ directory: path.join(baseDir, 'cache') });
+    app = buildApp();
+  });
+
+  afterEach(() => {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  });
+
+  test('uploads, serves, lists and deletes an image', async () => {
+    const upload = await request(app)
+      .post('/api/upload')
+      .attach('image', gifBytes, { filename: 'pixel.gif', contentType: 'image/gif' });
+
+    expect(upload.status).toBe(200);
+    expect(upload.body.path).toMatch(/^\/uploads\/images\/.+\.gif$/);
+    expect(fs.existsSync(path.join(uploadDirectory, upload.body.filename))).toBe(true);
+
+    const served = await request(app).get(upload.body.path);
+    expect(served.status).toBe(200);
+    expect(served.headers['content-type']).toBe('image/gif');
+    expect(served.headers['x-content-type-options']).toBe('nosniff');
+    expect(Buffer.compare(served.body, gifBytes)).toBe(0);
+    expect(served.headers['cache-control']).toBe('private, max-age=86400');
+
+    // Other users cannot fetch the file, not even a variant, admins can
+    const variantPath = upload.body.image.variants[0].image_path;
+    const bob = buildApp({}, { id: 2, username: 'bob', role: 'user' });
+    expect((await request(bob).get(upload.body.path)).status).toBe(404);
+    expect((await request(bob).get(variantPath)).status).toBe(404);
+    expect((await request(buildApp({}, { id: 3, username: 'root', role: 'admin' })).get(variantPath)).status).toBe(200);
+
+    const list = await request(app).get('/api/images');
+    expect(list.body.items).toEqual([
+      expect.objectContaining({ id: 1, image_path: upload.body.path })
+    ]);
+
+    const removed = await request(app).delete('/api/images/1');
+    expect(removed.status).toBe(200);
+    expect(removed.body.message).toBe('Image moved to trash');
+    expect((await request(app).get('/api/images')).body.items).toEqual([]);
+    expect((await request(app).get('/api/images/1')).status).toBe(404);
+    expect((await request(app).delete('/api/images/1')).status).toBe(404);
+    // The file stays until the image leaves the trash, for the trash view
+    expect((await request(app).get(upload.body.path)).status).toBe(200);
+
+    const purged = await request(app).delete('/api/trash/1');
+    expect(purged.status).toBe(200);
+    expect(fs.existsSync(path.join(uploadDirectory, upload.body.filename))).toBe(false);
+    expect((await request(app).get(upload.body.path)).status).toBe(404);
+  });
+
+  test('lists images a page at a time with sorting and filters', async () => {
+    const png = await sharp({
+      create: { width: 20, height: 10, channels: 3, background: '#ff0000' }
+    }).png().toBuffer();
+    await request(app).post('/api/upload').attach('image', gifBytes, { filename: 'b.gif', contentType: 'image/gif' });
+    await request(app).post('/api/upload').attach('image', png, { filename: 'a.png', contentType: 'image/png' });
+
+    const firstPage = await request(app).get('/api/images?pageSize=1');
+    expect(firstPage.body).toMatchObject({ total: 2, page: 1, pageSize: 1, totalPages: 2 });
+    expect(firstPage.body.items.map(img => img.original_name)).toEqual(['a.png']);
+
+    const byName = await request(app).get('/api/images?sort=name&order=asc');
+    expect(byName.body.items.map(img => img.original_name)).toEqual(['a.png', 'b.gif']);
+
+    const gifs = await request(app).get('/api/images?type=gif');
+    expect(gifs.body).toMatchObject({ total: 1, items: [{ mime_type: 'image/gif' }] });
+
+    const future = await request(app).get(`/api/images?from=${new Date(Date.now() + 60000).toISOString()}`);
+    expect(future.body).toMatchObject({ items: [], total: 0, totalPages: 0 });
+  });
+
+  test('rejects invalid list parameters with a 400', async () => {
+    for (const query of ['page=0', 'pageSize=101', 'sort=color', 'order=up', 'from=yesterday']) {
+      const response = await request(app).get(`/api/images?${query}`);
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatch(/^Invalid/);
+    }
+  });
+
+  test('gets a single image by id', async () => {
+    const upload = await request(app)
+      .post('/api/upload')
+      .attach('image', gifBytes, { filename: 'pixel.gif', contentType: 'image/gif' });
+
+    const response = await request(app).get(`/api/images/${upload.body.image.id}`);
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual(upload.body.image);
+    expect((await request(app).get('/api/images/999')).status).toBe(404);
+    expect((await request(app).get('/api/images/abc')).status).toBe(400);
+  });
+
+  test('edits the title, description and alt text', async () => {
+    const upload = await request(app)
+      .post('/api/upload')
+      .attach('image', gifBytes, { filename: 'pixel.gif', contentType: 'image/gif' });
+    const url = `/api/images/${upload.body.image.id}`;
+    expect(upload.body.image).toMatchObject({ title: null, description: null, alt_text: null });
+
+    const patched = await request(app).patch(url).send({ title: '  Sunset ', alt_text: 'Orange sky over the sea' });
+    expect(patched.status).toBe(200);
+    expect(patched.body).toMatchObject({ title: 'Sunset', description: null, alt_text: 'Orange sky over the sea' });
+
+    const described = await request(app).patch(url).send({ description: 'Taken from the pier' });
+    expect(described.body).toMatchObject({ title: 'Sunset', description: 'Taken from the pier' });
+
+    // PUT replaces every editable field, so the ones left out are cleared
+    const replaced = await request(app).put(url).send({ title: 'Dusk' });
+    expect(replaced.body).toMatchObject({ title: 'Dusk', description: null, alt_text: null });
+    expect((await request(app).get(url)).body.title).toBe('Dusk');
+  });
+
+  test('stores an upload caption as the description', async () => {
+    const upload = await request(app)
+      .post('/api/upload')
+      .field('caption', '  Pier at dusk  ')
+      .attach('image', gifBytes, { filename: 'pixel.gif', contentType: 'image/gif' });
+
+    expect(upload.body.image.description).toBe('Pier at dusk');
+  });
+
+  test('rejects invalid edits', async () => {
+    const upload = await request(app)
+      .post('/api/upload')
+      .attach('image', gifBytes, { filename: 'pixel.gif', contentType: 'image/gif' });
+    const url = `/api/images/${upload.body.image.id}`;
+
+    const cases = [
+      [{ image_path: '/etc/passwd' }, /Unknown field/],
+      [{ title: 42 }, /must be a string/],
+      [{ alt_text: 'x'.repeat(501) }, /at most 500 characters/],
+      [{}, /Nothing to update/]
+    ];
+    for (const [body, message] of cases) {
+      const response = await request(app).patch(url).send(body);
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatch(message);
+    }
+    expect((await request(app).patch('/api/images/999').send({ title: 'x' })).status).toBe(404);
+    expect((await request(app).get(url)).body.image_path).toBe(upload.body.image.image_path);
+  });
+
+  test('generates variants on upload and deletes them with the image', async () => {
+    const png = await sharp({
+      create: { width: 1000, height: 500, channels: 3, background: '#123456' }
+    }).png().toBuffer();
+
+    const upload = await request(app)
+      .post('/api/upload')
+      .attach('image', png, { filename: 'wide.png', contentType: 'image/png' });
+
+    expect(upload.status).toBe(200);
+    expect(upload.body.image.variants.map(v => [v.name, v.width, v.height])).toEqual([
+      ['thumb', 240, 120],
+      ['small', 480, 240],
+      ['medium', 960, 480]
+    ]);
+
+    const [listed] = (await request(app).get('/api/images')).body.items;
+    expect(listed.variants).toHaveLength(3);
+    const served = await request(app).get(listed.variants[0].image_path);
+    expect(served.status).toBe(200);
+    expect(served.headers['content-type']).toBe('image/webp');
+    expect(listFiles(uploadDirectory)).toHaveLength(4);
+
+    await deleteForGood(app, listed.id);
+    expect(listFiles(uploadDirectory)).toEqual([]);
+  });
+
+  test('renders resized and converted images through the disk cache', async () => {
+    const png = await sharp({
+      create: { width: 800, height: 600, channels: 3, background: '#abcdef' }
+    }).png().toBuffer();
+    const { body } = await request(app)
+      .post('/api/upload')
+      .attach('image', png, { filename: 'photo.png', contentType: 'image/png' });
+    const url = `/api/images/${body.image.id}/render?w=400&h=100&fit=cover&format=webp&q=60`;
+
+    const first = await request(app).get(url);
+    expect(first.status).toBe(200);
+    expect(first.headers['content-type']).toBe('image/webp');
+    expect(first.headers['x-cache']).toBe('MISS');
+    expect(await sharp(first.body).metadata()).toMatchObject({ format: 'webp', width: 400, height: 100 });
+
+    const second = await request(app).get(url);
+    expect(second.headers['x-cache']).toBe('HIT');
+    expect(Buffer.compare(second.body, first.body)).toBe(0);
+
+    await deleteForGood(app, body.image.id);
+    expect(fs.readdirSync(path.join(baseDir, 'cache'))).toEqual([]);
+  });
+
+  test('rejects render requests outside the limits', async () => {
+    const { body } = await request(app)
+      .post('/api/upload')
+      .attach('image', gifBytes, { filename: 'pixel.gif', contentType: 'image/gif' });
+
+    const response = await request(app).get(`/api/images/${body.image.id}/render?w=10000`);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/between 16 and 2048/);
+    expect((await request(app).get('/api/images/999/render?w=100')).status).toBe(404);
+  });
+
+  test('returns the existing record for identical content', async () => {
+    const first = await request(app)
+      .post('/api/upload')
+      .attach('image', gifBytes, { filename: 'one.gif', contentType: 'image/gif' });
+    const second = await request(app)
+      .post('/api/upload')
+      .attach('image', gifBytes, { filename: 'two.gif', contentType: 'image/gif' });
+
+    expect(first.body.duplicate).toBe(false);
+    expect(first.body.image.content_hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(second.status).toBe(200);
+    expect(second.body).toMatchObject({ message: 'Image already uploaded', duplicate: true });
+    expect(second.body.image.id).toBe(first.body.image.id);
+    expect((await request(app).get('/api/images')).body.items).toHaveLength(1);
+    expect(listFiles(uploadDirectory)).toHaveLength(2);
+  });
+
+  test('link mode shares files and keeps them until the last record is deleted', async () => {
+    const linkApp = buildApp({ dedupeMode: 'link' });
+    const first = await request(linkApp)
+      .post('/api/upload')
+      .attach('image', gifBytes, { filename: 'one.gif', contentType: 'image/gif' });
+    const second = await request(linkApp)
+      .post('/api/upload')
+      .attach('image', gifBytes, { filename: 'two.gif', contentType: 'image/gif' });
+
+    expect(second.body.duplicate).toBe(true);
+    expect(second.body.image).toMatchObject({
+      original_name: 'two.gif',
+      image_path: first.body.image.image_path,
+      content_hash: first.body.image.content_hash
+    });
+    expect(second.body.image.id).not.toBe(first.body.image.id);
+    expect(second.body.image.variants).toEqual(first.body.image.variants);
+
+    await deleteForGood(linkApp, first.body.image.id);
+    expect(listFiles(uploadDirectory)).toHaveLength(2);
+
+    await deleteForGood(linkApp, second.body.image.id);
+    expect(listFiles(uploadDirectory)).toEqual([]);
+  });
+
+  test('refuses an unknown dedupe mode', () => {
+    expect(() => buildApp({ dedupeMode: 'merge' })).toThrow('Invalid dedupe mode');
+  });
+
+  test('records and returns the image metadata, with the logged in user as the uploader', async () => {
+    const upload = await request(app)
+      .post('/api/upload')
+      .field('uploaded_by', 'mallory')
+      .attach('image', gifBytes, { filename: 'holiday photo.gif', contentType: 'image/gif' });
+
+    const expected = {
+      original_name: 'holiday photo.gif',
+      mime_type: 'image/gif',
+      size_bytes: gifBytes.length,
+      width: 1,
+      height: 1,
+      uploaded_by: 'alice'
+    };
+    expect(upload.body.image).toMatchObject(expected);
+    expect((await request(app).get('/api/images')).body.items[0]).toMatchObject(expected);
+  });
+
+  test('rejects non-image content whatever the client claims', async () => {
+    const response = await request(app)
+      .post('/api/upload')
+      .attach('image', Buffer.from('<html><script>alert(1)</script></html>'), {
+        filename: 'evil.png',
+        contentType: 'image/png'
+      });
+
+    expect(response.status).toBe(415);
+    expect(response.body.error).toMatch(/Unsupported file type/);
+    expect(listFiles(uploadDirectory)).toEqual([]);
+  });
+
+  test('rejects corrupt images with a 400', async () => {
+    const response = await request(app)
+      .post('/api/upload')
+      .attach('image', gifBytes.subarray(0, 16), { filename: 'broken.gif', contentType: 'image/gif' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/could not be decoded/);
+  });
+
+  test('takes the type and extension from the content', async () => {
+    const response = await request(app)
+      .post('/api/upload')
+      .attach('image', gifBytes, { filename: 'photo.html', contentType: 'text/html' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.filename).toMatch(/\.gif$/);
+    expect(response.body.image.mime_type).toBe('image/gif');
+  });
+
+  test('rejects files over the size limit with a 413', async () => {
+    const response = await request(app)
+      .post('/api/upload')
+      .attach('image', Buffer.alloc(5 * 1024 * 1024 + 1), { filename: 'big.gif', contentType: 'image/gif' });
+
+    expect(response.status).toBe(413);
+    expect(response.body.error).toMatch(/File too large/);
+  });
+
+  test('batch upload reports a result for every file', async () => {
+    const png = await sharp({
+      create: { width: 20, height: 10, channels: 3, background: '#00ff00' }
+    }).png().toBuffer();
+
+    const response = await request(app)
+      .post('/api/upload/batch')
+      .field('uploaded_by', 'mallory')
+      .attach('images', gifBytes, { filename: 'one.gif', contentType: 'image/gif' })
+      .attach('images', Buffer.from('not an image'), { filename: 'notes.txt', contentType: 'text/plain' })
+      .attach('images', Buffer.alloc(5 * 1024 * 1024 + 1), { filename: 'huge.gif', contentType: 'image/gif' })
+      .attach('images', png, { filename: 'two.png', contentType: 'image/png' })
+      .attach('images', gifBytes, { filename: 'again.gif', contentType: 'image/gif' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ succeeded: 3, failed: 2 });
+    expect(response.body.results.map(result => [result.originalName, result.status])).toEqual([
+      ['one.gif', 'uploaded'],
+      ['notes.txt', 'rejected'],
+      ['huge.gif', 'rejected'],
+      ['two.png', 'uploaded'],
+      ['again.gif', 'duplicate']
+    ]);
+    expect(response.body.results[1].error).toMatch(/Unsupported file type/);
+    expect(response.body.results[2].error).toMatch(/File too large/);
+    expect(response.body.results[3].image).toMatchObject({ uploaded_by: 'alice', width: 20 });
+    expect((await request(app).get('/api/images')).body.items).toHaveLength(2);
+  });
+
+  test('batch upload requires at least one file and caps the count', async () => {
+    expect((await request(app).post('/api/upload/batch')).status).toBe(400);
+
+    let tooMany = request(app).post('/api/upload/batch');
+    for (let i = 0; i < 51; i++) {
+      tooMany = tooMany.attach('images', gifBytes, { filename: `${i}.gif`, contentType: 'image/gif' });
+    }
+    const response = await tooMany;
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/at most 50 per batch/);
+  });
+
+  test('tells upload forms the limits and accepted types', async () => {
+    expect((await request(app).get('/api/upload/limits')).body).toEqual({
+      maxFileSize: 5 * 1024 * 1024,
+      maxBatchFiles: 50,
+      types: [
+        { format: 'jpeg', mimeType: 'image/jpeg', extensions: ['.jpg', '.jpeg'] },
+        { format: 'png', mimeType: 'image/png', extensions: ['.png'] },
+        { format: 'gif', mimeType: 'image/gif', extensions: ['.gif'] }
+      ]
+    });
+
+    const limitedApp = buildApp({ maxFileSize: 1024 * 1024, maxBatchFiles: 10, allowedTypes: ['png'] });
+    expect((await request(limitedApp).get('/api/upload/limits')).body).toEqual({
+      maxFileSize: 1024 * 1024,
+      maxBatchFiles: 10,
+      types: [{ format: 'png', mimeType: 'image/png', extensions: ['.png'] }]
+    });
+  });
+
+  test('uses the configured size limit', async () => {
+    const limitedApp = buildApp({ maxFileSize: 1.5 * 1024 * 1024 });
+
+    const response = await request(limitedApp)
+      .post('/api/upload')
+      .attach('image', Buffer.alloc(2 * 1024 * 1024), { filename: 'big.gif', contentType: 'image/gif' });
+
+    expect(response.status).toBe(413);
+    expect(response.body.error).toBe('File too large: the maximum size is 1.5 MB');
+  });
+
+  test('uses the configured image types and batch size', async () => {
+    const limitedApp = buildApp({ allowedTypes: ['png'], maxBatchFiles: 2 });
+    await request(app).post('/api/upload').attach('image', gifBytes, { filename: 'mine.gif' });
+
+    const single = await request(limitedApp).post('/api/upload').attach('image', gifBytes, { filename: 'again.gif' });
+    const batch = await request(limitedApp)
+      .post('/api/upload/batch')
+      .attach('images', gifBytes, { filename: 'one.gif' })
+      .attach('images', gifBytes, { filename: 'two.gif' })
+      .attach('images', gifBytes, { filename: 'three.gif' });
+
+    expect(single.status).toBe(415);
+    expect(single.body.error).toBe('Unsupported file type: only PNG images are allowed');
+    expect(batch.body.error).toBe('Too many files: at most 2 per batch');
+  });
+
+  test('rejects requests without a file', async () => {
+    const response = await request(app).post('/api/upload');
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({ code: 'no_file', error: 'No file uploaded' });
+  });
+
+  test('returns 404 when deleting an unknown image', async () => {
+    const response = await request(app).delete('/api/images/42');
+
+    expect(response.status).toBe(404);
+    expect(response.body).toHaveProperty('error', 'Image not found');
+  });
+
+  test('removes the stored file when the insert fails', async () => {
+    jest.spyOn(db, 'insertImage').mockRejectedValueOnce(new Error('disk full'));
+
+    const response = await request(app)
+      .post('/api/upload')
+      .attach('image', gifBytes, { filename: 'pixel.gif', contentType: 'image/gif' });
+
+    expect(response.status).toBe(500);
+    expect(listFiles(uploadDirectory)).toEqual([]);
+  });
+});
@@ -0,0 +1,92 @@
+// __tests__/migrator.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDb } = require('../db');
+const { loadMigrations, migrationStatus, migrate, rollback } = require('../db/migrator');
+const { ConfigurationError } = require('../errors');
+
+const writeMigration = (dir, file, body = 'module.exports = { mssql: { up: "SELECT 1", down: "SELECT 2" } };') =>
+  fs.writeFileSync(path.join(dir, file), body);
+
+describe('migrator', () => {
+  let dir;
+  let db;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    db = createDb({ driver: 'memory' });
+    await db.connect();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('ships a migration that creates the Images table', () => {
+    const [first] = loadMigrations();
+
+    expect(first).toMatchObject({ version: 1, name: 'create_images' });
+    expect(first.mssql.up).toContain('CREATE TABLE Images');
+  });
+
+  test('loads numbered files in version order and ignores other files', () => {
+    writeMigration(dir, '010_later.js');
+    writeMigration(dir, '002_earlier.js');
+    fs.writeFileSync(path.join(dir, 'README.md'), 'notes');
+
+    expect(loadMigrations(dir).map(m => `${m.version}_${m.name}`)).toEqual(['2_earlier', '10_later']);
+  });
+
+  test('rejects duplicate versions', () => {
+    writeMigration(dir, '001_one.js');
+    writeMigration(dir, '1_other.js');
+
+    expect(() => loadMigrations(dir)).toThrow(ConfigurationError);
+  });
+
+  test('applies pending migrations once and reports status', async () => {
+    writeMigration(dir, '001_one.js');
+    writeMigration(dir, '002_two.js');
+    const migrations = loadMigrations(dir);
+
+    expect((await migrate(db, migrations)).map(m => m.version)).toEqual([1, 2]);
+    expect(await migrate(db, migrations)).toEqual([]);
+
+    writeMigration(dir, '003_three.js');
+    const status = await migrationStatus(db, loadMigrations(dir));
+    expect(status.map(row => [row.version, row.applied])).toEqual([[1, true], [2, true], [3, false]]);
+    expect(status[0].appliedOn).toEqual(expect.any(String));
+  });
+
+  test('rolls back the latest migrations first', async () => {
+    writeMigration(dir, '001_one.js');
+    writeMigration(dir, '002_two.js');
+    writeMigration(dir, '003_three.js');
+    const migrations = loadMigrations(dir);
+    await migrate(db, migrations);
+
+    expect((await rollback(db, 2, migrations)).map(m => m.version)).toEqual([3, 2]);
+    expect((await db.getAppliedMigrations()).map(row => row.version)).toEqual([1]);
+  });
+
+  test('runs memory steps when a migration provides them', async () => {
+    writeMigration(dir, '001_flag.js', `module.exports = {
+      memory: {
+        up: (state) => { state.flag = true; },
+        down: (state) => { delete state.flag; }
+      }
+    };`);
+    const migrations = loadMigrations(dir);
+    const up = jest.spyOn(migrations[0].memory, 'up');
+    const down = jest.spyOn(migrations[0].memory, 'down');
+
+    await migrate(db, migrations);
+    await rollback(db, 1, migrations);
+
+    expect(up).toHaveBeenCalledWith(expect.objectContaining({ images: [] }));
+    expect(down).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,90 @@
+// __tests__/problems.test.js
+const express = require('express');
+const request = require('supertest');
+const { problemHandler, toProblem } = require('../problems');
+const { createLogger } = require('../logger');
+const { asyncRoute, requireId } = require('../routes/helpers');
+const { ResourceNotFoundError, DatabaseError, RateLimitError, ValidationError } = require('../errors');
+
+describe('problem responses', () => {
+  const buildApp = (options) => {
+    const app = express();
+    app.use(express.json());
+    app.get('/items/:id', asyncRoute(async (req, res) => {
+      const id = requireId(req.params.id);
+      throw new ResourceNotFoundError(`Item ${id} not found`, 'item_not_found');
+    }));
+    app.get('/broken', asyncRoute(async () => {
+      throw new Error("Invalid column name 'secret_column'");
+    }));
+    app.get('/database', () => {
+      throw new DatabaseError('Failed to connect to SQL Server: ECONNREFUSED 10.0.0.5:1433');
+    });
+    app.get('/limited', (req, res, next) => next(new RateLimitError('Too many upload requests', 12)));
+    app.post('/items', (req, res) => res.json(req.body));
+    app.use(problemHandler({ logger: createLogger({ level: 'silent' }), ...options }));
+    return app;
+  };
+
+  test('answers typed errors as application/problem+json with a stable code', async () => {
+    const response = await request(buildApp()).get('/items/7');
+
+    expect(response.status).toBe(404);
+    expect(response.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(response.body).toEqual({
+      type: 'urn:image-uploader:problem:item_not_found',
+      title: 'Not Found',
+      status: 404,
+      detail: 'Item 7 not found',
+      code: 'item_not_found',
+      instance: '/items/7',
+      error: 'Item 7 not found'
+    });
+
+    const invalid = await request(buildApp()).get('/items/abc');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body).toMatchObject({ code: 'invalid_id', detail: 'Invalid ID format' });
+  });
+
+  test('never shows internal messages of server errors in production', async () => {
+    const app = buildApp({ exposeDetails: false });
+
+    const broken = await request(app).get('/broken');
+    expect(broken.status).toBe(500);
+    expect(broken.body).toMatchObject({ code: 'internal_error', detail: 'Something went wrong on the server' });
+    expect(JSON.stringify(broken.body)).not.toContain('secret_column');
+
+    const database = await request(app).get('/database');
+    expect(database.status).toBe(503);
+    expect(database.body).toMatchObject({ code: 'database_unavailable', title: 'Service Unavailable' });
+    expect(JSON.stringify(database.body)).not.toContain('10.0.0.5');
+  });
+
+  test('adds the internal message as details outside production', async () => {
+    const response = await request(buildApp({ exposeDetails: true })).get('/broken');
+
+    expect(response.body).toMatchObject({ code: 'internal_error', details: "Invalid column name 'secret_column'" });
+  });
+
+  test('sets Retry-After on rate limited requests', async () => {
+    const response = await request(buildApp()).get('/limited');
+
+    expect(response.status).toBe(429);
+    expect(response.headers['retry-after']).toBe('12');
+    expect(response.body.code).toBe('rate_limited');
+  });
+
+  test('answers malformed JSON bodies as a client error', async () => {
+    const response = await request(buildApp())
+      .post('/items')
+      .set('Content-Type', 'application/json')
+      .send('{ "name": ');
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({ code: 'invalid_json', detail: 'The request body is not valid JSON' });
+  });
+
+  test('uses the default code of an error class when none is given', () => {
+    expect(toProblem(new ValidationError('Bad input'))).toMatchObject({ status: 400, code: 'invalid_request' });
+  });
+});
@@ -0,0 +1,193 @@
+// __tests__/reconcile.test.js
+const request = require('supertest');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDb } = require('../db');
+const { createStorage, storageKeyFromPath } = require('../storage');
+const { storeImage } = require('../services/images');
+const { reconcileStorage, parseReconcileOptions } = require('../services/reconcile');
+const { createAuditLog } = require('../services/audit');
+const { createAdminRouter } = require('../routes/admin');
+const { ValidationError } = require('../errors');
+const { problemHandler } = require('../problems');
+
+// A 1x1 transparent GIF and a 1x1 PNG
+const gifBytes = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+const pngBytes = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+const hour = 60 * 60 * 1000;
+
+describe('storage reconciliation', () => {
+  let db;
+  let root;
+  let storage;
+  let renderCache;
+
+  const store = async (originalName, buffer) => (await storeImage({ db, storage }, {
+    buffer,
+    originalName,
+    uploadedBy: 'alice',
+    ownerId: 1
+  })).image;
+
+  const fileOf = (imagePath) => path.join(root, storageKeyFromPath(imagePath));
+  // Files count as orphans only once they are older than the grace period
+  const later = () => Date.now() + 2 * hour;
+
+  beforeEach(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'reconcile-'));
+    db = createDb({ driver: 'memory' });
+    await db.connect();
+    storage = createStorage({ driver: 'local', root });
+    renderCache = { invalidate: jest.fn(async () => {}) };
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  // One image of each kind of problem, plus a file no record uses
+  const breakLibrary = async () => {
+    const gone = await store('gone.gif', gifBytes);
+    const thumbless = await store('thumbless.png', pngBytes);
+    fs.unlinkSync(fileOf(gone.image_path));
+    fs.unlinkSync(fileOf(thumbless.variants[0].image_path));
+    await storage.save('images/stray.jpg', Buffer.from('stray'));
+    return { gone, thumbless };
+  };
+
+  test('parses the mode and hash option', () => {
+    expect(parseReconcileOptions()).toEqual({ mode: 'dry-run', checkHashes: true });
+    expect(parseReconcileOptions({ mode: 'Repair', checkHashes: false })).toEqual({ mode: 'repair', checkHashes: false });
+    expect(() => parseReconcileOptions({ mode: 'fix' })).toThrow(ValidationError);
+    expect(() => parseReconcileOptions({ checkHashes: 'no' })).toThrow(ValidationError);
+  });
+
+  test('a consistent library, trashed images included, has nothing to report', async () => {
+    await store('one.gif', gifBytes);
+    const trashed = await store('two.png', pngBytes);
+    await db.trashImage(trashed.id);
+
+    const report = await reconcileStorage({ db, storage }, { now: later() });
+
+    expect(report).toMatchObject({ mode: 'dry-run', consistent: true, checked: { records: 2, files: 4 } });
+  });
+
+  test('a dry run reports orphans, missing files and mismatches without changing anything', async () => {
+    const { gone, thumbless } = await breakLibrary();
+    const resized = await store('resized.gif', Buffer.concat([gifBytes, Buffer.from('!')]));
+    fs.appendFileSync(fileOf(resized.variants[0].image_path), 'extra');
+    const tampered = await store('tampered.png', Buffer.concat([pngBytes, Buffer.from('a')]));
+    fs.writeFileSync(fileOf(tampered.image_path), Buffer.concat([pngBytes, Buffer.from('b')]));
+
+    const report = await reconcileStorage({ db, storage }, { now: later() });
+
+    expect(report.consistent).toBe(false);
+    expect(report.orphanFiles).toEqual([{ key: 'images/stray.jpg', size: 5, action: null }]);
+    expect(report.missingFiles).toEqual([
+      { key: storageKeyFromPath(gone.image_path), kind: 'original', imageIds: [gone.id], action: null },
+      { key: storageKeyFromPath(thumbless.variants[0].image_path), kind: 'variant', variant: 'thumb', imageIds: [thumbless.id], action: null }
+    ]);
+    expect(report.mismatches.map(problem => [problem.imageIds[0], problem.problem])).toEqual([
+      [resized.id, 'size'],
+      [tampered.id, 'hash']
+    ]);
+    expect(fs.existsSync(path.join(root, 'images/stray.jpg'))).toBe(true);
+    expect(await db.getImage(gone.id)).toBeTruthy();
+  });
+
+  test('skips hash checks on request and young files without a record', async () => {
+    const tampered = await store('tampered.png', Buffer.concat([pngBytes, Buffer.from('a')]));
+    fs.writeFileSync(fileOf(tampered.image_path), Buffer.concat([pngBytes, Buffer.from('b')]));
+    await storage.save('images/uploading.jpg', Buffer.from('partial'));
+
+    const report = await reconcileStorage({ db, storage }, { checkHashes: false });
+
+    expect(report.consistent).toBe(true);
+  });
+
+  test('repair deletes orphans, drops records without an original and regenerates variants', async () => {
+    const { gone, thumbless } = await breakLibrary();
+
+    const report = await reconcileStorage({ db, storage, renderCache, audit: createAuditLog({ db }) }, { mode: 'repair', now: later() });
+
+    expect(report.orphanFiles[0].action).toBe('deleted');
+    expect(report.missingFiles.map(problem => problem.action)).toEqual(['records removed', 'regenerated']);
+    expect(fs.existsSync(path.join(root, 'images/stray.jpg'))).toBe(false);
+    expect(await db.getImage(gone.id)).toBeFalsy();
+    expect(fs.existsSync(fileOf(gone.variants[0].image_path))).toBe(false);
+    expect(renderCache.invalidate).toHaveBeenCalledWith(gone.id);
+    expect(fs.existsSync(fileOf(thumbless.variants[0].image_path))).toBe(true);
+    expect((await db.listAuditEntries({})).items).toEqual([expect.objectContaining({
+      action: 'purge',
+      image_id: gone.id,
+      actor_id: null,
+      details: { via: 'reconcile', missingFile: storageKeyFromPath(gone.image_path) }
+    })]);
+
+    expect((await reconcileStorage({ db, storage }, { now: later() })).consistent).toBe(true);
+  });
+
+  test('quarantine moves orphans and mismatched files aside and keeps the records', async () => {
+    await storage.save('images/stray.jpg', Buffer.from('stray'));
+    const tampered = await store('tampered.png', Buffer.concat([pngBytes, Buffer.from('a')]));
+    fs.writeFileSync(fileOf(tampered.image_path), Buffer.concat([pngBytes, Buffer.from('b')]));
+
+    const report = await reconcileStorage({ db, storage }, { mode: 'quarantine', now: later() });
+
+    expect(report.orphanFiles[0].action).toBe('quarantined');
+    expect(report.mismatches[0].action).toBe('quarantined');
+    const quarantined = (await storage.list('quarantine/')).map(file => file.key.split('/').slice(2).join('/'));
+    expect(quarantined.sort()).toEqual([storageKeyFromPath(tampered.image_path), 'images/stray.jpg'].sort());
+    expect(fs.existsSync(fileOf(tampered.image_path))).toBe(false);
+    expect(await db.getImage(tampered.id)).toBeTruthy();
+  });
+
+  describe('admin endpoint', () => {
+    let user;
+    let app;
+
+    beforeEach(() => {
+      user = { id: 1, username: 'admin', role: 'admin' };
+      const auth = {
+        requireAdmin: (req, res, next) => (req.user.role === 'admin' ? next() : res.status(403).json({ error: 'Admin access required' }))
+      };
+      app = express();
+      app.use(express.json());
+      app.use((req, res, next) => {
+        req.user = user;
+        next();
+      });
+      app.use('/api', createAdminRouter({ db, storage, renderCache, auth }));
+      app.use(problemHandler());
+    });
+
+    test('is for admins only', async () => {
+      user = { id: 2, username: 'bob', role: 'user' };
+
+      expect((await request(app).get('/api/admin/reconcile')).status).toBe(403);
+      expect((await request(app).post('/api/admin/reconcile').send({ mode: 'repair' })).status).toBe(403);
+    });
+
+    test('reports with GET and acts with POST', async () => {
+      const image = await store('one.gif', gifBytes);
+      fs.unlinkSync(fileOf(image.image_path));
+
+      const dryRun = await request(app).get('/api/admin/reconcile?checkHashes=false');
+      expect(dryRun.status).toBe(200);
+      expect(dryRun.body).toMatchObject({ mode: 'dry-run', checkHashes: false, consistent: false });
+      expect(dryRun.body.missingFiles).toHaveLength(1);
+
+      expect((await request(app).post('/api/admin/reconcile').send({ mode: 'fix' })).status).toBe(400);
+
+      const repair = await request(app).post('/api/admin/reconcile').send({ mode: 'repair' });
+      expect(repair.status).toBe(200);
+      expect(repair.body.missingFiles[0].action).toBe('records removed');
+      expect(await db.getImage(image.id)).toBeFalsy();
+      expect((await db.listAuditEntries({ action: 'purge' })).items).toEqual([
+        expect.objectContaining({ image_id: image.id, actor_id: 1, actor_name: 'admin', details: expect.objectContaining({ via: 'reconcile' }) })
+      ]);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+// __tests__/search.test.js
+const request = require('supertest');
+const express = require('express');
+const { createDb } = require('../db');
+const { createSearchRouter } = require('../routes/search');
+const { parseSearchQuery, rankImage, tokenize } = require('../services/search');
+const { problemHandler } = require('../problems');
+
+describe('search ranking', () => {
+  test('splits text into lower case words', () => {
+    expect(tokenize('Holiday_Photo-2024.JPG')).toEqual(['holiday', 'photo', '2024', 'jpg']);
+    expect(tokenize('Café au lait')).toEqual(['café', 'au', 'lait']);
+  });
+
+  test('validates the query', () => {
+    expect(parseSearchQuery({ q: ' Beach  SUN beach ' })).toMatchObject({ q: 'Beach  SUN beach', terms: ['beach', 'sun'], page: 1 });
+    expect(() => parseSearchQuery({})).toThrow('Missing search query');
+    expect(() => parseSearchQuery({ q: '!!!' })).toThrow('letters or digits');
+    expect(() => parseSearchQuery({ q: 'x'.repeat(201) })).toThrow('too long');
+    expect(() => parseSearchQuery({ q: 'a b c d e f g h i j k' })).toThrow('Too many search terms');
+  });
+
+  test('requires every term to prefix a word and marks the matches', () => {
+    const image = { title: 'Sunset at the beach', original_name: 'IMG_2041.jpg', tags: ['sea'] };
+
+    expect(rankImage(image, ['sun', 'beach'])).toEqual({
+      score: 4 + 8,
+      highlights: [{ field: 'title', text: 'Sunset at the beach', ranges: [[0, 3], [14, 19]] }]
+    });
+    expect(rankImage(image, ['set'])).toBeNull();
+    expect(rankImage(image, ['sun', 'forest'])).toBeNull();
+    expect(rankImage(image, ['img']).highlights).toEqual([
+      { field: 'original_name', text: 'IMG_2041.jpg', ranges: [[0, 3]] }
+    ]);
+  });
+});
+
+describe('GET /api/search', () => {
+  let app;
+  let db;
+  let user;
+
+  beforeEach(async () => {
+    db = createDb({ driver: 'memory' });
+    await db.connect();
+    user = { id: 1, username: 'alice', role: 'admin' };
+    app = express();
+    app.use((req, res, next) => {
+      req.user = user;
+      next();
+    });
+    app.use('/api', createSearchRouter({ db }));
+    app.use(problemHandler());
+  });
+
+  test('ranks title and whole-word matches above partial ones', async () => {
+    const caption = await db.insertImage({ imagePath: 'a', originalName: 'a.jpg', description: 'Walk on the beaches' });
+    const named = await db.insertImage({ imagePath: 'b', originalName: 'beach.png' });
+    const titled = await db.insertImage({ imagePath: 'c', originalName: 'c.png' });
+    await db.updateImage(titled.id, { title: 'Beach day' });
+    await db.insertImage({ imagePath: 'd', originalName: 'mountains.png' });
+
+    const response = await request(app).get('/api/search?q=beach');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ query: 'beach', total: 3, page: 1, totalPages: 1 });
+    expect(response.body.items.map(img => img.id)).toEqual([titled.id, named.id, caption.id]);
+    expect(response.body.items[2].highlights).toEqual([
+      { field: 'description', text: 'Walk on the beaches', ranges: [[12, 17]] }
+    ]);
+  });
+
+  test('matches tags and pages the results', async () => {
+    for (let i = 0; i < 3; i++) {
+      const image = await db.insertImage({ imagePath: `${i}`, originalName: `${i}.jpg` });
+      await db.setImageTags(image.id, ['summer']);
+    }
+
+    const response = await request(app).get('/api/search?q=summ&pageSize=2&page=2');
+
+    expect(response.body).toMatchObject({ total: 3, totalPages: 2 });
+    expect(response.body.items).toHaveLength(1);
+    expect(response.body.items[0].highlights[0]).toEqual({ field: 'tags', text: 'summer', ranges: [[0, 4]] });
+  });
+
+  test('only finds the images of regular users themselves', async () => {
+    await db.insertImage({ imagePath: 'a', originalName: 'beach.png', ownerId: 1 });
+    await db.insertImage({ imagePath: 'b', originalName: 'beach.jpg', ownerId: 2 });
+
+    expect((await request(app).get('/api/search?q=beach')).body.total).toBe(2);
+    user = { id: 2, username: 'bob', role: 'user' };
+    const response = await request(app).get('/api/search?q=beach');
+    expect(response.body.items.map(img => img.original_name)).toEqual(['beach.jpg']);
+  });
+
+  test('answers invalid queries with a 400', async () => {
+    const response = await request(app).get('/api/search?q=');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/Missing search query/);
+  });
+});
@@ -0,0 +1,133 @@
+// __tests__/shares.test.js
+const request = require('supertest');
+const express = require('express');
+const { Readable } = require('stream');
+const { createDb } = require('../db');
+const { createAuth } = require('../auth');
+const { createSharesRouter, createSharedFilesRouter } = require('../routes/shares');
+const { parseShareInput, sharePath } = require('../services/shares');
+const { problemHandler } = require('../problems');
+
+const gifBytes = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+describe('parseShareInput', () => {
+  test('defaults to a day and unlimited downloads', () => {
+    expect(parseShareInput({})).toEqual({ expiresInHours: 24, maxDownloads: null });
+    expect(parseShareInput(undefined)).toEqual({ expiresInHours: 24, maxDownloads: null });
+  });
+
+  test.each([
+    [{ expiresInHours: 0 }, /expiresInHours/],
+    [{ expiresInHours: 721 }, /expiresInHours/],
+    [{ expiresInHours: '5' }, /expiresInHours/],
+    [{ maxDownloads: 0 }, /maxDownloads/],
+    [{ maxDownloads: 1.5 }, /maxDownloads/]
+  ])('rejects %j', (body, message) => {
+    expect(() => parseShareInput(body)).toThrow(message);
+  });
+});
+
+describe('share links', () => {
+  let app;
+  let db;
+  let auth;
+  let image;
+  let user;
+
+  beforeEach(async () => {
+    db = createDb({ driver: 'memory' });
+    await db.connect();
+    auth = createAuth({ db, secret: 'a'.repeat(32) });
+    image = await db.insertImage({ imagePath: '/uploads/images/a.gif', mimeType: 'image/gif', ownerId: 1 });
+    user = { id: 1, username: 'alice', role: 'user' };
+
+    const storage = {
+      createReadStream: async (key) => {
+        if (key !== 'images/a.gif') throw Object.assign(new Error('missing'), { statusCode: 404 });
+        return Readable.from([gifBytes]);
+      }
+    };
+
+    app = express();
+    app.use(express.json());
+    app.use('/api', createSharedFilesRouter({ db, storage, auth }));
+    app.use('/api', (req, res, next) => {
+      req.user = user;
+      next();
+    });
+    app.use('/api', createSharesRouter({ db, auth }));
+    app.use(problemHandler());
+  });
+
+  // Path and query of a link URL, supertest is given paths
+  const pathOf = (url) => url.replace(/^https?:\/\/[^/]+/, '');
+
+  test('creates a signed link that serves the image without a login', async () => {
+    const created = await request(app).post(`/api/images/${image.id}/shares`).send({ expiresInHours: 2 });
+
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ image_id: image.id, max_downloads: null, download_count: 0, active: true });
+    expect(created.body.url).toMatch(/^http:\/\/127\.0\.0\.1:\d+\/api\/shared\/1\?expires=\d+&signature=[\w-]+$/);
+    expect(new Date(created.body.expires_at) - Date.now()).toBeGreaterThan(119 * 60 * 1000);
+
+    const download = await request(app).get(pathOf(created.body.url));
+    expect(download.status).toBe(200);
+    expect(download.headers['content-type']).toBe('image/gif');
+    expect(download.headers['cache-control']).toBe('private, no-store');
+    expect(Buffer.compare(download.body, gifBytes)).toBe(0);
+
+    const [listed] = (await request(app).get(`/api/images/${image.id}/shares`)).body;
+    expect(listed).toMatchObject({ id: 1, download_count: 1 });
+    expect(pathOf(listed.url)).toBe(pathOf(created.body.url));
+  });
+
+  test('refuses links whose id or expiry was changed', async () => {
+    const { url } = (await request(app).post(`/api/images/${image.id}/shares`)).body;
+    const path = pathOf(url);
+    const expires = Number(new URL(url).searchParams.get('expires'));
+
+    expect((await request(app).get(path.replace(`expires=${expires}`, `expires=${expires + 3600}`))).status).toBe(403);
+    expect((await request(app).get(path.replace('/shared/1', '/shared/2'))).status).toBe(403);
+    expect((await request(app).get('/api/shared/1')).status).toBe(403);
+  });
+
+  test('stops serving after the download limit', async () => {
+    const { url } = (await request(app).post(`/api/images/${image.id}/shares`).send({ maxDownloads: 2 })).body;
+
+    expect((await request(app).get(pathOf(url))).status).toBe(200);
+    expect((await request(app).get(pathOf(url))).status).toBe(200);
+
+    const third = await request(app).get(pathOf(url));
+    expect(third.status).toBe(410);
+    expect(third.body).toMatchObject({ code: 'share_link_used_up', detail: 'This share link has no downloads left' });
+  });
+
+  test('expired links are gone', async () => {
+    const link = await db.createShareLink({ imageId: image.id, createdBy: 1, expiresAt: new Date(Date.now() - 1000) });
+
+    const res = await request(app).get(sharePath(auth, link));
+
+    expect(res.status).toBe(410);
+    expect(res.body).toMatchObject({ code: 'share_link_expired', detail: 'This share link has expired' });
+  });
+
+  test('revoked links stop working, links go away with the image', async () => {
+    const { id, url } = (await request(app).post(`/api/images/${image.id}/shares`)).body;
+
+    const revoked = await request(app).delete(`/api/shares/${id}`);
+    expect(revoked.body).toMatchObject({ active: false, revoked_at: expect.any(String) });
+    expect((await request(app).get(pathOf(url))).body.error).toBe('This share link has been revoked');
+
+    await db.deleteImage(image.id);
+    expect((await request(app).get(pathOf(url))).body.error).toBe('The shared image no longer exists');
+  });
+
+  test('only users who can see the image manage its links', async () => {
+    const { id } = (await request(app).post(`/api/images/${image.id}/shares`)).body;
+    user = { id: 2, username: 'bob', role: 'user' };
+
+    expect((await request(app).post(`/api/images/${image.id}/shares`)).status).toBe(404);
+    expect((await request(app).get(`/api/images/${image.id}/shares`)).status).toBe(404);
+    expect((await request(app).delete(`/api/shares/${id}`)).status).toBe(404);
+  });
+});
@@ -0,0 +1,137 @@
+// __tests__/storage.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { createStorage, storageKeyFromPath } = require('../storage');
+const { ConfigurationError, ResourceNotFoundError, ValidationError } = require('../errors');
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+describe('createStorage', () => {
+  test('defaults to local disk', () => {
+    expect(createStorage({ root: os.tmpdir() }).name).toBe('local');
+  });
+
+  test('rejects unknown drivers', () => {
+    expect(() => createStorage({ driver: 'ftp' })).toThrow(ConfigurationError);
+  });
+
+  test('storageKeyFromPath strips the public uploads prefix', () => {
+    expect(storageKeyFromPath('/uploads/images/a.jpg')).toBe('images/a.jpg');
+    expect(storageKeyFromPath('uploads/images/a.jpg')).toBe('images/a.jpg');
+  });
+});
+
+describe('local storage', () => {
+  let root;
+  let storage;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'local-storage-'));
+    storage = createStorage({ driver: 'local', root });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('saves, reads, checks and deletes files', async () => {
+    await storage.save('images/a.txt', Buffer.from('hello'));
+
+    expect(await storage.exists('images/a.txt')).toBe(true);
+    expect(await readAll(await storage.createReadStream('images/a.txt'))).toBe('hello');
+    expect(await storage.delete('images/a.txt')).toBe(true);
+    expect(await storage.delete('images/a.txt')).toBe(false);
+    expect(await storage.exists('images/a.txt')).toBe(false);
+  });
+
+  test('reading a missing file throws ResourceNotFoundError', async () => {
+    await expect(storage.createReadStream('images/missing.jpg')).rejects.toThrow(ResourceNotFoundError);
+  });
+
+  test('refuses keys that escape the root directory', async () => {
+    await expect(storage.save('../outside.txt', Buffer.from('x'))).rejects.toThrow(ValidationError);
+  });
+
+  test('lists files under a prefix with their sizes', async () => {
+    await storage.save('images/a.jpg', Buffer.from('abc'));
+    await storage.save('images/variants/a-thumb.webp', Buffer.from('a'));
+    await storage.save('other/b.txt', Buffer.from('b'));
+
+    const files = await storage.list('images/');
+
+    expect(files.map(file => [file.key, file.size])).toEqual([['images/a.jpg', 3], ['images/variants/a-thumb.webp', 1]]);
+    expect(Math.abs(new Date(files[0].lastModified) - Date.now())).toBeLessThan(60 * 1000);
+    expect(await storage.list('missing/')).toEqual([]);
+  });
+});
+
+describe('s3 storage', () => {
+  const notFound = Object.assign(new Error('not found'), { name: 'NotFound', $metadata: { httpStatusCode: 404 } });
+  let client;
+  let storage;
+
+  beforeEach(() => {
+    client = { send: jest.fn() };
+    storage = createStorage({ driver: 's3', bucket: 'images-bucket', prefix: 'prod/', client });
+  });
+
+  test('requires a bucket', () => {
+    expect(() => createStorage({ driver: 's3' })).toThrow(ConfigurationError);
+  });
+
+  test('saves objects under the configured prefix', async () => {
+    client.send.mockResolvedValueOnce({});
+
+    await storage.save('images/a.jpg', Buffer.from('data'), { contentType: 'image/jpeg' });
+
+    expect(client.send.mock.calls[0][0].input).toEqual({
+      Bucket: 'images-bucket',
+      Key: 'prod/images/a.jpg',
+      Body: Buffer.from('data'),
+      ContentType: 'image/jpeg'
+    });
+  });
+
+  test('returns the object body as the read stream', async () => {
+    client.send.mockResolvedValueOnce({ Body: Readable.from([Buffer.from('stored')]) });
+
+    expect(await readAll(await storage.createReadStream('images/a.jpg'))).toBe('stored');
+  });
+
+  test('maps missing objects to ResourceNotFoundError and false', async () => {
+    client.send.mockRejectedValue(notFound);
+
+    await expect(storage.createReadStream('images/a.jpg')).rejects.toThrow(ResourceNotFoundError);
+    expect(await storage.exists('images/a.jpg')).toBe(false);
+    expect(await storage.delete('images/a.jpg')).toBe(false);
+  });
+
+  test('deletes existing objects', async () => {
+    client.send.mockResolvedValueOnce({}).mockResolvedValueOnce({});
+
+    expect(await storage.delete('images/a.jpg')).toBe(true);
+    expect(client.send.mock.calls[1][0].constructor.name).toBe('DeleteObjectCommand');
+  });
+
+  test('lists objects page by page without the configured prefix', async () => {
+    const modified = new Date('2024-01-01T00:00:00Z');
+    client.send
+      .mockResolvedValueOnce({ Contents: [{ Key: 'prod/images/a.jpg', Size: 3, LastModified: modified }], IsTruncated: true, NextContinuationToken: 'next' })
+      .mockResolvedValueOnce({ Contents: [{ Key: 'prod/images/b.jpg', Size: 5, LastModified: modified }], IsTruncated: false });
+
+    const files = await storage.list('images/');
+
+    expect(files).toEqual([
+      { key: 'images/a.jpg', size: 3, lastModified: modified },
+      { key: 'images/b.jpg', size: 5, lastModified: modified }
+    ]);
+    expect(client.send.mock.calls[0][0].input).toEqual({ Bucket: 'images-bucket', Prefix: 'prod/images/', ContinuationToken: undefined });
+    expect(client.send.mock.calls[1][0].input.ContinuationToken).toBe('next');
+  });
+});
@@ -0,0 +1,93 @@
+// __tests__/transform.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseTransformOptions } = require('../imaging/transform');
+const { createRenderCache } = require('../imaging/renderCache');
+const { ValidationError } = require('../errors');
+
+describe('parseTransformOptions', () => {
+  test('parses a full set of parameters', () => {
+    expect(parseTransformOptions({ w: '400', h: '300', fit: 'contain', format: 'webp', q: '70' })).toEqual({
+      width: 400,
+      height: 300,
+      fit: 'contain',
+      format: 'webp',
+      quality: 70,
+      mimeType: 'image/webp',
+      extension: '.webp'
+    });
+  });
+
+  test('defaults to cover, quality 80 and the source format', () => {
+    expect(parseTransformOptions({ w: '100' }, { sourceFormat: 'jpeg' })).toMatchObject({
+      width: 100,
+      height: null,
+      fit: 'cover',
+      format: 'jpeg',
+      quality: 80
+    });
+  });
+
+  test('falls back to PNG for GIF sources', () => {
+    expect(parseTransformOptions({ h: '100' }, { sourceFormat: 'gif' }).format).toBe('png');
+  });
+
+  test.each([
+    [{}, 'width (w) or height (h) is required'],
+    [{ w: '5000' }, 'between 16 and 2048'],
+    [{ w: '8' }, 'between 16 and 2048'],
+    [{ w: '10.5' }, 'whole number'],
+    [{ w: '100', q: '0' }, 'between 1 and 100'],
+    [{ w: '100', fit: 'stretch' }, 'Invalid fit'],
+    [{ w: '100', format: 'tiff' }, 'Invalid format']
+  ])('rejects %j', (query, message) => {
+    expect(() => parseTransformOptions(query)).toThrow(ValidationError);
+    expect(() => parseTransformOptions(query)).toThrow(message);
+  });
+});
+
+describe('render cache', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'render-cache-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('stores entries by image and parameters', async () => {
+    const cache = createRenderCache({ directory });
+
+    await cache.set(1, { width: 100 }, '.webp', Buffer.from('a'));
+
+    expect((await cache.get(1, { width: 100 }, '.webp')).toString()).toBe('a');
+    expect(await cache.get(1, { width: 200 }, '.webp')).toBeNull();
+    expect(await cache.get(2, { width: 100 }, '.webp')).toBeNull();
+  });
+
+  test('evicts the oldest entries past the size limit', async () => {
+    const cache = createRenderCache({ directory, maxBytes: 10 });
+
+    await cache.set(1, { width: 100 }, '.png', Buffer.alloc(6));
+    const old = new Date(Date.now() - 60000);
+    fs.readdirSync(directory).forEach(name => fs.utimesSync(path.join(directory, name), old, old));
+    await cache.set(1, { width: 200 }, '.png', Buffer.alloc(6));
+
+    expect(await cache.get(1, { width: 100 }, '.png')).toBeNull();
+    expect(await cache.get(1, { width: 200 }, '.png')).not.toBeNull();
+  });
+
+  test('invalidate removes every render of one image', async () => {
+    const cache = createRenderCache({ directory });
+    await cache.set(1, { width: 100 }, '.png', Buffer.from('a'));
+    await cache.set(11, { width: 100 }, '.png', Buffer.from('b'));
+
+    await cache.invalidate(1);
+
+    expect(await cache.get(1, { width: 100 }, '.png')).toBeNull();
+    expect(await cache.get(11, { width: 100 }, '.png')).not.toBeNull();
+  });
+});
@@ -0,0 +1,219 @@
+// __tests__/trash.test.js
+const request = require('supertest');
+const sharp = require('sharp');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDb } = require('../db');
+const { createStorage } = require('../storage');
+const { createImagesRouter } = require('../routes/images');
+const { createTrashRouter } = require('../routes/trash');
+const { createAlbumsRouter } = require('../routes/collections');
+const { purgeExpiredTrash, startTrashSweep } = require('../services/trash');
+const { problemHandler } = require('../problems');
+const { createLogger } = require('../logger');
+const { createAuditLog } = require('../services/audit');
+
+// A 1x1 transparent GIF and a 1x1 PNG
+const gifBytes = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+const pngBytes = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+const day = 24 * 60 * 60 * 1000;
+
+describe('trash', () => {
+  let db;
+  let baseDir;
+  let storage;
+  let renderCache;
+  let user;
+  let app;
+
+  const upload = async (name = 'pixel.gif', bytes = gifBytes) => (await request(app)
+    .post('/api/upload')
+    .attach('image', bytes, { filename: name })).body.image;
+
+  // Originals in storage, variants left out
+  const storedFiles = () => fs.readdirSync(path.join(baseDir, 'uploads/images'), { withFileTypes: true })
+    .filter(entry => entry.isFile())
+    .map(entry => entry.name);
+
+  beforeEach(async () => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trash-'));
+    fs.mkdirSync(path.join(baseDir, 'uploads/images'), { recursive: true });
+    db = createDb({ driver: 'memory' });
+    await db.connect();
+    storage = createStorage({ driver: 'local', root: path.join(baseDir, 'uploads') });
+    renderCache = { invalidate: jest.fn(async () => {}) };
+    user = { id: 1, username: 'alice', role: 'user' };
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = user;
+      next();
+    });
+    app.use('/api', createImagesRouter({ db, storage, renderCache, dedupeMode: 'return' }));
+    app.use('/api', createAlbumsRouter({ db }));
+    app.use('/api', createTrashRouter({ db, storage, renderCache, retentionMs: 30 * day }));
+    app.use(problemHandler());
+  });
+
+  afterEach(() => {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  });
+
+  test('lists deleted images, most recent first, with their purge date', async () => {
+    const first = await upload('one.gif');
+    const second = await upload('two.png', pngBytes);
+    await request(app).delete(`/api/images/${first.id}`);
+
+    const trash = await request(app).get('/api/trash');
+
+    expect(trash.body).toMatchObject({ total: 1, page: 1, totalPages: 1 });
+    const [item] = trash.body.items;
+    expect(item.id).toBe(first.id);
+    expect(new Date(item.purge_at) - new Date(item.deleted_at)).toBe(30 * day);
+    expect((await request(app).get('/api/images')).body.items.map(img => img.id)).toEqual([second.id]);
+  });
+
+  test('restores an image with its albums', async () => {
+    const image = await upload();
+    const album = (await request(app).post('/api/albums').send({ name: 'Trips' })).body;
+    await request(app).put(`/api/albums/${album.id}/images/${image.id}`);
+    await request(app).delete(`/api/images/${image.id}`);
+    expect((await request(app).get(`/api/albums/${album.id}`)).body.image_count).toBe(0);
+
+    const restored = await request(app).post(`/api/trash/${image.id}/restore`);
+
+    expect(restored.status).toBe(200);
+    expect(restored.body.image).toMatchObject({ id: image.id, deleted_at: null, album_ids: [album.id] });
+    expect((await request(app).get(`/api/albums/${album.id}`)).body.image_count).toBe(1);
+    expect((await request(app).post(`/api/trash/${image.id}/restore`)).status).toBe(404);
+    expect((await request(app).delete(`/api/trash/${image.id}`)).status).toBe(404);
+  });
+
+  test('users cannot see, restore or purge the trash of others', async () => {
+    const image = await upload();
+    await request(app).delete(`/api/images/${image.id}`);
+    user = { id: 2, username: 'bob', role: 'user' };
+
+    expect((await request(app).get('/api/trash')).body.total).toBe(0);
+    expect((await request(app).post(`/api/trash/${image.id}/restore`)).status).toBe(404);
+    expect((await request(app).delete(`/api/trash/${image.id}`)).status).toBe(404);
+    expect((await request(app).delete('/api/trash')).body.purged).toBe(0);
+    expect(storedFiles()).toHaveLength(1);
+  });
+
+  test('empties the trash for good', async () => {
+    await upload('one.gif');
+    await upload('two.png', pngBytes);
+    await request(app).delete('/api/images/1');
+    await request(app).delete('/api/images/2');
+
+    const emptied = await request(app).delete('/api/trash');
+
+    expect(emptied.body).toMatchObject({ purged: 2 });
+    expect(storedFiles()).toEqual([]);
+    expect(renderCache.invalidate).toHaveBeenCalledWith(1);
+    expect((await request(app).get('/api/trash')).body.total).toBe(0);
+  });
+
+  test('emptying the trash goes on past images that cannot be purged', async () => {
+    const lines = [];
+    const logger = createLogger({ write: line => lines.push(JSON.parse(line)) });
+    app = express();
+    app.use((req, res, next) => {
+      req.user = user;
+      next();
+    });
+    app.use('/api', createImagesRouter({ db, storage, renderCache }));
+    app.use('/api', createTrashRouter({ db, storage, renderCache, retentionMs: 30 * day, logger }));
+    app.use(problemHandler());
+    const jpegBytes = await sharp({ create: { width: 2, height: 2, channels: 3, background: '#f00' } }).jpeg().toBuffer();
+    const [one] = [await upload('one.gif'), await upload('two.png', pngBytes), await upload('three.jpg', jpegBytes)];
+    for (const id of [1, 2, 3]) await request(app).delete(`/api/images/${id}`);
+    // Image 1's files cannot be deleted, image 2's record cannot be deleted and stays in the trash
+    const deleteFile = storage.delete.bind(storage);
+    jest.spyOn(storage, 'delete').mockImplementation(async key => (one.image_path.endsWith(key) ? Promise.reject(new Error('disk offline')) : deleteFile(key)));
+    const deleteRecord = db.deleteImage.bind(db);
+    jest.spyOn(db, 'deleteImage').mockImplementation(async id => (id === 2 ? Promise.reject(new Error('database offline')) : deleteRecord(id)));
+
+    const emptied = await request(app).delete('/api/trash');
+
+    expect(emptied.body).toEqual({ message: '1 image(s) deleted permanently, 2 could not be deleted', purged: 1, failed: 2 });
+    expect(lines.map(line => [line.msg, line.imageId]).sort()).toEqual([
+      ['Failed to purge an image from the trash', 1],
+      ['Failed to purge an image from the trash', 2]
+    ]);
+    expect((await request(app).get('/api/trash')).body.items.map(image => image.id)).toEqual([2]);
+    expect((await db.listAuditEntries({ action: 'purge' })).items.map(entry => entry.image_id)).toEqual([3]);
+  });
+
+  test('uploading content that is in the trash adds a new record sharing its files', async () => {
+    const trashed = await upload('one.gif');
+    await request(app).delete(`/api/images/${trashed.id}`);
+
+    const again = await upload('two.gif');
+
+    expect(again.id).not.toBe(trashed.id);
+    expect(again.image_path).toBe(trashed.image_path);
+    await request(app).delete(`/api/trash/${trashed.id}`);
+    expect(storedFiles()).toHaveLength(1);
+  });
+
+  test('the sweep purges images past the retention period', async () => {
+    const old = await upload('old.gif');
+    await request(app).delete(`/api/images/${old.id}`);
+    const deps = { db, storage, renderCache, audit: createAuditLog({ db }) };
+
+    expect(await purgeExpiredTrash(deps, { retentionMs: 30 * day })).toBe(0);
+    expect(await purgeExpiredTrash(deps, { retentionMs: 30 * day, now: Date.now() + 31 * day })).toBe(1);
+    expect(await db.getImage(old.id)).toBeNull();
+    expect(storedFiles()).toEqual([]);
+    expect((await db.listAuditEntries({ action: 'purge' })).items).toEqual([
+      expect.objectContaining({ image_id: old.id, actor_id: null, details: { retentionDays: 30 } })
+    ]);
+  });
+
+  test('the sweep goes on past images that cannot be purged', async () => {
+    const lines = [];
+    const logger = createLogger({ write: line => lines.push(JSON.parse(line)) });
+    const deps = { db, storage, renderCache, logger, audit: createAuditLog({ db }) };
+    const later = Date.now() + 2 * day;
+    const broken = await upload('broken.gif');
+    const stuck = await upload('stuck.png', pngBytes);
+    for (const image of [broken, stuck]) await request(app).delete(`/api/images/${image.id}`);
+
+    // The files of the oldest image cannot be deleted
+    const deleteFile = storage.delete.bind(storage);
+    jest.spyOn(storage, 'delete').mockImplementation(async key => (broken.image_path.endsWith(key) ? Promise.reject(new Error('disk offline')) : deleteFile(key)));
+
+    expect(await purgeExpiredTrash(deps, { retentionMs: day, now: later })).toBe(1);
+    expect(await db.getImage(stuck.id)).toBeNull();
+    expect(lines).toEqual([
+      expect.objectContaining({ level: 'error', msg: 'Failed to purge an image from the trash', imageId: broken.id, err: expect.objectContaining({ message: 'disk offline' }) })
+    ]);
+    expect((await db.listAuditEntries({ action: 'purge' })).items.map(entry => entry.image_id)).toEqual([stuck.id]);
+
+    // A record that cannot be deleted stays in the trash and is found again, the sweep still ends
+    const held = await upload('held.gif');
+    await request(app).delete(`/api/images/${held.id}`);
+    jest.spyOn(db, 'deleteImage').mockRejectedValue(new Error('database offline'));
+    expect(await purgeExpiredTrash(deps, { retentionMs: day, now: later })).toBe(0);
+    expect(lines).toHaveLength(2);
+  });
+
+  test('a failing sweep is logged and retried on the next run', async () => {
+    const lines = [];
+    const logger = createLogger({ write: line => lines.push(JSON.parse(line)) });
+    const db = { listTrashedBefore: async () => { throw new Error('offline'); } };
+    const sweeper = startTrashSweep({ db, logger }, { retentionMs: day });
+
+    await expect(sweeper.sweep()).resolves.toBe(0);
+    expect(lines).toEqual([
+      expect.objectContaining({ level: 'error', msg: 'Failed to purge the trash', err: expect.objectContaining({ message: 'offline' }) })
+    ]);
+
+    sweeper.stop();
+  });
+});
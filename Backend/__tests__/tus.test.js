@@ -0,0 +1,126 @@
+// __tests__/tus.test.js
+const request = require('supertest');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDb } = require('../db');
+const { createStorage } = require('../storage');
+const { createTusRouter } = require('../routes/tus');
+
+const gifBytes = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+const encodeMetadata = (metadata) => Object.entries(metadata)
+  .map(([key, value]) => `${key} ${Buffer.from(value).toString('base64')}`)
+  .join(',');
+
+// Every request runs as the user that owns the uploads
+const loggedIn = (req, res, next) => {
+  req.user = { id: 1, username: 'carol', role: 'user' };
+  next();
+};
+
+describe('resumable uploads (tus)', () => {
+  let baseDir;
+  let db;
+  let tus;
+  let app;
+
+  const createUpload = (length, metadata = { filename: 'pixel.gif' }) => request(app)
+    .post('/api/tus')
+    .set('Tus-Resumable', '1.0.0')
+    .set('Upload-Length', String(length))
+    .set('Upload-Metadata', encodeMetadata(metadata));
+
+  const patch = (location, offset, chunk) => request(app)
+    .patch(location)
+    .set('Tus-Resumable', '1.0.0')
+    .set('Upload-Offset', String(offset))
+    .set('Content-Type', 'application/offset+octet-stream')
+    .send(chunk);
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tus-'));
+    db = createDb({ driver: 'memory' });
+    await db.connect();
+    tus = createTusRouter({
+      db,
+      storage: createStorage({ driver: 'local', root: path.join(baseDir, 'uploads') }),
+      directory: path.join(baseDir, 'tus'),
+      maxFileSize: 1024
+    });
+    app = express();
+    app.use(loggedIn);
+    app.use('/api/tus', tus.router);
+  });
+
+  afterEach(async () => {
+    tus.stop();
+    // FileStore creates its directory asynchronously, let that finish before removing it
+    await new Promise(resolve => setImmediate(resolve));
+    fs.rmSync(baseDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('resumes an interrupted upload and stores the finished image', async () => {
+    const created = await createUpload(gifBytes.length, { filename: 'pixel.gif', uploaded_by: 'mallory' });
+    expect(created.status).toBe(201);
+    const location = created.headers.location;
+    expect(location).toMatch(/^\/api\/tus\/\w+$/);
+
+    const firstChunk = await patch(location, 0, gifBytes.subarray(0, 20));
+    expect(firstChunk.status).toBe(204);
+    expect(firstChunk.headers['upload-expires']).toBeDefined();
+
+    // After an interruption the client asks where to continue
+    const head = await request(app).head(location).set('Tus-Resumable', '1.0.0');
+    expect(head.headers['upload-offset']).toBe('20');
+
+    const finished = await patch(location, 20, gifBytes.subarray(20));
+    expect(finished.status).toBe(200);
+    expect(JSON.parse(finished.text).image).toMatchObject({
+      original_name: 'pixel.gif',
+      uploaded_by: 'carol',
+      mime_type: 'image/gif'
+    });
+    expect((await db.listImages()).items).toHaveLength(1);
+    expect(fs.readdirSync(path.join(baseDir, 'tus')).filter(name => !name.endsWith('.json'))).toEqual([]);
+  });
+
+  test('finished uploads go through the same validation', async () => {
+    const content = Buffer.from('<html>not an image</html>');
+    const created = await createUpload(content.length, { filename: 'page.gif' });
+
+    const finished = await patch(created.headers.location, 0, content);
+
+    expect(finished.status).toBe(415);
+    expect(JSON.parse(finished.text).error).toMatch(/Unsupported file type/);
+    expect((await db.listImages()).items).toEqual([]);
+  });
+
+  test('enforces the configured size limit', async () => {
+    const created = await createUpload(2048);
+
+    expect(created.status).toBe(413);
+  });
+
+  test('removes uploads that expired before finishing', async () => {
+    tus.stop();
+    tus = createTusRouter({
+      db,
+      storage: createStorage({ driver: 'local', root: path.join(baseDir, 'uploads') }),
+      directory: path.join(baseDir, 'tus'),
+      expirationMs: 1
+    });
+    app = express();
+    app.use(loggedIn);
+    app.use('/api/tus', tus.router);
+
+    const created = await createUpload(gifBytes.length);
+    await patch(created.headers.location, 0, gifBytes.subarray(0, 10));
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    expect(await tus.cleanUpExpired()).toBe(1);
+    expect((await request(app).head(created.headers.location).set('Tus-Resumable', '1.0.0')).status).toBe(404);
+  });
+});
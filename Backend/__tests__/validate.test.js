@@ -0,0 +1,57 @@
+// __tests__/validate.test.js
+const sharp = require('sharp');
+const { detectImageType, validateImage } = require('../imaging/validate');
+const { UnsupportedMediaTypeError, ValidationError } = require('../errors');
+
+const makeImage = (format) => sharp({
+  create: { width: 4, height: 3, channels: 3, background: '#336699' }
+})[format]().toBuffer();
+
+describe('detectImageType', () => {
+  test.each([
+    ['jpeg', 'image/jpeg', '.jpg'],
+    ['png', 'image/png', '.png'],
+    ['gif', 'image/gif', '.gif']
+  ])('recognises %s by its magic bytes', async (format, mimeType, extension) => {
+    expect(detectImageType(await makeImage(format))).toMatchObject({ mimeType, extension });
+  });
+
+  test('returns null for anything else', () => {
+    expect(detectImageType(Buffer.from('<html><script>alert(1)</script></html>'))).toBeNull();
+    expect(detectImageType(Buffer.alloc(0))).toBeNull();
+  });
+});
+
+describe('validateImage', () => {
+  test('returns the detected type and dimensions', async () => {
+    await expect(validateImage(await makeImage('png'))).resolves.toMatchObject({
+      mimeType: 'image/png',
+      extension: '.png',
+      width: 4,
+      height: 3
+    });
+  });
+
+  test('rejects non-image content with a 415', async () => {
+    const error = await validateImage(Buffer.from('<html></html>')).catch(err => err);
+
+    expect(error).toBeInstanceOf(UnsupportedMediaTypeError);
+    expect(error.statusCode).toBe(415);
+  });
+
+  test('rejects supported images of a type that is not allowed', async () => {
+    const gif = await makeImage('gif');
+
+    await expect(validateImage(gif, { allowedTypes: ['jpeg', 'png'] }))
+      .rejects.toThrow('Unsupported file type: only JPEG and PNG images are allowed');
+    await expect(validateImage(await makeImage('png'), { allowedTypes: ['png'] })).resolves.toMatchObject({ format: 'png' });
+  });
+
+  test('rejects files that only start like an image', async () => {
+    const png = await makeImage('png');
+    const truncated = png.subarray(0, 20);
+
+    await expect(validateImage(truncated)).rejects.toThrow(ValidationError);
+    await expect(validateImage(truncated)).rejects.toThrow('could not be decoded');
+  });
+});
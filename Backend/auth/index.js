@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { AuthenticationError, ForbiddenError } = require('../errors');
+const { isApiKey, hashApiKey, requiredScope } = require('../services/apiKeys');
+
+const cookieName = 'token';
+
+// Admins see every image, everyone else only their own. Images in the trash are left out
+// unless includeTrashed is set, they only show up in the trash view.
+const canAccess = (user, image, { includeTrashed = false } = {}) => Boolean(
+  user && image
+  && (includeTrashed || !image.deleted_at)
+  && (user.role === 'admin' || image.owner_id === user.id)
+);
+
+// Albums are private the same way: admins see every album, everyone else only their own
+const canAccessAlbum = (user, album) => Boolean(
+  user && album
+  && (user.role === 'admin' || album.owner_id === user.id)
+);
+
+// Owner filter for list and search queries, null lets admins see everything
+const ownerScope = (user) => (user.role === 'admin' ? null : user.id);
+
+// last_used_at of an API key is updated at most this often, not on every request
+const keyUsageResolutionMs = 60 * 1000;
+
+// Login tokens (JWT, HS256) and API keys, and the middleware that checks them.
+// A token is accepted from an Authorization: Bearer header or the httpOnly login cookie,
+// so plain <img> requests from the gallery are authenticated too. API keys may also be sent as X-API-Key.
+function createAuth({ db, secret, tokenTtlSeconds = 24 * 60 * 60 }) {
+  const signingKey = secret || crypto.randomBytes(32).toString('hex');
+
+  const issueToken = (user) => jwt.sign(
+    { sub: String(user.id), username: user.username, role: user.role },
+    signingKey,
+    { algorithm: 'HS256', expiresIn: tokenTtlSeconds }
+  );
+
+  // SameSite=Lax keeps the cookie off cross-site form posts and requests
+  const cookieOptions = (req) => ({
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    maxAge: tokenTtlSeconds * 1000,
+    path: '/'
+  });
+
+  // Signatures for values handed out in URLs, such as share links, with their own key derived from the login secret
+  const urlSigningKey = crypto.createHmac('sha256', signingKey).update('signed urls').digest();
+  const signValue = (value) => crypto.createHmac('sha256', urlSigningKey).update(value).digest('base64url');
+  const verifySignature = (value, signature) => {
+    const expected = Buffer.from(signValue(value));
+    const given = Buffer.from(typeof signature === 'string' ? signature : '');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  };
+
+  const setLoginCookie = (req, res, token) => res.cookie(cookieName, token, cookieOptions(req));
+  const clearLoginCookie = (req, res) => res.clearCookie(cookieName, { ...cookieOptions(req), maxAge: undefined });
+
+  const tokenFrom = (req) => {
+    if (req.get('X-API-Key')) return req.get('X-API-Key').trim();
+    const header = req.get('Authorization') || '';
+    if (header.startsWith('Bearer ')) return header.slice(7).trim();
+    return req.cookies ? req.cookies[cookieName] : null;
+  };
+
+  // The owner of an API key, with the key's id, name and scopes. Revoked keys are refused.
+  const resolveApiKey = async (token) => {
+    const key = await db.findApiKeyByHash(hashApiKey(token));
+    if (!key || key.revoked_at) return null;
+
+    const user = await db.getUser(key.user_id);
+    if (!user) return null;
+
+    if (!key.last_used_at || Date.now() - new Date(key.last_used_at) > keyUsageResolutionMs) {
+      await db.touchApiKey(key.id);
+    }
+    return {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      apiKey: { id: key.id, name: key.name, scopes: key.scopes }
+    };
+  };
+
+  // Resolve the user of a request, null when it carries no valid token or key.
+  // The user is read from the store every time, so deleted users and role changes take effect at once.
+  const resolveUser = async (req) => {
+    const token = tokenFrom(req);
+    if (!token) return null;
+    if (isApiKey(token)) return resolveApiKey(token);
+
+    let payload;
+    try {
+      payload = jwt.verify(token, signingKey, { algorithms: ['HS256'] });
+    } catch (err) {
+      return null;
+    }
+
+    const user = await db.getUser(parseInt(payload.sub));
+    return user ? { id: user.id, username: user.username, role: user.role } : null;
+  };
+
+  // Middleware: reject requests without a valid login with a 401
+  const requireUser = async (req, res, next) => {
+    try {
+      req.user = await resolveUser(req);
+    } catch (err) {
+      return next(err);
+    }
+    if (!req.user) return next(new AuthenticationError('Login required'));
+    next();
+  };
+
+  // Middleware, after requireUser: requests made with an API key need the matching scope,
+  // logins in the browser may do everything
+  const requireScope = (req, res, next) => {
+    const scope = requiredScope(req);
+    if (!req.user.apiKey || req.user.apiKey.scopes.includes(scope)) return next();
+    next(new ForbiddenError(`This API key lacks the "${scope}" scope`, 'missing_scope'));
+  };
+
+  // Middleware, after requireUser: only admins may continue
+  const requireAdmin = (req, res, next) => {
+    if (req.user && req.user.role === 'admin') return next();
+    next(new ForbiddenError('Admin access required', 'admin_required'));
+  };
+
+  return {
+    issueToken,
+    setLoginCookie,
+    clearLoginCookie,
+    signValue,
+    verifySignature,
+    resolveUser,
+    requireUser,
+    requireScope,
+    requireAdmin,
+    usesRandomSecret: !secret
+  };
+}
+
+module.exports = { createAuth, canAccess, canAccessAlbum, ownerScope, cookieName };
@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+const keyLength = 64;
+
+// Hash a password with scrypt and a random salt, stored as scrypt$<salt>$<hash>
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, keyLength);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+// Check a password against a stored hash in constant time
+async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+
+  const expectedHash = Buffer.from(expected, 'base64');
+  const hash = await scrypt(password, Buffer.from(salt, 'base64'), expectedHash.length);
+  return crypto.timingSafeEqual(hash, expectedHash);
+}
+
+module.exports = { hashPassword, verifyPassword };
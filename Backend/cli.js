@@ -0,0 +1,446 @@
+// Admin commands of server.js and the packaged ImageUploader.exe, to manage a deployment from a
+// terminal. They go through the same services as the HTTP routes: the same validation, dedupe,
+// trash and audit log. See usage below; configuration flags such as --db-driver or --config work
+// like for the server. Exits with 0 when everything went well, 1 on an error, and 2 when files
+// failed to import or export, or when verify or config show found problems.
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { pipeline } = require('stream/promises');
+const { loadConfig, inspectConfig, parseArgs, writeConfigFile, settings } = require('./config');
+const { valueAt } = require('./config/schema');
+const { createDb } = require('./db');
+const { migrate, migrationStatus, loadMigrations } = require('./db/migrator');
+const { createStorage, storageKeyFromPath } = require('./storage');
+const { createRenderCache } = require('./imaging/renderCache');
+const { storeImage } = require('./services/images');
+const { parseListQuery } = require('./services/imageQuery');
+const { purgeImage } = require('./services/trash');
+const { reconcileStorage, parseReconcileOptions } = require('./services/reconcile');
+const { createAuditLog } = require('./services/audit');
+const { createAccount, changeUserRole, roles } = require('./services/users');
+const { createLogger } = require('./logger');
+const { toProblem } = require('./problems');
+const { requireId } = require('./routes/helpers');
+const { ValidationError, PayloadTooLargeError, ResourceNotFoundError } = require('./errors');
+
+const usage = [
+  'Usage: node server.js <command> [options], or ImageUploader.exe <command> [options]',
+  '  import <folder> [--recursive] [--owner <username>]  Upload every image in a folder',
+  '  list [--page 2] [--page-size 50] [--sort date|size|name] [--order asc|desc]',
+  '       [--from <date>] [--to <date>] [--type png] [--album <id>] [--tag beach] [--trashed] [--json]',
+  '                                                      List images like GET /api/images',
+  '  delete <id> [--permanent]                           Move an image to the trash, or delete it for good',
+  '  export [folder] [--include-trashed]                 Print every image record as a JSON line, or copy the',
+  '                                                      originals to a folder with an images.json manifest',
+  '  verify [--repair|--quarantine] [--skip-hashes]      Check the database, its schema and the stored files',
+  '  user add <username> [--admin]                       Create an account, the password is read from the terminal or stdin',
+  '  user role <username> <admin|user>                   Make an account an admin or a regular user',
+  '  config show                                         Show every setting and where its value comes from',
+  '  config set <setting> <value>                        Change a setting in the config file',
+  'Without a command the server starts.'
+];
+
+// Options of a command: --name value or --name=value for values, --name for switches.
+// Anything else is a positional argument, at most the given number of them.
+function parseOptions(args, { values = [], switches = [], positional = 0 } = {}) {
+  const options = {};
+  const rest = [];
+  for (let index = 0; index < args.length; index++) {
+    const match = /^--([^=]+)(?:=(.*))?$/.exec(args[index]);
+    if (!match) {
+      rest.push(args[index]);
+      continue;
+    }
+    const [, name, inline] = match;
+    if (switches.includes(name) && inline === undefined) {
+      options[name] = true;
+    } else if (values.includes(name)) {
+      const value = inline !== undefined ? inline : args[++index];
+      if (value === undefined) throw new ValidationError(`--${name} needs a value`);
+      options[name] = value;
+    } else {
+      throw new ValidationError(`Unknown option --${name}`, 'unknown_option');
+    }
+  }
+  if (rest.length > positional) throw new ValidationError(`Unexpected argument "${rest[positional]}"`);
+  return { positional: rest, options };
+}
+
+// Files in a folder, sorted by name, without hidden files such as .DS_Store
+function listFiles(folder, recursive) {
+  return fs.readdirSync(folder, { withFileTypes: true })
+    .filter(entry => !entry.name.startsWith('.'))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry => {
+      const fullPath = path.join(folder, entry.name);
+      if (entry.isDirectory()) return recursive ? listFiles(fullPath, true) : [];
+      return entry.isFile() ? [fullPath] : [];
+    });
+}
+
+// A password typed on the terminal, or piped in on stdin; never an argument, so it stays out of the
+// shell history
+async function readPassword(input, output) {
+  if (input.isTTY) {
+    const rl = readline.createInterface({ input, output });
+    try {
+      return await new Promise(resolve => rl.question('Password: ', resolve));
+    } finally {
+      rl.close();
+    }
+  }
+  const chunks = [];
+  for await (const chunk of input) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks).toString('utf8').replace(/\r?\n$/, '');
+}
+
+// Rows as columns padded to their widest value
+const printTable = (print, rows) => {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => String(row[column]).length)));
+  rows.forEach(row => print(row.map((value, column) => String(value).padEnd(widths[column])).join('  ').trimEnd()));
+};
+
+function printReconcileReport(report, print = line => console.log(line)) {
+  const describe = (problem, text) => {
+    const outcome = problem.error ? `failed: ${problem.error}` : problem.action;
+    print(`  ${problem.key}  ${text}${outcome ? `  -> ${outcome}` : ''}`);
+  };
+
+  print(`Checked ${report.checked.records} record(s) and ${report.checked.files} file(s)`);
+  if (report.orphanFiles.length) {
+    print(`\nFiles without a record (${report.orphanFiles.length}):`);
+    report.orphanFiles.forEach(problem => describe(problem, `${problem.size} bytes`));
+  }
+  if (report.missingFiles.length) {
+    print(`\nMissing files (${report.missingFiles.length}):`);
+    report.missingFiles.forEach(problem => describe(problem,
+      `${problem.variant ? `${problem.variant} variant` : 'original'} of image ${problem.imageIds.join(', ')}`));
+  }
+  if (report.mismatches.length) {
+    print(`\nFiles that do not match their record (${report.mismatches.length}):`);
+    report.mismatches.forEach(problem => describe(problem,
+      `${problem.problem} is ${problem.actual}, expected ${problem.expected} (image ${problem.imageIds.join(', ')})`));
+  }
+  if (report.consistent) {
+    print('✅ Storage and records are consistent');
+  } else if (report.mode === 'dry-run') {
+    print('\n⚠️ Run with --repair or --quarantine to fix these problems');
+  }
+}
+
+// Commands that work on the deployment, called with the connected services and their arguments.
+// Changes are recorded in the audit log without an actor, like the server's own jobs, and with
+// via: 'cli' in their details.
+const commands = {
+  async import({ config, db, storage, audit, baseDir, print }, args) {
+    const { positional: [folder], options } = parseOptions(args, { values: ['owner'], switches: ['recursive'], positional: 1 });
+    if (!folder) throw new ValidationError('Usage: import <folder> [--recursive] [--owner <username>]');
+    const root = path.resolve(baseDir, folder);
+    if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+      throw new ResourceNotFoundError(`Folder not found: ${root}`, 'folder_not_found');
+    }
+
+    // Without an owner the images belong to no user, only admins see them
+    let owner = null;
+    if (options.owner) {
+      owner = await db.findUserByUsername(options.owner);
+      if (!owner) throw new ResourceNotFoundError(`User "${options.owner}" not found`, 'user_not_found');
+    }
+
+    const maxFileSize = config.upload.maxUploadMb * 1024 * 1024;
+    const counts = { uploaded: 0, duplicate: 0, rejected: 0, failed: 0 };
+    for (const file of listFiles(root, Boolean(options.recursive))) {
+      const originalName = path.basename(file);
+      let status;
+      let outcome;
+      try {
+        if (fs.statSync(file).size > maxFileSize) {
+          throw new PayloadTooLargeError(`File too large: the maximum size is ${config.upload.maxUploadMb} MB`);
+        }
+        const { image, duplicate } = await storeImage({ db, storage, dedupeMode: config.upload.dedupe, allowedTypes: config.upload.allowedTypes }, {
+          buffer: fs.readFileSync(file),
+          originalName,
+          uploadedBy: owner ? owner.username : 'import',
+          ownerId: owner ? owner.id : null
+        });
+        await audit.record(null, 'upload', { imageId: image.id, details: { originalName, duplicate, via: 'cli' } });
+        status = duplicate ? 'duplicate' : 'uploaded';
+        outcome = `image ${image.id}`;
+      } catch (err) {
+        const problem = toProblem(err, { exposeDetails: true });
+        status = problem.status < 500 ? 'rejected' : 'failed';
+        outcome = `${problem.code}: ${problem.details || problem.detail}`;
+      }
+      counts[status]++;
+      print(`${status.padEnd(9)}  ${path.relative(root, file)}  ${outcome}`);
+    }
+
+    print(`${counts.uploaded} uploaded, ${counts.duplicate} duplicate(s), ${counts.rejected} rejected, ${counts.failed} failed`);
+    return counts.rejected || counts.failed ? 2 : 0;
+  },
+
+  async list({ db, print }, args) {
+    const { options } = parseOptions(args, {
+      values: ['page', 'page-size', 'sort', 'order', 'from', 'to', 'type', 'album', 'tag'],
+      switches: ['trashed', 'json']
+    });
+    const query = parseListQuery({ ...options, pageSize: options['page-size'] });
+    const { items, total } = await db.listImages({ ...query, trashed: Boolean(options.trashed) });
+    const totalPages = Math.ceil(total / query.pageSize);
+
+    if (options.json) {
+      print(JSON.stringify({ items, total, page: query.page, pageSize: query.pageSize, totalPages }, null, 2));
+      return 0;
+    }
+    if (items.length) {
+      printTable(print, [
+        ['ID', 'SIZE', 'DIMENSIONS', 'UPLOADED', 'NAME'],
+        ...items.map(image => [
+          image.id,
+          image.size_bytes === null ? '-' : image.size_bytes,
+          image.width ? `${image.width}x${image.height}` : '-',
+          new Date(image.upload_date).toISOString(),
+          image.original_name || path.basename(image.image_path)
+        ])
+      ]);
+    }
+    print(`Page ${query.page} of ${Math.max(totalPages, 1)}, ${total} image(s)`);
+    return 0;
+  },
+
+  async delete({ db, storage, audit, logger, renderCache, print }, args) {
+    const { positional: [rawId], options } = parseOptions(args, { switches: ['permanent'], positional: 1 });
+    const id = requireId(rawId);
+    const image = await db.getImage(id);
+    if (!image) throw new ResourceNotFoundError('Image not found', 'image_not_found');
+
+    // For good, without going through the trash first
+    if (options.permanent) {
+      await purgeImage({ db, storage, renderCache: renderCache(), logger }, image);
+      await audit.record(null, 'purge', { imageId: id, details: { via: 'cli' } });
+      print(`✅ Image ${id} deleted permanently`);
+      return 0;
+    }
+
+    if (image.deleted_at) {
+      print(`Image ${id} is already in the trash, use --permanent to delete it for good`);
+      return 0;
+    }
+    await db.trashImage(id);
+    await audit.record(null, 'delete', { imageId: id, details: { via: 'cli' } });
+    print(`✅ Image ${id} moved to the trash`);
+    return 0;
+  },
+
+  // Every image record in id order. With a folder, the originals are copied into it as
+  // <id>-<name> and the records written to images.json, each with the file it was copied to.
+  async export({ db, storage, baseDir, print, warn }, args) {
+    const { positional: [folder], options } = parseOptions(args, { switches: ['include-trashed'], positional: 1 });
+    const target = folder ? path.resolve(baseDir, folder) : null;
+    if (target) fs.mkdirSync(target, { recursive: true });
+
+    const manifest = [];
+    let missing = 0;
+    let afterId = 0;
+    for (;;) {
+      const batch = await db.listImagesAfter(afterId, { limit: 100 });
+      if (!batch.length) break;
+      afterId = batch[batch.length - 1].id;
+
+      for (const image of batch.filter(item => options['include-trashed'] || !item.deleted_at)) {
+        if (!target) {
+          print(JSON.stringify(image));
+          continue;
+        }
+        const file = `${image.id}-${(image.original_name || path.basename(image.image_path)).replace(/[^\w.-]+/g, '_')}`;
+        try {
+          const stream = await storage.createReadStream(storageKeyFromPath(image.image_path));
+          await pipeline(stream, fs.createWriteStream(path.join(target, file)));
+          manifest.push({ ...image, file });
+        } catch (err) {
+          if (err.statusCode !== 404) throw err;
+          warn(`⚠️ Original of image ${image.id} not found: ${image.image_path}`);
+          manifest.push({ ...image, file: null });
+          missing++;
+        }
+      }
+    }
+
+    if (target) {
+      fs.writeFileSync(path.join(target, 'images.json'), JSON.stringify(manifest, null, 2));
+      print(`✅ Exported ${manifest.length - missing} image(s) to ${target}${missing ? `, ${missing} original(s) missing` : ''}`);
+    }
+    return missing ? 2 : 0;
+  },
+
+  // Accounts. Registering never makes an admin, this is how the first one is created
+  async user({ db, readPassword: askPassword, print }, [action, ...args]) {
+    if (action === 'add') {
+      const { positional: [username], options } = parseOptions(args, { switches: ['admin'], positional: 1 });
+      if (!username) throw new ValidationError('Usage: user add <username> [--admin]');
+      const role = options.admin ? 'admin' : 'user';
+      const user = await createAccount({ db }, { username, password: await askPassword() }, { role });
+      print(`✅ Created ${user.role} ${user.username} (id ${user.id})`);
+      return 0;
+    }
+    if (action === 'role') {
+      const { positional: [username, role] } = parseOptions(args, { positional: 2 });
+      if (!role) throw new ValidationError(`Usage: user role <username> <${roles.join('|')}>`);
+      const user = await changeUserRole({ db }, username, role);
+      print(`✅ ${user.username} is now ${user.role === 'admin' ? 'an admin' : 'a regular user'}`);
+      return 0;
+    }
+    throw new ValidationError('Usage: user add <username> [--admin], or user role <username> <admin|user>');
+  },
+
+  // The database first: a schema that is not up to date is reported rather than migrated, then the
+  // stored files are checked against the records like the reconcile script does
+  async verify({ db, storage, audit, renderCache, print }, args) {
+    const { options } = parseOptions(args, { switches: ['repair', 'quarantine', 'skip-hashes'] });
+    if (options.repair && options.quarantine) throw new ValidationError('Use either --repair or --quarantine');
+
+    await db.ping();
+    print(`✅ Database reachable (${db.name})`);
+    const pending = (await migrationStatus(db)).filter(row => !row.applied);
+    if (pending.length) {
+      print(`⚠️ ${pending.length} pending migration(s): ${pending.map(row => `${String(row.version).padStart(3, '0')}_${row.name}`).join(', ')}`);
+      print('Run npm run migrate -- up, or start the server, before checking the stored files');
+      return 2;
+    }
+    print('✅ Schema up to date');
+
+    const reconcileOptions = parseReconcileOptions({
+      mode: options.repair ? 'repair' : options.quarantine ? 'quarantine' : 'dry-run',
+      checkHashes: !options['skip-hashes']
+    });
+    const report = await reconcileStorage({ db, storage, renderCache: renderCache(), audit }, reconcileOptions);
+    printReconcileReport(report, print);
+    return reconcileOptions.mode === 'dry-run' && !report.consistent ? 2 : 0;
+  }
+};
+
+// A setting as config show prints it, secrets never in the clear
+const showValue = (setting, value) => {
+  if (value === null || value === undefined) return '-';
+  if (setting.secret) return '******';
+  return Array.isArray(value) ? value.join(',') : String(value);
+};
+
+// config show and config set work on the config file without connecting, so they also work, and
+// help fixing, a configuration that does not load
+function configCommand({ argv, env, baseDir, print }, [action, ...args]) {
+  if (action === 'show') {
+    parseOptions(args);
+    const { config, sources, problems, warnings, configFile } = inspectConfig({ argv, env, baseDir });
+    print(`Config file: ${configFile}${fs.existsSync(configFile) ? '' : ' (not found)'}`);
+    printTable(print, [
+      ['SETTING', 'VALUE', 'SOURCE'],
+      ...settings.map(setting => [setting.key, showValue(setting, valueAt(config, setting.key)), sources[setting.key]])
+    ]);
+    warnings.forEach(warning => print(`⚠️ ${warning}`));
+    problems.forEach(problem => print(`❌ ${problem}`));
+    return problems.length ? 2 : 0;
+  }
+
+  if (action === 'set') {
+    const { positional: [name, value] } = parseOptions(args, { positional: 2 });
+    if (value === undefined) throw new ValidationError('Usage: config set <setting> <value>');
+    // By its key or its name in the config file; a --flag would be taken as the flag itself
+    const setting = settings.find(candidate => candidate.key === name || candidate.file === name);
+    if (!setting) throw new ValidationError(`Unknown setting "${name}", config show lists them`, 'unknown_setting');
+
+    // Secrets only as a reference or encrypted, the same as the prompt saves them
+    let stored = value;
+    if (setting.secret) {
+      if (!/^(enc|file|env):/.test(value)) {
+        throw new ValidationError(`${setting.key} is a secret: store it encrypted (npm run secret -- encrypt), as file:<path> or env:<name>, or set ${setting.env[0]} instead`, 'plain_secret');
+      }
+    } else {
+      try {
+        const parsed = setting.type.parse(value);
+        // Directories stay as given, relative to where the server runs
+        stored = setting.type.directory ? value : parsed;
+      } catch (err) {
+        throw new ValidationError(`${setting.key} ${err.message} (got ${JSON.stringify(value)})`);
+      }
+    }
+
+    const { configFile } = inspectConfig({ argv, env, baseDir });
+    writeConfigFile(configFile, { [setting.file]: stored });
+    print(`✅ ${setting.key} saved to ${configFile}`);
+
+    // Flags and environment variables come first, say so when one of them hides the new value
+    const after = inspectConfig({ argv, env, baseDir });
+    const source = after.sources[setting.key];
+    if (!source.endsWith(`"${setting.file}"`)) print(`⚠️ ${source} overrides this value`);
+    after.problems.forEach(problem => print(`❌ ${problem}`));
+    return after.problems.length ? 2 : 0;
+  }
+
+  throw new ValidationError('Usage: config show, or config set <setting> <value>');
+}
+
+// Whether the command line names a command rather than only configuration flags for the server
+function hasCommand(argv) {
+  try {
+    const [command] = parseArgs(argv).rest;
+    return Boolean(command) && !command.startsWith('-');
+  } catch (err) {
+    return false;
+  }
+}
+
+// Run a command, resolving with the exit code. The database is connected and migrated like when
+// the server starts, except for verify, which reports the pending migrations instead.
+// Log lines go to warn, so they do not mix with what a command prints. user add reads the password
+// from input.
+async function runCli(argv, {
+  env = process.env,
+  baseDir = process.cwd(),
+  interactive,
+  input = process.stdin,
+  print = line => console.log(line),
+  warn = line => console.error(line)
+} = {}) {
+  const [command, ...args] = parseArgs(argv).rest;
+  if (!command || command === 'help') {
+    usage.forEach(line => print(line));
+    return command ? 0 : 1;
+  }
+  if (command === 'config') return configCommand({ argv, env, baseDir, print }, args);
+  if (!Object.hasOwn(commands, command)) {
+    throw new ValidationError(`Unknown command "${command}". Use one of: ${[...Object.keys(commands), 'config', 'help'].join(', ')}`, 'unknown_command');
+  }
+
+  const { config, warnings } = await loadConfig({ argv, env, baseDir, interactive, askForPort: false });
+  warnings.forEach(warning => warn(`⚠️ ${warning}`));
+  const logger = createLogger({ level: config.logLevel, write: line => warn(line) });
+
+  const db = createDb(config.db);
+  await db.connect();
+  try {
+    if (command !== 'verify') await migrate(db, loadMigrations(), message => logger.info(message));
+    const context = {
+      config,
+      db,
+      storage: createStorage(config.storage),
+      audit: createAuditLog({ db, logger }),
+      // Only the commands that drop images need the render cache, which creates its directory
+      renderCache: () => createRenderCache({
+        directory: path.join(config.directories.cache, 'renders'),
+        maxBytes: Math.round(config.renderCacheMaxMb * 1024 * 1024)
+      }),
+      readPassword: () => readPassword(input, process.stdout),
+      logger,
+      baseDir,
+      print,
+      warn
+    };
+    return await commands[command](context, args);
+  } finally {
+    await db.close();
+  }
+}
+
+module.exports = { runCli, hasCommand, parseOptions, printReconcileReport, usage };
@@ -0,0 +1,292 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { ConfigurationError } = require('../errors');
+const { settings, crossChecks, requiredForMssql, valueAt, types } = require('./schema');
+const { resolveSecret, loadConfigKey, encryptSecret } = require('./secrets');
+
+// Every setting can come from four places, the first one that has it wins:
+//   1. command line flags   --port 3002, --db-driver=memory
+//   2. environment           PORT, DB_DRIVER, ... (.env is loaded into it by the scripts)
+//   3. config.json           or the file named by --config / CONFIG_FILE
+//   4. defaults              see config/schema
+// Missing SQL Server settings are prompted for on a terminal, unless --non-interactive or
+// NON_INTERACTIVE=true is given; without a terminal startup fails with the list of what is missing.
+
+const defaultConfigFile = 'config.json';
+
+// Flags of the loader itself, on top of those of the settings
+const loaderFlags = { config: 'value', 'non-interactive': 'switch' };
+
+// Split command line arguments into the configuration flags and the rest (script commands and options)
+function parseArgs(argv = []) {
+  const known = new Map(settings.filter(setting => setting.flag).map(setting => [setting.flag, 'value']));
+  Object.entries(loaderFlags).forEach(([flag, kind]) => known.set(flag, kind));
+
+  const flags = {};
+  const rest = [];
+  for (let index = 0; index < argv.length; index++) {
+    const match = /^--([^=]+)(?:=(.*))?$/.exec(argv[index]);
+    if (!match || !known.has(match[1])) {
+      rest.push(argv[index]);
+      continue;
+    }
+
+    const [, flag, inline] = match;
+    if (known.get(flag) === 'switch') {
+      flags[flag] = inline === undefined ? true : inline;
+      continue;
+    }
+    const value = inline !== undefined ? inline : argv[++index];
+    if (value === undefined) {
+      throw new ConfigurationError(`--${flag} needs a value`);
+    }
+    flags[flag] = value;
+  }
+  return { flags, rest };
+}
+
+// The parsed config file, {} when an optional one does not exist
+function readConfigFile(filePath, { required = false } = {}) {
+  if (!fs.existsSync(filePath)) {
+    if (required) throw new ConfigurationError(`Config file not found: ${filePath}`);
+    return {};
+  }
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new ConfigurationError(`Config file ${filePath} is not valid JSON: ${err.message}`);
+  }
+  if (!content || typeof content !== 'object' || Array.isArray(content)) {
+    throw new ConfigurationError(`Config file ${filePath} must contain a JSON object`);
+  }
+  return content;
+}
+
+// Add or change settings in the config file, keeping everything else in it
+function writeConfigFile(filePath, changes) {
+  const content = readConfigFile(filePath);
+  Object.entries(changes).forEach(([fileKey, value]) => {
+    const parts = fileKey.split('.');
+    const parent = parts.slice(0, -1).reduce((object, part) => {
+      if (!object[part] || typeof object[part] !== 'object') object[part] = {};
+      return object[part];
+    }, content);
+    parent[parts[parts.length - 1]] = value;
+  });
+  fs.writeFileSync(filePath, JSON.stringify(content, null, 2));
+}
+
+const settingFor = (key) => settings.find(setting => setting.key === key);
+
+// A setting named with the environment variable that sets it, for error messages
+const describe = (key) => `${key} (${settingFor(key).env[0]})`;
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+const setValue = (object, key, value) => {
+  const parts = key.split('.');
+  const parent = parts.slice(0, -1).reduce((child, part) => (child[part] = child[part] || {}), object);
+  parent[parts[parts.length - 1]] = value;
+};
+
+// Where a setting gets its raw value from, in order of precedence
+function findRawValue(setting, { flags, env, file, fileName, answers }) {
+  if (setting.flag && isSet(flags[setting.flag])) {
+    return { raw: flags[setting.flag], source: `--${setting.flag}` };
+  }
+  for (const name of setting.env) {
+    if (isSet(env[name])) return { raw: env[name], source: name };
+    // DB_PASSWORD_FILE=/run/secrets/db_password, the usual convention for container secrets
+    if (setting.secret && isSet(env[`${name}_FILE`])) {
+      return { raw: `file:${env[`${name}_FILE`]}`, source: `${name}_FILE` };
+    }
+  }
+  const fileValue = valueAt(file, setting.file);
+  if (isSet(fileValue)) return { raw: fileValue, source: `${fileName} "${setting.file}"` };
+  if (isSet(answers[setting.key])) return { raw: answers[setting.key], source: 'prompt' };
+  return { raw: setting.default, source: 'default' };
+}
+
+// Config file keys no setting reads, most likely typos
+function unknownFileKeys(file, fileName) {
+  const known = new Set(settings.map(setting => setting.file));
+  const walk = (object, prefix) => Object.entries(object).flatMap(([name, value]) => {
+    const fileKey = `${prefix}${name}`;
+    if (known.has(fileKey)) return [];
+    const nested = settings.some(setting => setting.file.startsWith(`${fileKey}.`));
+    if (nested && value && typeof value === 'object' && !Array.isArray(value)) return walk(value, `${fileKey}.`);
+    return [`Unknown setting "${fileKey}" in ${fileName} is ignored`];
+  });
+  return walk(file, '');
+}
+
+// Resolve every setting from its sources without prompting. Returns the configuration, where each
+// value came from, and the problems found; nothing is thrown so all problems can be reported at once.
+function resolveConfig({ flags = {}, env = {}, file = {}, fileName = defaultConfigFile, answers = {}, baseDir = process.cwd() } = {}) {
+  const config = {};
+  const sources = {};
+  const problems = [];
+  let configKey;
+
+  for (const setting of settings) {
+    const { raw, source } = findRawValue(setting, { flags, env, file, fileName, answers });
+    sources[setting.key] = source;
+    let value = null;
+    try {
+      let plain = raw;
+      if (setting.secret && raw !== null) {
+        if (configKey === undefined) configKey = loadConfigKey(env);
+        plain = resolveSecret(raw, { env, configKey });
+      }
+      value = plain === null ? null : setting.type.parse(plain);
+      if (value !== null && setting.type.directory) value = path.resolve(baseDir, value);
+    } catch (err) {
+      const shown = setting.secret ? '' : ` (got ${JSON.stringify(raw)})`;
+      problems.push(`${setting.key} from ${source} ${err.message}${shown}`);
+    }
+    setValue(config, setting.key, value);
+  }
+
+  if (!problems.length) {
+    crossChecks.forEach(check => {
+      const problem = check(config, describe);
+      if (problem) problems.push(problem);
+    });
+  }
+
+  return { config, sources, problems, warnings: unknownFileKeys(file, fileName) };
+}
+
+// Run questions on the terminal, the readline interface is closed again so scripts can exit
+async function withPrompt(questions) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return await questions((question) => new Promise(resolve => rl.question(question, resolve)));
+  } finally {
+    rl.close();
+  }
+}
+
+// Ask on the terminal for the SQL Server settings nothing provided
+function promptForDatabase(missing) {
+  return withPrompt(async (ask) => {
+    console.log('\n=== Database Configuration Setup ===');
+    console.log('Please enter your SQL Server credentials:');
+    const questions = {
+      'db.user': 'Username: ',
+      'db.password': 'Password: ',
+      'db.server': 'Server (e.g. localhost\\SQLEXPRESS): ',
+      'db.database': 'Database name: '
+    };
+    const answers = {};
+    for (const key of missing) {
+      answers[key] = (await ask(questions[key])).trim();
+    }
+    const save = (await ask('Save this configuration for future use? (y/n): ')).trim().toLowerCase() === 'y';
+    return { answers, save };
+  });
+}
+
+// The packaged EXE offers to change the port when none is configured
+function promptForPort() {
+  return withPrompt(async (ask) => {
+    const change = await ask('Would you like to set a custom port? (y/n) [default: 3001]: ');
+    if (change.trim().toLowerCase() !== 'y') return null;
+    try {
+      return settingFor('port').type.parse((await ask('Enter custom port number: ')).trim());
+    } catch (err) {
+      console.log(`⚠️ The port ${err.message}. Using default port 3001`);
+      return null;
+    }
+  });
+}
+
+// Save prompted settings; the password only encrypted, never in plain text
+function saveAnswers(filePath, answers, env) {
+  const changes = {};
+  Object.entries(answers).forEach(([key, value]) => {
+    changes[settingFor(key).file] = value;
+  });
+
+  if ('db.password' in answers) {
+    const configKey = loadConfigKey(env);
+    if (configKey) {
+      changes[settingFor('db.password').file] = encryptSecret(answers['db.password'], configKey);
+    } else {
+      delete changes[settingFor('db.password').file];
+      console.log('⚠️ The password was not saved: set DB_PASSWORD, or CONFIG_KEY to store it encrypted');
+    }
+  }
+
+  writeConfigFile(filePath, changes);
+  console.log(`Configuration saved to ${filePath}`);
+}
+
+// Read the config file and resolve every setting, without prompting and without throwing on
+// problems, for tools that show or fix the configuration. Also returns the flags, the rest of the
+// arguments and the config file, for loadConfig.
+function inspectConfig({ argv = [], env = process.env, baseDir = process.cwd() } = {}) {
+  const { flags, rest } = parseArgs(argv);
+  const fileName = flags.config || env.CONFIG_FILE || defaultConfigFile;
+  const configFile = path.resolve(baseDir, fileName);
+  const file = readConfigFile(configFile, { required: Boolean(flags.config || env.CONFIG_FILE) });
+
+  return { ...resolveConfig({ flags, env, file, fileName, baseDir }), flags, rest, file, fileName, configFile };
+}
+
+// Load and validate the configuration for a script. argv holds the command line arguments; what
+// is not a configuration flag comes back as rest. Throws a ConfigurationError listing every problem.
+// askForPort is false for the admin commands, which do not listen on a port.
+async function loadConfig({ argv = [], env = process.env, baseDir = process.cwd(), interactive, askForPort = true } = {}) {
+  const { flags, rest, file, fileName, configFile, ...initial } = inspectConfig({ argv, env, baseDir });
+
+  const nonInteractive = types.boolean().parse(flags['non-interactive'] || env.NON_INTERACTIVE || false);
+  const canPrompt = interactive !== undefined ? interactive : !nonInteractive && Boolean(process.stdin.isTTY);
+
+  let resolved = initial;
+  const missing = resolved.config.db && resolved.config.db.driver === 'mssql'
+    ? requiredForMssql.filter(key => !valueAt(resolved.config, key))
+    : [];
+  if (canPrompt && missing.length && resolved.problems.every(problem => problem.startsWith('SQL Server needs'))) {
+    const { answers, save } = await promptForDatabase(missing);
+    resolved = resolveConfig({ flags, env, file, fileName, answers, baseDir });
+    if (save && !resolved.problems.length) saveAnswers(configFile, answers, env);
+  }
+
+  if (canPrompt && askForPort && process.pkg && resolved.sources.port === 'default' && !resolved.problems.length) {
+    const port = await promptForPort();
+    if (port) {
+      resolved.config.port = port;
+      writeConfigFile(configFile, { port });
+      console.log(`✅ Custom port ${port} saved to ${configFile}`);
+    }
+  }
+
+  if (resolved.problems.length) {
+    const err = new ConfigurationError(`Invalid configuration:\n  - ${resolved.problems.join('\n  - ')}`);
+    err.problems = resolved.problems;
+    throw err;
+  }
+
+  return {
+    config: resolved.config,
+    sources: resolved.sources,
+    warnings: resolved.warnings,
+    rest,
+    configFile,
+    interactive: canPrompt
+  };
+}
+
+module.exports = {
+  loadConfig,
+  inspectConfig,
+  resolveConfig,
+  parseArgs,
+  readConfigFile,
+  writeConfigFile,
+  settings,
+  defaultConfigFile
+};
@@ -0,0 +1,152 @@
+const { imageTypes } = require('../imaging/validate');
+
+// Value types: parse turns a raw value from the command line, the environment or config.json into
+// the setting's value, throwing with what was expected when it does not fit
+const string = () => ({
+  parse: (raw) => String(raw)
+});
+
+const integer = (min, max = Infinity) => ({
+  parse(raw) {
+    const number = Number(raw);
+    if (raw === '' || !Number.isInteger(number) || number < min || number > max) {
+      throw new Error(max === Infinity ? `must be a whole number of ${min} or more` : `must be a whole number from ${min} to ${max}`);
+    }
+    return number;
+  }
+});
+
+const positive = () => ({
+  parse(raw) {
+    const number = Number(raw);
+    if (raw === '' || !(number > 0) || !Number.isFinite(number)) throw new Error('must be a positive number');
+    return number;
+  }
+});
+
+const oneOf = (...values) => ({
+  parse(raw) {
+    const value = String(raw).toLowerCase();
+    if (!values.includes(value)) throw new Error(`must be one of: ${values.join(', ')}`);
+    return value;
+  }
+});
+
+// A comma separated string or, in config.json, an array
+const list = (parseItem = (item) => item) => ({
+  parse(raw) {
+    const items = (Array.isArray(raw) ? raw : String(raw).split(',')).map(item => String(item).trim()).filter(Boolean);
+    if (!items.length) throw new Error('must list at least one value');
+    return [...new Set(items.map(parseItem))];
+  }
+});
+
+const boolean = () => ({
+  parse(raw) {
+    if (raw === true || raw === false) return raw;
+    const value = String(raw).toLowerCase();
+    if (['true', '1', 'yes'].includes(value)) return true;
+    if (['false', '0', 'no'].includes(value)) return false;
+    throw new Error('must be true or false');
+  }
+});
+
+// A directory, relative ones are resolved against the working directory
+const directory = () => ({ parse: (raw) => String(raw), directory: true });
+
+// Uploadable image types by format name; "jpg" and MIME types are accepted too
+const imageFormats = [...new Set(imageTypes.map(type => type.format))];
+const imageFormat = (item) => {
+  const format = item.toLowerCase().replace(/^image\//, '').replace(/^jpg$/, 'jpeg');
+  if (!imageFormats.includes(format)) throw new Error(`"${item}" is not a supported image type (${imageFormats.join(', ')})`);
+  return format;
+};
+
+const origin = (item) => {
+  if (item !== '*' && !/^https?:\/\/[^/\s]+$/.test(item.replace(/\/$/, ''))) {
+    throw new Error(`"${item}" is not an origin like http://localhost:3000`);
+  }
+  return item.replace(/\/$/, '');
+};
+
+// Every setting: its place in the loaded configuration (key), in config.json (file, dotted for
+// nested objects), the environment variables that set it (the first one set wins) and its command
+// line flag. Secrets have no flag, command lines are visible to other users of the machine; they
+// may be encrypted or point elsewhere, see config/secrets.
+const settings = [
+  { key: 'port', file: 'port', env: ['PORT'], flag: 'port', type: integer(1, 65535), default: 3001, description: 'HTTP port' },
+  { key: 'trustProxy', file: 'trustProxy', env: ['TRUST_PROXY'], flag: 'trust-proxy', type: integer(0), default: 0, description: 'Reverse proxies in front of the server, for the client IP' },
+  { key: 'shutdownTimeoutSeconds', file: 'shutdownTimeoutSeconds', env: ['SHUTDOWN_TIMEOUT_SECONDS'], flag: 'shutdown-timeout', type: positive(), default: 30, description: 'Seconds running requests get to finish on shutdown' },
+  { key: 'metricsToken', file: 'metricsToken', env: ['METRICS_TOKEN'], secret: true, type: string(), default: null, description: 'Bearer token /metrics asks for, open to all when not set' },
+  { key: 'logLevel', file: 'logLevel', env: ['LOG_LEVEL'], flag: 'log-level', type: oneOf('debug', 'info', 'warn', 'error', 'silent'), default: 'info', description: 'Least important log lines written' },
+  { key: 'corsOrigins', file: 'corsOrigins', env: ['CORS_ORIGINS', 'FRONTEND_URL'], flag: 'cors-origins', type: list(origin), default: ['http://localhost:3000'], description: 'Origins allowed to call the API from a browser' },
+
+  { key: 'db.driver', file: 'driver', env: ['DB_DRIVER'], flag: 'db-driver', type: oneOf('mssql', 'memory'), default: 'mssql', description: 'Metadata store' },
+  { key: 'db.file', file: 'file', env: ['DB_FILE'], flag: 'db-file', type: string(), default: null, description: 'Data file of the memory driver' },
+  { key: 'db.server', file: 'server', env: ['DB_SERVER'], flag: 'db-server', type: string(), default: null, description: 'SQL Server host, e.g. localhost\\SQLEXPRESS' },
+  { key: 'db.database', file: 'database', env: ['DB_NAME'], flag: 'db-name', type: string(), default: null, description: 'SQL Server database' },
+  { key: 'db.user', file: 'user', env: ['DB_USER'], flag: 'db-user', type: string(), default: null, description: 'SQL Server login' },
+  { key: 'db.password', file: 'password', env: ['DB_PASSWORD'], secret: true, type: string(), default: null, description: 'SQL Server password' },
+
+  { key: 'storage.driver', file: 'storage.driver', env: ['STORAGE_DRIVER'], flag: 'storage-driver', type: oneOf('local', 's3'), default: 'local', description: 'File storage' },
+  { key: 'storage.root', file: 'storage.root', env: ['STORAGE_ROOT'], flag: 'storage-root', type: directory(), default: 'uploads', description: 'Directory of the local storage' },
+  { key: 'storage.bucket', file: 'storage.bucket', env: ['S3_BUCKET'], flag: 's3-bucket', type: string(), default: null, description: 'S3 bucket' },
+  { key: 'storage.prefix', file: 'storage.prefix', env: ['S3_PREFIX'], flag: 's3-prefix', type: string(), default: null, description: 'Key prefix inside the bucket' },
+  { key: 'storage.region', file: 'storage.region', env: ['S3_REGION'], flag: 's3-region', type: string(), default: null, description: 'S3 region' },
+  { key: 'storage.endpoint', file: 'storage.endpoint', env: ['S3_ENDPOINT'], flag: 's3-endpoint', type: string(), default: null, description: 'S3-compatible endpoint, e.g. MinIO' },
+  { key: 'storage.accessKeyId', file: 'storage.accessKeyId', env: ['S3_ACCESS_KEY_ID'], flag: 's3-access-key-id', type: string(), default: null, description: 'S3 access key id' },
+  { key: 'storage.secretAccessKey', file: 'storage.secretAccessKey', env: ['S3_SECRET_ACCESS_KEY'], secret: true, type: string(), default: null, description: 'S3 secret access key' },
+
+  { key: 'directories.public', file: 'publicDir', env: ['PUBLIC_DIR'], flag: 'public-dir', type: directory(), default: 'public', description: 'Frontend build served at /' },
+  { key: 'directories.cache', file: 'cacheDir', env: ['CACHE_DIR'], flag: 'cache-dir', type: directory(), default: 'cache', description: 'Rendered image cache' },
+  { key: 'directories.tmp', file: 'tmpDir', env: ['TMP_DIR'], flag: 'tmp-dir', type: directory(), default: 'tmp', description: 'Unfinished resumable uploads' },
+  { key: 'renderCacheMaxMb', file: 'renderCacheMaxMb', env: ['RENDER_CACHE_MAX_MB'], flag: 'render-cache-max-mb', type: positive(), default: 500, description: 'Size of the rendered image cache' },
+
+  { key: 'upload.maxUploadMb', file: 'maxUploadMb', env: ['MAX_UPLOAD_MB'], flag: 'max-upload-mb', type: positive(), default: 5, description: 'Largest accepted file' },
+  { key: 'upload.maxBatchFiles', file: 'maxBatchFiles', env: ['MAX_BATCH_FILES'], flag: 'max-batch-files', type: integer(1, 1000), default: 50, description: 'Files per batch upload' },
+  { key: 'upload.allowedTypes', file: 'allowedTypes', env: ['ALLOWED_TYPES'], flag: 'allowed-types', type: list(imageFormat), default: imageFormats, description: 'Image types accepted on upload' },
+  { key: 'upload.resumableExpiryHours', file: 'resumableExpiryHours', env: ['RESUMABLE_EXPIRY_HOURS'], flag: 'resumable-expiry-hours', type: positive(), default: 24, description: 'Hours before unfinished resumable uploads are removed' },
+  { key: 'upload.dedupe', file: 'dedupe', env: ['DEDUPE_MODE'], flag: 'dedupe', type: oneOf('return', 'link'), default: 'return', description: 'Handling of duplicate uploads' },
+
+  { key: 'auth.secret', file: 'authSecret', env: ['AUTH_SECRET'], secret: true, type: string(), default: null, description: 'Signing key for logins and share links, at least 32 characters' },
+  { key: 'auth.tokenTtlHours', file: 'authTokenTtlHours', env: ['AUTH_TOKEN_TTL_HOURS'], flag: 'auth-token-ttl-hours', type: positive(), default: 24, description: 'Hours a login lasts' },
+  { key: 'auth.registration', file: 'registration', env: ['AUTH_REGISTRATION'], flag: 'registration', type: oneOf('open', 'closed'), default: 'open', description: 'Whether anyone may create an account' },
+
+  { key: 'rateLimit.windowSeconds', file: 'rateLimitWindowSeconds', env: ['RATE_LIMIT_WINDOW_SECONDS'], flag: 'rate-limit-window-seconds', type: integer(1), default: 60, description: 'Rate limit counting window' },
+  { key: 'rateLimit.uploadsPerKey', file: 'rateLimitUploadsPerKey', env: ['RATE_LIMIT_UPLOADS_PER_KEY'], flag: 'rate-limit-uploads-per-key', type: integer(0), default: 30, description: 'Uploads per window and key or user, 0 for no limit' },
+  { key: 'rateLimit.uploadsPerIp', file: 'rateLimitUploadsPerIp', env: ['RATE_LIMIT_UPLOADS_PER_IP'], flag: 'rate-limit-uploads-per-ip', type: integer(0), default: 60, description: 'Uploads per window and IP address, 0 for no limit' },
+  { key: 'rateLimit.deletesPerKey', file: 'rateLimitDeletesPerKey', env: ['RATE_LIMIT_DELETES_PER_KEY'], flag: 'rate-limit-deletes-per-key', type: integer(0), default: 60, description: 'Deletes per window and key or user, 0 for no limit' },
+  { key: 'rateLimit.deletesPerIp', file: 'rateLimitDeletesPerIp', env: ['RATE_LIMIT_DELETES_PER_IP'], flag: 'rate-limit-deletes-per-ip', type: integer(0), default: 120, description: 'Deletes per window and IP address, 0 for no limit' },
+
+  { key: 'trash.retentionDays', file: 'trashRetentionDays', env: ['TRASH_RETENTION_DAYS'], flag: 'trash-retention-days', type: positive(), default: 30, description: 'Days before images in the trash are purged' }
+];
+
+// Settings SQL Server cannot do without; they are prompted for when missing in interactive mode
+const requiredForMssql = ['db.server', 'db.database', 'db.user', 'db.password'];
+
+// Checks that involve more than one setting, each returns a problem or nothing.
+// describe names a setting with the environment variable that sets it.
+const crossChecks = [
+  (config, describe) => {
+    const missing = config.db.driver === 'mssql' ? requiredForMssql.filter(key => !valueAt(config, key)) : [];
+    return missing.length ? `SQL Server needs ${missing.map(describe).join(', ')}` : null;
+  },
+  (config, describe) => (config.storage.driver === 's3' && !config.storage.bucket
+    ? `S3 storage needs ${describe('storage.bucket')}`
+    : null),
+  (config, describe) => (config.auth.secret !== null && config.auth.secret.length < 32
+    ? `${describe('auth.secret')} must be at least 32 characters long`
+    : null)
+];
+
+// The value at a dotted key, e.g. valueAt(config, 'db.server')
+const valueAt = (object, key) => key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), object);
+
+module.exports = {
+  settings,
+  crossChecks,
+  requiredForMssql,
+  imageFormats,
+  valueAt,
+  types: { string, integer, positive, oneOf, list, boolean, directory }
+};
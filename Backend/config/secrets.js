@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Secret settings (passwords, keys) do not have to be stored in plain text. Their value may be:
+//   enc:<data>    encrypted with the configuration key (AES-256-GCM), made by `npm run secret -- encrypt`
+//   file:<path>   read from a file, e.g. a Docker or systemd secret
+//   env:<NAME>    read from another environment variable
+// anything else is used as is. The configuration key comes from CONFIG_KEY or the file named by
+// CONFIG_KEY_FILE.
+const encryptedPrefix = 'enc:';
+const ivLength = 12;
+const tagLength = 16;
+
+class SecretError extends Error {}
+
+// The configuration key, null when none is set
+function loadConfigKey(env = process.env) {
+  if (env.CONFIG_KEY) return env.CONFIG_KEY;
+  if (env.CONFIG_KEY_FILE) return readSecretFile(env.CONFIG_KEY_FILE);
+  return null;
+}
+
+// Any string works as a key, it is hashed to the 32 bytes AES-256 needs
+const cipherKey = (configKey) => crypto.createHash('sha256').update(String(configKey)).digest();
+
+const generateConfigKey = () => crypto.randomBytes(32).toString('base64');
+
+function encryptSecret(value, configKey) {
+  if (!configKey) throw new SecretError('Set CONFIG_KEY (or CONFIG_KEY_FILE) to encrypt secrets');
+  const iv = crypto.randomBytes(ivLength);
+  const cipher = crypto.createCipheriv('aes-256-gcm', cipherKey(configKey), iv);
+  const encrypted = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return `${encryptedPrefix}${Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64')}`;
+}
+
+function decryptSecret(value, configKey) {
+  if (!configKey) throw new SecretError('is encrypted but CONFIG_KEY is not set');
+  const data = Buffer.from(value.slice(encryptedPrefix.length), 'base64');
+  if (data.length <= ivLength + tagLength) throw new SecretError('is not a valid encrypted value');
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', cipherKey(configKey), data.subarray(0, ivLength));
+    decipher.setAuthTag(data.subarray(ivLength, ivLength + tagLength));
+    return Buffer.concat([decipher.update(data.subarray(ivLength + tagLength)), decipher.final()]).toString('utf8');
+  } catch (err) {
+    throw new SecretError('could not be decrypted, it was encrypted with a different CONFIG_KEY');
+  }
+}
+
+// A secret file's content without the trailing newline editors and `echo` add
+function readSecretFile(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8').replace(/\r?\n$/, '');
+  } catch (err) {
+    throw new SecretError(`could not be read from ${filePath}: ${err.code || err.message}`);
+  }
+}
+
+// The plain value of a secret setting, throws a SecretError saying what went wrong
+function resolveSecret(value, { env = process.env, configKey = loadConfigKey(env) } = {}) {
+  if (typeof value !== 'string') return value;
+  if (value.startsWith(encryptedPrefix)) return decryptSecret(value, configKey);
+  if (value.startsWith('file:')) return readSecretFile(value.slice('file:'.length));
+  if (value.startsWith('env:')) {
+    const name = value.slice('env:'.length);
+    if (env[name] === undefined) throw new SecretError(`refers to ${name}, which is not set`);
+    return env[name];
+  }
+  return value;
+}
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(encryptedPrefix);
+
+module.exports = {
+  SecretError,
+  loadConfigKey,
+  generateConfigKey,
+  encryptSecret,
+  decryptSecret,
+  resolveSecret,
+  readSecretFile,
+  isEncrypted
+};
@@ -0,0 +1,23 @@
+const { ConfigurationError } = require('../errors');
+
+// Available metadata store drivers, loaded on demand
+const drivers = {
+  mssql: () => require('./mssql').createMssqlDriver,
+  memory: () => require('./memory').createMemoryDriver
+};
+
+// Create the image metadata store for the configured driver (defaults to SQL Server)
+function createDb(config = {}) {
+  const driverName = (config.driver || 'mssql').toLowerCase();
+  const loadDriver = drivers[driverName];
+
+  if (!loadDriver) {
+    throw new ConfigurationError(
+      `Unknown database driver "${config.driver}". Supported drivers: ${Object.keys(drivers).join(', ')}`
+    );
+  }
+
+  return loadDriver()(config);
+}
+
+module.exports = { createDb, drivers };
@@ -0,0 +1,606 @@
+const fs = require('fs');
+const path = require('path');
+const { DatabaseError, ConflictError } = require('../errors');
+
+// Columns listImages may sort by, anything else falls back to the upload date
+const sortableColumns = ['upload_date', 'size_bytes', 'original_name', 'deleted_at'];
+
+// Columns updateImage may change
+const editableColumns = ['title', 'description', 'alt_text'];
+
+const emptyState = () => ({
+  nextId: 1,
+  images: [],
+  variants: [],
+  migrations: [],
+  nextAlbumId: 1,
+  albums: [],
+  albumImages: [],
+  nextTagId: 1,
+  tags: [],
+  imageTags: [],
+  nextUserId: 1,
+  users: [],
+  nextApiKeyId: 1,
+  apiKeys: [],
+  nextShareLinkId: 1,
+  shareLinks: [],
+  nextAuditId: 1,
+  auditLog: []
+});
+
+// Names are unique regardless of case, like with the default SQL Server collation
+const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// In-memory driver for the image metadata store.
+// When a file is given, the data is kept as a JSON snapshot so it survives restarts.
+function createMemoryDriver(config = {}) {
+  const file = config.file ? path.resolve(config.file) : null;
+  let state = emptyState();
+
+  const persist = () => {
+    if (!file) return;
+    try {
+      fs.writeFileSync(file, JSON.stringify(state, null, 2));
+    } catch (err) {
+      throw new DatabaseError(`Failed to write data file: ${err.message}`);
+    }
+  };
+
+  const copy = (row) => (row ? { ...row } : null);
+
+  // Details of audit entries are kept as JSON text, like in the SQL Server table
+  const auditEntryFromRow = (row) => ({ ...row, details: row.details ? JSON.parse(row.details) : null });
+
+  const tagNamesOf = (imageId) => state.imageTags
+    .filter(link => link.image_id === imageId)
+    .map(link => state.tags.find(tag => tag.id === link.tag_id).name)
+    .sort();
+
+  // Copy an image row with its variants (smallest first), tag names and album ids attached
+  const withDetails = (row) => (row ? {
+    ...row,
+    variants: state.variants
+      .filter(variant => variant.image_id === row.id)
+      .sort((a, b) => a.width - b.width)
+      .map(({ image_id, ...variant }) => variant),
+    tags: tagNamesOf(row.id),
+    album_ids: state.albumImages
+      .filter(link => link.image_id === row.id)
+      .map(link => link.album_id)
+      .sort((a, b) => a - b)
+  } : null);
+
+  // Copy an album with its image count and the path of its cover
+  // Images in the trash do not count towards album and tag sizes
+  const isTrashed = (imageId) => Boolean(state.images.find(img => img.id === imageId).deleted_at);
+
+  const albumWithDetails = (album) => {
+    if (!album) return null;
+    const cover = state.images.find(img => img.id === album.cover_image_id);
+    return {
+      ...album,
+      cover_image_path: cover ? cover.image_path : null,
+      image_count: state.albumImages.filter(link => link.album_id === album.id && !isTrashed(link.image_id)).length
+    };
+  };
+
+  // Albums of one owner, their names are unique per owner
+  const albumsOf = (ownerId) => state.albums.filter(album => (album.owner_id || null) === ownerId);
+
+  const assertUniqueName = (rows, name, exceptId, kind) => {
+    if (rows.some(row => row.id !== exceptId && sameName(row.name, name))) {
+      throw new ConflictError(`${kind} "${name}" already exists`, 'already_exists');
+    }
+  };
+
+  // Id of the tag with this name, created when missing
+  const ensureTag = (name) => {
+    const existing = state.tags.find(tag => sameName(tag.name, name));
+    if (existing) return existing.id;
+    const tag = { id: state.nextTagId++, name };
+    state.tags.push(tag);
+    return tag.id;
+  };
+
+  return {
+    name: 'memory',
+
+    async connect() {
+      if (file && fs.existsSync(file)) {
+        try {
+          state = { ...emptyState(), ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+        } catch (err) {
+          throw new DatabaseError(`Failed to read data file: ${err.message}`);
+        }
+      }
+    },
+
+    async close() {
+      persist();
+    },
+
+    // Always ready, the data is in this process
+    async ping() {},
+
+    // The store has no schema, so migrations are only recorded unless they bring a memory step
+    async getAppliedMigrations() {
+      return state.migrations.map(copy);
+    },
+
+    async applyMigration(migration) {
+      if (migration.memory && migration.memory.up) {
+        migration.memory.up(state);
+      }
+      state.migrations.push({
+        version: migration.version,
+        name: migration.name,
+        applied_on: new Date().toISOString()
+      });
+      persist();
+    },
+
+    async revertMigration(migration) {
+      if (migration.memory && migration.memory.down) {
+        migration.memory.down(state);
+      }
+      state.migrations = state.migrations.filter(row => row.version !== migration.version);
+      persist();
+    },
+
+    async insertImage(image) {
+      const row = {
+        id: state.nextId++,
+        image_path: image.imagePath,
+        upload_date: new Date().toISOString(),
+        original_name: image.originalName || null,
+        mime_type: image.mimeType || null,
+        size_bytes: image.sizeBytes || null,
+        width: image.width || null,
+        height: image.height || null,
+        uploaded_by: image.uploadedBy || null,
+        content_hash: image.contentHash || null,
+        owner_id: image.ownerId || null,
+        title: null,
+        description: image.description || null,
+        alt_text: null,
+        deleted_at: null
+      };
+      state.images.push(row);
+      (image.variants || []).forEach(variant => state.variants.push({
+        image_id: row.id,
+        name: variant.name,
+        image_path: variant.imagePath,
+        mime_type: variant.mimeType,
+        size_bytes: variant.sizeBytes || null,
+        width: variant.width,
+        height: variant.height
+      }));
+      persist();
+      return withDetails(row);
+    },
+
+    // One page of images plus the total count, see services/imageQuery for the options.
+    // Images in the trash are left out, unless trashed is set: then only those are listed.
+    async listImages(options = {}) {
+      const from = options.from ? new Date(options.from).getTime() : null;
+      const to = options.to ? new Date(options.to).getTime() : null;
+      const mimeTypes = options.mimeTypes || [];
+      const tags = options.tags || [];
+      const inAlbum = (img) => state.albumImages
+        .some(link => link.album_id === options.albumId && link.image_id === img.id);
+
+      const matching = state.images.filter(img => {
+        if (options.ownerId && img.owner_id !== options.ownerId) return false;
+        if (Boolean(img.deleted_at) !== Boolean(options.trashed)) return false;
+        const uploaded = new Date(img.upload_date).getTime();
+        const imageTags = tags.length ? tagNamesOf(img.id) : [];
+        return (from === null || uploaded >= from)
+          && (to === null || uploaded <= to)
+          && (!mimeTypes.length || mimeTypes.includes(img.mime_type))
+          && (!options.albumId || inAlbum(img))
+          && tags.every(tag => imageTags.includes(tag));
+      });
+
+      const sortColumn = sortableColumns.includes(options.sort) ? options.sort : 'upload_date';
+      const direction = options.order === 'asc' ? 1 : -1;
+      const compare = (a, b) => {
+        const left = a[sortColumn];
+        const right = b[sortColumn];
+        if (left === right) return 0;
+        if (left === null || left === undefined) return -1;
+        if (right === null || right === undefined) return 1;
+        return left < right ? -1 : 1;
+      };
+      matching.sort((a, b) => direction * (compare(a, b) || a.id - b.id));
+
+      const offset = options.offset || 0;
+      const page = options.limit ? matching.slice(offset, offset + options.limit) : matching.slice(offset);
+      return { items: page.map(withDetails), total: matching.length };
+    },
+
+    // Most recent images whose name, title, description, alt text or tags contain every term.
+    // Ranking happens in services/search.
+    async searchImages(terms, { limit = 1000, ownerId = null } = {}) {
+      return state.images
+        .filter(img => !img.deleted_at && (!ownerId || img.owner_id === ownerId))
+        .map(withDetails)
+        .filter(img => {
+          const text = [img.original_name, img.title, img.description, img.alt_text, ...img.tags]
+            .filter(Boolean).join('\n').toLowerCase();
+          return terms.every(term => text.includes(term));
+        })
+        .sort((a, b) => new Date(b.upload_date) - new Date(a.upload_date) || b.id - a.id)
+        .slice(0, limit);
+    },
+
+    async getImage(id) {
+      return withDetails(state.images.find(img => img.id === id));
+    },
+
+    // Oldest image with the given content hash, optionally only among one owner's images.
+    // Images in the trash still hold their files, they are only skipped with activeOnly.
+    async findImageByHash(contentHash, options = {}) {
+      return withDetails(state.images.find(img => img.content_hash === contentHash
+        && (!options.activeOnly || !img.deleted_at)
+        && (!('ownerId' in options) || img.owner_id === options.ownerId)));
+    },
+
+    // Every record sharing the files counts, including those in the trash
+    async countImagesByHash(contentHash) {
+      return state.images.filter(img => img.content_hash === contentHash).length;
+    },
+
+    // Images whose original or one of whose variants is stored at the given path.
+    // Several records can share a file when duplicates are linked.
+    async findImagesByPath(imagePath) {
+      const variantOwners = state.variants
+        .filter(variant => variant.image_path === imagePath)
+        .map(variant => variant.image_id);
+      return state.images
+        .filter(img => img.image_path === imagePath || variantOwners.includes(img.id))
+        .map(copy);
+    },
+
+    // Apply edits to the descriptive fields, null when the image does not exist
+    async updateImage(id, changes) {
+      const row = state.images.find(img => img.id === id);
+      if (!row) return null;
+      editableColumns.filter(column => column in changes).forEach(column => {
+        row[column] = changes[column];
+      });
+      persist();
+      return withDetails(row);
+    },
+
+    // Move an image to the trash, null when it does not exist or is already there
+    async trashImage(id) {
+      const row = state.images.find(img => img.id === id && !img.deleted_at);
+      if (!row) return null;
+      row.deleted_at = new Date().toISOString();
+      persist();
+      return withDetails(row);
+    },
+
+    // Take an image out of the trash, null when it is not in the trash
+    async restoreImage(id) {
+      const row = state.images.find(img => img.id === id && img.deleted_at);
+      if (!row) return null;
+      row.deleted_at = null;
+      persist();
+      return withDetails(row);
+    },
+
+    // Images that went to the trash before the given time, oldest first
+    async listTrashedBefore(cutoff, { limit = 100 } = {}) {
+      const before = new Date(cutoff).getTime();
+      return state.images
+        .filter(img => img.deleted_at && new Date(img.deleted_at).getTime() < before)
+        .sort((a, b) => new Date(a.deleted_at) - new Date(b.deleted_at) || a.id - b.id)
+        .slice(0, limit)
+        .map(withDetails);
+    },
+
+    // Every image, including those in the trash, in id order after the given id
+    async listImagesAfter(afterId, { limit = 100 } = {}) {
+      return state.images
+        .filter(img => img.id > afterId)
+        .sort((a, b) => a.id - b.id)
+        .slice(0, limit)
+        .map(withDetails);
+    },
+
+    async deleteImage(id) {
+      const before = state.images.length;
+      state.images = state.images.filter(img => img.id !== id);
+      if (state.images.length === before) return false;
+      state.variants = state.variants.filter(variant => variant.image_id !== id);
+      state.albumImages = state.albumImages.filter(link => link.image_id !== id);
+      state.imageTags = state.imageTags.filter(link => link.image_id !== id);
+      state.albums.filter(album => album.cover_image_id === id).forEach(album => {
+        album.cover_image_id = null;
+      });
+      state.shareLinks = state.shareLinks.filter(link => link.image_id !== id);
+      persist();
+      return true;
+    },
+
+    async createUser({ username, passwordHash, role = 'user' }) {
+      assertUniqueName(state.users.map(user => ({ id: user.id, name: user.username })), username, null, 'User');
+      const user = {
+        id: state.nextUserId++,
+        username,
+        password_hash: passwordHash,
+        role,
+        created_at: new Date().toISOString()
+      };
+      state.users.push(user);
+      persist();
+      return copy(user);
+    },
+
+    async findUserByUsername(username) {
+      return copy(state.users.find(user => sameName(user.username, username)));
+    },
+
+    async getUser(id) {
+      return copy(state.users.find(user => user.id === id));
+    },
+
+    // Number of accounts, of one role when given
+    async countUsers({ role = null } = {}) {
+      return state.users.filter(user => !role || user.role === role).length;
+    },
+
+    // Change the role of an account, null when it does not exist
+    async updateUserRole(id, role) {
+      const user = state.users.find(row => row.id === id);
+      if (!user) return null;
+      user.role = role;
+      persist();
+      return copy(user);
+    },
+
+    async createApiKey({ userId, name, prefix, keyHash, scopes }) {
+      const key = {
+        id: state.nextApiKeyId++,
+        user_id: userId,
+        name,
+        prefix,
+        key_hash: keyHash,
+        scopes: [...scopes],
+        created_at: new Date().toISOString(),
+        last_used_at: null,
+        revoked_at: null
+      };
+      state.apiKeys.push(key);
+      persist();
+      return { ...key, scopes: [...key.scopes] };
+    },
+
+    // The keys of a user, newest first, revoked ones included
+    async listApiKeys(userId) {
+      return state.apiKeys
+        .filter(key => key.user_id === userId)
+        .sort((a, b) => b.id - a.id)
+        .map(key => ({ ...key, scopes: [...key.scopes] }));
+    },
+
+    async getApiKey(id) {
+      const key = state.apiKeys.find(candidate => candidate.id === id);
+      return key ? { ...key, scopes: [...key.scopes] } : null;
+    },
+
+    async findApiKeyByHash(keyHash) {
+      const key = state.apiKeys.find(candidate => candidate.key_hash === keyHash);
+      return key ? { ...key, scopes: [...key.scopes] } : null;
+    },
+
+    // Revoking twice keeps the first revocation time, null when the key does not exist
+    async revokeApiKey(id) {
+      const key = state.apiKeys.find(candidate => candidate.id === id);
+      if (!key) return null;
+      if (!key.revoked_at) {
+        key.revoked_at = new Date().toISOString();
+        persist();
+      }
+      return { ...key, scopes: [...key.scopes] };
+    },
+
+    async createShareLink({ imageId, createdBy, expiresAt, maxDownloads = null }) {
+      const link = {
+        id: state.nextShareLinkId++,
+        image_id: imageId,
+        created_by: createdBy,
+        expires_at: new Date(expiresAt).toISOString(),
+        max_downloads: maxDownloads,
+        download_count: 0,
+        created_at: new Date().toISOString(),
+        revoked_at: null
+      };
+      state.shareLinks.push(link);
+      persist();
+      return copy(link);
+    },
+
+    // The share links of an image, newest first
+    async listShareLinks(imageId) {
+      return state.shareLinks
+        .filter(link => link.image_id === imageId)
+        .sort((a, b) => b.id - a.id)
+        .map(copy);
+    },
+
+    async getShareLink(id) {
+      return copy(state.shareLinks.find(link => link.id === id));
+    },
+
+    async revokeShareLink(id) {
+      const link = state.shareLinks.find(candidate => candidate.id === id);
+      if (!link) return null;
+      if (!link.revoked_at) {
+        link.revoked_at = new Date().toISOString();
+        persist();
+      }
+      return copy(link);
+    },
+
+    // Count a download, null when the link is revoked or has no downloads left
+    async claimShareDownload(id) {
+      const link = state.shareLinks.find(candidate => candidate.id === id);
+      if (!link || link.revoked_at) return null;
+      if (link.max_downloads !== null && link.download_count >= link.max_downloads) return null;
+      link.download_count++;
+      persist();
+      return copy(link);
+    },
+
+    async touchApiKey(id) {
+      const key = state.apiKeys.find(candidate => candidate.id === id);
+      if (!key) return;
+      key.last_used_at = new Date().toISOString();
+      persist();
+    },
+
+    // Albums, by name, with their image count and cover path. ownerId limits them to one user's
+    async listAlbums({ ownerId = null } = {}) {
+      return (ownerId ? albumsOf(ownerId) : [...state.albums])
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(albumWithDetails);
+    },
+
+    async getAlbum(id) {
+      return albumWithDetails(state.albums.find(album => album.id === id));
+    },
+
+    async createAlbum({ name, cover_image_id = null, owner_id = null }) {
+      assertUniqueName(albumsOf(owner_id), name, null, 'Album');
+      const album = { id: state.nextAlbumId++, name, cover_image_id, owner_id, created_at: new Date().toISOString() };
+      state.albums.push(album);
+      persist();
+      return albumWithDetails(album);
+    },
+
+    // Rename an album or change its cover, null when it does not exist
+    async updateAlbum(id, changes) {
+      const album = state.albums.find(row => row.id === id);
+      if (!album) return null;
+      if ('name' in changes) {
+        assertUniqueName(albumsOf(album.owner_id || null), changes.name, id, 'Album');
+        album.name = changes.name;
+      }
+      if ('cover_image_id' in changes) album.cover_image_id = changes.cover_image_id;
+      persist();
+      return albumWithDetails(album);
+    },
+
+    // Remove an album, its images stay in the library
+    async deleteAlbum(id) {
+      const before = state.albums.length;
+      state.albums = state.albums.filter(album => album.id !== id);
+      if (state.albums.length === before) return false;
+      state.albumImages = state.albumImages.filter(link => link.album_id !== id);
+      persist();
+      return true;
+    },
+
+    async addImageToAlbum(albumId, imageId) {
+      if (!state.albumImages.some(link => link.album_id === albumId && link.image_id === imageId)) {
+        state.albumImages.push({ album_id: albumId, image_id: imageId, added_at: new Date().toISOString() });
+        persist();
+      }
+    },
+
+    async removeImageFromAlbum(albumId, imageId) {
+      const before = state.albumImages.length;
+      state.albumImages = state.albumImages
+        .filter(link => !(link.album_id === albumId && link.image_id === imageId));
+      if (state.albumImages.length === before) return false;
+      persist();
+      return true;
+    },
+
+    // Tags, by name, with the number of images carrying them. ownerId counts only that user's images
+    async listTags({ ownerId = null } = {}) {
+      const counts = (link) => !isTrashed(link.image_id)
+        && (!ownerId || state.images.find(img => img.id === link.image_id).owner_id === ownerId);
+      return [...state.tags]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(tag => ({
+          ...tag,
+          image_count: state.imageTags.filter(link => link.tag_id === tag.id && counts(link)).length
+        }));
+    },
+
+    async createTag(name) {
+      assertUniqueName(state.tags, name, null, 'Tag');
+      const tag = { id: state.nextTagId++, name };
+      state.tags.push(tag);
+      persist();
+      return { ...tag, image_count: 0 };
+    },
+
+    // Rename a tag on every image that carries it, null when it does not exist
+    async renameTag(id, name) {
+      const tag = state.tags.find(row => row.id === id);
+      if (!tag) return null;
+      assertUniqueName(state.tags, name, id, 'Tag');
+      tag.name = name;
+      persist();
+      return { ...tag, image_count: state.imageTags.filter(link => link.tag_id === id && !isTrashed(link.image_id)).length };
+    },
+
+    async deleteTag(id) {
+      const before = state.tags.length;
+      state.tags = state.tags.filter(tag => tag.id !== id);
+      if (state.tags.length === before) return false;
+      state.imageTags = state.imageTags.filter(link => link.tag_id !== id);
+      persist();
+      return true;
+    },
+
+    // Replace the tags of an image, creating tags that do not exist yet. Null when the image does not exist
+    async setImageTags(imageId, names) {
+      const image = state.images.find(img => img.id === imageId);
+      if (!image) return null;
+      const tagIds = names.map(ensureTag);
+      state.imageTags = state.imageTags
+        .filter(link => link.image_id !== imageId)
+        .concat(tagIds.map(tagId => ({ image_id: imageId, tag_id: tagId })));
+      persist();
+      return withDetails(image);
+    },
+
+    async insertAuditEntry({ action, imageId = null, actorId = null, actorName = null, apiKeyId = null, ip = null, requestId = null, details = null }) {
+      const entry = {
+        id: state.nextAuditId++,
+        action,
+        image_id: imageId,
+        actor_id: actorId,
+        actor_name: actorName,
+        api_key_id: apiKeyId,
+        ip,
+        request_id: requestId,
+        details: details ? JSON.stringify(details) : null,
+        created_at: new Date().toISOString()
+      };
+      state.auditLog.push(entry);
+      persist();
+      return auditEntryFromRow(entry);
+    },
+
+    // One page of audit entries, newest first, plus the total count, see services/audit for the options
+    async listAuditEntries({ action = null, actorId = null, imageId = null, from = null, to = null, limit = 50, offset = 0 } = {}) {
+      const matching = state.auditLog
+        .filter(entry => !action || entry.action === action)
+        .filter(entry => !actorId || entry.actor_id === actorId)
+        .filter(entry => !imageId || entry.image_id === imageId)
+        .filter(entry => !from || new Date(entry.created_at) >= new Date(from))
+        .filter(entry => !to || new Date(entry.created_at) <= new Date(to))
+        .sort((a, b) => b.id - a.id);
+      return { items: matching.slice(offset, offset + limit).map(auditEntryFromRow), total: matching.length };
+    }
+  };
+}
+
+module.exports = { createMemoryDriver };
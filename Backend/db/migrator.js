@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const { ConfigurationError, DatabaseError } = require('../errors');
+
+const migrationsDirectory = path.resolve(__dirname, '../migrations');
+
+// Migration files are named NNN_description.js and applied in version order
+const migrationFilePattern = /^(\d+)_([\w-]+)\.js$/;
+
+// Load all migrations from disk, sorted by version
+function loadMigrations(directory = migrationsDirectory) {
+  const migrations = fs.readdirSync(directory)
+    .map(file => {
+      const match = file.match(migrationFilePattern);
+      if (!match) return null;
+      return {
+        version: parseInt(match[1]),
+        name: match[2],
+        ...require(path.join(directory, file))
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new ConfigurationError(`Duplicate migration version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+// List every known migration together with when it was applied
+async function migrationStatus(db, migrations = loadMigrations()) {
+  const applied = await db.getAppliedMigrations();
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+  return migrations.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: appliedByVersion.has(migration.version),
+    appliedOn: appliedByVersion.has(migration.version) ? appliedByVersion.get(migration.version).applied_on : null
+  }));
+}
+
+// Apply every pending migration, returning the ones that ran. Progress goes to log, the console
+// for the migrate script, the server's logger when it starts.
+async function migrate(db, migrations = loadMigrations(), log = console.log) {
+  const applied = new Set((await db.getAppliedMigrations()).map(row => row.version));
+  const pending = migrations.filter(migration => !applied.has(migration.version));
+
+  for (const migration of pending) {
+    log(`Applying migration ${migration.version}_${migration.name}...`);
+    await db.applyMigration(migration);
+  }
+
+  return pending;
+}
+
+// Roll back the most recently applied migrations, returning the ones that were reverted
+async function rollback(db, steps = 1, migrations = loadMigrations(), log = console.log) {
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+  const applied = (await db.getAppliedMigrations())
+    .map(row => row.version)
+    .sort((a, b) => b - a)
+    .slice(0, steps);
+
+  const reverted = [];
+  for (const version of applied) {
+    const migration = byVersion.get(version);
+    if (!migration) {
+      throw new DatabaseError(`Applied migration ${version} has no migration file`);
+    }
+    log(`Rolling back migration ${migration.version}_${migration.name}...`);
+    await db.revertMigration(migration);
+    reverted.push(migration);
+  }
+
+  return reverted;
+}
+
+module.exports = {
+  migrationsDirectory,
+  loadMigrations,
+  migrationStatus,
+  migrate,
+  rollback
+};
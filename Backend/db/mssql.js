@@ -0,0 +1,823 @@
+const sql = require('mssql');
+const { DatabaseError, ConflictError } = require('../errors');
+
+// Public shape of a variant row
+const toVariant = ({ name, image_path, mime_type, size_bytes, width, height }) =>
+  ({ name, image_path, mime_type, size_bytes, width, height });
+
+// Columns listImages may sort by, anything else falls back to the upload date
+const sortableColumns = ['upload_date', 'size_bytes', 'original_name', 'deleted_at'];
+
+// Columns updateImage may change
+const editableColumns = ['title', 'description', 'alt_text'];
+
+// Albums with the path of their cover and their image count, images in the trash do not count
+const albumSelect = `
+  SELECT a.id, a.name, a.cover_image_id, a.owner_id, a.created_at, c.image_path AS cover_image_path,
+    (
+      SELECT COUNT(*) FROM AlbumImages ai JOIN Images i ON i.id = ai.image_id
+      WHERE ai.album_id = a.id AND i.deleted_at IS NULL
+    ) AS image_count
+  FROM Albums a
+  LEFT JOIN Images c ON c.id = a.cover_image_id
+`;
+
+// Tags with the number of images carrying them, leaving out images in the trash. @ownerId, when
+// not null, counts only the images of that user
+const tagSelect = `
+  SELECT t.id, t.name, COUNT(i.id) AS image_count
+  FROM Tags t
+  LEFT JOIN ImageTags it ON it.tag_id = t.id
+  LEFT JOIN Images i ON i.id = it.image_id AND i.deleted_at IS NULL AND (@ownerId IS NULL OR i.owner_id = @ownerId)
+`;
+
+// Match LIKE wildcards literally, with backslash as the escape character
+const escapeLike = (value) => value.replace(/[\\%_[]/g, '\\$&');
+
+// Scopes are stored as a comma separated list
+const apiKeyFromRow = (row) => (row ? { ...row, scopes: row.scopes ? row.scopes.split(',') : [] } : null);
+
+// Audit entry details are stored as JSON text
+const auditEntryFromRow = (row) => ({ ...row, details: row.details ? JSON.parse(row.details) : null });
+
+// Unique key violations (duplicate album or tag names) become a 409
+const isUniqueViolation = (err) => err.number === 2627 || err.number === 2601;
+
+// SQL Server driver for the image metadata store
+function createMssqlDriver(config) {
+  let pool = null;
+
+  // Complete database configuration
+  const fullDbConfig = {
+    user: config.user,
+    password: config.password,
+    server: config.server,
+    database: config.database,
+    pool: {
+      max: 10,
+      min: 0,
+      idleTimeoutMillis: 30000
+    },
+    options: {
+      encrypt: false,
+      trustServerCertificate: true,
+      enableArithAbort: true
+    }
+  };
+
+  const getPool = () => {
+    if (!pool) {
+      throw new DatabaseError('Database is not connected');
+    }
+    return pool;
+  };
+
+  // Load the variants, tag names and album ids of the given image rows and attach them
+  const attachDetails = async (rows) => {
+    if (!rows.length) return rows;
+
+    const ids = "SELECT CAST(value AS INT) FROM STRING_SPLIT(@ids, ',')";
+    const result = await getPool().request()
+      .input('ids', sql.NVarChar, rows.map(row => row.id).join(','))
+      .query(`
+        SELECT * FROM ImageVariants WHERE image_id IN (${ids}) ORDER BY width;
+        SELECT it.image_id, t.name FROM ImageTags it JOIN Tags t ON t.id = it.tag_id
+        WHERE it.image_id IN (${ids}) ORDER BY t.name;
+        SELECT image_id, album_id FROM AlbumImages WHERE image_id IN (${ids}) ORDER BY album_id;
+      `);
+    const [variants, tags, albums] = result.recordsets;
+
+    return rows.map(row => ({
+      ...row,
+      variants: variants.filter(variant => variant.image_id === row.id).map(toVariant),
+      tags: tags.filter(tag => tag.image_id === row.id).map(tag => tag.name),
+      album_ids: albums.filter(link => link.image_id === row.id).map(link => link.album_id)
+    }));
+  };
+
+  const getAlbum = async (id) => {
+    const result = await getPool().request()
+      .input('id', sql.Int, id)
+      .query(`${albumSelect} WHERE a.id = @id`);
+    return result.recordset[0] || null;
+  };
+
+  const getTag = async (id) => {
+    const result = await getPool().request()
+      .input('id', sql.Int, id)
+      .input('ownerId', sql.Int, null)
+      .query(`${tagSelect} WHERE t.id = @id GROUP BY t.id, t.name`);
+    return result.recordset[0] || null;
+  };
+
+  // Run a write that may hit a unique name constraint
+  const withUniqueName = async (kind, name, write) => {
+    try {
+      return await write();
+    } catch (err) {
+      if (isUniqueViolation(err)) throw new ConflictError(`${kind} "${name}" already exists`, 'already_exists');
+      throw err;
+    }
+  };
+
+  // Run one direction of a migration and record it, all inside a single transaction
+  const runMigration = async (migration, direction, record) => {
+    const statements = migration.mssql && migration.mssql[direction];
+    if (!statements) {
+      throw new DatabaseError(`Migration ${migration.version}_${migration.name} has no ${direction} step for SQL Server`);
+    }
+
+    const transaction = new sql.Transaction(getPool());
+    await transaction.begin();
+    try {
+      for (const statement of [].concat(statements)) {
+        await new sql.Request(transaction).batch(statement);
+      }
+      await record(new sql.Request(transaction));
+      await transaction.commit();
+    } catch (err) {
+      await transaction.rollback();
+      throw new DatabaseError(`Migration ${migration.version}_${migration.name} (${direction}) failed: ${err.message}`);
+    }
+  };
+
+  return {
+    name: 'mssql',
+
+    async connect() {
+      try {
+        pool = await new sql.ConnectionPool(fullDbConfig).connect();
+      } catch (err) {
+        throw new DatabaseError(`Failed to connect to SQL Server: ${err.message}`);
+      }
+    },
+
+    async close() {
+      if (pool && pool.connected) {
+        await pool.close();
+      }
+      pool = null;
+    },
+
+    // Check that the pool is connected and SQL Server answers, for the readiness check
+    async ping() {
+      if (!getPool().connected) throw new DatabaseError('Database connection pool is closed');
+      try {
+        await getPool().request().query('SELECT 1');
+      } catch (err) {
+        throw new DatabaseError(`SQL Server did not answer: ${err.message}`);
+      }
+    },
+
+    // Versions already applied, creating the schema_version table on first use
+    async getAppliedMigrations() {
+      try {
+        await getPool().request().query(`
+          IF OBJECT_ID('dbo.schema_version') IS NULL
+          CREATE TABLE schema_version (
+            version INT PRIMARY KEY,
+            name NVARCHAR(255) NOT NULL,
+            applied_on DATETIME NOT NULL DEFAULT GETUTCDATE()
+          )
+        `);
+        const result = await getPool().request()
+          .query('SELECT version, name, applied_on FROM schema_version ORDER BY version');
+        return result.recordset;
+      } catch (err) {
+        throw new DatabaseError(`Error reading schema version: ${err.message}`);
+      }
+    },
+
+    async applyMigration(migration) {
+      await runMigration(migration, 'up', (request) => request
+        .input('version', sql.Int, migration.version)
+        .input('name', sql.NVarChar, migration.name)
+        .query('INSERT INTO schema_version (version, name) VALUES (@version, @name)'));
+    },
+
+    async revertMigration(migration) {
+      await runMigration(migration, 'down', (request) => request
+        .input('version', sql.Int, migration.version)
+        .query('DELETE FROM schema_version WHERE version = @version'));
+    },
+
+    // Insert an image together with its variants in one transaction
+    async insertImage(image) {
+      const transaction = new sql.Transaction(getPool());
+      await transaction.begin();
+      try {
+        const result = await new sql.Request(transaction)
+          .input('path', sql.NVarChar, image.imagePath)
+          .input('originalName', sql.NVarChar, image.originalName || null)
+          .input('mimeType', sql.NVarChar, image.mimeType || null)
+          .input('sizeBytes', sql.BigInt, image.sizeBytes || null)
+          .input('width', sql.Int, image.width || null)
+          .input('height', sql.Int, image.height || null)
+          .input('uploadedBy', sql.NVarChar, image.uploadedBy || null)
+          .input('description', sql.NVarChar, image.description || null)
+          .input('contentHash', sql.Char(64), image.contentHash || null)
+          .input('ownerId', sql.Int, image.ownerId || null)
+          .query(`
+            INSERT INTO Images (
+              image_path, original_name, mime_type, size_bytes, width, height, uploaded_by, description, content_hash, owner_id
+            )
+            OUTPUT INSERTED.*
+            VALUES (
+              @path, @originalName, @mimeType, @sizeBytes, @width, @height, @uploadedBy, @description, @contentHash, @ownerId
+            )
+          `);
+        const row = result.recordset[0];
+
+        const variants = [];
+        for (const variant of image.variants || []) {
+          const variantResult = await new sql.Request(transaction)
+            .input('imageId', sql.Int, row.id)
+            .input('name', sql.NVarChar, variant.name)
+            .input('path', sql.NVarChar, variant.imagePath)
+            .input('mimeType', sql.NVarChar, variant.mimeType)
+            .input('sizeBytes', sql.BigInt, variant.sizeBytes || null)
+            .input('width', sql.Int, variant.width)
+            .input('height', sql.Int, variant.height)
+            .query(`
+              INSERT INTO ImageVariants (image_id, name, image_path, mime_type, size_bytes, width, height)
+              OUTPUT INSERTED.*
+              VALUES (@imageId, @name, @path, @mimeType, @sizeBytes, @width, @height)
+            `);
+          variants.push(toVariant(variantResult.recordset[0]));
+        }
+
+        await transaction.commit();
+        return { ...row, variants, tags: [], album_ids: [] };
+      } catch (err) {
+        await transaction.rollback();
+        throw err;
+      }
+    },
+
+    // One page of images plus the total count, see services/imageQuery for the options
+    async listImages(options = {}) {
+      const request = getPool().request();
+      const conditions = [options.trashed ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL'];
+
+      if (options.ownerId) {
+        request.input('ownerId', sql.Int, options.ownerId);
+        conditions.push('owner_id = @ownerId');
+      }
+      if (options.from) {
+        request.input('from', sql.DateTime, options.from);
+        conditions.push('upload_date >= @from');
+      }
+      if (options.to) {
+        request.input('to', sql.DateTime, options.to);
+        conditions.push('upload_date <= @to');
+      }
+      if (options.mimeTypes && options.mimeTypes.length) {
+        const names = options.mimeTypes.map((type, index) => {
+          request.input(`type${index}`, sql.NVarChar, type);
+          return `@type${index}`;
+        });
+        conditions.push(`mime_type IN (${names.join(', ')})`);
+      }
+      if (options.albumId) {
+        request.input('albumId', sql.Int, options.albumId);
+        conditions.push('id IN (SELECT image_id FROM AlbumImages WHERE album_id = @albumId)');
+      }
+      if (options.tags && options.tags.length) {
+        // Images carrying every one of the tags
+        const names = options.tags.map((tag, index) => {
+          request.input(`tag${index}`, sql.NVarChar, tag);
+          return `@tag${index}`;
+        });
+        request.input('tagCount', sql.Int, names.length);
+        conditions.push(`id IN (
+          SELECT it.image_id FROM ImageTags it JOIN Tags t ON t.id = it.tag_id
+          WHERE t.name IN (${names.join(', ')})
+          GROUP BY it.image_id HAVING COUNT(*) = @tagCount
+        )`);
+      }
+
+      const where = `WHERE ${conditions.join(' AND ')}`;
+      const sortColumn = sortableColumns.includes(options.sort) ? options.sort : 'upload_date';
+      const order = options.order === 'asc' ? 'ASC' : 'DESC';
+      const paging = options.limit
+        ? 'OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY'
+        : '';
+      if (options.limit) {
+        request.input('offset', sql.Int, options.offset || 0);
+        request.input('limit', sql.Int, options.limit);
+      }
+
+      const result = await request.query(`
+        SELECT COUNT(*) AS total FROM Images ${where};
+        SELECT * FROM Images ${where}
+        ORDER BY ${sortColumn} ${order}, id ${order}
+        ${paging}
+      `);
+
+      return {
+        items: await attachDetails(result.recordsets[1]),
+        total: result.recordsets[0][0].total
+      };
+    },
+
+    // Most recent images whose name, title, description, alt text or tags contain every term.
+    // Ranking happens in services/search.
+    async searchImages(terms, { limit = 1000, ownerId = null } = {}) {
+      const request = getPool().request().input('limit', sql.Int, limit);
+      const conditions = terms.map((term, index) => {
+        request.input(`term${index}`, sql.NVarChar, `%${escapeLike(term)}%`);
+        const pattern = `@term${index} ESCAPE '\\'`;
+        return `(
+          original_name LIKE ${pattern} OR title LIKE ${pattern}
+          OR description LIKE ${pattern} OR alt_text LIKE ${pattern}
+          OR EXISTS (
+            SELECT 1 FROM ImageTags it JOIN Tags t ON t.id = it.tag_id
+            WHERE it.image_id = Images.id AND t.name LIKE ${pattern}
+          )
+        )`;
+      });
+      conditions.push('deleted_at IS NULL');
+      if (ownerId) {
+        request.input('ownerId', sql.Int, ownerId);
+        conditions.push('owner_id = @ownerId');
+      }
+
+      const result = await request.query(`
+        SELECT TOP (@limit) * FROM Images
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY upload_date DESC, id DESC
+      `);
+      return attachDetails(result.recordset);
+    },
+
+    async getImage(id) {
+      const result = await getPool().request()
+        .input('id', sql.Int, id)
+        .query('SELECT * FROM Images WHERE id = @id');
+      const [image] = await attachDetails(result.recordset);
+      return image || null;
+    },
+
+    // Oldest image with the given content hash, optionally only among one owner's images.
+    // Images in the trash still hold their files, they are only skipped with activeOnly.
+    async findImageByHash(contentHash, options = {}) {
+      const request = getPool().request().input('contentHash', sql.Char(64), contentHash);
+      let ownerCondition = '';
+      if ('ownerId' in options) {
+        request.input('ownerId', sql.Int, options.ownerId);
+        ownerCondition = options.ownerId ? 'AND owner_id = @ownerId' : 'AND owner_id IS NULL';
+      }
+      const result = await request
+        .query(`
+          SELECT TOP 1 * FROM Images
+          WHERE content_hash = @contentHash ${options.activeOnly ? 'AND deleted_at IS NULL' : ''} ${ownerCondition}
+          ORDER BY id
+        `);
+      const [image] = await attachDetails(result.recordset);
+      return image || null;
+    },
+
+    // Every record sharing the files counts, including those in the trash
+    async countImagesByHash(contentHash) {
+      const result = await getPool().request()
+        .input('contentHash', sql.Char(64), contentHash)
+        .query('SELECT COUNT(*) AS count FROM Images WHERE content_hash = @contentHash');
+      return result.recordset[0].count;
+    },
+
+    // Images whose original or one of whose variants is stored at the given path.
+    // Several records can share a file when duplicates are linked.
+    async findImagesByPath(imagePath) {
+      const result = await getPool().request()
+        .input('imagePath', sql.NVarChar, imagePath)
+        .query(`
+          SELECT * FROM Images
+          WHERE image_path = @imagePath
+            OR id IN (SELECT image_id FROM ImageVariants WHERE image_path = @imagePath)
+        `);
+      return result.recordset;
+    },
+
+    // Apply edits to the descriptive fields, null when the image does not exist
+    async updateImage(id, changes) {
+      const request = getPool().request().input('id', sql.Int, id);
+      const assignments = editableColumns.filter(column => column in changes).map(column => {
+        request.input(column, sql.NVarChar, changes[column]);
+        return `${column} = @${column}`;
+      });
+      if (!assignments.length) return this.getImage(id);
+
+      const result = await request.query(`
+        UPDATE Images SET ${assignments.join(', ')}
+        OUTPUT INSERTED.*
+        WHERE id = @id
+      `);
+      const [image] = await attachDetails(result.recordset);
+      return image || null;
+    },
+
+    // Move an image to the trash, null when it does not exist or is already there. Times are
+    // written in UTC, like the JS dates they are compared with and read back as.
+    async trashImage(id) {
+      const result = await getPool().request()
+        .input('id', sql.Int, id)
+        .query(`
+          UPDATE Images SET deleted_at = GETUTCDATE()
+          OUTPUT INSERTED.*
+          WHERE id = @id AND deleted_at IS NULL
+        `);
+      const [image] = await attachDetails(result.recordset);
+      return image || null;
+    },
+
+    // Take an image out of the trash, null when it is not in the trash
+    async restoreImage(id) {
+      const result = await getPool().request()
+        .input('id', sql.Int, id)
+        .query(`
+          UPDATE Images SET deleted_at = NULL
+          OUTPUT INSERTED.*
+          WHERE id = @id AND deleted_at IS NOT NULL
+        `);
+      const [image] = await attachDetails(result.recordset);
+      return image || null;
+    },
+
+    // Images that went to the trash before the given time, oldest first
+    async listTrashedBefore(cutoff, { limit = 100 } = {}) {
+      const result = await getPool().request()
+        .input('cutoff', sql.DateTime, new Date(cutoff))
+        .input('limit', sql.Int, limit)
+        .query(`
+          SELECT TOP (@limit) * FROM Images
+          WHERE deleted_at IS NOT NULL AND deleted_at < @cutoff
+          ORDER BY deleted_at, id
+        `);
+      return attachDetails(result.recordset);
+    },
+
+    // Every image, including those in the trash, in id order after the given id
+    async listImagesAfter(afterId, { limit = 100 } = {}) {
+      const result = await getPool().request()
+        .input('afterId', sql.Int, afterId)
+        .input('limit', sql.Int, limit)
+        .query('SELECT TOP (@limit) * FROM Images WHERE id > @afterId ORDER BY id');
+      return attachDetails(result.recordset);
+    },
+
+    // Album covers have no cascade, so they are cleared first
+    async deleteImage(id) {
+      const result = await getPool().request()
+        .input('id', sql.Int, id)
+        .query(`
+          UPDATE Albums SET cover_image_id = NULL WHERE cover_image_id = @id;
+          DELETE FROM Images WHERE id = @id;
+        `);
+      return result.rowsAffected[result.rowsAffected.length - 1] > 0;
+    },
+
+    async createUser({ username, passwordHash, role = 'user' }) {
+      const result = await withUniqueName('User', username, () => getPool().request()
+        .input('username', sql.NVarChar, username)
+        .input('passwordHash', sql.NVarChar, passwordHash)
+        .input('role', sql.NVarChar, role)
+        .query(`
+          INSERT INTO Users (username, password_hash, role)
+          OUTPUT INSERTED.*
+          VALUES (@username, @passwordHash, @role)
+        `));
+      return result.recordset[0];
+    },
+
+    async findUserByUsername(username) {
+      const result = await getPool().request()
+        .input('username', sql.NVarChar, username)
+        .query('SELECT * FROM Users WHERE username = @username');
+      return result.recordset[0] || null;
+    },
+
+    async getUser(id) {
+      const result = await getPool().request()
+        .input('id', sql.Int, id)
+        .query('SELECT * FROM Users WHERE id = @id');
+      return result.recordset[0] || null;
+    },
+
+    // Number of accounts, of one role when given
+    async countUsers({ role = null } = {}) {
+      const result = await getPool().request()
+        .input('role', sql.NVarChar, role)
+        .query('SELECT COUNT(*) AS count FROM Users WHERE @role IS NULL OR role = @role');
+      return result.recordset[0].count;
+    },
+
+    // Change the role of an account, null when it does not exist
+    async updateUserRole(id, role) {
+      const result = await getPool().request()
+        .input('id', sql.Int, id)
+        .input('role', sql.NVarChar, role)
+        .query('UPDATE Users SET role = @role OUTPUT INSERTED.* WHERE id = @id');
+      return result.recordset[0] || null;
+    },
+
+    async createApiKey({ userId, name, prefix, keyHash, scopes }) {
+      const result = await getPool().request()
+        .input('userId', sql.Int, userId)
+        .input('name', sql.NVarChar, name)
+        .input('prefix', sql.NVarChar, prefix)
+        .input('keyHash', sql.Char(64), keyHash)
+        .input('scopes', sql.NVarChar, scopes.join(','))
+        .query(`
+          INSERT INTO ApiKeys (user_id, name, prefix, key_hash, scopes)
+          OUTPUT INSERTED.*
+          VALUES (@userId, @name, @prefix, @keyHash, @scopes)
+        `);
+      return apiKeyFromRow(result.recordset[0]);
+    },
+
+    // The keys of a user, newest first, revoked ones included
+    async listApiKeys(userId) {
+      const result = await getPool().request()
+        .input('userId', sql.Int, userId)
+        .query('SELECT * FROM ApiKeys WHERE user_id = @userId ORDER BY id DESC');
+      return result.recordset.map(apiKeyFromRow);
+    },
+
+    async getApiKey(id) {
+      const result = await getPool().request()
+        .input('id', sql.Int, id)
+        .query('SELECT * FROM ApiKeys WHERE id = @id');
+      return apiKeyFromRow(result.recordset[0]);
+    },
+
+    async findApiKeyByHash(keyHash) {
+      const result = await getPool().request()
+        .input('keyHash', sql.Char(64), keyHash)
+        .query('SELECT * FROM ApiKeys WHERE key_hash = @keyHash');
+      return apiKeyFromRow(result.recordset[0]);
+    },
+
+    // Revoking twice keeps the first revocation time, null when the key does not exist
+    async revokeApiKey(id) {
+      const result = await getPool().request()
+        .input('id', sql.Int, id)
+        .query(`
+          UPDATE ApiKeys SET revoked_at = COALESCE(revoked_at, GETUTCDATE())
+          OUTPUT INSERTED.*
+          WHERE id = @id
+        `);
+      return apiKeyFromRow(result.recordset[0]);
+    },
+
+    async createShareLink({ imageId, createdBy, expiresAt, maxDownloads = null }) {
+      const result = await getPool().request()
+        .input('imageId', sql.Int, imageId)
+        .input('createdBy', sql.Int, createdBy)
+        .input('expiresAt', sql.DateTime, new Date(expiresAt))
+        .input('maxDownloads', sql.Int, maxDownloads)
+        .query(`
+          INSERT INTO ShareLinks (image_id, created_by, expires_at, max_downloads)
+          OUTPUT INSERTED.*
+          VALUES (@imageId, @createdBy, @expiresAt, @maxDownloads)
+        `);
+      return result.recordset[0];
+    },
+
+    // The share links of an image, newest first
+    async listShareLinks(imageId) {
+      const result = await getPool().request()
+        .input('imageId', sql.Int, imageId)
+        .query('SELECT * FROM ShareLinks WHERE image_id = @imageId ORDER BY id DESC');
+      return result.recordset;
+    },
+
+    async getShareLink(id) {
+      const result = await getPool().request()
+        .input('id', sql.Int, id)
+        .query('SELECT * FROM ShareLinks WHERE id = @id');
+      return result.recordset[0] || null;
+    },
+
+    async revokeShareLink(id) {
+      const result = await getPool().request()
+        .input('id', sql.Int, id)
+        .query(`
+          UPDATE ShareLinks SET revoked_at = COALESCE(revoked_at, GETUTCDATE())
+          OUTPUT INSERTED.*
+          WHERE id = @id
+        `);
+      return result.recordset[0] || null;
+    },
+
+    // Count a download in a single statement, so concurrent downloads cannot pass the limit.
+    // Null when the link is revoked or has no downloads left.
+    async claimShareDownload(id) {
+      const result = await getPool().request()
+        .input('id', sql.Int, id)
+        .query(`
+          UPDATE ShareLinks SET download_count = download_count + 1
+          OUTPUT INSERTED.*
+          WHERE id = @id AND revoked_at IS NULL
+            AND (max_downloads IS NULL OR download_count < max_downloads)
+        `);
+      return result.recordset[0] || null;
+    },
+
+    async touchApiKey(id) {
+      await getPool().request()
+        .input('id', sql.Int, id)
+        .query('UPDATE ApiKeys SET last_used_at = GETUTCDATE() WHERE id = @id');
+    },
+
+    // Albums, by name, with their image count and cover path. ownerId limits them to one user's
+    async listAlbums({ ownerId = null } = {}) {
+      const result = await getPool().request()
+        .input('ownerId', sql.Int, ownerId)
+        .query(`${albumSelect} WHERE @ownerId IS NULL OR a.owner_id = @ownerId ORDER BY a.name`);
+      return result.recordset;
+    },
+
+    getAlbum,
+
+    async createAlbum({ name, cover_image_id = null, owner_id = null }) {
+      const result = await withUniqueName('Album', name, () => getPool().request()
+        .input('name', sql.NVarChar, name)
+        .input('coverImageId', sql.Int, cover_image_id)
+        .input('ownerId', sql.Int, owner_id)
+        .query('INSERT INTO Albums (name, cover_image_id, owner_id) OUTPUT INSERTED.id VALUES (@name, @coverImageId, @ownerId)'));
+      return getAlbum(result.recordset[0].id);
+    },
+
+    // Rename an album or change its cover, null when it does not exist
+    async updateAlbum(id, changes) {
+      const request = getPool().request().input('id', sql.Int, id);
+      const assignments = [];
+      if ('name' in changes) {
+        request.input('name', sql.NVarChar, changes.name);
+        assignments.push('name = @name');
+      }
+      if ('cover_image_id' in changes) {
+        request.input('coverImageId', sql.Int, changes.cover_image_id);
+        assignments.push('cover_image_id = @coverImageId');
+      }
+      if (!assignments.length) return getAlbum(id);
+
+      const result = await withUniqueName('Album', changes.name, () =>
+        request.query(`UPDATE Albums SET ${assignments.join(', ')} WHERE id = @id`));
+      return result.rowsAffected[0] > 0 ? getAlbum(id) : null;
+    },
+
+    // Remove an album, its images stay in the library
+    async deleteAlbum(id) {
+      const result = await getPool().request()
+        .input('id', sql.Int, id)
+        .query('DELETE FROM Albums WHERE id = @id');
+      return result.rowsAffected[0] > 0;
+    },
+
+    async addImageToAlbum(albumId, imageId) {
+      await getPool().request()
+        .input('albumId', sql.Int, albumId)
+        .input('imageId', sql.Int, imageId)
+        .query(`
+          IF NOT EXISTS (SELECT 1 FROM AlbumImages WHERE album_id = @albumId AND image_id = @imageId)
+          INSERT INTO AlbumImages (album_id, image_id) VALUES (@albumId, @imageId)
+        `);
+    },
+
+    async removeImageFromAlbum(albumId, imageId) {
+      const result = await getPool().request()
+        .input('albumId', sql.Int, albumId)
+        .input('imageId', sql.Int, imageId)
+        .query('DELETE FROM AlbumImages WHERE album_id = @albumId AND image_id = @imageId');
+      return result.rowsAffected[0] > 0;
+    },
+
+    // Tags, by name, with the number of images carrying them. ownerId counts only that user's images
+    async listTags({ ownerId = null } = {}) {
+      const result = await getPool().request()
+        .input('ownerId', sql.Int, ownerId)
+        .query(`${tagSelect} GROUP BY t.id, t.name ORDER BY t.name`);
+      return result.recordset;
+    },
+
+    async createTag(name) {
+      const result = await withUniqueName('Tag', name, () => getPool().request()
+        .input('name', sql.NVarChar, name)
+        .query('INSERT INTO Tags (name) OUTPUT INSERTED.* VALUES (@name)'));
+      return { ...result.recordset[0], image_count: 0 };
+    },
+
+    // Rename a tag on every image that carries it, null when it does not exist
+    async renameTag(id, name) {
+      const result = await withUniqueName('Tag', name, () => getPool().request()
+        .input('id', sql.Int, id)
+        .input('name', sql.NVarChar, name)
+        .query('UPDATE Tags SET name = @name WHERE id = @id'));
+      return result.rowsAffected[0] > 0 ? getTag(id) : null;
+    },
+
+    async deleteTag(id) {
+      const result = await getPool().request()
+        .input('id', sql.Int, id)
+        .query('DELETE FROM Tags WHERE id = @id');
+      return result.rowsAffected[0] > 0;
+    },
+
+    // Replace the tags of an image, creating tags that do not exist yet. Null when the image does not exist
+    async setImageTags(imageId, names) {
+      const transaction = new sql.Transaction(getPool());
+      await transaction.begin();
+      try {
+        const deleted = await new sql.Request(transaction)
+          .input('imageId', sql.Int, imageId)
+          .query(`
+            DELETE FROM ImageTags WHERE image_id = @imageId;
+            SELECT id FROM Images WHERE id = @imageId;
+          `);
+        if (!deleted.recordset.length) {
+          await transaction.rollback();
+          return null;
+        }
+
+        for (const name of names) {
+          await new sql.Request(transaction)
+            .input('imageId', sql.Int, imageId)
+            .input('name', sql.NVarChar, name)
+            .query(`
+              IF NOT EXISTS (SELECT 1 FROM Tags WHERE name = @name) INSERT INTO Tags (name) VALUES (@name);
+              INSERT INTO ImageTags (image_id, tag_id) SELECT @imageId, id FROM Tags WHERE name = @name;
+            `);
+        }
+
+        await transaction.commit();
+      } catch (err) {
+        await transaction.rollback();
+        throw err;
+      }
+      return this.getImage(imageId);
+    },
+
+    async insertAuditEntry({ action, imageId = null, actorId = null, actorName = null, apiKeyId = null, ip = null, requestId = null, details = null }) {
+      const result = await getPool().request()
+        .input('action', sql.NVarChar, action)
+        .input('imageId', sql.Int, imageId)
+        .input('actorId', sql.Int, actorId)
+        .input('actorName', sql.NVarChar, actorName)
+        .input('apiKeyId', sql.Int, apiKeyId)
+        .input('ip', sql.NVarChar, ip)
+        .input('requestId', sql.NVarChar, requestId)
+        .input('details', sql.NVarChar, details ? JSON.stringify(details) : null)
+        .query(`
+          INSERT INTO AuditLog (action, image_id, actor_id, actor_name, api_key_id, ip, request_id, details)
+          OUTPUT INSERTED.*
+          VALUES (@action, @imageId, @actorId, @actorName, @apiKeyId, @ip, @requestId, @details)
+        `);
+      return auditEntryFromRow(result.recordset[0]);
+    },
+
+    // One page of audit entries, newest first, plus the total count, see services/audit for the options
+    async listAuditEntries({ action = null, actorId = null, imageId = null, from = null, to = null, limit = 50, offset = 0 } = {}) {
+      const request = getPool().request();
+      const conditions = [];
+
+      if (action) {
+        request.input('action', sql.NVarChar, action);
+        conditions.push('action = @action');
+      }
+      if (actorId) {
+        request.input('actorId', sql.Int, actorId);
+        conditions.push('actor_id = @actorId');
+      }
+      if (imageId) {
+        request.input('imageId', sql.Int, imageId);
+        conditions.push('image_id = @imageId');
+      }
+      if (from) {
+        request.input('from', sql.DateTime, from);
+        conditions.push('created_at >= @from');
+      }
+      if (to) {
+        request.input('to', sql.DateTime, to);
+        conditions.push('created_at <= @to');
+      }
+      request.input('offset', sql.Int, offset);
+      request.input('limit', sql.Int, limit);
+
+      const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+      const result = await request.query(`
+        SELECT COUNT(*) AS total FROM AuditLog ${where};
+        SELECT * FROM AuditLog ${where}
+        ORDER BY id DESC
+        OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY
+      `);
+
+      return {
+        items: result.recordsets[1].map(auditEntryFromRow),
+        total: result.recordsets[0][0].total
+      };
+    }
+  };
+}
+
+module.exports = { createMssqlDriver };
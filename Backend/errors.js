@@ -0,0 +1,126 @@
+// Custom error classes for better error handling. Each has the HTTP status it is answered with and
+// a stable code clients can rely on (see problems.js); a more specific code can be given per error,
+// e.g. new ResourceNotFoundError('Image not found', 'image_not_found').
+class ConfigurationError extends Error {
+  constructor(message, code = 'configuration_error') {
+    super(message);
+    this.name = 'ConfigurationError';
+    this.statusCode = 500;
+    this.code = code;
+  }
+}
+
+class DatabaseError extends Error {
+  constructor(message, code = 'database_unavailable') {
+    super(message);
+    this.name = 'DatabaseError';
+    this.statusCode = 503;
+    this.code = code;
+  }
+}
+
+class FileSystemError extends Error {
+  constructor(message, code = 'storage_failed') {
+    super(message);
+    this.name = 'FileSystemError';
+    this.statusCode = 500;
+    this.code = code;
+  }
+}
+
+class ValidationError extends Error {
+  constructor(message, code = 'invalid_request') {
+    super(message);
+    this.name = 'ValidationError';
+    this.statusCode = 400;
+    this.code = code;
+  }
+}
+
+class UnsupportedMediaTypeError extends Error {
+  constructor(message, code = 'unsupported_file_type') {
+    super(message);
+    this.name = 'UnsupportedMediaTypeError';
+    this.statusCode = 415;
+    this.code = code;
+  }
+}
+
+class PayloadTooLargeError extends Error {
+  constructor(message, code = 'file_too_large') {
+    super(message);
+    this.name = 'PayloadTooLargeError';
+    this.statusCode = 413;
+    this.code = code;
+  }
+}
+
+class ResourceNotFoundError extends Error {
+  constructor(message, code = 'not_found') {
+    super(message);
+    this.name = 'ResourceNotFoundError';
+    this.statusCode = 404;
+    this.code = code;
+  }
+}
+
+class GoneError extends Error {
+  constructor(message, code = 'gone') {
+    super(message);
+    this.name = 'GoneError';
+    this.statusCode = 410;
+    this.code = code;
+  }
+}
+
+class AuthenticationError extends Error {
+  constructor(message, code = 'login_required') {
+    super(message);
+    this.name = 'AuthenticationError';
+    this.statusCode = 401;
+    this.code = code;
+  }
+}
+
+class ForbiddenError extends Error {
+  constructor(message, code = 'forbidden') {
+    super(message);
+    this.name = 'ForbiddenError';
+    this.statusCode = 403;
+    this.code = code;
+  }
+}
+
+class ConflictError extends Error {
+  constructor(message, code = 'conflict') {
+    super(message);
+    this.name = 'ConflictError';
+    this.statusCode = 409;
+    this.code = code;
+  }
+}
+
+class RateLimitError extends Error {
+  constructor(message, retryAfterSeconds, code = 'rate_limited') {
+    super(message);
+    this.name = 'RateLimitError';
+    this.statusCode = 429;
+    this.code = code;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+module.exports = {
+  ConfigurationError,
+  DatabaseError,
+  FileSystemError,
+  ValidationError,
+  UnsupportedMediaTypeError,
+  PayloadTooLargeError,
+  ResourceNotFoundError,
+  GoneError,
+  AuthenticationError,
+  ForbiddenError,
+  ConflictError,
+  RateLimitError
+};
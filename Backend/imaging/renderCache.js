@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Disk cache for rendered images. Entries are named after the image id and a hash of the
+// render parameters, and the oldest entries are evicted once the cache grows past maxBytes.
+function createRenderCache({ directory, maxBytes = 500 * 1024 * 1024 }) {
+  fs.mkdirSync(directory, { recursive: true });
+
+  const entryPath = (imageId, params, extension) => {
+    const hash = crypto.createHash('sha256').update(JSON.stringify(params)).digest('hex').slice(0, 32);
+    return path.join(directory, `${imageId}-${hash}${extension}`);
+  };
+
+  const evict = async () => {
+    const entries = await Promise.all((await fs.promises.readdir(directory))
+      .filter(name => !name.endsWith('.tmp'))
+      .map(async (name) => {
+        const fullPath = path.join(directory, name);
+        const stats = await fs.promises.stat(fullPath).catch(() => null);
+        return stats && { fullPath, size: stats.size, mtime: stats.mtimeMs };
+      }));
+
+    let total = entries.filter(Boolean).reduce((sum, entry) => sum + entry.size, 0);
+    const oldestFirst = entries.filter(Boolean).sort((a, b) => a.mtime - b.mtime);
+    for (const entry of oldestFirst) {
+      if (total <= maxBytes) break;
+      await fs.promises.unlink(entry.fullPath).catch(() => {});
+      total -= entry.size;
+    }
+  };
+
+  return {
+    directory,
+
+    async get(imageId, params, extension) {
+      try {
+        return await fs.promises.readFile(entryPath(imageId, params, extension));
+      } catch (err) {
+        return null;
+      }
+    },
+
+    async set(imageId, params, extension, buffer) {
+      const target = entryPath(imageId, params, extension);
+      // Write under a temporary name first so readers never see a partial file
+      const temporary = `${target}.${process.pid}.${Date.now()}.tmp`;
+      await fs.promises.writeFile(temporary, buffer);
+      await fs.promises.rename(temporary, target);
+      await evict();
+    },
+
+    // Drop every cached render of an image
+    async invalidate(imageId) {
+      const prefix = `${imageId}-`;
+      const names = (await fs.promises.readdir(directory)).filter(name => name.startsWith(prefix));
+      await Promise.all(names.map(name => fs.promises.unlink(path.join(directory, name)).catch(() => {})));
+    }
+  };
+}
+
+module.exports = { createRenderCache };
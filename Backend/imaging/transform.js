@@ -0,0 +1,73 @@
+const sharp = require('sharp');
+const { ValidationError } = require('../errors');
+
+// Limits for on-the-fly renders, so the endpoint cannot be used to make huge or endless variations
+const renderLimits = {
+  minDimension: 16,
+  maxDimension: 2048,
+  minQuality: 1,
+  maxQuality: 100,
+  defaultQuality: 80
+};
+
+const fits = ['cover', 'contain', 'fill', 'inside', 'outside'];
+
+const formats = {
+  jpeg: { mimeType: 'image/jpeg', extension: '.jpg' },
+  png: { mimeType: 'image/png', extension: '.png' },
+  webp: { mimeType: 'image/webp', extension: '.webp' }
+};
+
+const parseInteger = (value, name, min, max) => {
+  if (value === undefined || value === '') return null;
+  if (!/^\d+$/.test(String(value))) {
+    throw new ValidationError(`Invalid ${name}: must be a whole number`);
+  }
+  const number = parseInt(value);
+  if (number < min || number > max) {
+    throw new ValidationError(`Invalid ${name}: must be between ${min} and ${max}`);
+  }
+  return number;
+};
+
+// Validate render query parameters (w, h, fit, format, q) into transform options
+function parseTransformOptions(query, { sourceFormat } = {}) {
+  const width = parseInteger(query.w, 'width', renderLimits.minDimension, renderLimits.maxDimension);
+  const height = parseInteger(query.h, 'height', renderLimits.minDimension, renderLimits.maxDimension);
+  const quality = parseInteger(query.q, 'quality', renderLimits.minQuality, renderLimits.maxQuality);
+
+  if (!width && !height) {
+    throw new ValidationError('A width (w) or height (h) is required');
+  }
+
+  const fit = query.fit || 'cover';
+  if (!fits.includes(fit)) {
+    throw new ValidationError(`Invalid fit: use one of ${fits.join(', ')}`);
+  }
+
+  // Keep the original format when none is asked for, GIF output is not supported
+  const format = query.format || (formats[sourceFormat] ? sourceFormat : 'png');
+  if (!formats[format]) {
+    throw new ValidationError(`Invalid format: use one of ${Object.keys(formats).join(', ')}`);
+  }
+
+  return {
+    width,
+    height,
+    fit,
+    format,
+    quality: quality || renderLimits.defaultQuality,
+    ...formats[format]
+  };
+}
+
+// Resize, crop and convert an image buffer
+async function renderImage(buffer, options) {
+  return sharp(buffer)
+    .rotate()
+    .resize(options.width, options.height, { fit: options.fit, withoutEnlargement: true })
+    .toFormat(options.format, { quality: options.quality })
+    .toBuffer();
+}
+
+module.exports = { parseTransformOptions, renderImage, renderLimits, formats };
@@ -0,0 +1,55 @@
+const sharp = require('sharp');
+const { UnsupportedMediaTypeError, ValidationError } = require('../errors');
+
+// Supported image types, recognised by their leading magic bytes
+const imageTypes = [
+  { mimeType: 'image/jpeg', extension: '.jpg', format: 'jpeg', signature: [0xFF, 0xD8, 0xFF] },
+  { mimeType: 'image/png', extension: '.png', format: 'png', signature: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { mimeType: 'image/gif', extension: '.gif', format: 'gif', signature: [0x47, 0x49, 0x46, 0x38, 0x37, 0x61] }, // GIF87a
+  { mimeType: 'image/gif', extension: '.gif', format: 'gif', signature: [0x47, 0x49, 0x46, 0x38, 0x39, 0x61] } // GIF89a
+];
+
+// Images larger than this are refused before decoding to keep memory use bounded
+const maxPixels = 50 * 1000 * 1000;
+
+// Detect the image type from the file content, null when it is not a supported image
+function detectImageType(buffer) {
+  const type = imageTypes.find(({ signature }) =>
+    buffer.length >= signature.length && signature.every((byte, index) => buffer[index] === byte));
+  return type ? { mimeType: type.mimeType, extension: type.extension, format: type.format } : null;
+}
+
+// "JPEG, PNG and GIF" for the error message
+const describeFormats = (formats) => {
+  const names = formats.map(format => format.toUpperCase());
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
+};
+
+// Check that an upload really is a supported image and decodes cleanly. allowedTypes narrows the
+// supported formats, e.g. ['jpeg', 'png'].
+// Returns the detected type and pixel dimensions, or throws a 415/400 error naming the reason.
+async function validateImage(buffer, { allowedTypes = null } = {}) {
+  const formats = allowedTypes || [...new Set(imageTypes.map(imageType => imageType.format))];
+  const type = detectImageType(buffer);
+  if (!type || !formats.includes(type.format)) {
+    throw new UnsupportedMediaTypeError(`Unsupported file type: only ${describeFormats(formats)} images are allowed`);
+  }
+
+  let metadata;
+  try {
+    const image = sharp(buffer, { failOn: 'error', limitInputPixels: maxPixels });
+    metadata = await image.metadata();
+    // Decode every pixel (into a tiny thumbnail) so truncated or corrupt files are caught
+    await image.resize(32, 32, { fit: 'inside' }).toBuffer();
+  } catch (err) {
+    throw new ValidationError(`File could not be decoded as an image: ${err.message}`, 'invalid_image');
+  }
+
+  if (metadata.format !== type.format) {
+    throw new ValidationError(`File content does not match its ${type.format.toUpperCase()} signature`, 'invalid_image');
+  }
+
+  return { ...type, width: metadata.width, height: metadata.height };
+}
+
+module.exports = { detectImageType, validateImage, imageTypes };
@@ -0,0 +1,37 @@
+const sharp = require('sharp');
+
+// Downscaled copies made for every upload: a small thumbnail plus a few responsive widths.
+// All keep the original aspect ratio so they can be listed together in a srcset.
+const variantSizes = [
+  { name: 'thumb', width: 240, height: 240 },
+  { name: 'small', width: 480 },
+  { name: 'medium', width: 960 },
+  { name: 'large', width: 1600 }
+];
+
+const variantFormat = { format: 'webp', mimeType: 'image/webp', extension: '.webp', quality: 80 };
+
+// Generate the variants for an image, skipping widths that would upscale the original
+async function generateVariants(buffer, { width } = {}) {
+  const sizes = variantSizes.filter(size => size.name === 'thumb' || !width || width > size.width);
+
+  return Promise.all(sizes.map(async (size) => {
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .resize(size.width, size.height, { fit: 'inside', withoutEnlargement: true })
+      .toFormat(variantFormat.format, { quality: variantFormat.quality })
+      .toBuffer({ resolveWithObject: true });
+
+    return {
+      name: size.name,
+      width: info.width,
+      height: info.height,
+      mimeType: variantFormat.mimeType,
+      extension: variantFormat.extension,
+      sizeBytes: info.size,
+      buffer: data
+    };
+  }));
+}
+
+module.exports = { generateVariants, variantSizes };
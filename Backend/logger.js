@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+
+// Structured logs: one JSON object per line, with the time, level and message first, e.g.
+//   {"time":"2024-05-01T09:30:00.000Z","level":"info","msg":"Request finished","requestId":"4f1c…","status":200}
+// Lines below the configured level are dropped. debug and info go to stdout, warn and error to stderr.
+const levels = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Errors become plain objects, JSON.stringify would leave out their message and stack
+const serialize = (key, value) => {
+  if (!(value instanceof Error)) return value;
+  const { name, message, code, statusCode, stack } = value;
+  return { name, message, code, statusCode, stack };
+};
+
+const writeToConsole = (line, level) => (levels[level] >= levels.warn ? console.error(line) : console.log(line));
+
+// A logger with debug, info, warn and error methods taking a message and fields to add to the line.
+// child() returns a logger that adds the given fields to every line, e.g. the request id.
+function createLogger({ level = 'info', bindings = {}, write = writeToConsole } = {}) {
+  if (!Object.hasOwn(levels, level)) throw new Error(`Unknown log level "${level}"`);
+  const threshold = levels[level];
+
+  const logAt = (lineLevel) => (msg, fields = {}) => {
+    if (levels[lineLevel] < threshold) return;
+    const line = JSON.stringify({ time: new Date().toISOString(), level: lineLevel, msg, ...bindings, ...fields }, serialize);
+    write(line, lineLevel);
+  };
+
+  return {
+    level,
+    debug: logAt('debug'),
+    info: logAt('info'),
+    warn: logAt('warn'),
+    error: logAt('error'),
+    child: (more) => createLogger({ level, bindings: { ...bindings, ...more }, write })
+  };
+}
+
+// An X-Request-Id sent by a proxy in front is kept when it looks like an id, anything else is replaced
+const requestIdPattern = /^[\w.:-]{1,128}$/;
+
+// Monitoring probes are logged at debug, so they do not drown out the requests of users
+const probePaths = ['/healthz', '/readyz', '/metrics'];
+
+// Middleware, mounted first: gives every request an id, sent back in X-Request-Id and added to its
+// problem responses, audit entries and log lines, and logs every request once it is answered.
+// The query string is left out of the log, share links carry their signature in it.
+function requestLogger(logger) {
+  return (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+    const given = req.get('X-Request-Id');
+    req.id = given && requestIdPattern.test(given) ? given : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+
+    const level = probePaths.includes(req.path) ? 'debug' : 'info';
+    const path = req.originalUrl.split('?')[0];
+    res.on('finish', () => {
+      logger[level]('Request finished', {
+        requestId: req.id,
+        method: req.method,
+        path,
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10,
+        ip: req.ip,
+        userId: req.user ? req.user.id : undefined
+      });
+    });
+    next();
+  };
+}
+
+module.exports = { createLogger, requestLogger, levels };
@@ -0,0 +1,156 @@
+// Metrics in the Prometheus text format (version 0.0.4), kept in memory since the server started.
+// Counters and histograms are labelled series; gauges are computed when /metrics is scraped.
+
+const defaultBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const names = Object.keys(labels);
+  if (!names.length) return '';
+  return `{${names.map(name => `${name}="${escapeLabel(labels[name])}"`).join(',')}}`;
+};
+
+// Series are kept per label combination, in the order of labelNames
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+
+const pickLabels = (labelNames, labels) => Object.fromEntries(labelNames.map(name => [name, labels[name] === undefined ? '' : labels[name]]));
+
+function counter(name, help, labelNames = []) {
+  const series = new Map();
+  return {
+    inc(labels = {}, value = 1) {
+      const key = seriesKey(labelNames, labels);
+      const entry = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      // Without labels there is one series, shown from the start
+      if (!labelNames.length && !series.size) lines.push(`${name} 0`);
+      for (const { labels, value } of series.values()) lines.push(`${name}${formatLabels(labels)} ${value}`);
+      return lines;
+    }
+  };
+}
+
+function histogram(name, help, labelNames = [], buckets = defaultBuckets) {
+  const series = new Map();
+  return {
+    observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    // Time an async operation in seconds, whether it succeeds or fails
+    async time(labels, operation) {
+      const startedAt = process.hrtime.bigint();
+      try {
+        return await operation();
+      } finally {
+        this.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+      }
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    }
+  };
+}
+
+// A gauge whose values come from collect(), which returns [{ labels, value }]
+function gauge(name, help, collect) {
+  return {
+    async render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+      for (const { labels = {}, value } of await collect()) lines.push(`${name}${formatLabels(labels)} ${value}`);
+      return lines;
+    }
+  };
+}
+
+// The metrics of the server. Requests are labelled with the route pattern, e.g. /api/images/:id,
+// so the number of series stays small whatever ids are requested.
+function createMetrics() {
+  const httpRequests = counter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+  const httpDuration = histogram('http_request_duration_seconds', 'HTTP request latency by route', ['method', 'route']);
+  const uploadBytes = counter('upload_bytes_total', 'Bytes of uploaded images that were accepted');
+  const uploadRejections = counter('upload_rejections_total', 'Uploaded files that were refused, by reason', ['reason']);
+  const dbQueryDuration = histogram('db_query_duration_seconds', 'Metadata store call latency by operation', ['operation']);
+  const metrics = [httpRequests, httpDuration, uploadBytes, uploadRejections, dbQueryDuration];
+
+  // Middleware, mounted first: counts and times every response.
+  // The route is taken when Express matches it: by the time an error response finishes, the
+  // routers have moved on and req.baseUrl no longer has the mount path.
+  const middleware = (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+    let matched;
+    let route = 'other';
+    Object.defineProperty(req, 'route', {
+      configurable: true,
+      enumerable: true,
+      get: () => matched,
+      set(value) {
+        matched = value;
+        if (value) route = `${req.baseUrl}${value.path}`;
+      }
+    });
+    res.on('finish', () => {
+      httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      httpDuration.observe({ method: req.method, route }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    });
+    next();
+  };
+
+  // The db with every call timed. Methods are looked up when called, so they can still be replaced later.
+  const instrumentDb = (db) => new Proxy(db, {
+    get(target, property) {
+      const value = target[property];
+      if (typeof value !== 'function') return value;
+      return (...args) => dbQueryDuration.time({ operation: property }, () => target[property](...args));
+    }
+  });
+
+  return {
+    middleware,
+    instrumentDb,
+    uploadRejected: (reason) => uploadRejections.inc({ reason }),
+    // Run store for an uploaded file: its bytes are counted when it is accepted, the code of its
+    // client error when it is refused
+    async countUpload(bytes, store) {
+      try {
+        const result = await store();
+        uploadBytes.inc({}, bytes);
+        return result;
+      } catch (err) {
+        if (err.statusCode >= 400 && err.statusCode < 500) uploadRejections.inc({ reason: err.code || 'invalid_request' });
+        throw err;
+      }
+    },
+    addGauge: (name, help, collect) => metrics.push(gauge(name, help, collect)),
+    contentType: 'text/plain; version=0.0.4; charset=utf-8',
+    async render() {
+      const blocks = await Promise.all(metrics.map(metric => metric.render()));
+      return `${blocks.map(lines => lines.join('\n')).join('\n')}\n`;
+    }
+  };
+}
+
+module.exports = { createMetrics, counter, histogram, gauge };
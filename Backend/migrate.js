@@ -0,0 +1,65 @@
+// Command line tool for schema migrations
+//   node migrate.js status        Show applied and pending migrations
+//   node migrate.js up            Apply all pending migrations
+//   node migrate.js down [steps]  Roll back the last migration(s)
+// Configuration flags such as --db-driver or --non-interactive work like for the server.
+const dotenv = require('dotenv');
+const { loadConfig } = require('./config');
+const { createDb } = require('./db');
+const { migrationStatus, migrate, rollback } = require('./db/migrator');
+
+dotenv.config();
+
+const commands = {
+  async status(db) {
+    const rows = await migrationStatus(db);
+    if (!rows.length) {
+      console.log('No migrations found');
+      return;
+    }
+    rows.forEach(row => {
+      const state = row.applied ? `applied ${new Date(row.appliedOn).toISOString()}` : 'pending';
+      console.log(`${String(row.version).padStart(3, '0')}_${row.name}  ${state}`);
+    });
+  },
+
+  async up(db) {
+    const applied = await migrate(db);
+    console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Schema already up to date');
+  },
+
+  async down(db, steps = '1') {
+    const count = parseInt(steps);
+    if (isNaN(count) || count < 1) {
+      throw new Error(`Invalid number of steps: ${steps}`);
+    }
+    const reverted = await rollback(db, count);
+    console.log(reverted.length ? `✅ Rolled back ${reverted.length} migration(s)` : 'Nothing to roll back');
+  }
+};
+
+async function main(argv) {
+  const { config, warnings, rest } = await loadConfig({ argv });
+  warnings.forEach(warning => console.warn(`⚠️ ${warning}`));
+  const [command = 'status', ...args] = rest;
+  if (!commands[command]) {
+    console.error(`Unknown command "${command}". Use one of: ${Object.keys(commands).join(', ')}`);
+    return 1;
+  }
+
+  const db = createDb(config.db);
+  await db.connect();
+  try {
+    await commands[command](db, ...args);
+    return 0;
+  } finally {
+    await db.close();
+  }
+}
+
+main(process.argv.slice(2))
+  .then(code => process.exit(code))
+  .catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,14 @@
+// Baseline schema. Deployments created by the old checkAndCreateTable already have this table.
+module.exports = {
+  mssql: {
+    up: `
+      IF OBJECT_ID('dbo.Images') IS NULL
+      CREATE TABLE Images (
+        id INT PRIMARY KEY IDENTITY(1,1),
+        image_path NVARCHAR(255) NOT NULL,
+        upload_date DATETIME DEFAULT GETDATE()
+      )
+    `,
+    down: 'DROP TABLE Images'
+  }
+};
@@ -0,0 +1,15 @@
+// Details captured at upload time: original filename, type, size, dimensions and uploader
+module.exports = {
+  mssql: {
+    up: `
+      ALTER TABLE Images ADD
+        original_name NVARCHAR(255) NULL,
+        mime_type NVARCHAR(100) NULL,
+        size_bytes BIGINT NULL,
+        width INT NULL,
+        height INT NULL,
+        uploaded_by NVARCHAR(255) NULL
+    `,
+    down: 'ALTER TABLE Images DROP COLUMN original_name, mime_type, size_bytes, width, height, uploaded_by'
+  }
+};
@@ -0,0 +1,19 @@
+// Thumbnails and responsive widths generated for each image
+module.exports = {
+  mssql: {
+    up: `
+      CREATE TABLE ImageVariants (
+        id INT PRIMARY KEY IDENTITY(1,1),
+        image_id INT NOT NULL REFERENCES Images(id) ON DELETE CASCADE,
+        name NVARCHAR(50) NOT NULL,
+        image_path NVARCHAR(255) NOT NULL,
+        mime_type NVARCHAR(100) NOT NULL,
+        size_bytes BIGINT NULL,
+        width INT NOT NULL,
+        height INT NOT NULL,
+        CONSTRAINT UQ_ImageVariants_image_name UNIQUE (image_id, name)
+      )
+    `,
+    down: 'DROP TABLE ImageVariants'
+  }
+};
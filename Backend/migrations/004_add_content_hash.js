@@ -0,0 +1,13 @@
+// SHA-256 of the uploaded file, used to spot duplicate uploads
+module.exports = {
+  mssql: {
+    up: [
+      'ALTER TABLE Images ADD content_hash CHAR(64) NULL',
+      'CREATE INDEX IX_Images_content_hash ON Images (content_hash)'
+    ],
+    down: [
+      'DROP INDEX IX_Images_content_hash ON Images',
+      'ALTER TABLE Images DROP COLUMN content_hash'
+    ]
+  }
+};
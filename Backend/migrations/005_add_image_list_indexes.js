@@ -0,0 +1,17 @@
+// Indexes backing the sort and filter options of GET /api/images
+module.exports = {
+  mssql: {
+    up: [
+      'CREATE INDEX IX_Images_upload_date ON Images (upload_date)',
+      'CREATE INDEX IX_Images_size_bytes ON Images (size_bytes)',
+      'CREATE INDEX IX_Images_original_name ON Images (original_name)',
+      'CREATE INDEX IX_Images_mime_type ON Images (mime_type)'
+    ],
+    down: [
+      'DROP INDEX IX_Images_mime_type ON Images',
+      'DROP INDEX IX_Images_original_name ON Images',
+      'DROP INDEX IX_Images_size_bytes ON Images',
+      'DROP INDEX IX_Images_upload_date ON Images'
+    ]
+  }
+};
@@ -0,0 +1,12 @@
+// Descriptive fields editable after upload: title, description and alt text for screen readers
+module.exports = {
+  mssql: {
+    up: `
+      ALTER TABLE Images ADD
+        title NVARCHAR(255) NULL,
+        description NVARCHAR(2000) NULL,
+        alt_text NVARCHAR(500) NULL
+    `,
+    down: 'ALTER TABLE Images DROP COLUMN title, description, alt_text'
+  }
+};
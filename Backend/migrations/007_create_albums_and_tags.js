@@ -0,0 +1,48 @@
+// Albums (named collections with an optional cover image) and free-form tags.
+// The cover reference has no cascade because SQL Server refuses the second cascade path
+// from Images, deleteImage clears it instead.
+module.exports = {
+  mssql: {
+    up: [
+      `
+        CREATE TABLE Albums (
+          id INT PRIMARY KEY IDENTITY(1,1),
+          name NVARCHAR(255) NOT NULL,
+          cover_image_id INT NULL REFERENCES Images(id),
+          created_at DATETIME NOT NULL DEFAULT GETUTCDATE(),
+          CONSTRAINT UQ_Albums_name UNIQUE (name)
+        )
+      `,
+      `
+        CREATE TABLE AlbumImages (
+          album_id INT NOT NULL REFERENCES Albums(id) ON DELETE CASCADE,
+          image_id INT NOT NULL REFERENCES Images(id) ON DELETE CASCADE,
+          added_at DATETIME NOT NULL DEFAULT GETUTCDATE(),
+          PRIMARY KEY (album_id, image_id)
+        )
+      `,
+      'CREATE INDEX IX_AlbumImages_image_id ON AlbumImages (image_id)',
+      `
+        CREATE TABLE Tags (
+          id INT PRIMARY KEY IDENTITY(1,1),
+          name NVARCHAR(50) NOT NULL,
+          CONSTRAINT UQ_Tags_name UNIQUE (name)
+        )
+      `,
+      `
+        CREATE TABLE ImageTags (
+          image_id INT NOT NULL REFERENCES Images(id) ON DELETE CASCADE,
+          tag_id INT NOT NULL REFERENCES Tags(id) ON DELETE CASCADE,
+          PRIMARY KEY (image_id, tag_id)
+        )
+      `,
+      'CREATE INDEX IX_ImageTags_tag_id ON ImageTags (tag_id)'
+    ],
+    down: [
+      'DROP TABLE ImageTags',
+      'DROP TABLE Tags',
+      'DROP TABLE AlbumImages',
+      'DROP TABLE Albums'
+    ]
+  }
+};
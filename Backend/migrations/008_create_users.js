@@ -0,0 +1,33 @@
+// User accounts, and the owner of each image. Images uploaded before accounts existed have no
+// owner and are only visible to admins.
+module.exports = {
+  mssql: {
+    up: [
+      `
+        CREATE TABLE Users (
+          id INT PRIMARY KEY IDENTITY(1,1),
+          username NVARCHAR(50) NOT NULL,
+          password_hash NVARCHAR(255) NOT NULL,
+          role NVARCHAR(20) NOT NULL DEFAULT 'user',
+          created_at DATETIME NOT NULL DEFAULT GETUTCDATE(),
+          CONSTRAINT UQ_Users_username UNIQUE (username),
+          CONSTRAINT CK_Users_role CHECK (role IN ('user', 'admin'))
+        )
+      `,
+      'ALTER TABLE Images ADD owner_id INT NULL REFERENCES Users(id)',
+      'CREATE INDEX IX_Images_owner_id ON Images (owner_id)'
+    ],
+    down: [
+      'DROP INDEX IX_Images_owner_id ON Images',
+      `
+        DECLARE @constraint NVARCHAR(255) = (
+          SELECT name FROM sys.foreign_keys
+          WHERE parent_object_id = OBJECT_ID('Images') AND referenced_object_id = OBJECT_ID('Users')
+        );
+        IF @constraint IS NOT NULL EXEC('ALTER TABLE Images DROP CONSTRAINT ' + @constraint);
+      `,
+      'ALTER TABLE Images DROP COLUMN owner_id',
+      'DROP TABLE Users'
+    ]
+  }
+};
@@ -0,0 +1,24 @@
+// API keys for scripted access. Only a SHA-256 hash of each key is stored, the key itself is
+// shown once when it is created. Scopes are a comma separated list, e.g. 'read,upload'.
+module.exports = {
+  mssql: {
+    up: [
+      `
+        CREATE TABLE ApiKeys (
+          id INT PRIMARY KEY IDENTITY(1,1),
+          user_id INT NOT NULL REFERENCES Users(id) ON DELETE CASCADE,
+          name NVARCHAR(100) NOT NULL,
+          prefix NVARCHAR(20) NOT NULL,
+          key_hash CHAR(64) NOT NULL,
+          scopes NVARCHAR(100) NOT NULL,
+          created_at DATETIME NOT NULL DEFAULT GETUTCDATE(),
+          last_used_at DATETIME NULL,
+          revoked_at DATETIME NULL,
+          CONSTRAINT UQ_ApiKeys_key_hash UNIQUE (key_hash)
+        )
+      `,
+      'CREATE INDEX IX_ApiKeys_user_id ON ApiKeys (user_id)'
+    ],
+    down: 'DROP TABLE ApiKeys'
+  }
+};
@@ -0,0 +1,29 @@
+// Share links: signed, expiring URLs for a single image, optionally limited to a number of downloads.
+// The link itself is not stored, it is signed with the server secret and checked against this row.
+// Stored files are looked up by path on every request now that /uploads checks access, hence the path indexes.
+module.exports = {
+  mssql: {
+    up: [
+      `
+        CREATE TABLE ShareLinks (
+          id INT PRIMARY KEY IDENTITY(1,1),
+          image_id INT NOT NULL REFERENCES Images(id) ON DELETE CASCADE,
+          created_by INT NULL REFERENCES Users(id),
+          expires_at DATETIME NOT NULL,
+          max_downloads INT NULL,
+          download_count INT NOT NULL DEFAULT 0,
+          created_at DATETIME NOT NULL DEFAULT GETUTCDATE(),
+          revoked_at DATETIME NULL
+        )
+      `,
+      'CREATE INDEX IX_ShareLinks_image_id ON ShareLinks (image_id)',
+      'CREATE INDEX IX_Images_image_path ON Images (image_path)',
+      'CREATE INDEX IX_ImageVariants_image_path ON ImageVariants (image_path)'
+    ],
+    down: [
+      'DROP INDEX IX_ImageVariants_image_path ON ImageVariants',
+      'DROP INDEX IX_Images_image_path ON Images',
+      'DROP TABLE ShareLinks'
+    ]
+  }
+};
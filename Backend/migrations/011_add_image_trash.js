@@ -0,0 +1,13 @@
+// Deleted images go to the trash first: deleted_at is set, and the retention sweep removes them for good later
+module.exports = {
+  mssql: {
+    up: [
+      'ALTER TABLE Images ADD deleted_at DATETIME NULL',
+      'CREATE INDEX IX_Images_deleted_at ON Images (deleted_at)'
+    ],
+    down: [
+      'DROP INDEX IX_Images_deleted_at ON Images',
+      'ALTER TABLE Images DROP COLUMN deleted_at'
+    ]
+  }
+};
@@ -0,0 +1,29 @@
+// The audit log: one row per upload, edit, delete, restore and purge of an image, with who did it,
+// from which address and in which request. There are no foreign keys, entries must outlive the
+// images and users they are about, which is why the username is kept as well.
+module.exports = {
+  mssql: {
+    up: [
+      `
+        CREATE TABLE AuditLog (
+          id INT PRIMARY KEY IDENTITY(1,1),
+          action NVARCHAR(20) NOT NULL,
+          image_id INT NULL,
+          actor_id INT NULL,
+          actor_name NVARCHAR(50) NULL,
+          api_key_id INT NULL,
+          ip NVARCHAR(45) NULL,
+          request_id NVARCHAR(128) NULL,
+          details NVARCHAR(MAX) NULL,
+          created_at DATETIME NOT NULL DEFAULT GETUTCDATE()
+        )
+      `,
+      'CREATE INDEX IX_AuditLog_created_at ON AuditLog (created_at)',
+      'CREATE INDEX IX_AuditLog_image_id ON AuditLog (image_id)',
+      'CREATE INDEX IX_AuditLog_actor_id ON AuditLog (actor_id)'
+    ],
+    down: [
+      'DROP TABLE AuditLog'
+    ]
+  }
+};
@@ -0,0 +1,23 @@
+// Albums belong to the user who created them, like images. Albums created before have no owner
+// and are only visible to admins. Album names only have to be unique per owner.
+module.exports = {
+  mssql: {
+    up: [
+      'ALTER TABLE Albums ADD owner_id INT NULL REFERENCES Users(id)',
+      'ALTER TABLE Albums DROP CONSTRAINT UQ_Albums_name',
+      'ALTER TABLE Albums ADD CONSTRAINT UQ_Albums_owner_id_name UNIQUE (owner_id, name)'
+    ],
+    down: [
+      'ALTER TABLE Albums DROP CONSTRAINT UQ_Albums_owner_id_name',
+      'ALTER TABLE Albums ADD CONSTRAINT UQ_Albums_name UNIQUE (name)',
+      `
+        DECLARE @constraint NVARCHAR(255) = (
+          SELECT name FROM sys.foreign_keys
+          WHERE parent_object_id = OBJECT_ID('Albums') AND referenced_object_id = OBJECT_ID('Users')
+        );
+        IF @constraint IS NOT NULL EXEC('ALTER TABLE Albums DROP CONSTRAINT ' + @constraint);
+      `,
+      'ALTER TABLE Albums DROP COLUMN owner_id'
+    ]
+  }
+};
@@ -0,0 +1,80 @@
+const http = require('http');
+const { createLogger } = require('./logger');
+
+// Every error response is an RFC 7807 problem (application/problem+json):
+//   { type, title, status, detail, code, instance, requestId }
+// code is stable and meant for clients to act on, detail is for people. requestId is the
+// X-Request-Id of the request, to find it in the logs. Client errors (4xx) say
+// what was wrong. Server errors get a generic detail, the original message is only added as
+// `details` outside production so driver and file system messages never reach clients there.
+// `error` repeats the detail for clients written before problem responses.
+
+const problemType = (code) => `urn:image-uploader:problem:${code}`;
+
+// What clients are told about server side failures
+const serverFailures = {
+  503: { code: 'service_unavailable', detail: 'The service is temporarily unavailable, try again later' },
+  500: { code: 'internal_error', detail: 'Something went wrong on the server' }
+};
+
+// Errors raised by Express itself and its body parsers
+function fromFrameworkError(err) {
+  if (err.type === 'entity.parse.failed') {
+    return { status: 400, code: 'invalid_json', detail: 'The request body is not valid JSON' };
+  }
+  if (err.type === 'entity.too.large') {
+    return { status: 413, code: 'body_too_large', detail: 'The request body is too large' };
+  }
+  const status = err.status || err.statusCode;
+  if (err.expose && status >= 400 && status < 500) {
+    return { status, code: 'invalid_request', detail: err.message };
+  }
+  return null;
+}
+
+// The problem document for an error, and its status
+function toProblem(err, { instance, requestId, exposeDetails = false } = {}) {
+  let problem;
+  if (err.statusCode >= 400 && err.statusCode < 500 && err.code) {
+    problem = { status: err.statusCode, code: err.code, detail: err.message };
+  } else {
+    problem = fromFrameworkError(err);
+  }
+
+  if (!problem) {
+    const status = err.statusCode === 503 ? 503 : 500;
+    const failure = err.statusCode === 503 && err.code ? { ...serverFailures[503], code: err.code } : serverFailures[status];
+    problem = { status, ...failure };
+    if (exposeDetails) problem.details = err.message;
+  }
+
+  return {
+    type: problemType(problem.code),
+    title: http.STATUS_CODES[problem.status],
+    status: problem.status,
+    detail: problem.detail,
+    code: problem.code,
+    ...(instance ? { instance } : {}),
+    ...(requestId ? { requestId } : {}),
+    ...(problem.details ? { details: problem.details } : {}),
+    error: problem.detail
+  };
+}
+
+// Error middleware, mounted last: answers every error passed to next() as a problem.
+// Server errors are logged with their stack, client errors are not.
+function problemHandler({ exposeDetails = process.env.NODE_ENV !== 'production', logger = createLogger() } = {}) {
+  return (err, req, res, next) => {
+    if (res.headersSent) return next(err);
+
+    const problem = toProblem(err, { instance: req.originalUrl, requestId: req.id, exposeDetails });
+    if (problem.status >= 500) {
+      logger.error('Request failed', { requestId: req.id, method: req.method, path: req.originalUrl.split('?')[0], err });
+    }
+    if (err.retryAfterSeconds) res.set('Retry-After', String(err.retryAfterSeconds));
+
+    res.status(problem.status).type('application/problem+json').json(problem);
+  };
+}
+
+module.exports = { problemHandler, toProblem, problemType };
@@ -0,0 +1,97 @@
+const { RateLimitError } = require('./errors');
+
+// Fixed window request counters, kept in memory. Each request is counted against the client
+// (its API key, or the logged in user) and against its IP address, and is refused with a 429
+// once either has used up its limit for the current window. A limit of 0 turns that check off.
+function createRateLimiter({ action, windowMs, perKey = 0, perIp = 0, now = Date.now }) {
+  const buckets = new Map();
+  let lastSweep = now();
+
+  // Drop the counters of past windows, at most once per window
+  const sweep = (time) => {
+    if (time - lastSweep < windowMs) return;
+    lastSweep = time;
+    for (const [id, bucket] of buckets) {
+      if (bucket.resetAt <= time) buckets.delete(id);
+    }
+  };
+
+  const bucketFor = (id, time) => {
+    let bucket = buckets.get(id);
+    if (!bucket || bucket.resetAt <= time) {
+      bucket = { count: 0, resetAt: time + windowMs };
+      buckets.set(id, bucket);
+    }
+    return bucket;
+  };
+
+  const keyOf = (req) => (req.user && req.user.apiKey ? `key:${req.user.apiKey.id}` : `user:${req.user ? req.user.id : 'anonymous'}`);
+
+  // Count a request as one or more uploads or deletes, throws a RateLimitError when they do not
+  // fit in a limit. They are only counted when allowed, so a client that keeps retrying is let
+  // through as soon as the window ends. dryRun only checks.
+  const consume = (req, units = 1, { dryRun = false } = {}) => {
+    const time = now();
+    sweep(time);
+
+    const checks = [
+      perKey > 0 && { limit: perKey, bucket: bucketFor(keyOf(req), time) },
+      perIp > 0 && { limit: perIp, bucket: bucketFor(`ip:${req.ip}`, time) }
+    ].filter(Boolean);
+    if (!checks.length) return null;
+
+    const exceeded = checks.find(check => check.bucket.count + units > check.limit);
+    if (exceeded) {
+      const retryAfter = Math.max(1, Math.ceil((exceeded.bucket.resetAt - time) / 1000));
+      throw new RateLimitError(`Too many ${action} requests, try again in ${retryAfter} seconds`, retryAfter);
+    }
+
+    if (!dryRun) checks.forEach((check) => { check.bucket.count += units; });
+
+    // Report the tightest of the limits
+    const tightest = checks.reduce((a, b) => (b.limit - b.bucket.count < a.limit - a.bucket.count ? b : a));
+    return {
+      limit: tightest.limit,
+      remaining: tightest.limit - tightest.bucket.count,
+      resetSeconds: Math.ceil((tightest.bucket.resetAt - time) / 1000)
+    };
+  };
+
+  // Count units for a request and set the RateLimit-* headers, throws like consume
+  const charge = (req, res, units = 1) => {
+    const state = consume(req, units);
+    if (state) {
+      res.set({
+        'RateLimit-Limit': String(state.limit),
+        'RateLimit-Remaining': String(state.remaining),
+        'RateLimit-Reset': String(state.resetSeconds)
+      });
+    }
+  };
+
+  // Middleware, after requireUser. Counts the request once, a request over the limit is passed
+  // on as a RateLimitError, answered as a 429 with Retry-After by the error middleware.
+  const middleware = (req, res, next) => {
+    try {
+      charge(req, res);
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  // Middleware for requests the route counts itself once it knows how many units they are, like
+  // a batch upload with its files. Refuses the request early when not even one unit is left.
+  const precheck = (req, res, next) => {
+    try {
+      consume(req, 1, { dryRun: true });
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  return { middleware, precheck, consume, charge, reset: () => buckets.clear() };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,56 @@
+// Command line tool to check stored files against the image records
+//   node reconcile.js                Report problems without changing anything (dry run)
+//   node reconcile.js --repair       Delete orphaned files, drop records without an original, regenerate variants
+//   node reconcile.js --quarantine   Move orphaned and mismatched files under quarantine/
+//   --skip-hashes                    Compare sizes only instead of reading every original
+// A dry run exits with code 2 when it finds problems, so it can run from cron or CI.
+// Configuration flags such as --storage-root or --non-interactive work like for the server.
+// node server.js verify runs the same check after checking the database schema.
+const path = require('path');
+const dotenv = require('dotenv');
+const { loadConfig } = require('./config');
+const { createDb } = require('./db');
+const { createStorage } = require('./storage');
+const { createRenderCache } = require('./imaging/renderCache');
+const { reconcileStorage, parseReconcileOptions } = require('./services/reconcile');
+const { createAuditLog } = require('./services/audit');
+const { printReconcileReport } = require('./cli');
+
+dotenv.config();
+
+const flags = {
+  '--repair': { mode: 'repair' },
+  '--quarantine': { mode: 'quarantine' },
+  '--skip-hashes': { checkHashes: false }
+};
+
+async function main(argv) {
+  const { config, warnings, rest: args } = await loadConfig({ argv });
+  warnings.forEach(warning => console.warn(`⚠️ ${warning}`));
+  const unknown = args.filter(arg => !flags[arg]);
+  if (unknown.length) {
+    console.error(`Unknown option "${unknown[0]}". Use any of: ${Object.keys(flags).join(', ')}`);
+    return 1;
+  }
+  const options = parseReconcileOptions(Object.assign({}, ...args.map(arg => flags[arg])));
+
+  const storage = createStorage(config.storage);
+  const renderCache = createRenderCache({ directory: path.join(config.directories.cache, 'renders') });
+
+  const db = createDb(config.db);
+  await db.connect();
+  try {
+    const report = await reconcileStorage({ db, storage, renderCache, audit: createAuditLog({ db }) }, options);
+    printReconcileReport(report);
+    return options.mode === 'dry-run' && !report.consistent ? 2 : 0;
+  } finally {
+    await db.close();
+  }
+}
+
+main(process.argv.slice(2))
+  .then(code => process.exit(code))
+  .catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  });
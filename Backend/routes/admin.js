@@ -0,0 +1,52 @@
+const express = require('express');
+const { ConflictError } = require('../errors');
+const { reconcileStorage, parseReconcileOptions } = require('../services/reconcile');
+const { createAuditLog, parseAuditQuery } = require('../services/audit');
+const { asyncRoute } = require('./helpers');
+
+// Maintenance for admins: checking stored files against the image records, and the audit log
+function createAdminRouter({ db, storage, renderCache, auth, audit = createAuditLog({ db }) }) {
+  const router = express.Router();
+
+  // A run reads every stored file, so only one may run at a time
+  let running = false;
+  const runReconcile = async (req, options) => {
+    if (running) throw new ConflictError('A storage check is already running', 'reconcile_running');
+    running = true;
+    try {
+      return await reconcileStorage({ db, storage, renderCache, audit, req }, options);
+    } finally {
+      running = false;
+    }
+  };
+
+  // Report problems without changing anything, ?checkHashes=false skips reading every original
+  router.get('/admin/reconcile', auth.requireAdmin, asyncRoute(async (req, res) => {
+    const options = parseReconcileOptions({
+      checkHashes: req.query.checkHashes === undefined ? undefined : req.query.checkHashes !== 'false'
+    });
+    res.json(await runReconcile(req, options));
+  }));
+
+  // Check and act on the problems, e.g. { "mode": "repair" } or { "mode": "quarantine" }
+  router.post('/admin/reconcile', auth.requireAdmin, asyncRoute(async (req, res) => {
+    res.json(await runReconcile(req, parseReconcileOptions(req.body || {})));
+  }));
+
+  // Who changed which image, newest first, e.g. ?action=delete&userId=3&from=2024-05-01 (see services/audit)
+  router.get('/admin/audit', auth.requireAdmin, asyncRoute(async (req, res) => {
+    const { page, pageSize, ...options } = parseAuditQuery(req.query);
+    const { items, total } = await audit.list(options);
+    res.json({
+      items,
+      total,
+      page,
+      pageSize,
+      totalPages: Math.ceil(total / pageSize)
+    });
+  }));
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
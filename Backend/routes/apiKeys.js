@@ -0,0 +1,39 @@
+const express = require('express');
+const { ForbiddenError, ResourceNotFoundError } = require('../errors');
+const { createApiKey, publicApiKey } = require('../services/apiKeys');
+const { asyncRoute, requireId } = require('./helpers');
+
+// API keys for scripts, managed by their owner from a browser login. A request made with an
+// API key cannot create or revoke keys, so a leaked key cannot be used to mint new ones.
+function createApiKeysRouter({ db }) {
+  const router = express.Router();
+
+  router.use('/keys', (req, res, next) => {
+    if (!req.user.apiKey) return next();
+    next(new ForbiddenError('API keys cannot manage API keys, log in instead', 'login_required_for_keys'));
+  });
+
+  router.get('/keys', asyncRoute(async (req, res) => {
+    res.json((await db.listApiKeys(req.user.id)).map(publicApiKey));
+  }));
+
+  // The key is part of this response only, it cannot be retrieved later
+  router.post('/keys', asyncRoute(async (req, res) => {
+    const { apiKey, key } = await createApiKey({ db }, req.user.id, req.body);
+    res.status(201).json({ ...apiKey, key });
+  }));
+
+  // Revoke a key. Admins may revoke the keys of any user.
+  router.delete('/keys/:id', asyncRoute(async (req, res) => {
+    const id = requireId(req.params.id);
+    const key = await db.getApiKey(id);
+    if (!key || (key.user_id !== req.user.id && req.user.role !== 'admin')) {
+      throw new ResourceNotFoundError('API key not found', 'api_key_not_found');
+    }
+    res.json(publicApiKey(await db.revokeApiKey(id)));
+  }));
+
+  return router;
+}
+
+module.exports = { createApiKeysRouter };
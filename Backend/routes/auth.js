@@ -0,0 +1,36 @@
+const express = require('express');
+const { registerUser, authenticateUser } = require('../services/users');
+const { asyncRoute } = require('./helpers');
+
+// Registration, login and logout. Login answers with the user and a token, and also sets the
+// token as an httpOnly cookie for the browser app.
+function createAuthRouter({ db, auth, openRegistration = true }) {
+  const router = express.Router();
+
+  const logIn = (req, res, user, status = 200) => {
+    const token = auth.issueToken(user);
+    auth.setLoginCookie(req, res, token);
+    res.status(status).json({ user, token });
+  };
+
+  router.post('/auth/register', asyncRoute(async (req, res) => {
+    logIn(req, res, await registerUser({ db, openRegistration }, req.body), 201);
+  }));
+
+  router.post('/auth/login', asyncRoute(async (req, res) => {
+    logIn(req, res, await authenticateUser({ db }, req.body));
+  }));
+
+  router.post('/auth/logout', (req, res) => {
+    auth.clearLoginCookie(req, res);
+    res.json({ message: 'Logged out' });
+  });
+
+  router.get('/auth/me', auth.requireUser, (req, res) => {
+    res.json({ user: req.user });
+  });
+
+  return router;
+}
+
+module.exports = { createAuthRouter };
@@ -0,0 +1,131 @@
+const express = require('express');
+const { ValidationError, ResourceNotFoundError } = require('../errors');
+const { parseAlbumInput, parseTagList, normalizeTagName } = require('../services/collections');
+const { asyncRoute, requireId } = require('./helpers');
+const { canAccess, canAccessAlbum, ownerScope } = require('../auth');
+const { createAuditLog } = require('../services/audit');
+
+const albumNotFound = () => new ResourceNotFoundError('Album not found', 'album_not_found');
+const imageNotFound = () => new ResourceNotFoundError('Image not found', 'image_not_found');
+const tagNotFound = () => new ResourceNotFoundError('Tag not found', 'tag_not_found');
+
+// Albums: named collections of images with an optional cover image. Each album belongs to the
+// user who created it; other users get a 404 for it, like for images, admins see every album.
+function createAlbumsRouter({ db }) {
+  const router = express.Router();
+
+  // An album the user can see, a 404 for everyone else
+  const accessibleAlbum = async (req, id) => {
+    const album = await db.getAlbum(id);
+    if (!canAccessAlbum(req.user, album)) throw albumNotFound();
+    return album;
+  };
+
+  // The cover has to be an image the user can see
+  const checkCover = async (req, album) => {
+    if (album.cover_image_id && !canAccess(req.user, await db.getImage(album.cover_image_id))) {
+      throw new ValidationError('Cover image not found', 'invalid_cover_image');
+    }
+  };
+
+  router.get('/albums', asyncRoute(async (req, res) => {
+    res.json(await db.listAlbums({ ownerId: ownerScope(req.user) }));
+  }));
+
+  router.post('/albums', asyncRoute(async (req, res) => {
+    const album = parseAlbumInput(req.body);
+    await checkCover(req, album);
+    res.status(201).json(await db.createAlbum({ ...album, owner_id: req.user.id }));
+  }));
+
+  router.get('/albums/:id', asyncRoute(async (req, res) => {
+    res.json(await accessibleAlbum(req, requireId(req.params.id)));
+  }));
+
+  // Rename an album or change its cover
+  router.patch('/albums/:id', asyncRoute(async (req, res) => {
+    const id = requireId(req.params.id);
+    const changes = parseAlbumInput(req.body, { partial: true });
+    await accessibleAlbum(req, id);
+    await checkCover(req, changes);
+    const album = await db.updateAlbum(id, changes);
+    if (!album) throw albumNotFound();
+    res.json(album);
+  }));
+
+  // Delete an album, its images stay in the library
+  router.delete('/albums/:id', asyncRoute(async (req, res) => {
+    const id = requireId(req.params.id);
+    await accessibleAlbum(req, id);
+    if (!(await db.deleteAlbum(id))) throw albumNotFound();
+    res.json({ message: 'Album deleted' });
+  }));
+
+  // Add an image to an album, adding it twice is not an error
+  router.put('/albums/:id/images/:imageId', asyncRoute(async (req, res) => {
+    const id = requireId(req.params.id);
+    const imageId = requireId(req.params.imageId);
+
+    await accessibleAlbum(req, id);
+    if (!canAccess(req.user, await db.getImage(imageId))) throw imageNotFound();
+    await db.addImageToAlbum(id, imageId);
+    res.json(await db.getAlbum(id));
+  }));
+
+  router.delete('/albums/:id/images/:imageId', asyncRoute(async (req, res) => {
+    const id = requireId(req.params.id);
+    const imageId = requireId(req.params.imageId);
+
+    await accessibleAlbum(req, id);
+    if (!canAccess(req.user, await db.getImage(imageId)) || !(await db.removeImageFromAlbum(id, imageId))) {
+      throw new ResourceNotFoundError('Image is not in this album', 'image_not_in_album');
+    }
+    res.json({ message: 'Image removed from album' });
+  }));
+
+  return router;
+}
+
+// Tags: free-form labels, stored lower case, shared by all users. Assigning a tag to an image
+// creates it when needed; only admins create, rename or delete tags themselves, as that changes
+// the images of every user. Image counts only include the images the user can see.
+// Changing the tags of an image is recorded in the audit log as an edit.
+function createTagsRouter({ db, auth, audit = createAuditLog({ db }) }) {
+  const router = express.Router();
+
+  router.get('/tags', asyncRoute(async (req, res) => {
+    res.json(await db.listTags({ ownerId: ownerScope(req.user) }));
+  }));
+
+  router.post('/tags', auth.requireAdmin, asyncRoute(async (req, res) => {
+    res.status(201).json(await db.createTag(normalizeTagName(req.body && req.body.name)));
+  }));
+
+  // Rename a tag everywhere it is used
+  router.patch('/tags/:id', auth.requireAdmin, asyncRoute(async (req, res) => {
+    const id = requireId(req.params.id);
+    const tag = await db.renameTag(id, normalizeTagName(req.body && req.body.name));
+    if (!tag) throw tagNotFound();
+    res.json(tag);
+  }));
+
+  // Delete a tag and remove it from every image
+  router.delete('/tags/:id', auth.requireAdmin, asyncRoute(async (req, res) => {
+    if (!(await db.deleteTag(requireId(req.params.id)))) throw tagNotFound();
+    res.json({ message: 'Tag deleted' });
+  }));
+
+  // Replace the tags of an image, e.g. { "tags": ["beach", "summer 2024"] }
+  router.put('/images/:id/tags', asyncRoute(async (req, res) => {
+    const id = requireId(req.params.id);
+    const tags = parseTagList(req.body && req.body.tags);
+    if (!canAccess(req.user, await db.getImage(id))) throw imageNotFound();
+    const image = await db.setImageTags(id, tags);
+    await audit.record(req, 'edit', { imageId: id, details: { fields: ['tags'] } });
+    res.json(image);
+  }));
+
+  return router;
+}
+
+module.exports = { createAlbumsRouter, createTagsRouter };
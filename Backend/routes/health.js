@@ -0,0 +1,104 @@
+const express = require('express');
+const crypto = require('crypto');
+const { AuthenticationError } = require('../errors');
+const { createLogger } = require('../logger');
+const { asyncRoute } = require('./helpers');
+
+// Disk usage is read from storage at most this often, listing every file is not free
+const usageMaxAgeMs = 60 * 1000;
+
+// Reject a check that takes longer than timeoutMs, a hanging database must not hang the probe
+const withTimeout = (promise, timeoutMs) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No answer within ${timeoutMs} ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const sameToken = (given, expected) => {
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Probes and metrics for monitoring, load balancers and process managers, mounted before login:
+//   /healthz  liveness, the process is up and answering
+//   /readyz   readiness, the database answers and uploads can be written; 503 otherwise and while
+//             shutting down, so no new traffic is sent
+//   /metrics  Prometheus metrics, behind a bearer token when metricsToken is set
+function createHealthRouter({ db, storage, metrics, isDraining = () => false, metricsToken = null, checkTimeoutMs = 5000, logger = createLogger() }) {
+  const router = express.Router();
+  const startedAt = Date.now();
+  let probes = 0;
+
+  // Files and bytes under images/, originals and variants
+  let usage = null;
+  const imagesUsage = async () => {
+    if (!usage || Date.now() - usage.measuredAt > usageMaxAgeMs) {
+      const files = await storage.list('images/');
+      usage = { files: files.length, bytes: files.reduce((total, file) => total + file.size, 0), measuredAt: Date.now() };
+    }
+    return usage;
+  };
+  // A storage that cannot be listed leaves the gauges out rather than failing the whole scrape
+  const usageOf = (field) => async () => {
+    try {
+      return [{ value: (await imagesUsage())[field] }];
+    } catch (err) {
+      logger.error('Failed to measure storage usage', { err });
+      return [];
+    }
+  };
+  metrics.addGauge('storage_images_bytes', 'Bytes stored under uploads/images, variants included', usageOf('bytes'));
+  metrics.addGauge('storage_images_files', 'Files stored under uploads/images, variants included', usageOf('files'));
+
+  // Run one readiness check. The reason of a failure is logged, not shown to whoever probes.
+  const runCheck = async (name, check) => {
+    const checkStartedAt = Date.now();
+    try {
+      await withTimeout(check(), checkTimeoutMs);
+      return { status: 'ok', latencyMs: Date.now() - checkStartedAt };
+    } catch (err) {
+      logger.warn('Readiness check failed', { check: name, err });
+      return { status: 'failed', latencyMs: Date.now() - checkStartedAt };
+    }
+  };
+
+  // Write and remove a small file where uploads go
+  const checkStorage = async () => {
+    const key = `images/.readyz-${process.pid}-${++probes}`;
+    await storage.save(key, Buffer.from('ok'), { contentType: 'text/plain' });
+    await storage.delete(key);
+  };
+
+  router.get('/healthz', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json({ status: 'ok', uptimeSeconds: Math.round((Date.now() - startedAt) / 1000) });
+  });
+
+  router.get('/readyz', asyncRoute(async (req, res) => {
+    const [database, uploads] = await Promise.all([
+      runCheck('database', () => db.ping()),
+      runCheck('storage', checkStorage)
+    ]);
+    const checks = { database, storage: uploads };
+    const draining = isDraining();
+    const ready = !draining && Object.values(checks).every(check => check.status === 'ok');
+
+    res.set('Cache-Control', 'no-store');
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : draining ? 'shutting down' : 'not ready', checks });
+  }));
+
+  router.get('/metrics', asyncRoute(async (req, res) => {
+    if (metricsToken && !sameToken((req.get('Authorization') || '').replace(/^Bearer /, ''), metricsToken)) {
+      throw new AuthenticationError('A valid metrics token is required', 'metrics_token_required');
+    }
+    res.set('Cache-Control', 'no-store');
+    res.type(metrics.contentType).send(await metrics.render());
+  }));
+
+  return router;
+}
+
+module.exports = { createHealthRouter };
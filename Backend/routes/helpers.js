@@ -0,0 +1,25 @@
+const { ValidationError } = require('../errors');
+
+// Route handlers throw the typed errors from errors.js, the error middleware (problems.js) turns
+// them into problem responses. Express 4 does not see rejected promises, so async handlers are
+// wrapped to pass them on.
+const asyncRoute = (handler) => (req, res, next) => {
+  Promise.resolve()
+    .then(() => handler(req, res, next))
+    .catch(next);
+};
+
+// Numeric route parameter, null when it is not a number
+const parseId = (value) => {
+  const id = parseInt(value);
+  return isNaN(id) ? null : id;
+};
+
+// Numeric id route parameter, a 400 when it is not a number
+const requireId = (value) => {
+  const id = parseId(value);
+  if (id === null) throw new ValidationError('Invalid ID format', 'invalid_id');
+  return id;
+};
+
+module.exports = { asyncRoute, parseId, requireId };
@@ -0,0 +1,308 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const { storeImage, validateDedupeMode } = require('../services/images');
+const { storageKeyFromPath, streamToBuffer } = require('../storage');
+const { parseTransformOptions, renderImage } = require('../imaging/transform');
+const { parseListQuery } = require('../services/imageQuery');
+const { parseImageEdit } = require('../services/imageMetadata');
+const { imageTypes } = require('../imaging/validate');
+const { canAccess, ownerScope } = require('../auth');
+const { ValidationError, PayloadTooLargeError, ResourceNotFoundError } = require('../errors');
+const { toProblem } = require('../problems');
+const { createMetrics } = require('../metrics');
+const { createLogger } = require('../logger');
+const { createAuditLog } = require('../services/audit');
+const { asyncRoute, requireId } = require('./helpers');
+
+const defaultMaxFileSize = 5 * 1024 * 1024;
+const defaultMaxBatchFiles = 50;
+
+const describeSize = (bytes) => `${Math.round(bytes / 1024 / 1024 * 10) / 10} MB`;
+
+// Set up multer for file uploads, files are kept in memory until they are validated and saved.
+// The client supplied MIME type is not trusted, uploads are checked by their content instead.
+function createUpload(maxFileSize = defaultMaxFileSize) {
+  return multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxFileSize }
+  });
+}
+
+// Multer storage engine for batches: keeps files in memory like memoryStorage, but a file over
+// the size limit is drained and flagged instead of aborting the whole request
+function cappedMemoryStorage(limit) {
+  return {
+    _handleFile(req, file, cb) {
+      const chunks = [];
+      let size = 0;
+      file.stream.on('data', (chunk) => {
+        size += chunk.length;
+        if (size <= limit) chunks.push(chunk);
+      });
+      file.stream.on('error', cb);
+      file.stream.on('end', () => {
+        const tooLarge = size > limit;
+        cb(null, { buffer: tooLarge ? null : Buffer.concat(chunks), size, tooLarge });
+      });
+    },
+    _removeFile(req, file, cb) {
+      delete file.buffer;
+      cb(null);
+    }
+  };
+}
+
+function createBatchUpload(maxFileSize = defaultMaxFileSize, maxBatchFiles = defaultMaxBatchFiles) {
+  return multer({
+    storage: cappedMemoryStorage(maxFileSize),
+    limits: { files: maxBatchFiles }
+  });
+}
+
+// Multer errors as clear client errors
+const uploadError = (err, { maxFileSize, maxBatchFiles }) => {
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    return new PayloadTooLargeError(`File too large: the maximum size is ${describeSize(maxFileSize)}`);
+  }
+  if (err.code === 'LIMIT_FILE_COUNT') {
+    return new ValidationError(`Too many files: at most ${maxBatchFiles} per batch`, 'too_many_files');
+  }
+  return new ValidationError(`Upload rejected: ${err.message}`, 'upload_rejected');
+};
+
+// Run a multer middleware and pass its errors on, counted as rejected uploads
+const receiveUpload = (middleware, { metrics, ...limits }) => (req, res, next) => {
+  middleware(req, res, (err) => {
+    if (!(err instanceof multer.MulterError)) return next(err);
+    const rejection = uploadError(err, limits);
+    metrics.uploadRejected(rejection.code);
+    next(rejection);
+  });
+};
+
+const imageNotFound = () => new ResourceNotFoundError('Image not found', 'image_not_found');
+
+// Image routes, backed by the configured metadata store, blob storage and render cache
+// allowedTypes limits uploads to some of the supported image formats, e.g. ['jpeg', 'png'].
+function createImagesRouter({
+  db,
+  storage,
+  renderCache,
+  dedupeMode = 'return',
+  allowedTypes = null,
+  maxFileSize = defaultMaxFileSize,
+  maxBatchFiles = defaultMaxBatchFiles,
+  metrics = createMetrics(),
+  logger = createLogger(),
+  audit = createAuditLog({ db, logger }),
+  uploadLimiter = null
+}) {
+  validateDedupeMode(dedupeMode);
+  const router = express.Router();
+  const upload = createUpload(maxFileSize);
+  const batchUpload = createBatchUpload(maxFileSize, maxBatchFiles);
+  const limits = { maxFileSize, maxBatchFiles, metrics };
+
+  // An image the user can see, a 404 for everyone else
+  const accessibleImage = async (req, id) => {
+    const image = await db.getImage(id);
+    if (!canAccess(req.user, image)) throw imageNotFound();
+    return image;
+  };
+
+  // The limits uploads are checked against, for upload forms to show and check before sending
+  router.get('/upload/limits', (req, res) => {
+    const formats = allowedTypes || [...new Set(imageTypes.map(type => type.format))];
+    res.json({
+      maxFileSize,
+      maxBatchFiles,
+      types: formats.map((format) => {
+        const { mimeType, extension } = imageTypes.find(type => type.format === format);
+        return { format, mimeType, extensions: [...new Set([extension, `.${format}`])] };
+      })
+    });
+  });
+
+  // Upload image
+  router.post('/upload', receiveUpload(upload.single('image'), limits), asyncRoute(async (req, res) => {
+    if (!req.file) throw new ValidationError('No file uploaded', 'no_file');
+
+    const { image, filename, duplicate } = await metrics.countUpload(req.file.size, () => storeImage({ db, storage, dedupeMode, allowedTypes }, {
+      buffer: req.file.buffer,
+      originalName: req.file.originalname,
+      // Always the logged in user, an uploaded_by form field is ignored
+      uploadedBy: req.user.username,
+      caption: req.body.caption,
+      ownerId: req.user.id
+    }));
+    await audit.record(req, 'upload', { imageId: image.id, details: { originalName: req.file.originalname, duplicate } });
+
+    res.json({
+      message: duplicate ? 'Image already uploaded' : 'Image uploaded successfully',
+      path: image.image_path,
+      filename,
+      duplicate,
+      image
+    });
+  }));
+
+  // Upload many images at once. Each file is validated on its own and gets its own result,
+  // so one bad file does not fail the rest of the batch. Failed files carry an error code like
+  // a problem response does.
+  router.post('/upload/batch', receiveUpload(batchUpload.array('images'), limits), asyncRoute(async (req, res) => {
+    if (!req.files || !req.files.length) throw new ValidationError('No files uploaded', 'no_file');
+    // Every file counts against the upload rate limit, a batch that does not fit in what is
+    // left of it is refused as a whole
+    if (uploadLimiter) uploadLimiter.charge(req, res, req.files.length);
+
+    const results = [];
+
+    // One file at a time keeps memory and CPU use predictable
+    for (const file of req.files) {
+      if (file.tooLarge) {
+        metrics.uploadRejected('file_too_large');
+        results.push({
+          originalName: file.originalname,
+          status: 'rejected',
+          code: 'file_too_large',
+          error: `File too large: the maximum size is ${describeSize(maxFileSize)}`
+        });
+        continue;
+      }
+
+      try {
+        const { image, duplicate } = await metrics.countUpload(file.size, () => storeImage({ db, storage, dedupeMode, allowedTypes }, {
+          buffer: file.buffer,
+          originalName: file.originalname,
+          uploadedBy: req.user.username,
+          caption: req.body.caption,
+          ownerId: req.user.id
+        }));
+        await audit.record(req, 'upload', { imageId: image.id, details: { originalName: file.originalname, duplicate, batch: true } });
+        results.push({ originalName: file.originalname, status: duplicate ? 'duplicate' : 'uploaded', image });
+      } catch (err) {
+        const { status, code, detail } = toProblem(err);
+        if (status >= 500) logger.error('Batch upload of a file failed', { requestId: req.id, originalName: file.originalname, err });
+        results.push({ originalName: file.originalname, status: status < 500 ? 'rejected' : 'failed', code, error: detail });
+      }
+    }
+
+    const succeeded = results.filter(result => result.image).length;
+    res.json({
+      message: `${succeeded} of ${results.length} images uploaded`,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    });
+  }));
+
+  // List images a page at a time, with sorting and filters (see services/imageQuery)
+  router.get('/images', asyncRoute(async (req, res) => {
+    const options = { ...parseListQuery(req.query), ownerId: ownerScope(req.user) };
+    const { items, total } = await db.listImages(options);
+    res.json({
+      items,
+      total,
+      page: options.page,
+      pageSize: options.pageSize,
+      totalPages: Math.ceil(total / options.pageSize)
+    });
+  }));
+
+  // Resized, cropped or converted rendition of an image, e.g. ?w=400&h=300&fit=cover&format=webp&q=80
+  router.get('/images/:id/render', asyncRoute(async (req, res) => {
+    const id = requireId(req.params.id);
+    const image = await accessibleImage(req, id);
+
+    const sourceFormat = image.mime_type ? image.mime_type.split('/')[1] : null;
+    const options = parseTransformOptions(req.query, { sourceFormat });
+    const cacheParams = {
+      path: image.image_path,
+      width: options.width,
+      height: options.height,
+      fit: options.fit,
+      format: options.format,
+      quality: options.quality
+    };
+
+    let rendered = await renderCache.get(id, cacheParams, options.extension);
+    res.set('X-Cache', rendered ? 'HIT' : 'MISS');
+
+    if (!rendered) {
+      const original = await streamToBuffer(await storage.createReadStream(storageKeyFromPath(image.image_path)));
+      rendered = await renderImage(original, options);
+      await renderCache.set(id, cacheParams, options.extension, rendered);
+    }
+
+    // Only the browser may keep a copy, shared caches must not serve private images
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.type(options.mimeType).send(rendered);
+  }));
+
+  // Get one image by ID
+  router.get('/images/:id', asyncRoute(async (req, res) => {
+    res.json(await accessibleImage(req, requireId(req.params.id)));
+  }));
+
+  // Edit the title, description and alt text of an image, PATCH for some fields, PUT for all of them
+  const editImage = (replace) => asyncRoute(async (req, res) => {
+    const id = requireId(req.params.id);
+    const changes = parseImageEdit(req.body, { replace });
+    await accessibleImage(req, id);
+    const image = await db.updateImage(id, changes);
+    await audit.record(req, 'edit', { imageId: id, details: { fields: Object.keys(changes) } });
+    res.json(image);
+  });
+
+  router.patch('/images/:id', editImage(false));
+  router.put('/images/:id', editImage(true));
+
+  // Delete image by ID: it goes to the trash, where it can be restored until the retention sweep
+  // removes it for good (see routes/trash)
+  router.delete('/images/:id', asyncRoute(async (req, res) => {
+    const id = requireId(req.params.id);
+    await accessibleImage(req, id);
+
+    const trashed = await db.trashImage(id);
+    if (!trashed) throw imageNotFound();
+    await audit.record(req, 'delete', { imageId: id });
+
+    res.json({ message: 'Image moved to trash', image: trashed });
+  }));
+
+  return router;
+}
+
+// Serve stored files from whichever storage adapter is configured, after requireUser.
+// A file is only served to users who can see an image it belongs to, to everyone else it does not exist.
+function createUploadsRouter({ db, storage }) {
+  const router = express.Router();
+
+  const fileNotFound = () => new ResourceNotFoundError('File not found', 'file_not_found');
+
+  router.get('/*', asyncRoute(async (req, res, next) => {
+    const key = req.params[0];
+
+    // Files of images in the trash are still shown in the trash view
+    const images = await db.findImagesByPath(`/uploads/${key}`);
+    if (!images.some(image => canAccess(req.user, image, { includeTrashed: true }))) throw fileNotFound();
+
+    let stream;
+    try {
+      stream = await storage.createReadStream(key);
+    } catch (err) {
+      throw err.statusCode === 404 || err.statusCode === 400 ? fileNotFound() : err;
+    }
+    res.type(path.extname(key));
+    // Never let browsers guess a different type for stored files
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.set('Cache-Control', 'private, max-age=86400');
+    stream.on('error', next);
+    stream.pipe(res);
+  }));
+
+  return router;
+}
+
+module.exports = { createImagesRouter, createUploadsRouter, createUpload, defaultMaxFileSize, defaultMaxBatchFiles };
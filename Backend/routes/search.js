@@ -0,0 +1,27 @@
+const express = require('express');
+const { parseSearchQuery, searchImages } = require('../services/search');
+const { ownerScope } = require('../auth');
+const { asyncRoute } = require('./helpers');
+
+// Ranked search across image names, titles, descriptions, alt text and tags
+function createSearchRouter({ db }) {
+  const router = express.Router();
+
+  // e.g. /api/search?q=beach sun&page=1&pageSize=24
+  router.get('/search', asyncRoute(async (req, res) => {
+    const query = parseSearchQuery(req.query);
+    const { items, total } = await searchImages(db, { ...query, ownerId: ownerScope(req.user) });
+    res.json({
+      query: query.q,
+      items,
+      total,
+      page: query.page,
+      pageSize: query.pageSize,
+      totalPages: Math.ceil(total / query.pageSize)
+    });
+  }));
+
+  return router;
+}
+
+module.exports = { createSearchRouter };
@@ -0,0 +1,101 @@
+const express = require('express');
+const { ResourceNotFoundError, ForbiddenError, GoneError } = require('../errors');
+const { storageKeyFromPath } = require('../storage');
+const { canAccess } = require('../auth');
+const { parseShareInput, publicShareLink, signedValue, shareLinkProblem } = require('../services/shares');
+const { asyncRoute, parseId, requireId } = require('./helpers');
+
+const imageGone = () => new GoneError('The shared image no longer exists', 'shared_image_gone');
+
+// Absolute URLs for share links, so they can be pasted anywhere
+const baseUrlOf = (req) => `${req.protocol}://${req.get('host')}`;
+
+// Managing the share links of an image, for users who can see it
+function createSharesRouter({ db, auth }) {
+  const router = express.Router();
+
+  // Load an image the user may share, a 404 when it does not exist for them
+  const accessibleImage = async (req, id) => {
+    const image = await db.getImage(id);
+    if (!canAccess(req.user, image)) throw new ResourceNotFoundError('Image not found', 'image_not_found');
+    return image;
+  };
+
+  // Create a link, e.g. { "expiresInHours": 48, "maxDownloads": 5 }
+  router.post('/images/:id/shares', asyncRoute(async (req, res) => {
+    const id = requireId(req.params.id);
+    const { expiresInHours, maxDownloads } = parseShareInput(req.body);
+    await accessibleImage(req, id);
+
+    // Whole seconds, the expiry is part of the signed URL
+    const expiresAt = new Date(Math.floor((Date.now() + expiresInHours * 60 * 60 * 1000) / 1000) * 1000);
+    const link = await db.createShareLink({ imageId: id, createdBy: req.user.id, expiresAt, maxDownloads });
+    res.status(201).json(publicShareLink(auth, link, baseUrlOf(req)));
+  }));
+
+  router.get('/images/:id/shares', asyncRoute(async (req, res) => {
+    const id = requireId(req.params.id);
+    await accessibleImage(req, id);
+    const links = await db.listShareLinks(id);
+    res.json(links.map(link => publicShareLink(auth, link, baseUrlOf(req))));
+  }));
+
+  // Revoke a link, it stops working at once
+  router.delete('/shares/:id', asyncRoute(async (req, res) => {
+    const id = requireId(req.params.id);
+    const link = await db.getShareLink(id);
+    if (!link || !canAccess(req.user, await db.getImage(link.image_id))) {
+      throw new ResourceNotFoundError('Share link not found', 'share_link_not_found');
+    }
+    res.json(publicShareLink(auth, await db.revokeShareLink(id), baseUrlOf(req)));
+  }));
+
+  return router;
+}
+
+// The public end of share links: anyone with a valid link gets the original file, no login needed
+function createSharedFilesRouter({ db, storage, auth }) {
+  const router = express.Router();
+
+  router.get('/shared/:id', asyncRoute(async (req, res) => {
+    const id = parseId(req.params.id);
+    const expires = parseId(req.query.expires);
+    if (id === null || expires === null || !auth.verifySignature(signedValue(id, expires), req.query.signature)) {
+      throw new ForbiddenError('Invalid share link', 'invalid_share_link');
+    }
+    if (expires * 1000 <= Date.now()) {
+      throw new GoneError('This share link has expired', 'share_link_expired');
+    }
+
+    const link = await db.getShareLink(id);
+    if (!link) throw imageGone();
+
+    const problem = shareLinkProblem(link);
+    if (problem) throw problem;
+
+    const image = await db.getImage(link.image_id);
+    if (!image || image.deleted_at) throw imageGone();
+
+    let stream;
+    try {
+      stream = await storage.createReadStream(storageKeyFromPath(image.image_path));
+    } catch (err) {
+      throw err.statusCode === 404 ? imageGone() : err;
+    }
+
+    // Counted once the file is there, a concurrent download may have used the last one meanwhile
+    if (!(await db.claimShareDownload(id))) {
+      stream.destroy();
+      throw new GoneError('This share link has no downloads left', 'share_link_used_up');
+    }
+
+    res.type(image.mime_type || 'application/octet-stream');
+    res.set({ 'Cache-Control': 'private, no-store', 'X-Content-Type-Options': 'nosniff' });
+    stream.on('error', () => res.destroy());
+    stream.pipe(res);
+  }));
+
+  return router;
+}
+
+module.exports = { createSharesRouter, createSharedFilesRouter };
@@ -0,0 +1,92 @@
+const express = require('express');
+const { ResourceNotFoundError } = require('../errors');
+const { parsePagination } = require('../services/imageQuery');
+const { purgeImage, purgeDate } = require('../services/trash');
+const { canAccess, ownerScope } = require('../auth');
+const { createLogger } = require('../logger');
+const { createAuditLog } = require('../services/audit');
+const { asyncRoute, requireId } = require('./helpers');
+
+const notInTrash = () => new ResourceNotFoundError('Image not in trash', 'image_not_in_trash');
+
+// The trash: deleted images, most recently deleted first, until they are restored, deleted for
+// good or purged by the retention sweep
+function createTrashRouter({ db, storage, renderCache, retentionMs, logger = createLogger(), audit = createAuditLog({ db, logger }) }) {
+  const router = express.Router();
+
+  // An image in the trash the user may see, a 404 otherwise
+  const trashedImage = async (req, id) => {
+    const image = await db.getImage(id);
+    if (!image || !image.deleted_at || !canAccess(req.user, image, { includeTrashed: true })) throw notInTrash();
+    return image;
+  };
+
+  router.get('/trash', asyncRoute(async (req, res) => {
+    const { page, pageSize, limit, offset } = parsePagination(req.query);
+    const { items, total } = await db.listImages({
+      trashed: true,
+      ownerId: ownerScope(req.user),
+      sort: 'deleted_at',
+      order: 'desc',
+      limit,
+      offset
+    });
+    res.json({
+      items: items.map(image => ({ ...image, purge_at: purgeDate(image, retentionMs) })),
+      total,
+      page,
+      pageSize,
+      totalPages: Math.ceil(total / pageSize)
+    });
+  }));
+
+  router.post('/trash/:id/restore', asyncRoute(async (req, res) => {
+    const id = requireId(req.params.id);
+    await trashedImage(req, id);
+    const image = await db.restoreImage(id);
+    if (!image) throw notInTrash();
+    await audit.record(req, 'restore', { imageId: id });
+    res.json({ message: 'Image restored', image });
+  }));
+
+  // Delete one image for good, without waiting for the retention period
+  router.delete('/trash/:id', asyncRoute(async (req, res) => {
+    const image = await trashedImage(req, requireId(req.params.id));
+    await purgeImage({ db, storage, renderCache, logger }, image);
+    await audit.record(req, 'purge', { imageId: image.id });
+    res.json({ message: 'Image deleted permanently' });
+  }));
+
+  // Empty the trash: every image in it the user can see. The images are collected first, so this
+  // ends even when some cannot be purged; those are logged and counted as failed.
+  router.delete('/trash', asyncRoute(async (req, res) => {
+    const images = [];
+    for (;;) {
+      const { items, total } = await db.listImages({ trashed: true, ownerId: ownerScope(req.user), limit: 100, offset: images.length });
+      images.push(...items);
+      if (!items.length || images.length >= total) break;
+    }
+
+    let purged = 0;
+    let failed = 0;
+    for (const image of images) {
+      try {
+        await purgeImage({ db, storage, renderCache, logger }, image);
+        await audit.record(req, 'purge', { imageId: image.id, details: { emptiedTrash: true } });
+        purged++;
+      } catch (err) {
+        logger.error('Failed to purge an image from the trash', { requestId: req.id, imageId: image.id, err });
+        failed++;
+      }
+    }
+    res.json({
+      message: `${purged} image(s) deleted permanently${failed ? `, ${failed} could not be deleted` : ''}`,
+      purged,
+      failed
+    });
+  }));
+
+  return router;
+}
+
+module.exports = { createTrashRouter };
@@ -0,0 +1,118 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { Server, EVENTS } = require('@tus/server');
+const { FileStore } = require('@tus/file-store');
+const { storeImage } = require('../services/images');
+const { toProblem } = require('../problems');
+const { createMetrics } = require('../metrics');
+const { createLogger } = require('../logger');
+const { createAuditLog } = require('../services/audit');
+
+// Resumable uploads following the tus protocol (https://tus.io). Partial uploads are kept in
+// their own directory until complete, then go through the same validation and insert as /api/upload.
+function createTusRouter({
+  db,
+  storage,
+  dedupeMode = 'return',
+  allowedTypes = null,
+  directory,
+  mountPath = '/api/tus',
+  maxFileSize,
+  expirationMs = 24 * 60 * 60 * 1000,
+  cleanupIntervalMs = 60 * 60 * 1000,
+  metrics = createMetrics(),
+  logger = createLogger(),
+  audit = createAuditLog({ db, logger })
+}) {
+  fs.mkdirSync(directory, { recursive: true });
+  const datastore = new FileStore({ directory, expirationPeriodInMilliseconds: expirationMs });
+
+  const server = new Server({
+    path: mountPath,
+    datastore,
+    maxSize: maxFileSize,
+    relativeLocation: true,
+
+    // Uploads belong to the user who created them, recorded in the metadata so clients cannot choose
+    async onUploadCreate(req, res, upload) {
+      return { res, metadata: { ...upload.metadata, owner_id: String(req.user.id) } };
+    },
+
+    // Only the owner (or an admin) may resume, inspect or cancel an upload
+    async onIncomingRequest(req, res, uploadId) {
+      if (req.method === 'POST' || req.user.role === 'admin') return;
+      const upload = await datastore.getUpload(uploadId);
+      if (!upload.metadata || upload.metadata.owner_id !== String(req.user.id)) {
+        throw { status_code: 404, body: 'The file for this url was not found\n' };
+      }
+    },
+
+    // Upload-Metadata carries the original filename and an optional caption. The uploader is the
+    // logged in user, an uploaded_by entry is ignored
+    async onUploadFinish(req, res, upload) {
+      const metadata = upload.metadata || {};
+      const originalName = metadata.filename || metadata.name || null;
+      try {
+        const buffer = await fs.promises.readFile(path.join(directory, upload.id));
+        const { image, duplicate } = await metrics.countUpload(buffer.length, () => storeImage({ db, storage, dedupeMode, allowedTypes }, {
+          buffer,
+          originalName,
+          uploadedBy: req.user.username,
+          caption: metadata.caption,
+          ownerId: parseInt(metadata.owner_id) || null
+        }));
+        await audit.record(req, 'upload', { imageId: image.id, details: { originalName, duplicate, resumable: true } });
+
+        return {
+          res,
+          status_code: 200,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            message: duplicate ? 'Image already uploaded' : 'Image uploaded successfully',
+            path: image.image_path,
+            duplicate,
+            image
+          })
+        };
+      } catch (err) {
+        // Answered with the same problem document as /api/upload (tus sets no content type for errors)
+        const problem = toProblem(err, { instance: req.originalUrl || req.url, requestId: req.id });
+        if (problem.status >= 500) logger.error('Resumable upload failed', { requestId: req.id, uploadId: upload.id, err });
+        throw { status_code: problem.status, body: JSON.stringify(problem) };
+      } finally {
+        await datastore.remove(upload.id).catch(() => {});
+      }
+    }
+  });
+
+  server.on(EVENTS.POST_TERMINATE, (req, res, id) => {
+    logger.info('Resumable upload cancelled', { requestId: req.id, uploadId: id });
+  });
+
+  // Periodically purge uploads that were never finished
+  const cleanUpExpired = async () => {
+    try {
+      const removed = await server.cleanUpExpiredUploads();
+      if (removed) logger.info('Removed expired resumable uploads', { removed });
+      return removed;
+    } catch (err) {
+      logger.error('Failed to clean up expired uploads', { err });
+      return 0;
+    }
+  };
+  const cleanupTimer = setInterval(cleanUpExpired, cleanupIntervalMs);
+  cleanupTimer.unref();
+
+  const router = express.Router();
+  router.all('*', (req, res) => server.handle(req, res));
+
+  return {
+    router,
+    server,
+    cleanUpExpired,
+    stop: () => clearInterval(cleanupTimer)
+  };
+}
+
+module.exports = { createTusRouter };
@@ -0,0 +1,47 @@
+// Command line tool for secrets in the configuration
+//   node secret.js generate-key   Print a new random configuration key for CONFIG_KEY
+//   node secret.js encrypt        Encrypt a value read from stdin with CONFIG_KEY, for config.json or .env
+// The value is read from stdin rather than the command line, so it stays out of the shell history.
+const dotenv = require('dotenv');
+const { generateConfigKey, encryptSecret, loadConfigKey } = require('./config/secrets');
+
+dotenv.config();
+
+const readStdin = async () => {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8').replace(/\r?\n$/, '');
+};
+
+const commands = {
+  async 'generate-key'() {
+    console.log(generateConfigKey());
+  },
+
+  async encrypt() {
+    const configKey = loadConfigKey();
+    if (!configKey) {
+      throw new Error('Set CONFIG_KEY (or CONFIG_KEY_FILE) first, e.g. to the output of: npm run secret -- generate-key');
+    }
+    if (process.stdin.isTTY) console.error('Enter the value to encrypt, then press Ctrl+D:');
+    const value = await readStdin();
+    if (!value) throw new Error('Nothing to encrypt');
+    console.log(encryptSecret(value, configKey));
+  }
+};
+
+async function main([command]) {
+  if (!commands[command]) {
+    console.error(`Unknown command "${command}". Use one of: ${Object.keys(commands).join(', ')}`);
+    return 1;
+  }
+  await commands[command]();
+  return 0;
+}
+
+main(process.argv.slice(2))
+  .then(code => process.exit(code))
+  .catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  });
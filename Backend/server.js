@@ -1,79 +1,51 @@
 const express = require('express');
 const cors = require('cors');
-const multer = require('multer');
-const sql = require('mssql');
+const cookieParser = require('cookie-parser');
 const path = require('path');
 const fs = require('fs');
-const readline = require('readline');
 const dotenv = require('dotenv');
+const { FileSystemError, ResourceNotFoundError, ConfigurationError } = require('./errors');
+const { problemHandler } = require('./problems');
+const { loadConfig } = require('./config');
+const { createDb } = require('./db');
+const { migrate, loadMigrations } = require('./db/migrator');
+const { createStorage } = require('./storage');
+const { createRenderCache } = require('./imaging/renderCache');
+const { createImagesRouter, createUploadsRouter } = require('./routes/images');
+const { createTusRouter } = require('./routes/tus');
+const { createAlbumsRouter, createTagsRouter } = require('./routes/collections');
+const { createSearchRouter } = require('./routes/search');
+const { createAuthRouter } = require('./routes/auth');
+const { createApiKeysRouter } = require('./routes/apiKeys');
+const { createSharesRouter, createSharedFilesRouter } = require('./routes/shares');
+const { createTrashRouter } = require('./routes/trash');
+const { createAdminRouter } = require('./routes/admin');
+const { startTrashSweep } = require('./services/trash');
+const { createAuditLog } = require('./services/audit');
+const { createAuth } = require('./auth');
+const { createRateLimiter } = require('./rateLimit');
+const { createMetrics } = require('./metrics');
+const { createHealthRouter } = require('./routes/health');
+const { createLogger, requestLogger, levels } = require('./logger');
+const { runCli, hasCommand } = require('./cli');
 
-// Try to load from .env file first for development
-try {
-  dotenv.config();
-} catch (err) {
-  console.error('⚠️ Error loading .env file:', err.message);
-}
-
-const app = express();
-const baseDir = process.cwd();
-const configPath = path.resolve(baseDir, 'config.json');
-// Custom error classes for better error handling
-class ConfigurationError extends Error {
-  constructor(message) {
-    super(message);
-    this.name = 'ConfigurationError';
-    this.statusCode = 500;
-  }
-}
-
-class DatabaseError extends Error {
-  constructor(message) {
-    super(message);
-    this.name = 'DatabaseError';
-    this.statusCode = 503;
-  }
-}
-
-class FileSystemError extends Error {
-  constructor(message) {
-    super(message);
-    this.name = 'FileSystemError';
-    this.statusCode = 500;
-  }
-}
-
-class ValidationError extends Error {
-  constructor(message) {
-    super(message);
-    this.name = 'ValidationError';
-    this.statusCode = 400;
-  }
-}
-
-class ResourceNotFoundError extends Error {
-  constructor(message) {
-    super(message);
-    this.name = 'ResourceNotFoundError';
-    this.statusCode = 404;
-  }
-}
+const dayMs = 24 * 60 * 60 * 1000;
 
-// Create upload and public directories if they don't exist
-const imageUploadDirectory = path.resolve(baseDir, 'uploads/images');
-const publicDir = path.resolve(baseDir, 'public');
-
-try {
-  if (!fs.existsSync(imageUploadDirectory)) {
-    fs.mkdirSync(imageUploadDirectory, { recursive: true });
-    console.log('✅ Created uploads directory');
-  }
-
-  if (!fs.existsSync(path.resolve(publicDir, 'index.html'))) {
-    console.warn('⚠️ No frontend build found in /public. Creating fallback index.html');
-    if (!fs.existsSync(publicDir)) {
-      fs.mkdirSync(publicDir, { recursive: true });
+// Create the upload and public directories if they don't exist
+function initializeDirectories(config, logger = createLogger()) {
+  try {
+    if (config.storage.driver === 'local' && !fs.existsSync(path.join(config.storage.root, 'images'))) {
+      fs.mkdirSync(path.join(config.storage.root, 'images'), { recursive: true });
+      logger.info('Created uploads directory', { directory: config.storage.root });
     }
-    fs.writeFileSync(path.resolve(publicDir, 'index.html'), `
+
+    const publicDir = config.directories.public;
+    if (!fs.existsSync(path.resolve(publicDir, 'index.html'))) {
+      logger.warn('No frontend build found, creating a fallback index.html', { directory: publicDir });
+      if (!fs.existsSync(publicDir)) {
+        fs.mkdirSync(publicDir, { recursive: true });
+      }
+      fs.writeFileSync(path.resolve(publicDir, 'index.html'), `
       <!DOCTYPE html>
       <html>
         <head>
@@ -88,393 +60,285 @@ try {
         </body>
       </html>
     `);
+    }
+  } catch (err) {
+    throw new FileSystemError(`Failed to initialize directories: ${err.message}`);
   }
-} catch (err) {
-  throw new FileSystemError(`Failed to initialize directories: ${err.message}`);
 }
 
-// Setup the readline interface for prompting user
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+// The Express app with every route, for a connected db and a storage adapter. It does not listen,
+// so tests can run requests against it with supertest. The render cache, auth, metrics, audit log
+// and tus router it builds are kept in app.locals for start and stop.
+function createApp({ db, storage, config, renderCache = null, logger = createLogger({ level: config.logLevel }) }) {
+  const app = express();
+  const metrics = createMetrics();
+  db = metrics.instrumentDb(db);
+  const audit = createAuditLog({ db, logger });
 
-// Function to prompt user for input with timeout
-const prompt = (question) => {
-  return new Promise((resolve) => {
-    rl.question(question, (answer) => {
-      resolve(answer);
-    });
+  // Rendered image sizes are cached on local disk
+  renderCache = renderCache || createRenderCache({
+    directory: path.join(config.directories.cache, 'renders'),
+    maxBytes: Math.round(config.renderCacheMaxMb * 1024 * 1024)
   });
-};
 
-// Function to check if SQL table exists
-async function checkAndCreateTable(pool) {
-  try {
-    // Check if the Images table exists
-    const tableResult = await pool.request().query(`
-      SELECT OBJECT_ID('dbo.Images') as TableID
-    `);
-    
-    // If table doesn't exist, create it
-    if (!tableResult.recordset[0].TableID) {
-      console.log('Creating Images table...');
-      await pool.request().query(`
-        CREATE TABLE Images (
-          id INT PRIMARY KEY IDENTITY(1,1),
-          image_path NVARCHAR(255) NOT NULL,
-          upload_date DATETIME DEFAULT GETDATE()
-        )
-      `);
-      console.log('✅ Images table created successfully');
-    } else {
-      console.log('✅ Images table already exists');
-    }
-    return true;
-  } catch (err) {
-    throw new DatabaseError(`Error checking/creating table: ${err.message}`);
-  }
-}
-// Function to validate database configuration
-function validateDbConfig(config) {
-  if (!config) {
-    throw new ConfigurationError('Database configuration is required');
-  }
+  const auth = createAuth({ db, secret: config.auth.secret, tokenTtlSeconds: Math.round(config.auth.tokenTtlHours * 60 * 60) });
 
-  const requiredFields = ['user', 'password', 'server', 'database'];
-  const missingFields = requiredFields.filter(field => !config[field]);
+  const rateLimits = config.rateLimit;
+  const windowMs = rateLimits.windowSeconds * 1000;
+  const uploadLimiter = createRateLimiter({ action: 'upload', windowMs, perKey: rateLimits.uploadsPerKey, perIp: rateLimits.uploadsPerIp });
+  const deleteLimiter = createRateLimiter({ action: 'delete', windowMs, perKey: rateLimits.deletesPerKey, perIp: rateLimits.deletesPerIp });
+  if (config.trustProxy) app.set('trust proxy', config.trustProxy);
 
-  if (missingFields.length > 0) {
-    throw new ConfigurationError(
-      `Missing required database configuration fields: ${missingFields.join(', ')}`
-    );
-  }
+  // Every request gets an id and a line in the log
+  app.use(requestLogger(logger));
+
+  // While shutting down, running requests finish but their connections are not kept alive
+  app.use((req, res, next) => {
+    if (app.locals.draining) res.set('Connection', 'close');
+    next();
+  });
+  app.use(metrics.middleware);
+
+  // Probes and metrics for monitoring, no login needed
+  app.use(createHealthRouter({ db, storage, metrics, isDraining: () => app.locals.draining, metricsToken: config.metricsToken, logger }));
+
+  // Set up Express middlewares
+  app.use(cors({
+    origin: config.corsOrigins.includes('*') ? true : config.corsOrigins,
+    credentials: true,
+    methods: ['GET', 'HEAD', 'POST', 'OPTIONS', 'PUT', 'PATCH', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id', 'Tus-Resumable', 'Upload-Length', 'Upload-Offset', 'Upload-Metadata', 'Upload-Defer-Length'],
+    exposedHeaders: [
+      'Location', 'X-Request-Id', 'Tus-Resumable', 'Upload-Offset', 'Upload-Length', 'Upload-Expires',
+      'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'
+    ]
+  }));
+  app.use(express.json());
+  app.use(cookieParser());
+  // Uploaded files are private, served only to users who can see the image
+  app.use('/uploads', auth.requireUser, auth.requireScope, createUploadsRouter({ db, storage }));
+  app.use(express.static(config.directories.public));
+
+  // Define routes: registration, login and share links are public, everything else under /api needs
+  // a login or an API key with the right scope. Uploads and deletes are rate limited.
+  app.use('/api', createAuthRouter({ db, auth, openRegistration: config.auth.registration === 'open' }));
+  app.use('/api', createSharedFilesRouter({ db, storage, auth }));
+  app.use('/api', auth.requireUser, auth.requireScope);
+  app.post(['/api/upload', '/api/tus'], uploadLimiter.middleware);
+  app.post('/api/upload/batch', uploadLimiter.precheck);
+  app.delete(['/api/images/:id', '/api/trash', '/api/trash/:id'], deleteLimiter.middleware);
+  app.use('/api', createApiKeysRouter({ db }));
+  const { dedupe: dedupeMode, allowedTypes, maxBatchFiles } = config.upload;
+  const maxFileSize = Math.round(config.upload.maxUploadMb * 1024 * 1024);
+  const tus = createTusRouter({
+    db,
+    storage,
+    dedupeMode,
+    allowedTypes,
+    directory: path.join(config.directories.tmp, 'tus'),
+    maxFileSize,
+    metrics,
+    logger,
+    audit,
+    expirationMs: Math.round(config.upload.resumableExpiryHours * 60 * 60 * 1000)
+  });
+  app.use('/api/tus', tus.router);
+  app.use('/api', createImagesRouter({
+    db,
+    storage,
+    renderCache,
+    dedupeMode,
+    allowedTypes,
+    maxFileSize,
+    maxBatchFiles,
+    metrics,
+    logger,
+    audit,
+    uploadLimiter
+  }));
+  app.use('/api', createAlbumsRouter({ db }));
+  app.use('/api', createTagsRouter({ db, auth, audit }));
+  app.use('/api', createSearchRouter({ db }));
+  app.use('/api', createSharesRouter({ db, auth }));
+  const retentionMs = Math.round(config.trash.retentionDays * dayMs);
+  app.use('/api', createTrashRouter({ db, storage, renderCache, retentionMs, logger, audit }));
+  app.use('/api', createAdminRouter({ db, storage, renderCache, auth, audit }));
+
+  // Unknown API routes are a 404 problem, not the React app
+  app.use('/api', (req, res, next) => {
+    next(new ResourceNotFoundError(`No API route for ${req.method} ${req.originalUrl}`, 'route_not_found'));
+  });
+
+  // React fallback
+  app.get('*', (req, res) => {
+    res.sendFile(path.resolve(config.directories.public, 'index.html'));
+  });
+
+  // Error middleware: every error is answered as a problem document (see problems.js)
+  app.use(problemHandler({ logger }));
 
-  return true;
+  Object.assign(app.locals, { renderCache, auth, metrics, audit, logger, tus, draining: false });
+  return app;
 }
-// Add this function to handle port configuration with proper priority
-async function getPortConfiguration() {
-  // 1. First check .env file (highest priority)
-  if (process.env.PORT) {
-    console.log(`Using port ${process.env.PORT} from .env file`);
-    return parseInt(process.env.PORT);
-  }
 
-  let config = {};
-  
-  // 2. Check existing config.json
-  if (fs.existsSync(configPath)) {
-    try {
-      config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-      if (config.port) {
-        console.log(`Using port ${config.port} from config.json`);
-        return config.port;
-      }
-    } catch (err) {
-      console.error('Error reading config file:', err);
-    }
+// Resolve once the server listens, reject when it cannot, e.g. because the port is taken
+const listen = (app, port) => new Promise((resolve, reject) => {
+  const server = app.listen(port);
+  server.once('listening', () => resolve(server));
+  server.once('error', (err) => {
+    reject(err.code === 'EADDRINUSE' ? new ConfigurationError(`Port ${port} is already in use`) : err);
+  });
+});
+
+// Load the configuration, connect, migrate and listen. A config, db, storage or logger passed in is
+// used as is, e.g. by tests. Returns the running service for stop.
+async function start({ argv = [], config = null, db = null, storage = null, logger = null } = {}) {
+  let warnings = [];
+  if (!config) {
+    // Load and check the configuration: command line flags, then .env, then config.json
+    ({ config, warnings } = await loadConfig({ argv }));
   }
+  logger = logger || createLogger({ level: config.logLevel });
+  warnings.forEach(warning => logger.warn(warning));
+  initializeDirectories(config, logger);
 
-  // 3. Prompt user only when running in EXE mode (not npm start)
-  if (process.pkg) {
-    const changePort = await prompt('Would you like to set a custom port? (y/n) [default: 3001]: ');
-    
-    if (changePort.toLowerCase() === 'y') {
-      const customPort = await prompt('Enter custom port number: ');
-      const portNumber = parseInt(customPort);
-      
-      if (isNaN(portNumber)) {
-        console.log('⚠️ Invalid port number. Using default port 3001');
-        return 3001;
-        }
-      
-      // Validate port range
-      if (portNumber < 1 || portNumber > 65535) {
-        console.log('⚠️ Port must be between 1 and 65535. Using default port 3001');
-        return 3001;
-      }
+  // Connect to the metadata store
+  db = db || createDb(config.db);
+  try {
+    logger.info('Connecting to the database', { driver: db.name });
+    await db.connect();
 
-      // Save to config
-      config.port = portNumber;
-      try {
-        fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
-        console.log(`✅ Custom port ${portNumber} saved to config.json`);
-      } catch (err) {
-        console.error('Could not save port configuration:', err.message);
-      }
-      
-      return portNumber;
+    // Bring the schema up to date
+    const appliedMigrations = await migrate(db, loadMigrations(), message => logger.info(message));
+    logger.info('Database schema up to date', { driver: db.name, migrationsApplied: appliedMigrations.length });
+
+    // Set up blob storage for uploaded files
+    storage = storage || createStorage(config.storage);
+    logger.info('File storage ready', { driver: storage.name, root: storage.root });
+
+    // Registering never makes an admin, the first one is created on purpose
+    if (!(await db.countUsers({ role: 'admin' }))) {
+      logger.warn('No admin account yet, create one with: node server.js user add <username> --admin');
     }
-  }
+    if (!config.auth.secret) {
+      logger.warn('No AUTH_SECRET configured, using a random one: logins end when the server restarts');
+    }
+    const app = createApp({ db, storage, config, logger });
 
-  // 4. Default fallback
-  console.log('Using default port 3001');
-  return 3001;
-}
+    // Deleted images are purged once they have been in the trash for the retention period
+    const retentionMs = Math.round(config.trash.retentionDays * dayMs);
+    const { renderCache, audit } = app.locals;
+    const trashSweep = startTrashSweep({ db, storage, renderCache, audit, logger }, { retentionMs });
+    trashSweep.sweep();
 
-// Function to load or create configuration
-async function getDbConfig() {
-  // If config file exists, use it
-  if (fs.existsSync(configPath)) {
+    let server;
     try {
-      const configData = fs.readFileSync(configPath, 'utf8');
-      return JSON.parse(configData);
+      server = await listen(app, config.port);
     } catch (err) {
-      console.error('Error reading config file:', err);
+      trashSweep.stop();
+      app.locals.tus.stop();
+      throw err;
     }
+    const { port } = server.address();
+    logger.info('Server listening', { url: `http://localhost:${port}` });
+
+    return { app, server, db, storage, config, logger, port, trashSweep };
+  } catch (err) {
+    await db.close().catch(closeErr => logger.error('Failed to close the database connection', { err: closeErr }));
+    throw err;
   }
+}
 
-  // If environment variables are set, use them
-  if (process.env.DB_USER && process.env.DB_PASSWORD && process.env.DB_SERVER && process.env.DB_NAME) {
-    const config = {
-      user: process.env.DB_USER,
-      password: process.env.DB_PASSWORD,
-      server: process.env.DB_SERVER,
-      database: process.env.DB_NAME
-    };
-    
-      // Save config for future use
-      try {
-        fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
-      } catch (err) {
-        console.error('Warning: Could not save config file:', err.message);
-      }
-      return config;
-    }
+// Stop a started service: refuse new connections, let running requests (uploads included) finish
+// for up to shutdownTimeoutSeconds, then cut the rest off and close the database.
+// Resolves with clean: false when requests had to be cut off or the database did not close.
+async function stop(service, { timeoutMs = service.config.shutdownTimeoutSeconds * 1000 } = {}) {
+  const { app, server, db, trashSweep, logger = app.locals.logger } = service;
+  let clean = true;
 
-  // Otherwise, prompt for configuration
-  console.log('\n=== Database Configuration Setup ===');
-  console.log('Please enter your SQL Server credentials:');
-  
-    const dbUser = await prompt('Username: ').catch(() => {
-      throw new ConfigurationError('Username prompt failed or timed out');
-    });
-    
-    const dbPassword = await prompt('Password: ').catch(() => {
-      throw new ConfigurationError('Password prompt failed or timed out');
-    });
-    
-    const dbServer = await prompt('Server (e.g. localhost\\SQLEXPRESS): ').catch(() => {
-      throw new ConfigurationError('Server prompt failed or timed out');
-    });
-    
-    const dbName = await prompt('Database name: ').catch(() => {
-      throw new ConfigurationError('Database name prompt failed or timed out');
-    });
-  const config = {
-    user: dbUser,
-    password: dbPassword,
-    server: dbServer,
-    database: dbName
-  };
-  
-  // Ask if user wants to save the configuration
-  const saveConfig = await prompt('Save this configuration for future use? (y/n): ');
-  if (saveConfig.toLowerCase() === 'y') {
-    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
-    console.log('Configuration saved to config.json');
+  app.locals.draining = true;
+  trashSweep.stop();
+  app.locals.tus.stop();
+
+  const closed = new Promise(resolve => server.close(() => resolve(true)));
+  server.closeIdleConnections();
+
+  let timer;
+  const timedOut = new Promise(resolve => {
+    timer = setTimeout(() => resolve(false), timeoutMs);
+  });
+  if (!(await Promise.race([closed, timedOut]))) {
+    logger.warn('Requests still running after the shutdown timeout, closing their connections', { timeoutMs });
+    server.closeAllConnections();
+    await closed;
+    clean = false;
+  }
+  clearTimeout(timer);
+
+  try {
+    await db.close();
+  } catch (err) {
+    logger.error('Failed to close the database connection', { err });
+    clean = false;
   }
-  
-  return config;
+  return { clean };
 }
 
-// Main function to initialize the server
-async function initializeServer() {
-  let poolConnection = null;
-  let server=null
-  
+// Run as a program: start, and stop on SIGINT or SIGTERM. Exits with 0 after a clean shutdown,
+// 1 when starting failed, requests had to be cut off or a second signal forced the exit.
+// With a command, e.g. server.js list, the admin command runs instead (see cli.js).
+async function main() {
+  // Until the configuration is loaded, LOG_LEVEL is all there is to go by
+  const level = String(process.env.LOG_LEVEL || '').toLowerCase();
+  let logger = createLogger({ level: Object.hasOwn(levels, level) ? level : 'info' });
+
+  // Try to load from .env file first for development
   try {
+    dotenv.config();
+  } catch (err) {
+    logger.warn('Failed to load the .env file', { err });
+  }
 
-    // Get database configuration
-    const dbConfig = await getDbConfig();
-    validateDbConfig(dbConfig);
-        
-    // Complete database configuration
-    const fullDbConfig = {
-      ...dbConfig,
-      pool: {
-        max: 10,
-        min: 0,
-        idleTimeoutMillis: 30000
-      },
-      options: {
-        encrypt: false,
-        trustServerCertificate: true,
-        enableArithAbort: true
-      }
-    };
-    
-    // Connect to database
-    console.log('Connecting to database...');
-    const poolConnection = await sql.connect(fullDbConfig);
-    console.log('✅ Connected to SQL Server');
-    
-    // Check and create table if needed
-    await checkAndCreateTable(poolConnection);
-    
-    // Set up Express middlewares
-    app.use(cors({
-      origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-      methods: ['GET', 'POST', 'OPTIONS', 'PUT', 'DELETE'],
-      allowedHeaders: ['Content-Type']
-    }));
-    app.use(express.json());
-    app.use('/uploads', express.static(path.resolve(baseDir, 'uploads')));
-    app.use(express.static(path.resolve(baseDir, 'public')));
-    
-    // Set up multer for file uploads
-    const storage = multer.diskStorage({
-      destination: (req, file, cb) => cb(null, imageUploadDirectory),
-      filename: (req, file, cb) => {
-        const uniqueName = `${Date.now()}-${Math.round(Math.random() * 1e9)}${path.extname(file.originalname)}`;
-        cb(null, uniqueName);
-      }
-    });
-    
-    const fileFilter = (req, file, cb) => {
-      const allowedTypes = ['image/jpeg', 'image/png', 'image/gif'];
-      cb(null, allowedTypes.includes(file.mimetype));
-    };
-    
-    const upload = multer({ 
-      storage, 
-      fileFilter, 
-      limits: { fileSize: 5 * 1024 * 1024 } 
-    });
-    
-    // Define routes
-    
-    // Upload image
-    app.post('/api/upload', upload.single('image'), async (req, res) => {
-      if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
-    
-      const imagePath = `/uploads/images/${req.file.filename}`;
-      try {
-        await poolConnection.request()
-          .input('path', sql.NVarChar, imagePath)
-          .query('INSERT INTO Images (image_path) VALUES (@path)');
-    
-        res.json({ 
-          message: 'Image uploaded successfully', 
-          path: imagePath, 
-          filename: req.file.filename 
-        });
-      } catch (err) {
-        fs.unlinkSync(req.file.path);
-        res.status(500).json({ error: 'DB insert failed', details: err.message });
-      }
-    });
-    
-    // GeSt all images
-    app.get('/api/images', async (req, res) => {
-      try {
-        const result = await poolConnection.request().query('SELECT * FROM Images');
-        res.json(result.recordset);
-      } catch (err) {
-        res.status(500).json({ error: 'DB fetch failed', details: err.message });
-      }
-    });
-        
-    // Delete image by ID
-    app.delete('/api/images/:id', async (req, res) => {
-      // Validate ID is a number
-      const id = parseInt(req.params.id);
-      if (isNaN(id)) {
-        return res.status(400).json({ error: 'Invalid ID format' });
-      }
-      
-      try {
-        const result = await poolConnection.request()
-          .input('id', sql.Int, id)
-          .query('SELECT image_path FROM Images WHERE id = @id');
-    
-        if (!result.recordset.length) {
-          return res.status(404).json({ error: 'Image not found' });
-        }
-    
-        const imagePath = result.recordset[0].image_path;
-        // Remove leading slash if present
-        const relativePath = imagePath.startsWith('/') ? imagePath.substring(1) : imagePath;
-        const fullPath = path.resolve(baseDir, relativePath);
-        
-        // Check if file exists before trying to delete
-        if (fs.existsSync(fullPath)) {
-          fs.unlinkSync(fullPath);
-        } else {
-          console.warn(`File not found: ${fullPath}`);
-        }
-    
-        await poolConnection.request()
-          .input('id', sql.Int, id)
-          .query('DELETE FROM Images WHERE id = @id');
-    
-        res.json({ message: 'Image deleted' });
-      } catch (err) {
-        res.status(500).json({ error: 'Delete failed', details: err.message });
-      }
-    });
-    
-    // React fallback
-    app.get('*', (req, res) => {
-      res.sendFile(path.resolve(baseDir, 'public', 'index.html'));
-    });
-    
-    // Error middleware
-    app.use((err, req, res, next) => {
-      console.error('Unhandled error:', err);
-      res.status(500).json({ error: err.message });
-    });
-    
-    // Handle shutdown gracefully
-    process.on('SIGINT', async () => {
-      console.log('\n🛑 Shutting down server gracefully...');
-      console.log('\n🛑 Press Ctrl+C again to exit immediately.');
-      console.log('Otherwise, the server will keep running...');
-      process.once('SIGINT', () => {
-        console.log('\n⚠️ Forcing immediate shutdown...');
-        process.exit(1);
-      });
-
-        });
-        
-        
-    
-    // Start server
-    // Get the port configuratio
-    const port = await getPortConfiguration();
-
-    const server = app.listen(port, () => {
-      console.log(`🚀 Server listening at http://localhost:${port}`);
-      console.log(`📁 Upload directory: ${imageUploadDirectory}`);
-    });
-    
-    // Handle server errors
-    server.on('error', (err) => {
-      if (err.code === 'EADDRINUSE') {
-        console.error(`Port ${port} is already in use`);
-      } else {
-        console.error('Server error:', err);
-      }
+  const argv = process.argv.slice(2);
+  if (hasCommand(argv)) {
+    const code = await runCli(argv).catch((err) => {
+      console.error(`❌ ${err.message}`);
+      return 1;
     });
-    
+    process.exit(code);
+  }
+
+  let service;
+  try {
+    service = await start({ argv });
   } catch (err) {
-    console.error('❌ Server initialization failed:');
-    
-    try {
-      if (poolConnection && poolConnection.connected) {
-        await poolConnection.close();
-      }
-    } catch (closeErr) {
-      console.error('Failed to close DB connection:', closeErr.message);
-    }
-    
+    logger.error('Server initialization failed', { err });
+    process.exitCode = 1;
+    return;
   }
-}
+  logger = service.logger;
 
-// Start the server with error handling
-initializeServer().catch(err => {
-  console.error('Fatal error during initialization:');
-    console.log('Process will remain active for debugging. Close manually when ready.');
+  let stopping = false;
+  const shutdown = async (signal) => {
+    if (stopping) {
+      logger.warn('Second signal received, exiting immediately', { signal });
+      process.exit(1);
+    }
+    stopping = true;
+    logger.info('Shutting down gracefully, send the signal again to exit immediately', { signal });
+    const { clean } = await stop(service);
+    if (clean) logger.info('Server stopped');
+    else logger.warn('Server stopped, some requests were cut off');
+    process.exit(clean ? 0 : 1);
+  };
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
 
-});
+  service.server.on('error', (err) => logger.error('Server error', { err }));
+}
+
+if (require.main === module) {
+  main();
+}
 
+module.exports = { createApp, start, stop, initializeDirectories };
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const { ValidationError } = require('../errors');
+
+// What a key may do: read (GET requests), upload (uploads, including resumable ones),
+// write (edit metadata, tags and albums) and delete
+const apiKeyScopes = ['read', 'upload', 'write', 'delete'];
+
+// Keys look like iuk_<random>, so they are easy to spot in logs and to tell apart from login tokens
+const keyPrefix = 'iuk_';
+const maxNameLength = 100;
+
+const isApiKey = (token) => typeof token === 'string' && token.startsWith(keyPrefix);
+
+// Keys are random, so a plain SHA-256 is enough to store them
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Validate a POST /api/keys body, e.g. { "name": "CI screenshots", "scopes": ["upload"] }
+function parseApiKeyInput(body) {
+  const name = body && typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name) {
+    throw new ValidationError('Missing key name');
+  }
+  if (name.length > maxNameLength) {
+    throw new ValidationError(`Key name too long: at most ${maxNameLength} characters`);
+  }
+
+  const scopes = body.scopes;
+  if (!Array.isArray(scopes) || !scopes.length) {
+    throw new ValidationError(`Missing scopes: use any of ${apiKeyScopes.join(', ')}`);
+  }
+  const unknown = scopes.filter(scope => !apiKeyScopes.includes(scope));
+  if (unknown.length) {
+    throw new ValidationError(`Unknown scope(s): ${unknown.join(', ')}`);
+  }
+
+  // Stored in a fixed order, so the list reads the same whatever order the client sent
+  return { name, scopes: apiKeyScopes.filter(scope => scopes.includes(scope)) };
+}
+
+// A key as returned by the API, without its hash
+const publicApiKey = (key) => ({
+  id: key.id,
+  name: key.name,
+  prefix: key.prefix,
+  scopes: key.scopes,
+  created_at: key.created_at,
+  last_used_at: key.last_used_at,
+  revoked_at: key.revoked_at
+});
+
+// Create a key for a user. The key itself is only returned here, the store keeps its hash.
+async function createApiKey({ db }, userId, body) {
+  const { name, scopes } = parseApiKeyInput(body);
+  const key = `${keyPrefix}${crypto.randomBytes(24).toString('base64url')}`;
+  const record = await db.createApiKey({
+    userId,
+    name,
+    prefix: key.slice(0, keyPrefix.length + 6),
+    keyHash: hashApiKey(key),
+    scopes
+  });
+  return { apiKey: publicApiKey(record), key };
+}
+
+// The scope an API key needs for a request under /api
+function requiredScope(req) {
+  if (/^\/(tus|upload)(\/|$)/.test(req.path)) return 'upload';
+  if (req.method === 'GET' || req.method === 'HEAD') return 'read';
+  if (req.method === 'DELETE') return 'delete';
+  return 'write';
+}
+
+module.exports = {
+  apiKeyScopes,
+  isApiKey,
+  hashApiKey,
+  parseApiKeyInput,
+  publicApiKey,
+  createApiKey,
+  requiredScope
+};
@@ -0,0 +1,71 @@
+const { ValidationError } = require('../errors');
+const { createLogger } = require('../logger');
+const { parsePagination, parsePositiveInteger, parseDate } = require('./imageQuery');
+
+// What happens to an image that the audit log records
+const auditActions = ['upload', 'edit', 'delete', 'restore', 'purge'];
+
+// Turn GET /api/admin/audit query parameters into list options for the metadata store:
+//   page, pageSize     offset pagination (pageSize at most 100), newest entries first
+//   action             one of auditActions
+//   userId, imageId    entries of this user or about this image
+//   from, to           time range, inclusive
+function parseAuditQuery(query = {}) {
+  const { page, pageSize, limit, offset } = parsePagination(query);
+
+  const action = query.action ? String(query.action).toLowerCase() : null;
+  if (action && !auditActions.includes(action)) {
+    throw new ValidationError(`Invalid action: use one of ${auditActions.join(', ')}`);
+  }
+
+  const from = parseDate(query.from, 'from');
+  const to = parseDate(query.to, 'to');
+  if (from && to && from > to) {
+    throw new ValidationError('Invalid range: from must not be after to');
+  }
+
+  return {
+    page,
+    pageSize,
+    limit,
+    offset,
+    action,
+    actorId: parsePositiveInteger(query.userId, 'userId', null),
+    imageId: parsePositiveInteger(query.imageId, 'imageId', null),
+    from,
+    to
+  };
+}
+
+// The audit log: who uploaded, edited, deleted, restored or purged which image, from which address
+// and in which request. Writing an entry never fails the request, the change it describes is
+// already made by then; a failed write is logged with the whole entry instead.
+function createAuditLog({ db, logger = createLogger() }) {
+  return {
+    // Record an action of the user of a request. req is null for the server's own jobs, such as
+    // the trash sweep, which are recorded without an actor.
+    async record(req, action, { imageId = null, details = null } = {}) {
+      const user = req && req.user;
+      const entry = {
+        action,
+        imageId,
+        actorId: user ? user.id : null,
+        actorName: user ? user.username : null,
+        apiKeyId: user && user.apiKey ? user.apiKey.id : null,
+        ip: req ? req.ip : null,
+        requestId: req ? req.id : null,
+        details
+      };
+      try {
+        return await db.insertAuditEntry(entry);
+      } catch (err) {
+        logger.error('Failed to write audit entry', { ...entry, err });
+        return null;
+      }
+    },
+
+    list: (options) => db.listAuditEntries(options)
+  };
+}
+
+module.exports = { createAuditLog, parseAuditQuery, auditActions };
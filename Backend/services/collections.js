@@ -0,0 +1,68 @@
+const { ValidationError } = require('../errors');
+
+const maxAlbumNameLength = 255;
+const maxTagLength = 50;
+const maxTagsPerImage = 50;
+
+// Tags are compared case-insensitively, so they are stored trimmed, lower case and with single spaces
+function normalizeTagName(value) {
+  if (typeof value !== 'string') {
+    throw new ValidationError('Invalid tag: must be a string');
+  }
+  const name = value.trim().replace(/\s+/g, ' ').toLowerCase();
+  if (!name) {
+    throw new ValidationError('Invalid tag: must not be empty');
+  }
+  if (name.length > maxTagLength || name.includes(',')) {
+    throw new ValidationError(`Invalid tag "${name}": at most ${maxTagLength} characters and no commas`);
+  }
+  return name;
+}
+
+// The full tag list of an image, duplicates removed
+function parseTagList(tags) {
+  if (!Array.isArray(tags)) {
+    throw new ValidationError('Invalid tags: must be an array of strings');
+  }
+  const names = [...new Set(tags.map(normalizeTagName))];
+  if (names.length > maxTagsPerImage) {
+    throw new ValidationError(`Too many tags: at most ${maxTagsPerImage} per image`);
+  }
+  return names;
+}
+
+// Body of POST /api/albums (name required) or PATCH /api/albums/:id (any field)
+function parseAlbumInput(body, { partial = false } = {}) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ValidationError('Request body must be a JSON object');
+  }
+
+  const unknown = Object.keys(body).filter(key => key !== 'name' && key !== 'cover_image_id');
+  if (unknown.length) {
+    throw new ValidationError(`Unknown field(s): ${unknown.join(', ')}. Album fields: name, cover_image_id`);
+  }
+
+  const album = {};
+  if ('name' in body || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > maxAlbumNameLength) {
+      throw new ValidationError(`Invalid name: must be 1 to ${maxAlbumNameLength} characters`);
+    }
+    album.name = name;
+  }
+
+  if ('cover_image_id' in body) {
+    const cover = body.cover_image_id;
+    if (cover !== null && !(Number.isInteger(cover) && cover > 0)) {
+      throw new ValidationError('Invalid cover_image_id: must be an image id or null');
+    }
+    album.cover_image_id = cover;
+  }
+
+  if (!Object.keys(album).length) {
+    throw new ValidationError('Nothing to update. Album fields: name, cover_image_id');
+  }
+  return album;
+}
+
+module.exports = { normalizeTagName, parseTagList, parseAlbumInput, maxTagLength };
@@ -0,0 +1,47 @@
+const { ValidationError } = require('../errors');
+
+// Fields clients may edit after upload and their maximum length
+const editableFields = {
+  title: 255,
+  description: 2000,
+  alt_text: 500
+};
+
+// Validate the body of PATCH or PUT /api/images/:id.
+// PATCH changes only the fields it names, PUT replaces them all so missing fields are cleared.
+// Values are trimmed and an empty string clears the field.
+function parseImageEdit(body, { replace = false } = {}) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ValidationError('Request body must be a JSON object');
+  }
+
+  const unknown = Object.keys(body).filter(key => !(key in editableFields));
+  if (unknown.length) {
+    throw new ValidationError(`Unknown field(s): ${unknown.join(', ')}. Editable fields: ${Object.keys(editableFields).join(', ')}`);
+  }
+
+  const changes = {};
+  for (const [field, maxLength] of Object.entries(editableFields)) {
+    if (!(field in body)) {
+      if (replace) changes[field] = null;
+      continue;
+    }
+
+    const value = body[field];
+    if (value !== null && typeof value !== 'string') {
+      throw new ValidationError(`Invalid ${field}: must be a string or null`);
+    }
+    const trimmed = value === null ? '' : value.trim();
+    if (trimmed.length > maxLength) {
+      throw new ValidationError(`Invalid ${field}: must be at most ${maxLength} characters`);
+    }
+    changes[field] = trimmed || null;
+  }
+
+  if (!Object.keys(changes).length) {
+    throw new ValidationError(`Nothing to update. Editable fields: ${Object.keys(editableFields).join(', ')}`);
+  }
+  return changes;
+}
+
+module.exports = { parseImageEdit, editableFields };
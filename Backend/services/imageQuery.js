@@ -0,0 +1,89 @@
+const { ValidationError } = require('../errors');
+const { normalizeTagName } = require('./collections');
+
+// Sort keys accepted by GET /api/images and the columns they map to
+const sortColumns = {
+  date: 'upload_date',
+  size: 'size_bytes',
+  name: 'original_name'
+};
+
+const defaultPageSize = 24;
+const maxPageSize = 100;
+
+const parsePositiveInteger = (value, name, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  if (!/^\d+$/.test(String(value)) || parseInt(value) < 1) {
+    throw new ValidationError(`Invalid ${name}: must be a positive whole number`);
+  }
+  return parseInt(value);
+};
+
+const parseDate = (value, name) => {
+  if (value === undefined || value === '') return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new ValidationError(`Invalid ${name}: must be an ISO 8601 date`);
+  }
+  return date;
+};
+
+// page and pageSize (at most 100), shared by the list and search endpoints
+function parsePagination(query = {}) {
+  const page = parsePositiveInteger(query.page, 'page', 1);
+  const pageSize = parsePositiveInteger(query.pageSize, 'pageSize', defaultPageSize);
+  if (pageSize > maxPageSize) {
+    throw new ValidationError(`Invalid pageSize: must be at most ${maxPageSize}`);
+  }
+  return { page, pageSize, limit: pageSize, offset: (page - 1) * pageSize };
+}
+
+// Turn GET /api/images query parameters into list options for the metadata store:
+//   page, pageSize           offset pagination (pageSize at most 100)
+//   sort=date|size|name      sort key, order=asc|desc (newest first by default)
+//   from, to                 upload date range, inclusive
+//   type                     MIME type(s), e.g. image/png or png,gif
+//   album                    images in this album
+//   tag                      images carrying all these tags, e.g. beach,2024
+function parseListQuery(query = {}) {
+  const pagination = parsePagination(query);
+
+  const sort = query.sort || 'date';
+  if (!sortColumns[sort]) {
+    throw new ValidationError(`Invalid sort: use one of ${Object.keys(sortColumns).join(', ')}`);
+  }
+
+  const order = (query.order || 'desc').toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    throw new ValidationError('Invalid order: use asc or desc');
+  }
+
+  const from = parseDate(query.from, 'from');
+  const to = parseDate(query.to, 'to');
+  if (from && to && from > to) {
+    throw new ValidationError('Invalid date range: from must not be after to');
+  }
+
+  const mimeTypes = query.type
+    ? String(query.type).split(',').map(type => type.trim().toLowerCase()).filter(Boolean)
+      .map(type => (type.includes('/') ? type : `image/${type === 'jpg' ? 'jpeg' : type}`))
+    : [];
+
+  const albumId = parsePositiveInteger(query.album, 'album', null);
+  const tags = query.tag
+    ? [...new Set(String(query.tag).split(',').filter(tag => tag.trim()).map(normalizeTagName))]
+    : [];
+
+  return {
+    ...pagination,
+    sort: sortColumns[sort],
+    order,
+    from,
+    to,
+    mimeTypes,
+    albumId,
+    tags
+  };
+}
+
+module.exports = { parseListQuery, parsePagination, parsePositiveInteger, parseDate, sortColumns, defaultPageSize, maxPageSize };
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const path = require('path');
+const { ConfigurationError } = require('../errors');
+const { validateImage, imageTypes } = require('../imaging/validate');
+const { generateVariants } = require('../imaging/variants');
+const { storageKeyFromPath } = require('../storage');
+const { editableFields } = require('./imageMetadata');
+
+// What to do when identical content is uploaded again:
+//   return  answer with the existing record, nothing new is stored
+//   link    add a new record that shares the existing files
+const dedupeModes = ['return', 'link'];
+
+function validateDedupeMode(mode) {
+  if (!dedupeModes.includes(mode)) {
+    throw new ConfigurationError(`Invalid dedupe mode "${mode}". Use one of: ${dedupeModes.join(', ')}`);
+  }
+  return mode;
+}
+
+const hashContent = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Validate an uploaded file, save it with its variants and record it in the metadata store.
+// Files already written are removed again when a later step fails.
+async function storeImage({ db, storage, dedupeMode = 'return', allowedTypes = null }, { buffer, originalName, uploadedBy, caption, ownerId = null }) {
+  const contentHash = hashContent(buffer);
+  // An upload caption becomes the description, which can be edited later
+  const description = caption ? String(caption).trim().slice(0, editableFields.description) || null : null;
+  const existing = await db.findImageByHash(contentHash);
+  // Content of a type that is no longer allowed is refused by the validation below
+  const allowed = (mimeType) => !allowedTypes
+    || imageTypes.some(type => type.mimeType === mimeType && allowedTypes.includes(type.format));
+  if (existing && allowed(existing.mime_type)) {
+    const filename = path.basename(existing.image_path);
+    // Only the uploader's own copy is handed back, content that another user uploaded (or that
+    // is in the trash) is linked
+    const own = dedupeMode === 'return' ? await db.findImageByHash(contentHash, { ownerId, activeOnly: true }) : null;
+    if (own) {
+      return { image: own, filename, duplicate: true };
+    }
+
+    const image = await db.insertImage({
+      imagePath: existing.image_path,
+      originalName,
+      mimeType: existing.mime_type,
+      sizeBytes: existing.size_bytes,
+      width: existing.width,
+      height: existing.height,
+      uploadedBy,
+      description,
+      contentHash,
+      ownerId,
+      variants: existing.variants.map(variant => ({
+        name: variant.name,
+        imagePath: variant.image_path,
+        mimeType: variant.mime_type,
+        sizeBytes: variant.size_bytes,
+        width: variant.width,
+        height: variant.height
+      }))
+    });
+    return { image, filename, duplicate: true };
+  }
+
+  const detected = await validateImage(buffer, { allowedTypes });
+
+  // The stored extension comes from the detected type, never from the client filename
+  const basename = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
+  const filename = `${basename}${detected.extension}`;
+  const key = `images/${filename}`;
+  const savedKeys = [];
+
+  try {
+    const variants = await generateVariants(buffer, detected);
+
+    await storage.save(key, buffer, { contentType: detected.mimeType });
+    savedKeys.push(key);
+
+    for (const variant of variants) {
+      variant.key = `images/variants/${basename}-${variant.name}${variant.extension}`;
+      await storage.save(variant.key, variant.buffer, { contentType: variant.mimeType });
+      savedKeys.push(variant.key);
+    }
+
+    const image = await db.insertImage({
+      imagePath: `/uploads/${key}`,
+      originalName,
+      mimeType: detected.mimeType,
+      sizeBytes: buffer.length,
+      width: detected.width,
+      height: detected.height,
+      uploadedBy,
+      description,
+      contentHash,
+      ownerId,
+      variants: variants.map(variant => ({
+        name: variant.name,
+        imagePath: `/uploads/${variant.key}`,
+        mimeType: variant.mimeType,
+        sizeBytes: variant.sizeBytes,
+        width: variant.width,
+        height: variant.height
+      }))
+    });
+
+    return { image, filename, duplicate: false };
+  } catch (err) {
+    await Promise.all(savedKeys.map(savedKey => storage.delete(savedKey).catch(() => {})));
+    throw err;
+  }
+}
+
+// Delete an image record, and its files once no other record shares the same content.
+// Returns the storage keys that were already missing.
+async function deleteImage({ db, storage }, image) {
+  await db.deleteImage(image.id);
+
+  if (image.content_hash && (await db.countImagesByHash(image.content_hash)) > 0) {
+    return [];
+  }
+  return removeImageFiles(storage, image);
+}
+
+// Remove the original file and every variant of an image, returning the keys that were missing
+async function removeImageFiles(storage, image) {
+  const paths = [image.image_path, ...(image.variants || []).map(variant => variant.image_path)];
+  const missing = [];
+
+  for (const imagePath of paths) {
+    const key = storageKeyFromPath(imagePath);
+    if (!(await storage.delete(key))) {
+      missing.push(key);
+    }
+  }
+
+  return missing;
+}
+
+module.exports = {
+  storeImage,
+  deleteImage,
+  removeImageFiles,
+  hashContent,
+  validateDedupeMode,
+  dedupeModes
+};
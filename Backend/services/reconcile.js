@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const { ValidationError } = require('../errors');
+const { generateVariants } = require('../imaging/variants');
+const { storageKeyFromPath, streamToBuffer } = require('../storage');
+const { deleteImage } = require('./images');
+
+// How the checker treats the problems it finds:
+//   dry-run     only report them
+//   repair      delete files no record uses, remove records whose original file is gone and
+//               regenerate missing variants; files that do not match their record are left alone
+//   quarantine  move files no record uses and files that do not match their record under
+//               quarantine/, records are left alone
+const reconcileModes = ['dry-run', 'repair', 'quarantine'];
+
+// Uploaded files live under images/, quarantined ones under quarantine/<time of the run>/
+const imagesPrefix = 'images/';
+const quarantinePrefix = 'quarantine/';
+
+// Files are saved before their record is inserted, so young files without one may be an upload
+// in progress rather than an orphan
+const defaultGraceMs = 60 * 60 * 1000;
+
+const batchSize = 200;
+
+// Validate { mode, checkHashes } from the admin endpoint or the command line
+function parseReconcileOptions(input = {}) {
+  const mode = input.mode === undefined ? 'dry-run' : String(input.mode).toLowerCase();
+  if (!reconcileModes.includes(mode)) {
+    throw new ValidationError(`Invalid reconcile mode "${input.mode}". Use one of: ${reconcileModes.join(', ')}`);
+  }
+  if (input.checkHashes !== undefined && typeof input.checkHashes !== 'boolean') {
+    throw new ValidationError('checkHashes must be true or false');
+  }
+  return { mode, checkHashes: input.checkHashes !== false };
+}
+
+// sha256 of a stored file, read as a stream so large originals are not buffered
+async function hashStoredFile(storage, key) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of await storage.createReadStream(key)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+// Every file the records point at, keyed by storage key. Linked duplicates share their files,
+// so one key can belong to several records.
+async function expectedFiles(db) {
+  const expected = new Map();
+  const add = (key, entry, image) => {
+    if (!expected.has(key)) expected.set(key, { key, ...entry, images: [] });
+    expected.get(key).images.push(image);
+  };
+
+  let records = 0;
+  let afterId = 0;
+  for (;;) {
+    const batch = await db.listImagesAfter(afterId, { limit: batchSize });
+    for (const image of batch) {
+      records++;
+      add(storageKeyFromPath(image.image_path), {
+        kind: 'original',
+        sizeBytes: image.size_bytes,
+        contentHash: image.content_hash
+      }, image);
+      (image.variants || []).forEach(variant => add(storageKeyFromPath(variant.image_path), {
+        kind: 'variant',
+        variant: variant.name,
+        original: storageKeyFromPath(image.image_path),
+        sizeBytes: variant.size_bytes
+      }, image));
+    }
+    if (batch.length < batchSize) return { expected, records };
+    afterId = batch[batch.length - 1].id;
+  }
+}
+
+// Compare the stored files with the image records and report files with no record, records whose
+// files are missing, and files whose size or content hash differs from their record. In repair
+// and quarantine mode the problems are also acted on, see reconcileModes. Every reported problem
+// carries the action taken (null when none), or the error that stopped it. Removed records are
+// purges in the audit log, of the user of req (null for the command line).
+async function reconcileStorage({ db, storage, renderCache = null, audit = null, req = null }, {
+  mode = 'dry-run',
+  checkHashes = true,
+  graceMs = defaultGraceMs,
+  now = Date.now()
+} = {}) {
+  const startedAt = new Date(now).toISOString();
+  const { expected, records } = await expectedFiles(db);
+  const files = await storage.list(imagesPrefix);
+  const stored = new Map(files.map(file => [file.key, file]));
+
+  const orphanFiles = files
+    .filter(file => !expected.has(file.key) && now - new Date(file.lastModified).getTime() >= graceMs)
+    .map(file => ({ key: file.key, size: file.size, action: null }));
+
+  const missingFiles = [];
+  const mismatches = [];
+  for (const entry of expected.values()) {
+    const imageIds = entry.images.map(image => image.id);
+    const file = stored.get(entry.key);
+    if (!file) {
+      missingFiles.push({
+        key: entry.key,
+        kind: entry.kind,
+        ...(entry.variant ? { variant: entry.variant } : {}),
+        imageIds,
+        action: null
+      });
+      continue;
+    }
+
+    if (entry.sizeBytes !== null && entry.sizeBytes !== undefined && file.size !== entry.sizeBytes) {
+      mismatches.push({ key: entry.key, imageIds, problem: 'size', expected: entry.sizeBytes, actual: file.size, action: null });
+    } else if (checkHashes && entry.kind === 'original' && entry.contentHash) {
+      const actual = await hashStoredFile(storage, entry.key);
+      if (actual !== entry.contentHash) {
+        mismatches.push({ key: entry.key, imageIds, problem: 'hash', expected: entry.contentHash, actual, action: null });
+      }
+    }
+  }
+
+  // Run an action for a problem, recording what happened instead of stopping the whole run
+  const act = async (problem, action, run) => {
+    try {
+      await run();
+      problem.action = action;
+    } catch (err) {
+      problem.error = err.message;
+    }
+  };
+
+  if (mode === 'repair') {
+    for (const orphan of orphanFiles) {
+      await act(orphan, 'deleted', () => storage.delete(orphan.key));
+    }
+
+    // Without its original a record cannot be shown or repaired, so it goes (with its variants)
+    for (const missing of missingFiles.filter(problem => problem.kind === 'original')) {
+      await act(missing, 'records removed', async () => {
+        for (const image of expected.get(missing.key).images) {
+          await deleteImage({ db, storage }, image);
+          if (renderCache) await renderCache.invalidate(image.id);
+          if (audit) await audit.record(req, 'purge', { imageId: image.id, details: { via: 'reconcile', missingFile: missing.key } });
+        }
+      });
+    }
+
+    // Variants are derived from the original, so they can be made again
+    const removedOriginals = new Set(missingFiles.filter(problem => problem.kind === 'original').map(problem => problem.key));
+    for (const missing of missingFiles.filter(problem => problem.kind === 'variant')) {
+      const entry = expected.get(missing.key);
+      if (removedOriginals.has(entry.original)) {
+        missing.action = 'records removed';
+        continue;
+      }
+      await act(missing, 'regenerated', async () => {
+        const buffer = await streamToBuffer(await storage.createReadStream(entry.original));
+        const variants = await generateVariants(buffer, { width: entry.images[0].width });
+        const variant = variants.find(candidate => candidate.name === entry.variant);
+        if (!variant) throw new Error(`The original is too small for a ${entry.variant} variant`);
+        await storage.save(missing.key, variant.buffer, { contentType: variant.mimeType });
+      });
+    }
+  }
+
+  if (mode === 'quarantine') {
+    const destination = `${quarantinePrefix}${startedAt.replace(/[:.]/g, '-')}/`;
+    for (const problem of [...orphanFiles, ...mismatches]) {
+      await act(problem, 'quarantined', async () => {
+        const buffer = await streamToBuffer(await storage.createReadStream(problem.key));
+        await storage.save(`${destination}${problem.key}`, buffer);
+        await storage.delete(problem.key);
+      });
+    }
+  }
+
+  return {
+    mode,
+    checkHashes,
+    startedAt,
+    checked: { records, files: files.length },
+    consistent: !orphanFiles.length && !missingFiles.length && !mismatches.length,
+    orphanFiles,
+    missingFiles,
+    mismatches
+  };
+}
+
+module.exports = {
+  reconcileStorage,
+  parseReconcileOptions,
+  hashStoredFile,
+  reconcileModes,
+  imagesPrefix,
+  quarantinePrefix
+};
@@ -0,0 +1,100 @@
+const { ValidationError } = require('../errors');
+const { parsePagination } = require('./imageQuery');
+
+const maxQueryLength = 200;
+const maxTerms = 10;
+
+// The drivers pre-filter by substring, ranking only looks at the most recent candidates
+const candidateLimit = 1000;
+
+// Searchable text of an image and how much a match in it counts
+const fieldWeights = {
+  title: 4,
+  original_name: 3,
+  tags: 3,
+  description: 2,
+  alt_text: 1
+};
+
+// Lower case words, split on anything that is not a letter or digit ("holiday_photo-2024.jpg" has 4)
+const tokenize = (text) => String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+// Validate GET /api/search parameters: q (required) plus page and pageSize like GET /api/images
+function parseSearchQuery(query = {}) {
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (!q) {
+    throw new ValidationError('Missing search query: use ?q=', 'invalid_query');
+  }
+  if (q.length > maxQueryLength) {
+    throw new ValidationError(`Search query too long: at most ${maxQueryLength} characters`, 'invalid_query');
+  }
+
+  const terms = [...new Set(tokenize(q))];
+  if (!terms.length) {
+    throw new ValidationError('Search query must contain letters or digits', 'invalid_query');
+  }
+  if (terms.length > maxTerms) {
+    throw new ValidationError(`Too many search terms: at most ${maxTerms}`, 'invalid_query');
+  }
+
+  return { q, terms, ...parsePagination(query) };
+}
+
+// Character ranges of the words in text that start with one of the terms
+function findMatches(text, terms) {
+  const matches = [];
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+  let word;
+  while ((word = wordPattern.exec(text)) !== null) {
+    const lower = word[0].toLowerCase();
+    const term = terms
+      .filter(candidate => lower.startsWith(candidate))
+      .sort((a, b) => b.length - a.length)[0];
+    if (term) matches.push({ start: word.index, end: word.index + term.length, exact: lower === term, term });
+  }
+  return matches;
+}
+
+// Score an image against the terms. Every term has to prefix-match a word somewhere, a whole-word
+// match counts double. Returns null when the image does not match, else its score and highlights:
+// the matched fields with the [start, end) ranges to mark.
+function rankImage(image, terms) {
+  let score = 0;
+  const matched = new Set();
+  const highlights = [];
+
+  for (const [field, weight] of Object.entries(fieldWeights)) {
+    const texts = field === 'tags' ? image.tags || [] : [image[field]];
+    for (const text of texts.filter(Boolean)) {
+      const matches = findMatches(text, terms);
+      if (!matches.length) continue;
+
+      matches.forEach(match => {
+        matched.add(match.term);
+        score += match.exact ? weight * 2 : weight;
+      });
+      highlights.push({ field, text, ranges: matches.map(match => [match.start, match.end]) });
+    }
+  }
+
+  if (!terms.every(term => matched.has(term))) return null;
+  return { score, highlights };
+}
+
+// Search image metadata: the store returns candidates containing every term, which are then
+// ranked here so both drivers order results the same way. Best matches first, newest on ties.
+async function searchImages(db, { terms, limit, offset, ownerId = null }) {
+  const candidates = await db.searchImages(terms, { limit: candidateLimit, ownerId });
+
+  const ranked = candidates
+    .map(image => {
+      const rank = rankImage(image, terms);
+      return rank && { ...image, score: rank.score, highlights: rank.highlights };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || new Date(b.upload_date) - new Date(a.upload_date) || b.id - a.id);
+
+  return { items: ranked.slice(offset, offset + limit), total: ranked.length };
+}
+
+module.exports = { parseSearchQuery, searchImages, rankImage, tokenize, fieldWeights, candidateLimit };
@@ -0,0 +1,58 @@
+const { ValidationError, GoneError } = require('../errors');
+
+const defaultExpiryHours = 24;
+const maxExpiryHours = 30 * 24;
+const maxDownloadLimit = 1000000;
+
+// Validate a POST /api/images/:id/shares body, e.g. { "expiresInHours": 48, "maxDownloads": 5 }.
+// Both are optional: links last a day and allow any number of downloads by default.
+function parseShareInput(body = {}) {
+  const { expiresInHours = defaultExpiryHours, maxDownloads = null } = body || {};
+
+  if (typeof expiresInHours !== 'number' || !(expiresInHours > 0) || expiresInHours > maxExpiryHours) {
+    throw new ValidationError(`Invalid expiresInHours: must be more than 0 and at most ${maxExpiryHours}`);
+  }
+  if (maxDownloads !== null && (!Number.isInteger(maxDownloads) || maxDownloads < 1 || maxDownloads > maxDownloadLimit)) {
+    throw new ValidationError(`Invalid maxDownloads: must be a whole number from 1 to ${maxDownloadLimit}`);
+  }
+
+  return { expiresInHours, maxDownloads };
+}
+
+const expiresSeconds = (link) => Math.floor(new Date(link.expires_at).getTime() / 1000);
+
+// The signed part of a link: its id and expiry time, so neither can be changed
+const signedValue = (id, expires) => `share:${id}:${expires}`;
+
+// Path of the public download URL of a link, e.g. /api/shared/7?expires=1735689600&signature=...
+function sharePath(auth, link) {
+  const expires = expiresSeconds(link);
+  const signature = auth.signValue(signedValue(link.id, expires));
+  return `/api/shared/${link.id}?expires=${expires}&signature=${signature}`;
+}
+
+// Why a link no longer works as a 410 error to throw, null while it does
+function shareLinkProblem(link, now = Date.now()) {
+  if (link.revoked_at) return new GoneError('This share link has been revoked', 'share_link_revoked');
+  if (expiresSeconds(link) * 1000 <= now) return new GoneError('This share link has expired', 'share_link_expired');
+  if (link.max_downloads !== null && link.download_count >= link.max_downloads) {
+    return new GoneError('This share link has no downloads left', 'share_link_used_up');
+  }
+  return null;
+}
+
+// A link as returned by the API, with its URL and whether it still works
+const publicShareLink = (auth, link, baseUrl = '') => ({
+  ...link,
+  url: `${baseUrl}${sharePath(auth, link)}`,
+  active: !shareLinkProblem(link)
+});
+
+module.exports = {
+  parseShareInput,
+  sharePath,
+  signedValue,
+  shareLinkProblem,
+  publicShareLink,
+  maxExpiryHours
+};
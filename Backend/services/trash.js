@@ -0,0 +1,66 @@
+const { deleteImage } = require('./images');
+const { createLogger } = require('../logger');
+
+const purgeBatchSize = 100;
+const dayMs = 24 * 60 * 60 * 1000;
+
+// Delete an image in the trash for good: its record, its files once no other record uses them,
+// and its cached renders
+async function purgeImage({ db, storage, renderCache, logger = createLogger() }, image) {
+  const missing = await deleteImage({ db, storage }, image);
+  missing.forEach(key => logger.warn('File of a purged image not found', { imageId: image.id, key }));
+  await renderCache.invalidate(image.id);
+}
+
+// Purge every image that has been in the trash longer than the retention period, returns how many.
+// Each purge is recorded in the audit log when deps has one, without an actor. An image that
+// cannot be purged is logged and skipped, so it does not hold up the others; the next sweep
+// tries it again.
+async function purgeExpiredTrash(deps, { retentionMs, now = Date.now() }) {
+  const { logger = createLogger() } = deps;
+  const cutoff = new Date(now - retentionMs);
+  const failed = new Set();
+  let purged = 0;
+
+  for (;;) {
+    // Images that failed may still be there, oldest first, so fetch that many more
+    const limit = purgeBatchSize + failed.size;
+    const batch = await deps.db.listTrashedBefore(cutoff, { limit });
+    const pending = batch.filter(image => !failed.has(image.id));
+    for (const image of pending) {
+      try {
+        await purgeImage(deps, image);
+        if (deps.audit) await deps.audit.record(null, 'purge', { imageId: image.id, details: { retentionDays: retentionMs / dayMs } });
+        purged++;
+      } catch (err) {
+        logger.error('Failed to purge an image from the trash', { imageId: image.id, err });
+        failed.add(image.id);
+      }
+    }
+    if (batch.length < limit || !pending.length) return purged;
+  }
+}
+
+// Periodically purge the trash in the background, like the cleanup of unfinished resumable uploads
+function startTrashSweep(deps, { retentionMs, intervalMs = 60 * 60 * 1000 }) {
+  const { logger = createLogger() } = deps;
+  const sweep = async () => {
+    try {
+      const purged = await purgeExpiredTrash(deps, { retentionMs });
+      if (purged) logger.info('Purged images from the trash', { purged });
+      return purged;
+    } catch (err) {
+      logger.error('Failed to purge the trash', { err });
+      return 0;
+    }
+  };
+  const timer = setInterval(sweep, intervalMs);
+  timer.unref();
+
+  return { sweep, stop: () => clearInterval(timer) };
+}
+
+// When an image in the trash will be purged
+const purgeDate = (image, retentionMs) => new Date(new Date(image.deleted_at).getTime() + retentionMs).toISOString();
+
+module.exports = { purgeImage, purgeExpiredTrash, startTrashSweep, purgeDate };
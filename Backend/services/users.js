@@ -0,0 +1,73 @@
+const { ValidationError, AuthenticationError, ForbiddenError, ResourceNotFoundError } = require('../errors');
+const { hashPassword, verifyPassword } = require('../auth/passwords');
+
+const usernamePattern = /^[a-z0-9._-]{3,50}$/;
+const minPasswordLength = 8;
+const maxPasswordLength = 200;
+const roles = ['user', 'admin'];
+
+// Validate a username and password from a register or login request.
+// Usernames are case-insensitive and stored in lower case.
+function parseCredentials(body) {
+  const username = body && typeof body.username === 'string' ? body.username.trim().toLowerCase() : '';
+  const password = body && typeof body.password === 'string' ? body.password : '';
+
+  if (!usernamePattern.test(username)) {
+    throw new ValidationError('Invalid username: use 3 to 50 letters, digits, dots, dashes or underscores', 'invalid_username');
+  }
+  if (password.length < minPasswordLength || password.length > maxPasswordLength) {
+    throw new ValidationError(`Invalid password: must be ${minPasswordLength} to ${maxPasswordLength} characters`, 'invalid_password');
+  }
+  return { username, password };
+}
+
+// A user as returned by the API, without the password hash
+const publicUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  role: user.role,
+  created_at: user.created_at
+});
+
+// Create an account with the given role, for registration and the admin commands
+async function createAccount({ db }, credentials, { role = 'user' } = {}) {
+  const { username, password } = parseCredentials(credentials);
+  const user = await db.createUser({ username, passwordHash: await hashPassword(password), role });
+  return publicUser(user);
+}
+
+// Create a regular account, only accepted while registration is open. Registering never makes an
+// admin, admins are created on purpose with the admin commands (node server.js user add --admin).
+async function registerUser({ db, openRegistration = true }, credentials) {
+  if (!openRegistration) {
+    throw new ForbiddenError('Registration is closed, ask an admin for an account', 'registration_closed');
+  }
+  return createAccount({ db }, credentials);
+}
+
+// Make an account an admin or a regular user
+async function changeUserRole({ db }, username, role) {
+  if (!roles.includes(role)) throw new ValidationError(`Invalid role: use one of ${roles.join(', ')}`, 'invalid_role');
+  const user = await db.findUserByUsername(String(username).trim().toLowerCase());
+  if (!user) throw new ResourceNotFoundError(`User "${username}" not found`, 'user_not_found');
+  return publicUser(await db.updateUserRole(user.id, role));
+}
+
+// Unknown usernames are checked against this hash, so they take as long as a wrong password
+let dummyHash = null;
+
+// Check a username and password, with the same answer for unknown users and wrong passwords
+async function authenticateUser({ db }, credentials) {
+  const username = credentials && typeof credentials.username === 'string' ? credentials.username.trim().toLowerCase() : '';
+  const password = credentials && typeof credentials.password === 'string' ? credentials.password : '';
+
+  const user = username ? await db.findUserByUsername(username) : null;
+  if (!dummyHash) dummyHash = await hashPassword('not a password');
+  const valid = await verifyPassword(password, user ? user.password_hash : dummyHash);
+  if (!user || !valid) {
+    throw new AuthenticationError('Invalid username or password', 'invalid_credentials');
+  }
+  return publicUser(user);
+}
+
+module.exports = { parseCredentials, publicUser, createAccount, registerUser, changeUserRole, authenticateUser, roles };
@@ -0,0 +1,39 @@
+const { ConfigurationError } = require('../errors');
+
+// Available blob storage adapters, loaded on demand
+const adapters = {
+  local: () => require('./local').createLocalStorage,
+  s3: () => require('./s3').createS3Storage
+};
+
+// Create the blob storage adapter for the configured driver (defaults to local disk).
+// Every adapter implements save(key, data, options), createReadStream(key), delete(key), exists(key)
+// and list(prefix).
+function createStorage(config = {}) {
+  const adapterName = (config.driver || 'local').toLowerCase();
+  const loadAdapter = adapters[adapterName];
+
+  if (!loadAdapter) {
+    throw new ConfigurationError(
+      `Unknown storage driver "${config.driver}". Supported drivers: ${Object.keys(adapters).join(', ')}`
+    );
+  }
+
+  return loadAdapter()(config);
+}
+
+// Stored image paths are public URLs under /uploads, the storage key is the part after it
+function storageKeyFromPath(imagePath) {
+  return imagePath.replace(/^\/?uploads\//, '');
+}
+
+// Collect a read stream from an adapter into a single buffer
+async function streamToBuffer(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+module.exports = { createStorage, storageKeyFromPath, streamToBuffer, adapters };
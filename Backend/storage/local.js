@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const { FileSystemError, ResourceNotFoundError, ValidationError } = require('../errors');
+
+// Local disk adapter, files live under a single root directory
+function createLocalStorage(config = {}) {
+  const root = path.resolve(config.root || 'uploads');
+
+  // Map a storage key to a path inside the root, refusing anything that escapes it
+  const resolveKey = (key) => {
+    const fullPath = path.resolve(root, key);
+    if (!fullPath.startsWith(root + path.sep)) {
+      throw new ValidationError(`Invalid storage key: ${key}`);
+    }
+    return fullPath;
+  };
+
+  return {
+    name: 'local',
+    root,
+
+    async save(key, data) {
+      const fullPath = resolveKey(key);
+      try {
+        await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+        await fs.promises.writeFile(fullPath, data);
+      } catch (err) {
+        throw new FileSystemError(`Failed to save ${key}: ${err.message}`);
+      }
+    },
+
+    async createReadStream(key) {
+      const fullPath = resolveKey(key);
+      if (!fs.existsSync(fullPath)) {
+        throw new ResourceNotFoundError(`File not found: ${key}`);
+      }
+      return fs.createReadStream(fullPath);
+    },
+
+    async delete(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+        return true;
+      } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw new FileSystemError(`Failed to delete ${key}: ${err.message}`);
+      }
+    },
+
+    async exists(key) {
+      return fs.existsSync(resolveKey(key));
+    },
+
+    // Every file whose key starts with the prefix, with its size and modification time
+    async list(prefix = '') {
+      const files = [];
+      const walk = async (directory) => {
+        let entries;
+        try {
+          entries = await fs.promises.readdir(directory, { withFileTypes: true });
+        } catch (err) {
+          if (err.code === 'ENOENT') return;
+          throw new FileSystemError(`Failed to list ${prefix}: ${err.message}`);
+        }
+        for (const entry of entries) {
+          const fullPath = path.join(directory, entry.name);
+          if (entry.isDirectory()) {
+            await walk(fullPath);
+          } else if (entry.isFile()) {
+            const key = path.relative(root, fullPath).split(path.sep).join('/');
+            if (!key.startsWith(prefix)) continue;
+            const stats = await fs.promises.stat(fullPath);
+            files.push({ key, size: stats.size, lastModified: stats.mtime });
+          }
+        }
+      };
+
+      // Only walk the directory the prefix points into
+      const slash = prefix.lastIndexOf('/');
+      await walk(slash === -1 ? root : resolveKey(prefix.slice(0, slash)));
+      return files.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+    }
+  };
+}
+
+module.exports = { createLocalStorage };
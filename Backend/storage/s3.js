@@ -0,0 +1,111 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { ConfigurationError, FileSystemError, ResourceNotFoundError } = require('../errors');
+
+const isNotFound = (err) =>
+  err.name === 'NotFound' || err.name === 'NoSuchKey' || (err.$metadata && err.$metadata.httpStatusCode === 404);
+
+// S3-compatible adapter (AWS S3, MinIO, ...)
+function createS3Storage(config = {}) {
+  if (!config.bucket) {
+    throw new ConfigurationError('S3 storage requires a bucket');
+  }
+
+  const bucket = config.bucket;
+  const prefix = config.prefix ? `${config.prefix.replace(/\/+$/, '')}/` : '';
+  const client = config.client || new S3Client({
+    region: config.region || 'us-east-1',
+    endpoint: config.endpoint,
+    // MinIO and most self-hosted stand-ins only support path-style URLs
+    forcePathStyle: config.forcePathStyle !== undefined ? config.forcePathStyle : Boolean(config.endpoint),
+    credentials: config.accessKeyId ? {
+      accessKeyId: config.accessKeyId,
+      secretAccessKey: config.secretAccessKey
+    } : undefined
+  });
+
+  const objectKey = (key) => `${prefix}${key}`;
+
+  return {
+    name: 's3',
+    bucket,
+
+    async save(key, data, options = {}) {
+      try {
+        await client.send(new PutObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(key),
+          Body: data,
+          ContentType: options.contentType
+        }));
+      } catch (err) {
+        throw new FileSystemError(`Failed to save ${key}: ${err.message}`);
+      }
+    },
+
+    async createReadStream(key) {
+      try {
+        const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return result.Body;
+      } catch (err) {
+        if (isNotFound(err)) {
+          throw new ResourceNotFoundError(`File not found: ${key}`);
+        }
+        throw new FileSystemError(`Failed to read ${key}: ${err.message}`);
+      }
+    },
+
+    async delete(key) {
+      if (!(await this.exists(key))) return false;
+      try {
+        await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return true;
+      } catch (err) {
+        throw new FileSystemError(`Failed to delete ${key}: ${err.message}`);
+      }
+    },
+
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return true;
+      } catch (err) {
+        if (isNotFound(err)) return false;
+        throw new FileSystemError(`Failed to check ${key}: ${err.message}`);
+      }
+    },
+
+    // Every object whose key starts with the prefix, with its size and modification time
+    async list(listPrefix = '') {
+      const files = [];
+      let continuationToken;
+      do {
+        let result;
+        try {
+          result = await client.send(new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: objectKey(listPrefix),
+            ContinuationToken: continuationToken
+          }));
+        } catch (err) {
+          throw new FileSystemError(`Failed to list ${listPrefix}: ${err.message}`);
+        }
+        (result.Contents || []).forEach(object => files.push({
+          key: object.Key.slice(prefix.length),
+          size: object.Size,
+          lastModified: object.LastModified
+        }));
+        continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+      } while (continuationToken);
+      return files;
+    }
+  };
+}
+
+module.exports = { createS3Storage };
@@ -1,72 +1,765 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import axios from 'axios';
 import { useDropzone } from 'react-dropzone';
-import { FaTimes } from 'react-icons/fa';
+import { FaTimes, FaEdit, FaShareAlt } from 'react-icons/fa';
 import './App.css';
 
-// Use relative paths in production, absolute in development
+// Use relative paths in production, absolute in development. The login cookie is sent along
+// with every request, also cross origin to the development server.
 const api = axios.create({
-  baseURL: process.env.NODE_ENV === 'production' ? '/api' : 'http://localhost:3000/api'
+  baseURL: process.env.NODE_ENV === 'production' ? '/api' : 'http://localhost:3000/api',
+  withCredentials: true
 });
 
-function App() {
+// Friendlier wording for the stable error codes of the API (see the Error responses section of the
+// README). Other client errors show the detail the server sent, which names what was wrong.
+const friendlyMessages = {
+  login_required: 'Your session has ended, please log in again',
+  invalid_credentials: 'Wrong username or password',
+  registration_closed: 'Registration is closed, ask an admin for an account',
+  forbidden: 'You are not allowed to do that',
+  admin_required: 'Only admins can do that',
+  image_not_found: 'This image no longer exists, it may have been deleted',
+  image_not_in_trash: 'This image is no longer in the trash',
+  album_not_found: 'This album no longer exists',
+  tag_not_found: 'This tag no longer exists',
+  share_link_not_found: 'This share link no longer exists',
+  invalid_image: 'This file is damaged or is not really an image',
+  internal_error: 'Something went wrong on the server, please try again',
+  service_unavailable: 'The server is busy or down for maintenance, please try again in a moment',
+  database_unavailable: 'The server is busy or down for maintenance, please try again in a moment'
+};
+
+// Banner text for a failed request: a friendly message for known error codes, the server's detail
+// for other client errors, else the fallback naming what failed
+const errorMessage = (err, fallback) => {
+  if (!err.response) return err.request ? 'Cannot reach the server, check your connection' : fallback;
+  const problem = err.response.data || {};
+  if (friendlyMessages[problem.code]) return friendlyMessages[problem.code];
+  if (err.response.status < 500 && (problem.detail || problem.error)) return problem.detail || problem.error;
+  return fallback;
+};
+
+// Human readable file size, e.g. 1.4 MB
+const formatBytes = (bytes) => {
+  if (bytes == null) return null;
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+};
+
+// Image URLs are stored as absolute paths, older rows may lack the leading slash
+const imageUrl = (imagePath) => (imagePath.startsWith('/') ? imagePath : `/${imagePath}`);
+
+// "JPEG, PNG, GIF (max 5.0 MB each, up to 50 at once)" from the server's upload limits
+const describeUploadLimits = ({ types, maxFileSize, maxBatchFiles }) =>
+  `${types.map(type => type.format.toUpperCase()).join(', ')} (max ${formatBytes(maxFileSize)} each, up to ${maxBatchFiles} at once)`;
+
+// Images fetched per request while scrolling through the gallery
+const pageSize = 24;
+
+// srcset built from the responsive variants the backend generates on upload
+const buildSrcSet = (variants = []) =>
+  variants.map(variant => `${imageUrl(variant.image_path)} ${variant.width}w`).join(', ') || undefined;
+
+// Wait this long after the last keystroke before searching
+const searchDelay = 300;
+
+// Search result text with the matched ranges marked
+function Highlighted({ text, ranges = [] }) {
+  const parts = [];
+  let position = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(<mark key={start}>{text.slice(start, end)}</mark>);
+    position = end;
+  });
+  parts.push(text.slice(position));
+  return <>{parts}</>;
+}
+
+const fieldLabels = { title: 'Title', original_name: 'File', tags: 'Tag', description: 'Description', alt_text: 'Alt text' };
+
+// Text for the alt attribute: the stored alt text, else the best description we have
+const altText = (img) => img.alt_text || img.title || img.original_name || `Uploaded image ${img.id}`;
+
+// Dialog for editing the title, description and alt text of an image
+function EditImageDialog({ image, onSave, onCancel }) {
+  const [fields, setFields] = useState({
+    title: image.title || '',
+    description: image.description || '',
+    alt_text: image.alt_text || ''
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const updateField = (name) => (event) => {
+    const { value } = event.target;
+    setFields(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      const { data } = await api.put(`/images/${image.id}`, fields);
+      onSave(data);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to save changes'));
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="dialog-backdrop" onClick={onCancel}>
+      <form
+        className="dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="edit-image-heading"
+        onClick={event => event.stopPropagation()}
+        onKeyDown={event => event.key === 'Escape' && onCancel()}
+        onSubmit={handleSubmit}
+      >
+        <h2 id="edit-image-heading">Edit image</h2>
+        <img src={imageUrl(image.image_path)} alt={altText(image)} className="dialog-preview" />
+
+        <label>
+          Title
+          <input type="text" value={fields.title} maxLength={255} onChange={updateField('title')} autoFocus />
+        </label>
+        <label>
+          Description
+          <textarea value={fields.description} maxLength={2000} rows={4} onChange={updateField('description')} />
+        </label>
+        <label>
+          Alt text
+          <input type="text" value={fields.alt_text} maxLength={500} onChange={updateField('alt_text')} />
+          <small>Describe the image for people using screen readers</small>
+        </label>
+
+        {error && <div className="error-message">{error}</div>}
+
+        <div className="dialog-actions">
+          <button type="button" onClick={onCancel} disabled={saving}>Cancel</button>
+          <button type="submit" className="primary" disabled={saving}>{saving ? 'Saving...' : 'Save'}</button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+const shareExpiryOptions = [
+  { hours: 1, label: '1 hour' },
+  { hours: 24, label: '1 day' },
+  { hours: 7 * 24, label: '7 days' },
+  { hours: 30 * 24, label: '30 days' }
+];
+
+// What a share link allows, e.g. "2 of 5 downloads · expires 1/2/2025, 10:00:00"
+const describeShareLink = (link) => {
+  if (link.revoked_at) return 'Revoked';
+  const downloads = link.max_downloads ? `${link.download_count} of ${link.max_downloads} downloads` : `${link.download_count} downloads`;
+  const expires = new Date(link.expires_at);
+  return `${downloads} · ${expires < new Date() ? 'expired' : 'expires'} ${expires.toLocaleString()}`;
+};
+
+// Dialog for sharing one image with people outside the app through signed, expiring links
+function ShareDialog({ image, onClose }) {
+  const [links, setLinks] = useState([]);
+  const [expiresInHours, setExpiresInHours] = useState(24);
+  const [maxDownloads, setMaxDownloads] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    api.get(`/images/${image.id}/shares`)
+      .then(({ data }) => setLinks(data))
+      .catch(err => setError(errorMessage(err, 'Failed to load share links')));
+  }, [image.id]);
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const body = { expiresInHours };
+      if (maxDownloads) body.maxDownloads = Number(maxDownloads);
+      const { data } = await api.post(`/images/${image.id}/shares`, body);
+      setLinks(prev => [data, ...prev]);
+      setMaxDownloads('');
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to create share link'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = async (link) => {
+    try {
+      const { data } = await api.delete(`/shares/${link.id}`);
+      setLinks(prev => prev.map(l => (l.id === data.id ? data : l)));
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to revoke share link'));
+    }
+  };
+
+  return (
+    <div className="dialog-backdrop" onClick={onClose}>
+      <form
+        className="dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="share-image-heading"
+        onClick={event => event.stopPropagation()}
+        onKeyDown={event => event.key === 'Escape' && onClose()}
+        onSubmit={handleCreate}
+      >
+        <h2 id="share-image-heading">Share image</h2>
+        <small>Anyone with a link can download the image until it expires or is revoked, without logging in.</small>
+
+        <label>
+          Expires after
+          <select value={expiresInHours} onChange={event => setExpiresInHours(Number(event.target.value))}>
+            {shareExpiryOptions.map(option => (
+              <option key={option.hours} value={option.hours}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Download limit
+          <input
+            type="number"
+            min={1}
+            value={maxDownloads}
+            placeholder="Unlimited"
+            onChange={event => setMaxDownloads(event.target.value)}
+          />
+        </label>
+
+        {error && <div className="error-message">{error}</div>}
+
+        <div className="dialog-actions">
+          <button type="button" onClick={onClose}>Close</button>
+          <button type="submit" className="primary" disabled={busy}>{busy ? 'Creating...' : 'Create link'}</button>
+        </div>
+
+        {links.length > 0 && (
+          <ul className="share-links">
+            {links.map(link => (
+              <li key={link.id} className={link.active ? '' : 'inactive'}>
+                <input type="text" value={link.url} readOnly aria-label="Share link" onFocus={event => event.target.select()} />
+                <span className="share-link-status">{describeShareLink(link)}</span>
+                {link.active && (
+                  <span className="share-link-actions">
+                    <button type="button" onClick={() => navigator.clipboard.writeText(link.url)}>Copy</button>
+                    <button type="button" onClick={() => handleRevoke(link)}>Revoke</button>
+                  </span>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </form>
+    </div>
+  );
+}
+
+// Deleted images, with restore and permanent delete. They are purged automatically after the retention period.
+function TrashView({ onRestored }) {
+  const [images, setImages] = useState([]);
+  const [page, setPage] = useState(0);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchTrash = useCallback(async (nextPage = 1) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const { data } = await api.get('/trash', { params: { page: nextPage, pageSize } });
+      setImages(prev => (nextPage === 1 ? data.items : [...prev, ...data.items]));
+      setPage(data.page);
+      setTotal(data.total);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to load the trash'));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => { fetchTrash(1); }, [fetchTrash]);
+
+  const removeFromList = (id) => {
+    setImages(prev => prev.filter(img => img.id !== id));
+    setTotal(prev => prev - 1);
+  };
+
+  const handleRestore = async (img) => {
+    try {
+      await api.post(`/trash/${img.id}/restore`);
+      removeFromList(img.id);
+      onRestored();
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to restore image'));
+    }
+  };
+
+  const handleDeleteForever = async (img) => {
+    if (!window.confirm('Delete this image permanently? This cannot be undone.')) return;
+    try {
+      await api.delete(`/trash/${img.id}`);
+      removeFromList(img.id);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to delete image'));
+    }
+  };
+
+  const handleEmpty = async () => {
+    if (!window.confirm(`Permanently delete all ${total} images in the trash? This cannot be undone.`)) return;
+    try {
+      const { data } = await api.delete('/trash');
+      if (data.failed) {
+        // Images that could not be deleted stay in the trash
+        setError(data.message);
+        await fetchTrash(1);
+        return;
+      }
+      setImages([]);
+      setTotal(0);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to empty the trash'));
+    }
+  };
+
+  const thumbnail = (img) => (img.variants || []).find(variant => variant.name === 'thumb') || img;
+
+  return (
+    <div className="gallery-container">
+      <h2>
+        Trash <small>({total})</small>
+        {total > 0 && <button className="empty-trash" onClick={handleEmpty}>Empty trash</button>}
+      </h2>
+      {error && <div className="error-message">{error}</div>}
+
+      {images.length > 0 ? (
+        <div className="images-grid">
+          {images.map(img => (
+            <div key={img.id} className="image-card trashed">
+              <img src={imageUrl(thumbnail(img).image_path)} loading="lazy" alt={altText(img)} className="image-preview" />
+              <div className="image-details">
+                <p className="image-name">{img.title || img.original_name || img.image_path.split('/').pop()}</p>
+                <p className="image-meta">Deleted {new Date(img.deleted_at).toLocaleString()}</p>
+                <p className="image-meta">Removed for good on {new Date(img.purge_at).toLocaleDateString()}</p>
+                <div className="album-controls">
+                  <button onClick={() => handleRestore(img)}>Restore</button>
+                  <button onClick={() => handleDeleteForever(img)}>Delete forever</button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : !loading && (
+        <div className="empty-state">
+          <p>The trash is empty</p>
+        </div>
+      )}
+
+      {images.length < total && (
+        <div className="scroll-sentinel">
+          {loading ? <div className="spinner"></div> : <button onClick={() => fetchTrash(page + 1)}>Load more</button>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Login and registration form, shown until the user is signed in
+function LoginScreen({ onLogin }) {
+  const [mode, setMode] = useState('login');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const registering = mode === 'register';
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const { data } = await api.post(`/auth/${mode}`, { username, password });
+      onLogin(data.user);
+    } catch (err) {
+      setError(errorMessage(err, registering ? 'Registration failed' : 'Login failed'));
+      setSubmitting(false);
+    }
+  };
+
+  const switchMode = () => {
+    setMode(registering ? 'login' : 'register');
+    setError(null);
+  };
+
+  return (
+    <div className="login-screen">
+      <h1>Image Uploader</h1>
+      <form className="dialog" aria-labelledby="login-heading" onSubmit={handleSubmit}>
+        <h2 id="login-heading">{registering ? 'Create an account' : 'Log in'}</h2>
+        <label>
+          Username
+          <input
+            type="text"
+            value={username}
+            autoComplete="username"
+            maxLength={50}
+            required
+            autoFocus
+            onChange={event => setUsername(event.target.value)}
+          />
+        </label>
+        <label>
+          Password
+          <input
+            type="password"
+            value={password}
+            autoComplete={registering ? 'new-password' : 'current-password'}
+            minLength={registering ? 8 : undefined}
+            maxLength={200}
+            required
+            onChange={event => setPassword(event.target.value)}
+          />
+          {registering && <small>At least 8 characters</small>}
+        </label>
+
+        {error && <div className="error-message">{error}</div>}
+
+        <div className="dialog-actions">
+          <button type="button" onClick={switchMode} disabled={submitting}>
+            {registering ? 'I have an account' : 'Create an account'}
+          </button>
+          <button type="submit" className="primary" disabled={submitting}>
+            {submitting ? 'Please wait...' : registering ? 'Register' : 'Log in'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+// Tag chips of an image: click a tag to filter the gallery by it, × removes it, Enter in the field adds one
+function TagEditor({ tags, onChange, onSelect }) {
+  const [draft, setDraft] = useState('');
+
+  const handleKeyDown = (event) => {
+    if (event.key !== 'Enter') return;
+    event.preventDefault();
+    const name = draft.trim().replace(/\s+/g, ' ').toLowerCase();
+    if (name && !tags.includes(name)) onChange([...tags, name]);
+    setDraft('');
+  };
+
+  return (
+    <div className="tag-list">
+      {tags.map(tag => (
+        <span key={tag} className="tag-chip">
+          <button type="button" className="tag-name" onClick={() => onSelect(tag)} title={`Show images tagged ${tag}`}>
+            {tag}
+          </button>
+          <button type="button" className="tag-remove" onClick={() => onChange(tags.filter(t => t !== tag))} aria-label={`Remove tag ${tag}`}>
+            <FaTimes />
+          </button>
+        </span>
+      ))}
+      <input
+        className="tag-input"
+        type="text"
+        value={draft}
+        maxLength={50}
+        placeholder="Add tag"
+        onChange={event => setDraft(event.target.value)}
+        onKeyDown={handleKeyDown}
+      />
+    </div>
+  );
+}
+
+function Gallery({ user, onLogout }) {
   const [images, setImages] = useState([]);
+  const [page, setPage] = useState(0);
+  const [total, setTotal] = useState(0);
+  const [filters, setFilters] = useState({ sort: 'date', order: 'desc', type: '', from: '', to: '', album: '', tag: '' });
+  const [albums, setAlbums] = useState([]);
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [caption, setCaption] = useState('');
   const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [uploading, setUploading] = useState(false);
   const [error, setError] = useState(null);
+  const [uploadResults, setUploadResults] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [sharing, setSharing] = useState(null);
+  const [showTrash, setShowTrash] = useState(false);
+  const [deleted, setDeleted] = useState(null);
+  const [uploadLimits, setUploadLimits] = useState(null);
 
+  // Until the server's limits are known any image can be picked, the server checks them anyway
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
-    accept: { 'image/*': ['.jpeg', '.jpg', '.png', '.gif'] },
-    maxFiles: 1,
-    onDrop: async (acceptedFiles) => {
+    accept: uploadLimits
+      ? Object.fromEntries(uploadLimits.types.map(type => [type.mimeType, type.extensions]))
+      : { 'image/*': [] },
+    maxSize: uploadLimits ? uploadLimits.maxFileSize : Infinity,
+    maxFiles: uploadLimits ? uploadLimits.maxBatchFiles : 0,
+    multiple: true,
+    onDrop: async (acceptedFiles, fileRejections) => {
+      // Files the dropzone refused never reach the server, report them alongside the server results
+      const rejected = fileRejections.map(({ file, errors }) => ({
+        originalName: file.name,
+        status: 'rejected',
+        error: errors.map(e => e.message).join(', ')
+      }));
+      setUploadResults(rejected);
       if (!acceptedFiles.length) return;
       
       setUploading(true);
       setError(null);
       const formData = new FormData();
-      formData.append('image', acceptedFiles[0]);
+      acceptedFiles.forEach(file => formData.append('images', file));
+      if (caption.trim()) formData.append('caption', caption.trim());
 
       try {
-        await api.post('/upload', formData);
+        const { data } = await api.post('/upload/batch', formData);
+        setUploadResults([...data.results, ...rejected]);
+        setCaption('');
         await fetchImages();
       } catch (err) {
-        setError(err.response?.data?.error || err.message);
+        setError(errorMessage(err, 'Upload failed'));
       } finally {
         setUploading(false);
       }
     }
   });
 
-  const fetchImages = async () => {
-    setLoading(true);
+  const sentinelRef = useRef(null);
+  const latestRequest = useRef(0);
+  const hasMore = images.length < total;
+
+  // Query parameters for the regular gallery listing
+  const listParams = useCallback((nextPage) => {
+    const params = { page: nextPage, pageSize, sort: filters.sort, order: filters.order };
+    if (filters.type) params.type = filters.type;
+    if (filters.from) params.from = new Date(`${filters.from}T00:00:00`).toISOString();
+    if (filters.to) params.to = new Date(`${filters.to}T23:59:59.999`).toISOString();
+    if (filters.album) params.album = filters.album;
+    if (filters.tag) params.tag = filters.tag;
+    return params;
+  }, [filters]);
+
+  // Load one page of the gallery, page 1 replaces what is shown and later pages are appended.
+  // While there is a search query the gallery shows ranked search results instead.
+  const fetchImages = useCallback(async (nextPage = 1) => {
+    const requestId = ++latestRequest.current;
+    (nextPage === 1 ? setLoading : setLoadingMore)(true);
     setError(null);
+
+    const request = query
+      ? api.get('/search', { params: { q: query, page: nextPage, pageSize } })
+      : api.get('/images', { params: listParams(nextPage) });
+
     try {
-      const { data } = await api.get('/images');
-      setImages(data);
+      const { data } = await request;
+      // A newer search or filter change has replaced this request
+      if (requestId !== latestRequest.current) return;
+      setImages(prev => {
+        if (nextPage === 1) return data.items;
+        const shown = new Set(prev.map(img => img.id));
+        return [...prev, ...data.items.filter(img => !shown.has(img.id))];
+      });
+      setPage(data.page);
+      setTotal(data.total);
     } catch (err) {
-      setError(err.response?.data?.error || 'Failed to load images');
+      if (requestId === latestRequest.current) setError(errorMessage(err, 'Failed to load images'));
     } finally {
-      setLoading(false);
+      if (requestId === latestRequest.current) {
+        setLoading(false);
+        setLoadingMore(false);
+      }
+    }
+  }, [query, listParams]);
+
+  const updateFilter = (name) => (event) => {
+    const { value } = event.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const showAlbum = (albumId) => setFilters(prev => ({ ...prev, album: albumId ? String(albumId) : '' }));
+  const showTag = (tag) => setFilters(prev => ({ ...prev, tag }));
+  const selectedAlbum = albums.find(album => String(album.id) === filters.album);
+
+  const fetchAlbums = useCallback(async () => {
+    try {
+      const { data } = await api.get('/albums');
+      setAlbums(data);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to load albums'));
+    }
+  }, []);
+
+  const replaceImage = (updated) => {
+    setImages(prev => prev.map(img => (img.id === updated.id ? updated : img)));
+  };
+
+  const handleCreateAlbum = async () => {
+    const name = window.prompt('Album name');
+    if (!name) return;
+    try {
+      const { data } = await api.post('/albums', { name });
+      await fetchAlbums();
+      showAlbum(data.id);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to create album'));
+    }
+  };
+
+  const handleRenameAlbum = async () => {
+    const name = window.prompt('New album name', selectedAlbum.name);
+    if (!name || name === selectedAlbum.name) return;
+    try {
+      await api.patch(`/albums/${selectedAlbum.id}`, { name });
+      await fetchAlbums();
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to rename album'));
+    }
+  };
+
+  const handleDeleteAlbum = async () => {
+    if (!window.confirm(`Delete the album "${selectedAlbum.name}"? Its images stay in the library.`)) return;
+    try {
+      await api.delete(`/albums/${selectedAlbum.id}`);
+      showAlbum(null);
+      await fetchAlbums();
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to delete album'));
+    }
+  };
+
+  const handleAddToAlbum = async (img, albumId) => {
+    if (!albumId) return;
+    try {
+      await api.put(`/albums/${albumId}/images/${img.id}`);
+      replaceImage({ ...img, album_ids: [...new Set([...img.album_ids, Number(albumId)])] });
+      await fetchAlbums();
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to add image to album'));
+    }
+  };
+
+  const handleRemoveFromAlbum = async (img) => {
+    try {
+      await api.delete(`/albums/${selectedAlbum.id}/images/${img.id}`);
+      setImages(prev => prev.filter(i => i.id !== img.id));
+      setTotal(prev => prev - 1);
+      await fetchAlbums();
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to remove image from album'));
     }
   };
 
+  const handleTagsChange = async (img, tags) => {
+    try {
+      const { data } = await api.put(`/images/${img.id}/tags`, { tags });
+      replaceImage(data);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to update tags'));
+    }
+  };
+
+  // Deleted images go to the trash, so there is no confirmation, just a way to undo
   const handleDelete = async (id) => {
-    if (!window.confirm('Are you sure you want to delete this image?')) return;
-    
     try {
-      await api.delete(`/images/${id}`);
+      const { data } = await api.delete(`/images/${id}`);
       setImages(prev => prev.filter(img => img.id !== id));
+      setTotal(prev => prev - 1);
+      setDeleted(data.image);
     } catch (err) {
-      setError(err.response?.data?.error || 'Failed to delete image');
+      setError(errorMessage(err, 'Failed to delete image'));
     }
   };
 
-  useEffect(() => { fetchImages(); }, []);
+  const handleUndoDelete = async () => {
+    try {
+      await api.post(`/trash/${deleted.id}/restore`);
+      setDeleted(null);
+      await fetchImages(1);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to restore image'));
+    }
+  };
+
+  const handleSaved = (updated) => {
+    replaceImage(updated);
+    setEditing(null);
+  };
+
+  useEffect(() => { fetchAlbums(); }, [fetchAlbums]);
+
+  useEffect(() => {
+    api.get('/upload/limits')
+      .then(({ data }) => setUploadLimits(data))
+      .catch(() => {});
+  }, []);
+
+  // Debounce the search box so typing does not send a request per keystroke
+  useEffect(() => {
+    const timer = setTimeout(() => setQuery(search.trim()), searchDelay);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  // Start over from the first page whenever the sorting or filters change
+  useEffect(() => { fetchImages(1); }, [fetchImages]);
+
+  // Infinite scroll: fetch the next page once the sentinel below the grid comes into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore || loading || loadingMore) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) fetchImages(page + 1);
+    }, { rootMargin: '400px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, loading, loadingMore, page, fetchImages]);
 
   return (
     <div className="app-container">
+      <div className="user-bar">
+        <span>
+          Signed in as <strong>{user.username}</strong>
+          {user.role === 'admin' && ' (admin, seeing all images)'}
+        </span>
+        <button className={showTrash ? 'active' : ''} onClick={() => setShowTrash(prev => !prev)}>
+          {showTrash ? 'Back to gallery' : 'Trash'}
+        </button>
+        <button onClick={onLogout}>Log out</button>
+      </div>
       <h1>Image Uploader</h1>
       
+      <input
+        className="caption-input"
+        type="text"
+        value={caption}
+        maxLength={2000}
+        placeholder="Optional caption for the next upload"
+        onChange={event => setCaption(event.target.value)}
+      />
+
       <div {...getRootProps()} className={`dropzone ${isDragActive ? 'active' : ''}`}>
         <input {...getInputProps()} />
         {uploading ? (
@@ -76,44 +769,254 @@ function App() {
           </div>
         ) : (
           <>
-            <p>{isDragActive ? 'Drop image here' : 'Drag & drop image, or click to select'}</p>
-            <small>JPEG, PNG, GIF (Max 5MB)</small>
+            <p>{isDragActive ? 'Drop images here' : 'Drag & drop images, or click to select'}</p>
+            {uploadLimits && <small>{describeUploadLimits(uploadLimits)}</small>}
           </>
         )}
       </div>
 
       {error && <div className="error-message">{error}</div>}
 
-      {loading ? (
-        <div className="loading-state">
-          <div className="spinner"></div>
-          <p>Loading images...</p>
-        </div>
-      ) : images.length > 0 ? (
-        <div className="gallery-container">
-          <h2>Uploaded Images</h2>
-          <div className="images-grid">
-            {images.map((img) => (
-              <div key={img.id} className="image-card">
-                <button className="delete-button" onClick={() => handleDelete(img.id)}>
-                  <FaTimes />
-                </button>
-                <img 
-                  src={img.image_path.startsWith('/') ? img.image_path : `/${img.image_path}`}
-                  alt={`Uploaded content ${img.id}`}
-                  className="image-preview"
-                />
-              </div>
-            ))}
-          </div>
+      {deleted && (
+        <div className="notice" role="status">
+          Moved "{deleted.title || deleted.original_name || 'image'}" to the trash
+          <button onClick={handleUndoDelete}>Undo</button>
+          <button onClick={() => setDeleted(null)} aria-label="Dismiss"><FaTimes /></button>
         </div>
+      )}
+
+      {uploadResults.length > 0 && (
+        <ul className="upload-results">
+          {uploadResults.map((result, index) => (
+            <li key={`${result.originalName}-${index}`} className={`upload-result ${result.image ? 'success' : 'failure'}`}>
+              <span className="upload-result-name">{result.originalName}</span>
+              <span className="upload-result-status">
+                {result.status === 'uploaded' && 'Uploaded'}
+                {result.status === 'duplicate' && 'Already uploaded'}
+                {!result.image && (friendlyMessages[result.code] || result.error)}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {showTrash ? (
+        <TrashView onRestored={() => fetchImages(1)} />
       ) : (
-        <div className="empty-state">
-          <p>No images uploaded yet</p>
+        <>
+        <div className="search-bar">
+          <input
+            type="search"
+            value={search}
+            maxLength={200}
+            placeholder="Search names, titles, descriptions and tags"
+            aria-label="Search images"
+            onChange={event => setSearch(event.target.value)}
+          />
         </div>
+
+        <nav className="album-nav" aria-label="Albums">
+          <button className={!filters.album ? 'active' : ''} onClick={() => showAlbum(null)}>All images</button>
+          {albums.map(album => (
+            <button
+              key={album.id}
+              className={String(album.id) === filters.album ? 'active' : ''}
+              onClick={() => showAlbum(album.id)}
+            >
+              {album.name} <small>({album.image_count})</small>
+            </button>
+          ))}
+          <button className="album-new" onClick={handleCreateAlbum}>+ New album</button>
+          {selectedAlbum && (
+            <span className="album-actions">
+              <button onClick={handleRenameAlbum}>Rename</button>
+              <button onClick={handleDeleteAlbum}>Delete album</button>
+            </span>
+          )}
+        </nav>
+
+        {filters.tag && (
+          <div className="active-filters">
+            Tagged
+            <span className="tag-chip">
+              <span className="tag-name">{filters.tag}</span>
+              <button type="button" className="tag-remove" onClick={() => showTag('')} aria-label="Clear tag filter">
+                <FaTimes />
+              </button>
+            </span>
+          </div>
+        )}
+
+        <div className="gallery-controls" hidden={!!query}>
+          <label>
+            Sort by
+            <select value={filters.sort} onChange={updateFilter('sort')}>
+              <option value="date">Upload date</option>
+              <option value="size">File size</option>
+              <option value="name">File name</option>
+            </select>
+          </label>
+          <label>
+            Order
+            <select value={filters.order} onChange={updateFilter('order')}>
+              <option value="desc">Descending</option>
+              <option value="asc">Ascending</option>
+            </select>
+          </label>
+          <label>
+            Type
+            <select value={filters.type} onChange={updateFilter('type')}>
+              <option value="">All</option>
+              <option value="jpeg">JPEG</option>
+              <option value="png">PNG</option>
+              <option value="gif">GIF</option>
+            </select>
+          </label>
+          <label>
+            From
+            <input type="date" value={filters.from} max={filters.to || undefined} onChange={updateFilter('from')} />
+          </label>
+          <label>
+            To
+            <input type="date" value={filters.to} min={filters.from || undefined} onChange={updateFilter('to')} />
+          </label>
+        </div>
+
+        {loading ? (
+          <div className="loading-state">
+            <div className="spinner"></div>
+            <p>Loading images...</p>
+          </div>
+        ) : images.length > 0 ? (
+          <div className="gallery-container">
+            <h2>
+              {query ? `Results for "${query}"` : 'Uploaded Images'} <small>({images.length} of {total})</small>
+            </h2>
+            <div className="images-grid">
+              {images.map((img) => (
+                <div key={img.id} className="image-card">
+                  <button className="delete-button" onClick={() => handleDelete(img.id)} aria-label="Delete image">
+                    <FaTimes />
+                  </button>
+                  <button className="edit-button" onClick={() => setEditing(img)} aria-label="Edit image details">
+                    <FaEdit />
+                  </button>
+                  <button className="share-button" onClick={() => setSharing(img)} aria-label="Share image">
+                    <FaShareAlt />
+                  </button>
+                  <img 
+                    src={imageUrl(img.image_path)}
+                    srcSet={buildSrcSet(img.variants)}
+                    sizes="(max-width: 600px) 100vw, 300px"
+                    loading="lazy"
+                    alt={altText(img)}
+                    className="image-preview"
+                  />
+                  <div className="image-details">
+                    <p className="image-name" title={img.title || img.original_name || img.image_path}>
+                      <Highlighted
+                        text={img.title || img.original_name || img.image_path.split('/').pop()}
+                        ranges={(img.highlights || []).find(h => h.field === (img.title ? 'title' : 'original_name'))?.ranges}
+                      />
+                    </p>
+                    {(img.highlights || [])
+                      .filter(h => h.field !== (img.title ? 'title' : 'original_name'))
+                      .map(h => (
+                        <p key={`${h.field}-${h.text}`} className="search-match">
+                          {fieldLabels[h.field]}: <Highlighted text={h.text} ranges={h.ranges} />
+                        </p>
+                      ))}
+                    {img.description && <p className="image-description">{img.description}</p>}
+                    <p className="image-meta">
+                      {[
+                        img.width && img.height ? `${img.width}×${img.height}` : null,
+                        formatBytes(img.size_bytes),
+                        img.mime_type
+                      ].filter(Boolean).join(' · ')}
+                    </p>
+                    <p className="image-meta">
+                      {new Date(img.upload_date).toLocaleString()}
+                      {img.uploaded_by && ` · by ${img.uploaded_by}`}
+                    </p>
+                    <TagEditor tags={img.tags || []} onChange={tags => handleTagsChange(img, tags)} onSelect={showTag} />
+                    <div className="album-controls">
+                      {albums.some(album => !(img.album_ids || []).includes(album.id)) && (
+                        <select value="" onChange={event => handleAddToAlbum(img, event.target.value)} aria-label="Add to album">
+                          <option value="">Add to album...</option>
+                          {albums.filter(album => !(img.album_ids || []).includes(album.id)).map(album => (
+                            <option key={album.id} value={album.id}>{album.name}</option>
+                          ))}
+                        </select>
+                      )}
+                      {selectedAlbum && (
+                        <button onClick={() => handleRemoveFromAlbum(img)}>Remove from album</button>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+            <div ref={sentinelRef} className="scroll-sentinel">
+              {loadingMore && <div className="spinner"></div>}
+            </div>
+          </div>
+        ) : (
+          <div className="empty-state">
+            <p>No images uploaded yet</p>
+          </div>
+        )}
+        </>
+      )}
+
+      {editing && (
+        <EditImageDialog image={editing} onSave={handleSaved} onCancel={() => setEditing(null)} />
       )}
+
+      {sharing && <ShareDialog image={sharing} onClose={() => setSharing(null)} />}
     </div>
   );
 }
 
+// Shows the gallery to signed in users and the login screen to everyone else
+function App() {
+  const [user, setUser] = useState(null);
+  const [checking, setChecking] = useState(true);
+
+  // Restore the session from the login cookie
+  useEffect(() => {
+    api.get('/auth/me')
+      .then(({ data }) => setUser(data.user))
+      .catch(() => setUser(null))
+      .finally(() => setChecking(false));
+  }, []);
+
+  // An expired or revoked login sends the user back to the login screen
+  useEffect(() => {
+    const interceptor = api.interceptors.response.use(undefined, (err) => {
+      if (err.response?.status === 401 && !err.config.url.startsWith('/auth/')) setUser(null);
+      return Promise.reject(err);
+    });
+    return () => api.interceptors.response.eject(interceptor);
+  }, []);
+
+  // Forget the user even when the server cannot be reached, the cookie expires on its own
+  const handleLogout = async () => {
+    await api.post('/auth/logout').catch(() => {});
+    setUser(null);
+  };
+
+  if (checking) {
+    return (
+      <div className="loading-state">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  // Keyed by user so nothing from a previous session stays on screen
+  return user
+    ? <Gallery key={user.id} user={user} onLogout={handleLogout} />
+    : <LoginScreen onLogin={setUser} />;
+}
+
 export default App;
\ No newline at end of file